@@ -1,4 +1,31 @@
 module.exports = {
   root: true,
   extends: '@react-native',
+  env: {
+    es2020: true,
+  },
+  rules: {
+    // The codebase is not Prettier-formatted; keep the correctness rules only
+    'prettier/prettier': 'off',
+    'comma-dangle': 'off',
+    'no-trailing-spaces': 'off',
+    curly: ['warn', 'multi-line'],
+    // Mount-only effects are deliberate throughout the screens
+    'react-hooks/exhaustive-deps': 'warn',
+  },
+  overrides: [
+    {
+      // Expo web uses the browser APIs directly (crypto, storage, IndexedDB)
+      files: ['src/**/*.js', 'App.js'],
+      env: { browser: true },
+    },
+    {
+      files: ['backend/**/*.js', 'src/shared/**/*.js', '*.config.js', 'metro.config.js'],
+      env: { node: true },
+    },
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: { jest: true, node: true },
+    },
+  ],
 };
@@ -7,6 +7,7 @@
 import React, { useEffect } from 'react';
 import { StatusBar, useColorScheme, View, Text, StyleSheet, Platform } from 'react-native';
 import AuthWrapper from './src/components/AuthWrapper';
+import MicrosoftAuth from './src/services/MicrosoftAuth';
 import { isWeb } from './src/utils/platform';
 
 function App() {
@@ -135,14 +136,8 @@ function App() {
   useEffect(() => {
     if (isWeb) {
       // Check if any required web APIs are missing
-      const checkWebCompatibility = () => {
-        try {
-          // Any web-specific compatibility checks can go here
-          return null; // No errors
-        } catch (error) {
-          return 'Some browser features required by this app are not available.';
-        }
-      };
+      // Any web-specific compatibility checks can go here; null means no errors
+      const checkWebCompatibility = () => null;
 
       setWebError(checkWebCompatibility());
     }
@@ -169,12 +164,23 @@ function App() {
           backgroundColor={isDarkMode ? '#000000' : '#ffffff'}
         />
       )}
-      <AuthWrapper />
+      {/* Any touch counts as activity for the inactivity lock; returning false leaves it to the children */}
+      <View style={styles.root} onStartShouldSetResponderCapture={handleTouchCapture}>
+        <AuthWrapper />
+      </View>
     </>
   );
 }
 
+const handleTouchCapture = () => {
+  MicrosoftAuth.getInstance().recordActivity();
+  return false;
+};
+
 const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -41,8 +41,15 @@ module.exports = {
       "web"
     ],
     plugins: [
+      [
+        "expo-camera",
+        {
+          cameraPermission: "MedRec uses the camera to scan paper referrals."
+        }
+      ],
       "expo-document-picker",
-      "expo-file-system"
+      "expo-file-system",
+      "expo-secure-store"
     ]
   }
 };
\ No newline at end of file
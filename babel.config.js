@@ -1,13 +1,14 @@
 // babel.config.js - Simple configuration for Metro
 module.exports = function(api) {
-  api.cache(true);
+  // Jest tests mock react-native itself, so imports are not rewritten to react-native-web there
+  const isTest = api.env('test');
   
   return {
     presets: [
       'babel-preset-expo'
     ],
     plugins: [
-      'react-native-web',
+      ...(isTest ? [] : ['react-native-web']),
       '@babel/plugin-transform-class-static-block',
       '@babel/plugin-proposal-class-properties',
       '@babel/plugin-proposal-private-methods',
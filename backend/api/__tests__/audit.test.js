@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+let server;
+let baseUrl;
+let documentStore;
+let auditLog;
+
+beforeAll(async () => {
+  process.env.DOCUMENT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+  process.env.AUDIT_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+
+  let auditRouter;
+  jest.isolateModules(() => {
+    documentStore = require('../../services/documentStore');
+    auditLog = require('../../services/auditLog');
+    auditRouter = require('../audit');
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', name: 'Dana Reviewer', email: 'dana@example.org', roles: ['clinical_reviewer'] };
+    next();
+  });
+  app.use('/api/audit', auditRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/audit`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.DOCUMENT_STORAGE_DIR;
+  delete process.env.AUDIT_LOG_DIR;
+});
+
+const postEvents = events => fetch(`${baseUrl}/events`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ events }),
+});
+
+describe('POST /api/audit/events', () => {
+  it('takes the patient name from the stored document, never from the client', async () => {
+    const document = await documentStore.createDocument({ name: 'referral.pdf', formData: { patientName: 'Jane Doe' } });
+
+    const response = await postEvents([
+      { action: 'document.view', documentId: document.id, patientName: 'Someone Else' },
+      { action: 'report.generate', patientName: 'Someone Else' },
+    ]);
+    expect(response.status).toBe(201);
+
+    const { events } = await auditLog.queryEvents({});
+    expect(events.map(event => event.patientName)).toEqual([null, 'Jane Doe']);
+  });
+
+  it('refuses actions only the server may record', async () => {
+    const response = await postEvents([{ action: 'document.delete', documentId: 'x' }]);
+    expect(response.status).toBe(400);
+  });
+});
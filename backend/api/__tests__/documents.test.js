@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+let server;
+let baseUrl;
+let documentStore;
+let auditLog;
+
+const reviewer = { id: 'u1', name: 'Dana Reviewer', email: 'dana@example.org', roles: ['clinical_reviewer', 'supervisor', 'admin'] };
+
+beforeAll(async () => {
+  process.env.DOCUMENT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+  process.env.AUDIT_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  let documentsRouter;
+  jest.isolateModules(() => {
+    jest.doMock('../../services/documentProcessing', () => ({ processDocument: jest.fn() }));
+    documentStore = require('../../services/documentStore');
+    auditLog = require('../../services/auditLog');
+    documentsRouter = require('../documents');
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = reviewer;
+    next();
+  });
+  app.use('/api/documents', documentsRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/documents`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.DOCUMENT_STORAGE_DIR;
+  delete process.env.AUDIT_LOG_DIR;
+  console.log.mockRestore();
+});
+
+const createDocument = () => documentStore.createDocument({
+  name: 'referral.pdf',
+  formData: { patientName: 'Jane Doe', extractionMethod: 'fixture-structured' },
+});
+
+const patch = (id, body, version) => fetch(`${baseUrl}/${id}`, {
+  method: 'PATCH',
+  headers: { 'Content-Type': 'application/json', ...(version !== undefined ? { 'If-Match': `"${version}"` } : {}) },
+  body: JSON.stringify(body),
+});
+
+const eventsFor = async (documentId) => (await auditLog.queryEvents({ documentId })).events;
+
+describe('PATCH /api/documents/:id', () => {
+  it('requires the version the client last read', async () => {
+    const document = await createDocument();
+    const response = await patch(document.id, { reviewStatus: 'in_review' });
+    expect(response.status).toBe(428);
+  });
+
+  it('answers 409 with the current document when the version is stale', async () => {
+    const document = await createDocument();
+    expect((await patch(document.id, { reviewerName: 'First' }, 1)).status).toBe(200);
+
+    const response = await patch(document.id, { reviewerName: 'Stale' }, 1);
+    const body = await response.json();
+    expect(response.status).toBe(409);
+    expect(body.document).toMatchObject({ reviewerName: 'First', version: 2 });
+  });
+
+  it('records the update in the audit trail with the stored patient name', async () => {
+    const document = await createDocument();
+    await patch(document.id, { formData: { patientName: 'Jane Q. Doe' }, reviewStatus: 'in_review' }, 1);
+
+    const [event] = await eventsFor(document.id);
+    expect(event).toMatchObject({
+      action: 'document.update',
+      patientName: 'Jane Q. Doe',
+      user: { id: 'u1', name: 'Dana Reviewer' },
+      details: { fields: ['formData', 'reviewStatus'], version: 2 },
+    });
+  });
+
+  it('lists only the fields that were stored in the audit trail', async () => {
+    const document = await createDocument();
+    await patch(document.id, { reviewerName: 'Dana', hasOriginal: true, createdAt: '2000-01-01' }, 1);
+
+    const [event] = await eventsFor(document.id);
+    expect(event.details.fields).toEqual(['reviewerName']);
+  });
+});
+
+describe('POST /api/documents', () => {
+  it('assigns a new id instead of the one submitted', async () => {
+    const existing = await createDocument();
+    const response = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ document: { id: existing.id, name: 'other.pdf', formData: {} } }),
+    });
+
+    const { document } = await response.json();
+    expect(response.status).toBe(201);
+    expect(document.id).not.toBe(existing.id);
+    expect((await documentStore.getDocument(existing.id)).name).toBe('referral.pdf');
+  });
+});
+
+describe('document access auditing', () => {
+  it('records opening the document and its original PDF', async () => {
+    const document = await createDocument();
+    await documentStore.saveOriginal(document.id, Buffer.from('%PDF-1.4'));
+
+    expect((await fetch(`${baseUrl}/${document.id}`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/${document.id}/original`)).status).toBe(200);
+
+    const actions = (await eventsFor(document.id)).map(event => [event.action, event.patientName]);
+    expect(actions).toEqual([['document.original_read', 'Jane Doe'], ['document.read', 'Jane Doe']]);
+  });
+
+  it('records a deletion with the patient the document belonged to', async () => {
+    const document = await createDocument();
+
+    expect((await fetch(`${baseUrl}/${document.id}`, { method: 'DELETE' })).status).toBe(200);
+
+    const [event] = await eventsFor(document.id);
+    expect(event).toMatchObject({ action: 'document.delete', patientName: 'Jane Doe', details: { name: 'referral.pdf' } });
+  });
+
+  it('records listing documents and loading word positions', async () => {
+    const document = await createDocument();
+
+    expect((await fetch(baseUrl)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/${document.id}/positions`)).status).toBe(200);
+
+    const [listing] = (await auditLog.queryEvents({ action: 'document.list' })).events;
+    expect(listing.details.documentIds).toContain(document.id);
+    const [positions] = await eventsFor(document.id);
+    expect(positions).toMatchObject({ action: 'document.positions_read', patientName: 'Jane Doe' });
+  });
+
+  it('records the original upload, bumps the version and refuses a replacement', async () => {
+    const document = await createDocument();
+    const upload = body => fetch(`${baseUrl}/${document.id}/original`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/pdf' },
+      body,
+    });
+
+    const first = await upload('%PDF-1.4 first');
+    expect(first.status).toBe(200);
+    expect((await first.json()).version).toBe(2);
+
+    expect((await upload('%PDF-1.4 second')).status).toBe(409);
+    const stored = fs.readFileSync(await documentStore.getOriginalPath(document.id), 'utf8');
+    expect(stored).toBe('%PDF-1.4 first');
+
+    const [event] = await eventsFor(document.id);
+    expect(event).toMatchObject({ action: 'document.original_upload', details: { size: 14, version: 2 } });
+  });
+
+  it('refuses reads and deletes that cannot be recorded', async () => {
+    const document = await createDocument();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const appendEvent = jest.spyOn(auditLog, 'appendEvent').mockRejectedValue(new Error('disk full'));
+
+    try {
+      const read = await fetch(`${baseUrl}/${document.id}`);
+      expect(read.status).toBe(503);
+      expect((await read.json()).document).toBeUndefined();
+
+      expect((await fetch(`${baseUrl}/${document.id}`, { method: 'DELETE' })).status).toBe(503);
+      expect(await documentStore.getDocument(document.id)).not.toBeNull();
+    } finally {
+      appendEvent.mockRestore();
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Admin API - read-only view of the server configuration (no secrets)
+ */
+const express = require('express');
+const requirePermission = require('../middleware/requirePermission');
+const { getAuthConfig } = require('../services/tokenValidation');
+const { resolveProviderName } = require('../providers');
+const { AUDIT_DIR } = require('../services/auditLog');
+const { STORAGE_DIR } = require('../services/documentStore');
+const { getIntakeStatus } = require('../services/intakeWatcher');
+const { PERMISSIONS, ROLE_PERMISSIONS, parseRoleMap } = require('../../src/shared/roles');
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.ADMIN_CONFIG));
+
+/**
+ * Effective configuration
+ */
+router.get('/config', (req, res) => {
+  const authConfig = getAuthConfig();
+
+  res.json({
+    success: true,
+    config: {
+      auth: {
+        tenantId: authConfig.tenantId || null,
+        audiences: authConfig.audiences,
+        requiredGroup: authConfig.requiredGroup,
+        jwksSource: authConfig.jwksFile ? 'file' : 'tenant',
+        disabled: process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production',
+      },
+      roles: {
+        groups: parseRoleMap(process.env.AZURE_ROLE_GROUPS || process.env.EXPO_PUBLIC_AZURE_ROLE_GROUPS),
+        permissions: ROLE_PERMISSIONS,
+      },
+      llm: {
+        provider: resolveProviderName(process.env),
+        model: process.env.LLM_MODEL || process.env.AZURE_OPENAI_DEPLOYMENT || null,
+      },
+      storage: {
+        documents: STORAGE_DIR,
+        audit: AUDIT_DIR,
+      },
+      intake: getIntakeStatus(),
+      mode: process.env.NODE_ENV === 'production' ? 'production' : 'development',
+    },
+  });
+});
+
+module.exports = router;
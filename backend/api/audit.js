@@ -0,0 +1,118 @@
+/**
+ * Audit API - records and queries the access trail for referrals
+ */
+const express = require('express');
+const auditLog = require('../services/auditLog');
+const documentStore = require('../services/documentStore');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../../src/shared/roles');
+
+const router = express.Router();
+
+// Upper bound on events accepted in one request
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Patient name for an event, always from the stored document - a name sent by the
+ * client is ignored so the patient filter cannot be misled
+ */
+async function resolvePatientName(event, cache) {
+  if (!event.documentId || !documentStore.isValidId(event.documentId)) return null;
+
+  if (!cache.has(event.documentId)) {
+    const document = await documentStore.getDocument(event.documentId);
+    cache.set(event.documentId, document?.formData?.patientName || null);
+  }
+  return cache.get(event.documentId);
+}
+
+/**
+ * Append a batch of events: { events: [{ action, documentId, details, timestamp }] }
+ * The user is taken from the validated access token and the patient from the
+ * document store, not from the request body.
+ */
+router.post('/events', async (req, res, next) => {
+  try {
+    const events = req.body?.events;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'events array is required'
+      });
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        success: false,
+        error: `At most ${MAX_BATCH_SIZE} events per request`
+      });
+    }
+
+    const invalid = events.find(event => !auditLog.AUDIT_ACTIONS.includes(event?.action));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown audit action "${invalid?.action}"`
+      });
+    }
+
+    const patientCache = new Map();
+    const stored = [];
+
+    for (const event of events) {
+      stored.push(await auditLog.appendEvent({
+        action: event.action,
+        user: { id: req.user.id, name: req.user.name, email: req.user.email },
+        documentId: event.documentId,
+        patientName: await resolvePatientName(event, patientCache),
+        details: event.details,
+        clientTimestamp: event.timestamp,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      }));
+    }
+
+    res.status(201).json({ success: true, count: stored.length, lastSeq: stored[stored.length - 1].seq });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Query events - ?patient=&user=&documentId=&action=&from=&to=&limit=&offset=
+ */
+router.get('/events', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO dates'
+      });
+    }
+
+    const result = await auditLog.queryEvents(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check the hash chain for tampering
+ */
+router.get('/verify', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res, next) => {
+  try {
+    const result = await auditLog.verifyChain();
+    if (!result.valid) {
+      console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+/**
+ * Document store API - persists processed referrals across sessions
+ */
+const express = require('express');
+const documentStore = require('../services/documentStore');
+const documentProcessing = require('../services/documentProcessing');
+const auditLog = require('../services/auditLog');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS, hasPermission } = require('../../src/shared/roles');
+const { SUPPORTED_TYPES } = require('../../src/shared/imageDocuments');
+
+const router = express.Router();
+
+// Review state can only be changed by users who may sign off
+const SIGNOFF_FIELDS = ['reviewedFields', 'reviewStatus', 'reviewerName', 'reviewerCredentials'];
+
+/**
+ * Worklist assignee as stored - { id, name, email, assignedAt, assignedBy } or null.
+ * Returns undefined when the value is not a user.
+ */
+function toAssignee(value, assignedBy) {
+  if (value === null) return null;
+  if (!value || typeof value !== 'object' || typeof value.name !== 'string' || !value.name.trim()) {
+    return undefined;
+  }
+
+  return {
+    id: typeof value.id === 'string' ? value.id : null,
+    name: value.name.trim(),
+    email: typeof value.email === 'string' ? value.email : null,
+    assignedAt: new Date().toISOString(),
+    assignedBy: assignedBy.name || assignedBy.email || assignedBy.id,
+  };
+}
+
+/**
+ * Document version from an If-Match header ("3" or 3), or null when missing or malformed
+ */
+function parseIfMatch(header) {
+  const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(header || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Record an access to a stored document (or to the document list, when document
+ * is null) in the audit trail. The patient name is always the stored one. Rejects
+ * with an auditUnavailable error when the event cannot be written, so the access
+ * is refused instead of going unrecorded.
+ */
+async function auditDocumentAccess(req, action, document, details = {}) {
+  try {
+    await auditLog.appendEvent({
+      action,
+      user: { id: req.user.id, name: req.user.name, email: req.user.email },
+      documentId: document?.id || null,
+      patientName: document?.formData?.patientName || null,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error(`🚨 Audit event ${action}${document ? ` for document ${document.id}` : ''} could not be written:`, error);
+    const unavailable = new Error('Audit trail unavailable');
+    unavailable.auditUnavailable = true;
+    throw unavailable;
+  }
+}
+
+/**
+ * Reject malformed ids before they reach the store
+ */
+router.param('id', (req, res, next, id) => {
+  if (!documentStore.isValidId(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid document id'
+    });
+  }
+  next();
+});
+
+/**
+ * List stored documents (summaries only). Summaries carry patient names and
+ * dates of birth, so the listing is audited with the ids it returned.
+ */
+router.get('/', requirePermission(PERMISSIONS.DOCUMENT_VIEW), async (req, res, next) => {
+  try {
+    const documents = await documentStore.listDocuments();
+    await auditDocumentAccess(req, 'document.list', null, {
+      count: documents.length,
+      documentIds: documents.map(document => document.id)
+    });
+    res.json({ success: true, documents });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a document record with its OCR positions
+ */
+router.post('/', requirePermission(PERMISSIONS.DOCUMENT_UPLOAD), async (req, res, next) => {
+  try {
+    const { document, positions } = req.body || {};
+
+    if (!document || typeof document !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Document is required'
+      });
+    }
+
+    // Only the server records where a document came from (e.g. the intake folder)
+    const { source, ...submitted } = document;
+    const saved = await documentStore.createDocument(submitted, Array.isArray(positions) ? positions : []);
+    console.log(`📄 Stored document ${saved.id} (${saved.name})`);
+
+    res.status(201).json({ success: true, document: saved });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Error titles for processing failures that carry an HTTP status
+const PROCESSING_ERRORS = {
+  415: 'Unsupported document type',
+  422: 'Text extraction failed',
+  503: 'Server processing is unavailable'
+};
+
+/**
+ * Process a PDF, TIFF, JPEG or PNG on the server - OCR, AI extraction and storage
+ * in one request. Images are stored as a PDF with one page per image.
+ * Responds with the stored document and its word positions once processing is done;
+ * a client that disconnects first cancels the job.
+ */
+router.post('/process', requirePermission(PERMISSIONS.DOCUMENT_UPLOAD), express.raw({ type: SUPPORTED_TYPES, limit: '100mb' }), async (req, res, next) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Document body with Content-Type ${SUPPORTED_TYPES.join(', ')} is required`
+    });
+  }
+
+  const name = typeof req.query.name === 'string' && req.query.name.trim() ? req.query.name.trim() : 'document.pdf';
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    console.log(`🔎 Processing ${name} (${req.body.length} bytes) for ${req.user.email || req.user.id}`);
+    const { document, positions } = await documentProcessing.processDocument(req.body, { name, signal: controller.signal });
+    console.log(`📄 Processed and stored document ${document.id} (${document.name})`);
+
+    res.status(201).json({ success: true, document, positions });
+  } catch (error) {
+    if (error.canceled) {
+      console.log(`⏹️ Processing of ${name} canceled by the client`);
+      return;
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: PROCESSING_ERRORS[error.status] || 'Server processing failed',
+        details: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * Full document record
+ */
+router.get('/:id', requirePermission(PERMISSIONS.DOCUMENT_VIEW), async (req, res, next) => {
+  try {
+    const document = await documentStore.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    await auditDocumentAccess(req, 'document.read', document, { name: document.name });
+    res.json({ success: true, document });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update formData and review state.
+ * If-Match must carry the version the client last read, so a stale copy can
+ * never overwrite someone else's changes - a mismatch answers 409.
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.DOCUMENT_EDIT, PERMISSIONS.REVIEW_SIGNOFF), async (req, res, next) => {
+  try {
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+      return res.status(428).json({
+        success: false,
+        error: 'Document version required',
+        details: 'Send the version you last read in the If-Match header'
+      });
+    }
+
+    const updates = { ...req.body };
+    const changesReview = SIGNOFF_FIELDS.some(field => field in updates);
+    const changesContent = Object.keys(updates).some(field => !SIGNOFF_FIELDS.includes(field));
+
+    if ((changesReview && !hasPermission(req.user.roles, PERMISSIONS.REVIEW_SIGNOFF)) ||
+        (changesContent && !hasPermission(req.user.roles, PERMISSIONS.DOCUMENT_EDIT))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        details: changesReview ? 'Only clinical reviewers can change review sign-off' : 'Editing documents is not permitted for your role'
+      });
+    }
+
+    if ('assignee' in updates) {
+      updates.assignee = toAssignee(updates.assignee, req.user);
+      if (updates.assignee === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid assignee',
+          details: 'Assignee must be null or a user with a name'
+        });
+      }
+    }
+
+    const document = await documentStore.updateDocument(req.params.id, updates, { expectedVersion });
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if ('assignee' in updates) {
+      console.log(`📋 Document ${document.id} ${updates.assignee ? `assigned to ${updates.assignee.name}` : 'unassigned'}`);
+    }
+    // The update is already stored - a failed audit write is raised as an alert but cannot refuse it
+    await auditDocumentAccess(req, 'document.update', document, {
+      // Only what was stored - anything else in the body was ignored
+      fields: documentStore.UPDATABLE_FIELDS.filter(field => updates[field] !== undefined),
+      version: document.version
+    }).catch(() => {});
+    res.json({ success: true, document });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document was changed by someone else',
+        details: `The stored document is now at version ${error.document.version} - reload it before saving again`,
+        document: error.document
+      });
+    }
+    next(error);
+  }
+});
+
+router.delete('/:id', requirePermission(PERMISSIONS.DOCUMENT_DELETE), async (req, res, next) => {
+  try {
+    const document = await documentStore.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    // Recorded first - a delete cannot be undone if the audit write fails afterwards
+    await auditDocumentAccess(req, 'document.delete', document, { name: document.name });
+    if (!(await documentStore.deleteDocument(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    console.log(`🗑️ Deleted document ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Word positions for source highlighting
+ */
+router.get('/:id/positions', requirePermission(PERMISSIONS.DOCUMENT_VIEW), async (req, res, next) => {
+  try {
+    const document = await documentStore.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    const positions = await documentStore.getPositions(req.params.id);
+    await auditDocumentAccess(req, 'document.positions_read', document, { name: document.name });
+    res.json({ success: true, positions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Upload the original PDF as a raw request body. The original can only be
+ * uploaded once - replacing it answers 409.
+ */
+router.put('/:id/original', requirePermission(PERMISSIONS.DOCUMENT_UPLOAD), express.raw({ type: 'application/pdf', limit: '100mb' }), async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'PDF body with Content-Type application/pdf is required'
+      });
+    }
+
+    const document = await documentStore.saveOriginal(req.params.id, req.body);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    // The original is already stored - a failed audit write is raised as an alert but cannot refuse it
+    await auditDocumentAccess(req, 'document.original_upload', document, {
+      name: document.name,
+      size: req.body.length,
+      version: document.version
+    }).catch(() => {});
+    res.json({ success: true, size: req.body.length, version: document.version });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: 'Original PDF already stored',
+        details: 'The original of a document cannot be replaced'
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * Download the original PDF
+ */
+router.get('/:id/original', requirePermission(PERMISSIONS.DOCUMENT_VIEW), async (req, res, next) => {
+  try {
+    const originalPath = await documentStore.getOriginalPath(req.params.id);
+    const document = originalPath && await documentStore.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Original PDF not found' });
+    }
+    await auditDocumentAccess(req, 'document.original_read', document, { name: document.name });
+    res.type('application/pdf').sendFile(originalPath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reads and deletes are refused when the access cannot be recorded
+ */
+router.use((error, req, res, next) => {
+  if (!error.auditUnavailable) {
+    return next(error);
+  }
+  res.status(503).json({
+    success: false,
+    error: 'Audit trail unavailable',
+    details: 'The access could not be recorded - try again later'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Self-hosted pdf.js / Tesseract assets (/assets/ocr)
+ *
+ * Public like the web app itself: workers load these with importScripts and
+ * fetch, which cannot attach an access token. Only pinned, verified files are served.
+ */
+const express = require('express');
+const { OCR_ASSET_PACKAGES } = require('../../src/shared/ocrAssets');
+const { getVerifiedAssets } = require('../services/ocrAssets');
+
+const router = express.Router();
+
+/**
+ * Pinned versions and the hashes of the assets that are being served
+ */
+router.get('/manifest.json', async (req, res, next) => {
+  try {
+    const assets = await getVerifiedAssets();
+    res.json({
+      success: true,
+      packages: OCR_ASSET_PACKAGES,
+      assets: [...assets.values()].map(({ assetPath, integrity }) => ({ path: assetPath, integrity }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/*', async (req, res, next) => {
+  try {
+    const asset = (await getVerifiedAssets()).get(req.params[0]);
+    if (!asset) {
+      return res.status(404).json({ success: false, error: 'Unknown or unverified OCR asset' });
+    }
+
+    // Versioned paths never change content
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.sendFile(asset.filePath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const TENANT = 'tenant-id';
+const CLIENT = 'client-id';
+const GROUP_ID = '3f2a0000-0000-0000-0000-000000000001';
+
+const AUTH_ENV = [
+  'AUTH_DISABLED', 'AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_JWKS_FILE', 'AZURE_REQUIRED_GROUP_ID',
+  'AZURE_ROLE_GROUPS', 'EXPO_PUBLIC_AZURE_TENANT_ID', 'EXPO_PUBLIC_AZURE_CLIENT_ID', 'EXPO_PUBLIC_AZURE_ROLE_GROUPS',
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let jwksFile;
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'RS256', kid: 'key-1', typ: 'JWT' });
+  const payload = encode({
+    aud: `api://${CLIENT}`,
+    iss: `https://login.microsoftonline.com/${TENANT}/v2.0`,
+    exp: now + 3600,
+    nbf: now - 60,
+    ...claims,
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * requireAuth as loaded with `env` - it reads its configuration at load time
+ */
+function loadRequireAuth(env) {
+  const saved = {};
+  AUTH_ENV.forEach(name => {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  });
+  Object.assign(process.env, env);
+
+  let requireAuth;
+  try {
+    jest.isolateModules(() => {
+      requireAuth = require('../requireAuth');
+    });
+  } finally {
+    AUTH_ENV.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+  return requireAuth;
+}
+
+/**
+ * Run the middleware for one request and report what it did
+ */
+async function authenticate(requireAuth, token) {
+  const req = {
+    method: 'GET',
+    originalUrl: '/api/documents',
+    get: name => (name.toLowerCase() === 'authorization' ? `Bearer ${token}` : undefined),
+  };
+  const res = {
+    statusCode: null,
+    body: null,
+    set: () => res,
+    status: code => {
+      res.statusCode = code;
+      return res;
+    },
+    json: body => {
+      res.body = body;
+      return res;
+    },
+  };
+  const next = jest.fn();
+
+  await requireAuth(req, res, next);
+  return { req, res, next };
+}
+
+beforeAll(() => {
+  ['log', 'warn', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-')), 'keys.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }],
+  }));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireAuth', () => {
+  const configured = () => ({
+    AZURE_TENANT_ID: TENANT,
+    AZURE_CLIENT_ID: CLIENT,
+    AZURE_JWKS_FILE: jwksFile,
+    AZURE_REQUIRED_GROUP_ID: GROUP_ID,
+  });
+
+  it('makes members of the required group clinical reviewers without a role map', async () => {
+    const requireAuth = loadRequireAuth(configured());
+
+    const { req, next } = await authenticate(requireAuth, signToken({ oid: 'user-1', groups: [GROUP_ID] }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ id: 'user-1', roles: ['clinical_reviewer'] });
+  });
+
+  it('takes roles from the role map by group id', async () => {
+    const requireAuth = loadRequireAuth({ ...configured(), AZURE_ROLE_GROUPS: `${GROUP_ID}:auditor,other-id:admin` });
+
+    const { req } = await authenticate(requireAuth, signToken({ oid: 'user-1', groups: [GROUP_ID] }));
+
+    expect(req.user.roles).toEqual(['auditor']);
+  });
+
+  it('refuses users outside the required group', async () => {
+    const requireAuth = loadRequireAuth(configured());
+
+    const { res, next } = await authenticate(requireAuth, signToken({ groups: ['other-id'] }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ success: false, error: 'Access denied' });
+  });
+
+  it('reports a server without a tenant as misconfigured, not the token as invalid', async () => {
+    const requireAuth = loadRequireAuth({ AZURE_CLIENT_ID: CLIENT });
+
+    const { res, next } = await authenticate(requireAuth, signToken({ groups: [GROUP_ID] }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Server misconfiguration',
+      details: 'Authentication is not configured on the server',
+    });
+  });
+});
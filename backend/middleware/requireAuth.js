@@ -0,0 +1,99 @@
+/**
+ * requireAuth - Express middleware that only lets through requests carrying a
+ * valid Azure AD access token for this API
+ *
+ * On success req.user holds the caller's identity and roles taken from the token claims.
+ */
+const { TokenValidationError, getAuthConfig, createTokenValidator } = require('../services/tokenValidation');
+const { ROLES, parseRoleMap, getRolesForGroups } = require('../../src/shared/roles');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Local development without Azure AD - never honoured in production
+const authDisabled = process.env.AUTH_DISABLED === 'true' && !isProduction;
+
+const authConfig = getAuthConfig();
+const validator = createTokenValidator(authConfig);
+
+// Tokens carry group object ids, so this map must be keyed by id
+const roleMap = parseRoleMap(process.env.AZURE_ROLE_GROUPS || process.env.EXPO_PUBLIC_AZURE_ROLE_GROUPS);
+
+if (authDisabled) {
+  console.warn('⚠️ AUTH_DISABLED=true - API requests are NOT authenticated');
+} else if (!authConfig.tenantId || authConfig.audiences.length === 0) {
+  console.error('❌ AZURE_TENANT_ID / AZURE_CLIENT_ID missing - all authenticated API requests will be rejected');
+}
+
+if (!authDisabled && roleMap.length === 0) {
+  console.warn('⚠️ AZURE_ROLE_GROUPS not set - members of the required group are clinical reviewers');
+}
+
+/**
+ * Identity attached to the request
+ */
+function toUser(claims) {
+  const groups = claims.groups || [];
+  return {
+    id: claims.oid || claims.sub,
+    name: claims.name || null,
+    email: claims.preferred_username || claims.upn || claims.email || null,
+    groups,
+    roles: getRolesForGroups(groups, roleMap, authConfig.requiredGroup),
+  };
+}
+
+async function requireAuth(req, res, next) {
+  if (authDisabled) {
+    req.user = { id: 'local-dev', name: 'Local Developer', email: null, groups: [], roles: Object.values(ROLES) };
+    return next();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const claims = await validator.validateToken(match[1]);
+    req.user = toUser(claims);
+
+    if (req.user.roles.length === 0) {
+      console.warn(`🔒 Rejected ${req.method} ${req.originalUrl}: ${req.user.email || req.user.id} has no MedRec role`);
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        details: 'Your account is not assigned a MedRec role'
+      });
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof TokenValidationError && error.status === 500) {
+      // Not the caller's fault - every token is refused until the server is fixed
+      console.error(`❌ Cannot authenticate ${req.method} ${req.originalUrl}: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: 'Server misconfiguration',
+        details: 'Authentication is not configured on the server'
+      });
+    }
+    if (error instanceof TokenValidationError) {
+      console.warn(`🔒 Rejected ${req.method} ${req.originalUrl}: ${error.message}`);
+      if (error.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      }
+      return res.status(error.status).json({
+        success: false,
+        error: error.status === 403 ? 'Access denied' : 'Invalid or expired access token',
+        details: error.message
+      });
+    }
+    next(error);
+  }
+}
+
+module.exports = requireAuth;
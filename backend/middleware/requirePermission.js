@@ -0,0 +1,27 @@
+/**
+ * requirePermission - Express middleware factory that checks req.user.roles
+ * (set by requireAuth) against the shared role permissions
+ */
+const { hasPermission } = require('../../src/shared/roles');
+
+/**
+ * @param {...string} permissions - Any one of these is sufficient
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const roles = req.user?.roles || [];
+
+    if (!permissions.some(permission => hasPermission(roles, permission))) {
+      console.warn(`🔒 ${req.user?.email || req.user?.id || 'Unknown user'} lacks ${permissions.join(' or ')} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        details: `Requires permission ${permissions.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = requirePermission;
@@ -0,0 +1,30 @@
+/**
+ * Azure OpenAI provider
+ */
+const { AzureOpenAI } = require('openai');
+const { createOpenAIChatProvider } = require('./openAIChatProvider');
+
+function createAzureOpenAIProvider(env) {
+  if (!env.AZURE_OPENAI_API_KEY) {
+    throw new Error('AZURE_OPENAI_API_KEY environment variable is required for the azure-openai provider');
+  }
+
+  const endpoint = env.AZURE_OPENAI_ENDPOINT || 'https://medrecapp.openai.azure.com/';
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4.1-mini';
+
+  const client = new AzureOpenAI({
+    endpoint,
+    apiKey: env.AZURE_OPENAI_API_KEY,
+    deployment,
+    apiVersion: env.AZURE_OPENAI_API_VERSION || '2025-01-01-preview',
+  });
+
+  return createOpenAIChatProvider({
+    name: 'azure-openai',
+    client,
+    model: env.AZURE_OPENAI_MODEL_NAME || 'gpt-4.1-mini',
+    details: { endpoint, deployment },
+  });
+}
+
+module.exports = { createAzureOpenAIProvider };
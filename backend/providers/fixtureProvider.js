@@ -0,0 +1,68 @@
+/**
+ * Fixture provider - deterministic, offline responses for development and tests
+ *
+ * With LLM_FIXTURE_FILE set, every completion returns that file's contents.
+ * Otherwise a valid extraction is derived from labelled lines in the document
+ * ("Patient: ...", "DOB: ...") so evidence quotes are always verbatim.
+ */
+const fs = require('fs');
+const { FIELD_KEYS } = require('../../src/shared/medicalFields');
+
+const LABEL_PATTERNS = {
+  patientName: /(?:patient(?:\s+name)?|name)\s*:\s*([A-Za-z][A-Za-z ,.'-]*[A-Za-z.])/i,
+  patientDOB: /(?:dob|date of birth|birth date)\s*:?\s*(\d{1,2}[/-]\d{1,2}[/-]\d{2,4})/i,
+  insurance: /(?:insurance|payer)\s*:\s*([^\n]+)/i,
+  location: /(?:facility|hospital)\s*:\s*([^\n]+)/i,
+  dx: /(?:primary diagnosis|diagnosis|dx)\s*:\s*([^\n]+)/i,
+  pcp: /(?:pcp|primary care(?: provider| physician)?)\s*:\s*([^\n]+)/i,
+  dc: /(?:discharge disposition|disposition)\s*:\s*([^\n]+)/i,
+  medications: /(?:medications|meds)\s*:\s*([^\n]+)/i,
+};
+
+/**
+ * Page number of the closest "--- Page N ---" marker before an offset
+ */
+function pageAt(text, offset) {
+  const markers = [...text.slice(0, offset).matchAll(/--- Page (\d+) ---/g)];
+  return markers.length > 0 ? parseInt(markers[markers.length - 1][1], 10) : 1;
+}
+
+function buildExtraction(documentText) {
+  const fields = {};
+
+  FIELD_KEYS.forEach(key => {
+    const pattern = LABEL_PATTERNS[key];
+    const match = pattern ? documentText.match(pattern) : null;
+
+    fields[key] = match
+      ? { value: match[1].trim(), evidence: match[0].trim(), page: pageAt(documentText, match.index), confidence: 0.5 }
+      : { value: '', evidence: '', page: null, confidence: 0 };
+  });
+
+  return { fields };
+}
+
+function createFixtureProvider(env) {
+  const fixtureFile = env.LLM_FIXTURE_FILE || null;
+
+  return {
+    name: 'fixture',
+    model: fixtureFile ? `fixture:${fixtureFile}` : 'fixture:heuristic',
+
+    describe() {
+      return { provider: 'fixture', model: this.model };
+    },
+
+    async complete({ messages }) {
+      if (fixtureFile) {
+        return fs.promises.readFile(fixtureFile, 'utf8');
+      }
+
+      // The first user message carries the document text
+      const documentMessage = messages.find(message => message.role === 'user');
+      return JSON.stringify(buildExtraction(documentMessage ? documentMessage.content : ''));
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
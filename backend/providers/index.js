@@ -0,0 +1,45 @@
+/**
+ * LLM provider selection
+ *
+ * LLM_PROVIDER chooses the backend used by /api/openai/extract:
+ *   azure-openai - Azure OpenAI (default when AZURE_OPENAI_API_KEY is set)
+ *   openai       - api.openai.com
+ *   local        - any OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+ *   fixture      - deterministic offline responses for development and tests
+ */
+const { createAzureOpenAIProvider } = require('./azureOpenAIProvider');
+const { createOpenAIProvider } = require('./openAIProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+const PROVIDER_FACTORIES = {
+  'azure-openai': createAzureOpenAIProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fixture: createFixtureProvider,
+};
+
+function resolveProviderName(env) {
+  if (env.LLM_PROVIDER) return env.LLM_PROVIDER.toLowerCase();
+  return 'azure-openai';
+}
+
+/**
+ * Create the configured provider. Throws when the configuration is incomplete.
+ */
+function createProvider(env = process.env) {
+  const name = resolveProviderName(env);
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  return factory(env);
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+};
@@ -0,0 +1,33 @@
+/**
+ * Local OpenAI-compatible provider (Ollama, llama.cpp server, vLLM, LM Studio)
+ * PHI never leaves the machine or network the server runs on.
+ */
+const { OpenAI } = require('openai');
+const { createOpenAIChatProvider } = require('./openAIChatProvider');
+
+function createLocalProvider(env) {
+  if (!env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL environment variable is required for the local provider (e.g. http://localhost:11434/v1)');
+  }
+  if (!env.LLM_MODEL) {
+    throw new Error('LLM_MODEL environment variable is required for the local provider (e.g. llama3.1:8b)');
+  }
+
+  const client = new OpenAI({
+    baseURL: env.LLM_BASE_URL,
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: env.LLM_API_KEY || 'not-needed',
+    timeout: parseInt(env.LLM_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  });
+
+  return createOpenAIChatProvider({
+    name: 'local',
+    client,
+    model: env.LLM_MODEL,
+    jsonMode: env.LLM_JSON_MODE !== 'false',
+    maxTokensParam: 'max_tokens',
+    details: { baseURL: env.LLM_BASE_URL },
+  });
+}
+
+module.exports = { createLocalProvider };
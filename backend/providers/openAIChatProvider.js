@@ -0,0 +1,46 @@
+/**
+ * Shared chat-completion provider built on the openai SDK client.
+ * Azure OpenAI, OpenAI and local OpenAI-compatible servers all speak this API.
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Provider id (azure-openai, openai, local)
+ * @param {Object} options.client - openai SDK client (OpenAI or AzureOpenAI)
+ * @param {string} options.model - Model / deployment name
+ * @param {boolean} [options.jsonMode=true] - Send response_format json_object
+ * @param {string} [options.maxTokensParam='max_completion_tokens'] - Older/local servers only accept max_tokens
+ * @param {Object} [options.details] - Non-secret settings reported by describe()
+ */
+function createOpenAIChatProvider({ name, client, model, jsonMode = true, maxTokensParam = 'max_completion_tokens', details = {} }) {
+  return {
+    name,
+    model,
+
+    describe() {
+      return { provider: name, model, jsonMode, ...details };
+    },
+
+    /**
+     * Run a chat completion and return the message text
+     */
+    async complete({ messages, maxTokens = 3000, temperature = 0.1, topP = 0.3, json = false }) {
+      const request = {
+        messages,
+        model,
+        [maxTokensParam]: maxTokens,
+        temperature,
+        top_p: topP,
+      };
+
+      if (json && jsonMode) {
+        request.response_format = { type: 'json_object' };
+      }
+
+      const response = await client.chat.completions.create(request);
+      return response.choices[0]?.message?.content || '';
+    },
+  };
+}
+
+module.exports = { createOpenAIChatProvider };
@@ -0,0 +1,24 @@
+/**
+ * OpenAI (api.openai.com) provider
+ */
+const { OpenAI } = require('openai');
+const { createOpenAIChatProvider } = require('./openAIChatProvider');
+
+function createOpenAIProvider(env) {
+  if (!env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY environment variable is required for the openai provider');
+  }
+
+  const client = new OpenAI({
+    apiKey: env.OPENAI_API_KEY,
+    organization: env.OPENAI_ORGANIZATION || undefined,
+  });
+
+  return createOpenAIChatProvider({
+    name: 'openai',
+    client,
+    model: env.LLM_MODEL || 'gpt-4.1-mini',
+  });
+}
+
+module.exports = { createOpenAIProvider };
@@ -6,6 +6,13 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const openaiRouter = require('./api/openai.js');
+const documentsRouter = require('./api/documents.js');
+const auditRouter = require('./api/audit.js');
+const adminRouter = require('./api/admin.js');
+const ocrAssetsRouter = require('./api/ocrAssets.js');
+const { getVerifiedAssets } = require('./services/ocrAssets');
+const { startIntakeWatcher } = require('./services/intakeWatcher');
+const requireAuth = require('./middleware/requireAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,9 +21,19 @@ const isDevelopment = process.env.NODE_ENV !== 'production';
 // Debug: Check if environment variables are loaded
 console.log('🔍 Backend Environment Check:');
 console.log('📁 Loading .env from:', __dirname + '/.env');
+console.log('LLM_PROVIDER:', process.env.LLM_PROVIDER || '(default) azure-openai');
 console.log('AZURE_OPENAI_ENDPOINT:', process.env.AZURE_OPENAI_ENDPOINT ? '✅ Set' : '❌ Missing');
 console.log('AZURE_OPENAI_API_KEY:', process.env.AZURE_OPENAI_API_KEY ? `✅ Set (${process.env.AZURE_OPENAI_API_KEY.length} chars)` : '❌ Missing');
 console.log('AZURE_OPENAI_DEPLOYMENT:', process.env.AZURE_OPENAI_DEPLOYMENT ? '✅ Set' : '❌ Missing');
+console.log('DOCUMENT_STORAGE_DIR:', process.env.DOCUMENT_STORAGE_DIR || '(default) documents/');
+console.log('AUDIT_LOG_DIR:', process.env.AUDIT_LOG_DIR || '(default) audit/');
+console.log('SERVER_PROCESSING_CONCURRENCY:', process.env.SERVER_PROCESSING_CONCURRENCY || '(default) 1');
+console.log('OCR_ASSET_DIR:', process.env.OCR_ASSET_DIR || '(default) node_modules');
+console.log('INTAKE_DIR:', process.env.INTAKE_DIR || '(not set) intake folder disabled');
+console.log('AZURE_TENANT_ID:', (process.env.AZURE_TENANT_ID || process.env.EXPO_PUBLIC_AZURE_TENANT_ID) ? '✅ Set' : '❌ Missing');
+console.log('AZURE_API_AUDIENCE:', process.env.AZURE_API_AUDIENCE || '(default) api://<client id>');
+console.log('AZURE_ROLE_GROUPS:', (process.env.AZURE_ROLE_GROUPS || process.env.EXPO_PUBLIC_AZURE_ROLE_GROUPS) ? '✅ Set' : '(not set) required group members are clinical reviewers');
+console.log('AZURE_JWKS_FILE:', process.env.AZURE_JWKS_FILE || '(not set) tenant JWKS endpoint');
 
 // Rest of your server code stays the same...
 // Middleware
@@ -43,8 +60,14 @@ app.use((req, res, next) => {
   next();
 });
 
-// API routes
+// API routes - everything that touches PHI requires an Azure AD access token
 app.use('/api/openai', openaiRouter);
+app.use('/api/documents', requireAuth, documentsRouter);
+app.use('/api/audit', requireAuth, auditRouter);
+app.use('/api/admin', requireAuth, adminRouter);
+
+// pdf.js / Tesseract workers and language data for the browser - no CDN needed
+app.use('/assets/ocr', ocrAssetsRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -54,6 +77,7 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     environment: {
+      llmProvider: process.env.LLM_PROVIDER || 'azure-openai',
       hasApiKey: !!process.env.AZURE_OPENAI_API_KEY,
       endpoint: process.env.AZURE_OPENAI_ENDPOINT,
       deployment: process.env.AZURE_OPENAI_DEPLOYMENT
@@ -73,6 +97,8 @@ if (!isDevelopment) {
       message: 'MedRec API Server (Development Mode)',
       note: 'Use `npm run web` for the React app with hot reload',
       apiEndpoint: '/api/openai/extract',
+      documentsEndpoint: '/api/documents',
+      auditEndpoint: '/api/audit',
       health: '/health'
     });
   });
@@ -94,6 +120,16 @@ app.listen(PORT, () => {
   console.log(`🌐 ${isDevelopment ? 'API available' : 'App available'} at: http://localhost:${PORT}`);
   console.log(`🔍 Health check: http://localhost:${PORT}/health`);
   console.log(`🤖 API endpoint: http://localhost:${PORT}/api/openai/extract`);
+  console.log(`📄 Documents: http://localhost:${PORT}/api/documents`);
+  console.log(`🔎 Server processing: http://localhost:${PORT}/api/documents/process`);
+  console.log(`🧾 Audit log: http://localhost:${PORT}/api/audit`);
+  console.log(`🔐 OCR assets: http://localhost:${PORT}/assets/ocr/manifest.json`);
+  
+  // Hash the OCR assets now rather than on the first request
+  getVerifiedAssets();
+  
+  // Faxes dropped into INTAKE_DIR are processed without an upload
+  startIntakeWatcher().catch(error => console.error('❌ Intake folder watcher failed to start:', error));
   
   if (isDevelopment) {
     console.log('');
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let auditLog;
+let auditFile;
+
+beforeAll(() => {
+  process.env.AUDIT_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  auditFile = path.join(process.env.AUDIT_LOG_DIR, 'audit.jsonl');
+  jest.isolateModules(() => {
+    auditLog = require('../auditLog');
+  });
+});
+
+afterAll(() => {
+  delete process.env.AUDIT_LOG_DIR;
+});
+
+const user = { id: 'u1', name: 'Dana Reviewer', email: 'dana@example.org' };
+
+const readLines = () => fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean);
+
+describe('auditLog', () => {
+  it('chains each entry to the previous one', async () => {
+    const first = await auditLog.appendEvent({ action: 'document.view', user, documentId: 'd1', patientName: 'Jane Doe' });
+    const second = await auditLog.appendEvent({ action: 'document.field_edit', user, documentId: 'd1', details: { field: 'dx' } });
+
+    expect(first.seq).toBe(1);
+    expect(first.prevHash).toBe('0'.repeat(64));
+    expect(second.prevHash).toBe(first.hash);
+    expect(await auditLog.verifyChain()).toEqual({ valid: true, entries: 2, brokenAt: null, reason: null });
+  });
+
+  it('serializes concurrent appends', async () => {
+    const entries = await Promise.all(
+      ['auth.login', 'document.view', 'report.generate'].map(action => auditLog.appendEvent({ action, user }))
+    );
+    expect(entries.map(entry => entry.seq)).toEqual([3, 4, 5]);
+    expect((await auditLog.verifyChain()).valid).toBe(true);
+  });
+
+  it('rejects unknown actions', async () => {
+    await expect(auditLog.appendEvent({ action: 'document.steal', user })).rejects.toThrow('Unknown audit action');
+  });
+
+  it('filters by patient, user and action, newest first', async () => {
+    expect((await auditLog.queryEvents({ patient: 'jane' })).events.map(event => event.seq)).toEqual([1]);
+    expect((await auditLog.queryEvents({ user: 'DANA' })).total).toBe(5);
+    const { events } = await auditLog.queryEvents({ action: 'document.view' });
+    expect(events.map(event => event.seq)).toEqual([4, 1]);
+  });
+
+  it('detects an edited entry', async () => {
+    const lines = readLines();
+    const edited = JSON.parse(lines[1]);
+    edited.details.field = 'medications';
+    lines[1] = JSON.stringify(edited);
+    fs.writeFileSync(auditFile, `${lines.join('\n')}\n`);
+
+    expect(await auditLog.verifyChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry hash mismatch' });
+  });
+
+  it('detects a removed entry', async () => {
+    const lines = readLines();
+    fs.writeFileSync(auditFile, `${[lines[0], ...lines.slice(2)].join('\n')}\n`);
+
+    expect(await auditLog.verifyChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Sequence gap' });
+  });
+
+  it('reports an unreadable line and keeps appending after it', async () => {
+    // A crash in the middle of the second write, then a restart
+    fs.writeFileSync(auditFile, `${readLines()[0]}\n{"seq": 2, "act`);
+    jest.isolateModules(() => {
+      auditLog = require('../auditLog');
+    });
+
+    expect(await auditLog.verifyChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Unreadable entry' });
+    expect((await auditLog.queryEvents({})).total).toBe(1);
+
+    const entry = await auditLog.appendEvent({ action: 'auth.logout', user });
+    expect(entry.seq).toBe(2);
+    expect(JSON.parse(readLines()[2])).toEqual(entry);
+  });
+});
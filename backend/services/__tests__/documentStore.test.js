@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let documentStore;
+
+beforeAll(() => {
+  process.env.DOCUMENT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+  jest.isolateModules(() => {
+    documentStore = require('../documentStore');
+  });
+});
+
+afterAll(() => {
+  delete process.env.DOCUMENT_STORAGE_DIR;
+});
+
+const submitted = (overrides = {}) => ({
+  name: 'referral.pdf',
+  pages: 2,
+  extractedText: '--- Page 1 ---\nPatient: Jane Doe',
+  formData: { patientName: 'Jane Doe', location: 'Mercy General', extractionMethod: 'azure-openai-structured' },
+  ...overrides,
+});
+
+describe('createDocument', () => {
+  it('stores the submitted content fields', async () => {
+    const document = await documentStore.createDocument(submitted(), [{ text: 'Jane', page: 1 }]);
+
+    expect(document).toMatchObject({ name: 'referral.pdf', pages: 2, hasOriginal: false, reviewStatus: 'unreviewed' });
+    expect(await documentStore.getPositions(document.id)).toEqual([{ text: 'Jane', page: 1 }]);
+  });
+
+  it('never accepts review sign-off, assignee or bookkeeping fields from the submission', async () => {
+    const document = await documentStore.createDocument(submitted({
+      reviewStatus: 'reviewed',
+      reviewedFields: { patientName: true },
+      reviewerName: 'Mallory',
+      reviewerCredentials: 'RN',
+      assignee: { id: 'x', name: 'Mallory' },
+      hasOriginal: true,
+      createdAt: '2000-01-01T00:00:00.000Z',
+      isPersisted: true,
+    }));
+
+    expect(document).toMatchObject({ reviewStatus: 'unreviewed', reviewedFields: {}, assignee: null, hasOriginal: false });
+    expect(document.reviewerName).toBeUndefined();
+    expect(document.reviewerCredentials).toBeUndefined();
+    expect(document.isPersisted).toBeUndefined();
+    expect(document.createdAt).not.toBe('2000-01-01T00:00:00.000Z');
+  });
+
+  it('always assigns its own id', async () => {
+    const document = await documentStore.createDocument(submitted());
+    const other = await documentStore.createDocument(submitted({ id: document.id, name: 'other.pdf' }));
+
+    expect(document.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(other.id).not.toBe(document.id);
+    expect((await documentStore.getDocument(document.id)).name).toBe('referral.pdf');
+  });
+});
+
+describe('listDocuments', () => {
+  it('summarizes worklist fields', async () => {
+    const document = await documentStore.createDocument(submitted({
+      source: { type: 'intake', file: 'fax.tif', receivedAt: '2026-01-02T03:04:05.000Z' },
+      formData: { patientName: 'Sam Lee', location: 'County Hospital', extractionMethod: 'failed' },
+    }));
+
+    const summary = (await documentStore.listDocuments()).find(entry => entry.id === document.id);
+    expect(summary).toMatchObject({
+      patientName: 'Sam Lee',
+      facility: 'County Hospital',
+      receivedAt: '2026-01-02T03:04:05.000Z',
+      processingStatus: 'extraction_failed',
+      assignee: null,
+    });
+    expect(summary.extractedText).toBeUndefined();
+  });
+});
+
+describe('findBySourceHash', () => {
+  it('finds the document stored from a source file', async () => {
+    const document = await documentStore.createDocument(submitted({
+      source: { type: 'intake', file: 'fax.pdf', sha256: 'a'.repeat(64), receivedAt: '2026-01-02T03:04:05.000Z' },
+    }));
+
+    expect(await documentStore.findBySourceHash('a'.repeat(64))).toMatchObject({ id: document.id });
+    expect(await documentStore.findBySourceHash('b'.repeat(64))).toBeNull();
+  });
+});
+
+describe('updateDocument', () => {
+  it('starts at version 1 and bumps the version on every update', async () => {
+    const document = await documentStore.createDocument(submitted());
+    expect(document.version).toBe(1);
+
+    const updated = await documentStore.updateDocument(document.id, { reviewStatus: 'in_review' }, { expectedVersion: 1 });
+    expect(updated).toMatchObject({ reviewStatus: 'in_review', version: 2 });
+  });
+
+  it('rejects updates made to an older version with status 409', async () => {
+    const document = await documentStore.createDocument(submitted());
+    await documentStore.updateDocument(document.id, { formData: { patientName: 'Jane Q. Doe' } }, { expectedVersion: 1 });
+
+    await expect(documentStore.updateDocument(document.id, { formData: { patientName: 'Stale' } }, { expectedVersion: 1 }))
+      .rejects.toMatchObject({ status: 409, document: { version: 2 } });
+    expect((await documentStore.getDocument(document.id)).formData.patientName).toBe('Jane Q. Doe');
+  });
+
+  it('lets only one of two concurrent updates to the same version through', async () => {
+    const document = await documentStore.createDocument(submitted());
+
+    const results = await Promise.allSettled([
+      documentStore.updateDocument(document.id, { reviewerName: 'First' }, { expectedVersion: 1 }),
+      documentStore.updateDocument(document.id, { reviewerName: 'Second' }, { expectedVersion: 1 }),
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(await documentStore.getDocument(document.id)).toMatchObject({ reviewerName: 'First', version: 2 });
+  });
+
+  it('keeps every field of concurrent unconditional updates', async () => {
+    const document = await documentStore.createDocument(submitted());
+
+    await Promise.all([
+      documentStore.updateDocument(document.id, { reviewerName: 'Pat' }),
+      documentStore.updateDocument(document.id, { reviewerCredentials: 'RN' }),
+      documentStore.saveOriginal(document.id, Buffer.from('%PDF-1.4')),
+    ]);
+
+    expect(await documentStore.getDocument(document.id)).toMatchObject({
+      reviewerName: 'Pat',
+      reviewerCredentials: 'RN',
+      hasOriginal: true,
+      version: 4,
+    });
+  });
+});
+
+describe('deleteDocument', () => {
+  it('waits for a pending update instead of letting it write the document back', async () => {
+    const document = await documentStore.createDocument(submitted());
+
+    const [updated, deleted] = await Promise.all([
+      documentStore.updateDocument(document.id, { reviewerName: 'Pat' }),
+      documentStore.deleteDocument(document.id),
+    ]);
+
+    expect(updated).toMatchObject({ reviewerName: 'Pat' });
+    expect(deleted).toBe(true);
+    expect(await documentStore.getDocument(document.id)).toBeNull();
+    expect(await documentStore.updateDocument(document.id, { reviewerName: 'Late' })).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+const { parseModelJson, validateExtraction, countPages } = require('../extractionSchema');
+const { FIELD_KEYS } = require('../../../src/shared/medicalFields');
+
+const DOCUMENT = '--- Page 1 ---\nPatient: Jane Doe\nDOB: 01/15/1980\n--- Page 2 ---\nMedications:\nMetformin 500mg BID';
+
+const emptyFields = () => Object.fromEntries(
+  FIELD_KEYS.map(key => [key, { value: '', evidence: '', page: null, confidence: 0 }])
+);
+
+describe('parseModelJson', () => {
+  it('accepts plain and fenced JSON', () => {
+    expect(parseModelJson('{"a":1}')).toEqual({ a: 1 });
+    expect(parseModelJson('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(() => parseModelJson('not json')).toThrow();
+  });
+});
+
+describe('countPages', () => {
+  it('returns the highest page marker', () => {
+    expect(countPages(DOCUMENT)).toBe(2);
+    expect(countPages('no markers')).toBeNull();
+  });
+});
+
+describe('validateExtraction', () => {
+  it('accepts a complete extraction and verifies evidence across line breaks', () => {
+    const fields = emptyFields();
+    fields.patientName = { value: 'Jane Doe', evidence: 'Patient: Jane Doe', page: 1, confidence: 0.95 };
+    fields.medications = { value: 'Metformin 500mg BID', evidence: 'Medications: Metformin 500mg BID', page: 2, confidence: 0.9 };
+
+    const result = validateExtraction({ fields }, DOCUMENT, { pageCount: 2 });
+    expect(result.valid).toBe(true);
+    expect(result.evidenceErrors).toEqual([]);
+    expect(result.fields.medications.evidenceVerified).toBe(true);
+  });
+
+  it('reports structural problems', () => {
+    const fields = emptyFields();
+    delete fields.dx;
+    fields.extra = { value: '', evidence: '', page: null, confidence: 0 };
+    fields.patientName = { value: 'Jane Doe', evidence: '', page: 7, confidence: 2 };
+
+    const result = validateExtraction({ fields }, DOCUMENT, { pageCount: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'Unknown field "extra"',
+      'Field "dx" is missing or not an object',
+      'Field "patientName".page must be null or a page number between 1 and 2',
+      'Field "patientName".confidence must be a number between 0 and 1',
+      'Field "patientName" has a value but no evidence quote',
+    ]));
+  });
+
+  it('reports evidence that is not in the document separately', () => {
+    const fields = emptyFields();
+    fields.patientDOB = { value: '01/18/1980', evidence: 'DOB: 01/18/1980', page: 1, confidence: 0.9 };
+
+    const result = validateExtraction({ fields }, DOCUMENT);
+    expect(result.valid).toBe(true);
+    expect(result.evidenceErrors).toEqual(['Field "patientDOB".evidence is not a verbatim quote from the document']);
+    expect(result.fields.patientDOB.evidenceVerified).toBe(false);
+  });
+
+  it('rejects output without a fields object', () => {
+    expect(validateExtraction([], DOCUMENT).valid).toBe(false);
+    expect(validateExtraction({ result: {} }, DOCUMENT).errors).toEqual(['Output must contain a "fields" object']);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractFields } = require('../fieldExtraction');
+const { createFixtureProvider } = require('../../providers/fixtureProvider');
+
+const DOCUMENT = [
+  '--- Page 1 ---',
+  'Patient: Jane Doe',
+  'DOB: 01/15/1980',
+  'Facility: Mercy General Hospital',
+  '--- Page 2 ---',
+  'Primary Diagnosis: CHF exacerbation',
+  'Medications: Furosemide 40 mg daily',
+].join('\n');
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.warn.mockRestore();
+});
+
+describe('extractFields with the fixture provider', () => {
+  it('returns verified fields with page numbers', async () => {
+    const { fields, repaired, validationErrors } = await extractFields(createFixtureProvider({}), DOCUMENT);
+
+    expect(repaired).toBe(false);
+    expect(validationErrors).toEqual([]);
+    expect(fields.patientName).toMatchObject({ value: 'Jane Doe', page: 1, evidenceVerified: true });
+    expect(fields.patientDOB.value).toBe('01/15/1980');
+    expect(fields.location.value).toBe('Mercy General Hospital');
+    expect(fields.dx).toMatchObject({ value: 'CHF exacerbation', page: 2 });
+    expect(fields.wounds.value).toBe('');
+  });
+
+  it('returns the fixture file when LLM_FIXTURE_FILE is set', async () => {
+    const heuristic = await createFixtureProvider({}).complete({ messages: [{ role: 'user', content: DOCUMENT }] });
+    const parsed = JSON.parse(heuristic);
+    parsed.fields.patientName.value = 'Fixture Patient';
+    parsed.fields.patientName.confidence = 0.99;
+
+    const fixtureFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-')), 'extraction.json');
+    fs.writeFileSync(fixtureFile, JSON.stringify(parsed));
+
+    const { fields } = await extractFields(createFixtureProvider({ LLM_FIXTURE_FILE: fixtureFile }), DOCUMENT);
+    expect(fields.patientName).toMatchObject({ value: 'Fixture Patient', confidence: 0.99 });
+  });
+
+  it('asks for one repair when the first output is invalid', async () => {
+    const fixture = createFixtureProvider({});
+    const calls = [];
+    const provider = {
+      complete: async (request) => {
+        calls.push(request.messages);
+        return calls.length === 1 ? 'Sorry, here are the fields: none' : fixture.complete(request);
+      },
+    };
+
+    const { fields, repaired } = await extractFields(provider, DOCUMENT);
+    expect(calls).toHaveLength(2);
+    expect(calls[1][calls[1].length - 1].content).toContain('did not pass validation');
+    expect(repaired).toBe(true);
+    expect(fields.patientName.value).toBe('Jane Doe');
+  });
+
+  it('fails when the repair is invalid too', async () => {
+    const provider = { complete: async () => '{"fields": {}}' };
+    await expect(extractFields(provider, DOCUMENT)).rejects.toThrow('failed schema validation after repair');
+  });
+});
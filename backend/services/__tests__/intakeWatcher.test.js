@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+let intakeWatcher;
+let intakeDir;
+const processDocument = jest.fn();
+const appendEvent = jest.fn();
+const findBySourceHash = jest.fn();
+
+beforeAll(() => {
+  intakeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intake-'));
+  process.env.INTAKE_DIR = intakeDir;
+  process.env.INTAKE_SETTLE_MS = '1';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.isolateModules(() => {
+    jest.doMock('../documentProcessing', () => ({ processDocument }));
+    jest.doMock('../auditLog', () => ({ appendEvent }));
+    jest.doMock('../documentStore', () => ({ findBySourceHash }));
+    intakeWatcher = require('../intakeWatcher');
+  });
+});
+
+afterAll(() => {
+  delete process.env.INTAKE_DIR;
+  delete process.env.INTAKE_SETTLE_MS;
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+beforeEach(() => {
+  processDocument.mockReset();
+  appendEvent.mockReset().mockResolvedValue({});
+  findBySourceHash.mockReset().mockResolvedValue(null);
+  fs.rmSync(path.join(intakeDir, 'processed'), { recursive: true, force: true });
+  fs.rmSync(path.join(intakeDir, 'failed'), { recursive: true, force: true });
+});
+
+const stored = { document: { id: 'doc-1', pages: 1, formData: { patientName: 'Jane Doe' } } };
+
+// A file is picked up on the first scan after it has stopped changing
+async function dropAndScan(name, content = '%PDF-1.4') {
+  fs.writeFileSync(path.join(intakeDir, name), content);
+  await intakeWatcher.scan();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await intakeWatcher.scan();
+}
+
+const listDir = subdir => (fs.existsSync(path.join(intakeDir, subdir)) ? fs.readdirSync(path.join(intakeDir, subdir)) : []);
+
+describe('intake watcher', () => {
+  it('stores a settled file and moves it to processed/', async () => {
+    processDocument.mockResolvedValue(stored);
+
+    await dropAndScan('fax-1.pdf');
+
+    expect(processDocument).toHaveBeenCalledTimes(1);
+    expect(listDir('processed')).toEqual(['fax-1.pdf']);
+    expect(appendEvent).toHaveBeenCalledWith(expect.objectContaining({ action: 'document.intake', documentId: 'doc-1' }));
+  });
+
+  it('records the file name and SHA-256 it came from', async () => {
+    processDocument.mockResolvedValue(stored);
+
+    await dropAndScan('fax-4.pdf', '%PDF-1.4 fax 4');
+
+    const [, { source }] = processDocument.mock.calls[0];
+    expect(source).toMatchObject({
+      type: 'intake',
+      file: 'fax-4.pdf',
+      sha256: crypto.createHash('sha256').update('%PDF-1.4 fax 4').digest('hex'),
+    });
+    expect(findBySourceHash).toHaveBeenCalledWith(source.sha256);
+  });
+
+  it('moves a file that is already stored to processed/ without storing it again', async () => {
+    findBySourceHash.mockResolvedValue({ id: 'doc-1' });
+    const before = intakeWatcher.getIntakeStatus();
+
+    await dropAndScan('fax-1-resent.pdf');
+
+    expect(processDocument).not.toHaveBeenCalled();
+    expect(appendEvent).not.toHaveBeenCalled();
+    expect(listDir('processed')).toEqual(['fax-1-resent.pdf']);
+    expect(intakeWatcher.getIntakeStatus()).toMatchObject({
+      duplicates: before.duplicates + 1,
+      processed: before.processed,
+    });
+  });
+
+  it('moves a file that could not be processed to failed/ with the reason', async () => {
+    processDocument.mockRejectedValue(new Error('Unreadable PDF'));
+
+    await dropAndScan('fax-2.pdf');
+
+    expect(listDir('failed').sort()).toEqual(['fax-2.pdf', 'fax-2.pdf.error.txt']);
+    expect(fs.readFileSync(path.join(intakeDir, 'failed', 'fax-2.pdf.error.txt'), 'utf8')).toContain('Unreadable PDF');
+  });
+
+  it('never files a stored document as failed when the move or audit write fails', async () => {
+    processDocument.mockResolvedValue(stored);
+    appendEvent.mockRejectedValue(new Error('disk full'));
+    // processed/ cannot be created while a file has its name
+    fs.writeFileSync(path.join(intakeDir, 'processed'), '');
+    const before = intakeWatcher.getIntakeStatus();
+
+    await dropAndScan('fax-3.pdf');
+    await intakeWatcher.scan();
+
+    const status = intakeWatcher.getIntakeStatus();
+    expect(processDocument).toHaveBeenCalledTimes(1);
+    expect(status.processed).toBe(before.processed + 1);
+    expect(status.failed).toBe(before.failed);
+    expect(listDir('failed')).toEqual([]);
+    expect(fs.existsSync(path.join(intakeDir, 'fax-3.pdf'))).toBe(true);
+  });
+});
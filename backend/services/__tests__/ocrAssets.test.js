@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OCR_ASSETS, getAssetPath } = require('../../../src/shared/ocrAssets');
+
+const PDF_WORKER = OCR_ASSETS.find(asset => asset.package === 'pdfjs-dist');
+const TESSERACT_WORKER = OCR_ASSETS.find(asset => asset.package === 'tesseract.js');
+
+/**
+ * backend/services/ocrAssets.js loaded fresh, with OCR_ASSET_DIR set or not
+ */
+function loadOcrAssets(assetDir) {
+  if (assetDir) {
+    process.env.OCR_ASSET_DIR = assetDir;
+  } else {
+    delete process.env.OCR_ASSET_DIR;
+  }
+
+  let ocrAssets;
+  jest.isolateModules(() => {
+    ocrAssets = require('../ocrAssets');
+  });
+  return ocrAssets;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  delete process.env.OCR_ASSET_DIR;
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('ocrAssets', () => {
+  it('serves every pinned file from the installed packages', async () => {
+    const ocrAssets = loadOcrAssets(null);
+    const verified = await ocrAssets.getVerifiedAssets();
+
+    expect([...verified.keys()].sort()).toEqual(OCR_ASSETS.map(getAssetPath).sort());
+    expect(verified.get(getAssetPath(PDF_WORKER)).integrity).toBe(PDF_WORKER.integrity);
+    expect(await ocrAssets.getLocalLangPath()).toMatch(/@tesseract\.js-data[\\/]eng[\\/]4\.0\.0_best_int$/);
+  });
+
+  it('refuses files from OCR_ASSET_DIR that do not match their hash', async () => {
+    const assetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-assets-'));
+    const place = (asset, content) => {
+      const filePath = path.join(assetDir, getAssetPath(asset));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+
+    // The genuine pdf.js worker, and a Tesseract worker that has been tampered with
+    place(PDF_WORKER, fs.readFileSync(require.resolve(`pdfjs-dist/${PDF_WORKER.file}`)));
+    place(TESSERACT_WORKER, Buffer.concat([
+      fs.readFileSync(require.resolve(`tesseract.js/${TESSERACT_WORKER.file}`)),
+      Buffer.from('\n// injected\n'),
+    ]));
+
+    const ocrAssets = loadOcrAssets(assetDir);
+    const verified = await ocrAssets.getVerifiedAssets();
+
+    expect(ocrAssets.OCR_ASSET_DIR).toBe(assetDir);
+    expect([...verified.keys()]).toEqual([getAssetPath(PDF_WORKER)]);
+    expect(verified.get(getAssetPath(PDF_WORKER)).filePath).toBe(path.join(assetDir, getAssetPath(PDF_WORKER)));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(`${getAssetPath(TESSERACT_WORKER)} will not be served: integrity mismatch`));
+    // Missing language data - server-side OCR gets no local langPath
+    expect(await ocrAssets.getLocalLangPath()).toBeNull();
+  });
+
+  it('checks the files only once', async () => {
+    const ocrAssets = loadOcrAssets(null);
+    const first = ocrAssets.getVerifiedAssets();
+
+    expect(ocrAssets.getVerifiedAssets()).toBe(first);
+    await first;
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getAuthConfig, createTokenValidator, TokenValidationError } = require('../tokenValidation');
+
+const TENANT = 'tenant-id';
+const CLIENT = 'client-id';
+const GROUP_ID = '3f2a0000-0000-0000-0000-000000000001';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let jwksFile;
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(claims, { kid = 'key-1', alg = 'RS256', key = privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg, kid, typ: 'JWT' });
+  const payload = encode({
+    aud: `api://${CLIENT}`,
+    iss: `https://login.microsoftonline.com/${TENANT}/v2.0`,
+    exp: now + 3600,
+    nbf: now - 60,
+    groups: [GROUP_ID],
+    ...claims,
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const createValidator = (env = {}) => createTokenValidator(getAuthConfig({
+  AZURE_TENANT_ID: TENANT,
+  AZURE_CLIENT_ID: CLIENT,
+  AZURE_JWKS_FILE: jwksFile,
+  AZURE_REQUIRED_GROUP_ID: GROUP_ID,
+  ...env,
+}));
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the token to be rejected');
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-')), 'keys.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }],
+  }));
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('getAuthConfig', () => {
+  it('derives audiences, issuers and the JWKS URI from the tenant and client', () => {
+    const config = getAuthConfig({ AZURE_TENANT_ID: TENANT, EXPO_PUBLIC_AZURE_CLIENT_ID: CLIENT });
+    expect(config.audiences).toEqual([`api://${CLIENT}`, CLIENT]);
+    expect(config.issuers).toContain(`https://sts.windows.net/${TENANT}/`);
+    expect(config.jwksUri).toBe(`https://login.microsoftonline.com/${TENANT}/discovery/v2.0/keys`);
+  });
+
+  it('takes the required group only from AZURE_REQUIRED_GROUP_ID', () => {
+    expect(getAuthConfig({ AZURE_REQUIRED_GROUP_ID: GROUP_ID, AZURE_REQUIRED_GROUP: 'MedRec Users' }).requiredGroup).toBe(GROUP_ID);
+    expect(getAuthConfig({}).requiredGroup).toBeNull();
+  });
+
+  it('refuses a legacy group display name without a group id', () => {
+    expect(() => getAuthConfig({ AZURE_REQUIRED_GROUP: 'MedRec Users' })).toThrow('AZURE_REQUIRED_GROUP_ID');
+  });
+});
+
+describe('validateToken', () => {
+  it('accepts a valid token and returns its claims', async () => {
+    const claims = await createValidator().validateToken(signToken({ oid: 'user-1' }));
+    expect(claims.oid).toBe('user-1');
+  });
+
+  it('rejects a token signed by another key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const error = await rejection(createValidator().validateToken(signToken({}, { key: otherKey })));
+    expect(error).toBeInstanceOf(TokenValidationError);
+    expect(error.message).toBe('Invalid token signature');
+  });
+
+  it('rejects tampered claims', async () => {
+    const [header, , signature] = signToken({}).split('.');
+    const forged = `${header}.${encode({ aud: `api://${CLIENT}`, exp: 9999999999 })}.${signature}`;
+    expect((await rejection(createValidator().validateToken(forged))).message).toBe('Invalid token signature');
+  });
+
+  it.each([
+    ['an expired token', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'Token expired'],
+    ['another audience', { aud: 'api://someone-else' }, 'Token audience is not this API'],
+    ['another tenant', { iss: 'https://login.microsoftonline.com/other/v2.0' }, 'Token issuer is not the configured tenant'],
+  ])('rejects %s', async (_, claims, message) => {
+    const error = await rejection(createValidator().validateToken(signToken(claims)));
+    expect(error).toMatchObject({ message, status: 401 });
+  });
+
+  it('rejects malformed tokens and other algorithms', async () => {
+    expect((await rejection(createValidator().validateToken('abc'))).message).toBe('Malformed token');
+    expect((await rejection(createValidator().validateToken(signToken({}, { alg: 'HS256' })))).message)
+      .toBe('Unsupported token algorithm HS256');
+  });
+
+  it('rejects an unknown key id', async () => {
+    const error = await rejection(createValidator().validateToken(signToken({}, { kid: 'key-2' })));
+    expect(error.message).toBe('Token signed with an unknown key');
+  });
+
+  it('returns 403 for users outside the required group', async () => {
+    const error = await rejection(createValidator().validateToken(signToken({ groups: ['other-group'] })));
+    expect(error).toMatchObject({ status: 403 });
+
+    const overage = await rejection(createValidator().validateToken(
+      signToken({ groups: undefined, _claim_names: { groups: 'src1' } })
+    ));
+    expect(overage).toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Audit log - append-only, hash-chained record of who viewed or changed a referral
+ *
+ * Events are stored one per line in AUDIT_LOG_DIR/audit.jsonl. Every entry holds
+ * the SHA-256 hash of the previous entry, so editing or removing a line breaks
+ * the chain from that point on (see verifyChain).
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUDIT_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, '../../audit');
+const AUDIT_FILE = path.join(AUDIT_DIR, 'audit.jsonl');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.logout',
+  'auth.session_expired',
+  'auth.session_locked',
+  'auth.session_unlocked',
+  'document.view',
+  'document.field_edit',
+  'document.review_toggle',
+  'report.generate',
+  'report.download',
+];
+
+// Recorded by the server itself (the intake folder watcher and the document API) - never accepted from clients
+const SYSTEM_ACTIONS = [
+  'document.intake',
+  'document.list',
+  'document.read',
+  'document.positions_read',
+  'document.original_read',
+  'document.original_upload',
+  'document.update',
+  'document.delete',
+];
+
+// Chain head, loaded from the file on first use
+let chainState = null;
+
+// Appends are serialized so every entry links to the one written before it
+let writeQueue = Promise.resolve();
+
+/**
+ * JSON with object keys sorted at every level, so the hash doesn't depend on key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an entry without its own hash field
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Raw log lines, one entry each
+ */
+async function readLines() {
+  try {
+    const content = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+    return content.split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Parsed entry, or null for a line that is not a JSON object (e.g. a torn write)
+ */
+function parseLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    return entry && typeof entry === 'object' ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every readable entry. Unreadable lines are skipped here and reported by verifyChain.
+ */
+async function readEntries() {
+  return (await readLines()).map(parseLine).filter(Boolean);
+}
+
+async function loadChainState() {
+  if (chainState) return chainState;
+
+  await fs.promises.mkdir(AUDIT_DIR, { recursive: true });
+
+  // A write torn by a crash leaves the last line without its newline - start the next entry on a line of its own
+  const content = await fs.promises.readFile(AUDIT_FILE, 'utf8').catch(error => {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  });
+  if (content && !content.endsWith('\n')) {
+    await fs.promises.appendFile(AUDIT_FILE, '\n');
+  }
+
+  const entries = content.split('\n').filter(Boolean).map(parseLine).filter(Boolean);
+  const last = entries[entries.length - 1];
+
+  chainState = last
+    ? { seq: last.seq, hash: last.hash }
+    : { seq: 0, hash: GENESIS_HASH };
+
+  return chainState;
+}
+
+/**
+ * Append one event to the log.
+ * @param {Object} event - { action, user, documentId, patientName, details, clientTimestamp, ip, userAgent }
+ * @returns {Promise<Object>} the stored entry
+ */
+function appendEvent(event) {
+  if (!AUDIT_ACTIONS.includes(event.action) && !SYSTEM_ACTIONS.includes(event.action)) {
+    return Promise.reject(new Error(`Unknown audit action "${event.action}"`));
+  }
+
+  const write = writeQueue.then(async () => {
+    const state = await loadChainState();
+
+    const entry = {
+      seq: state.seq + 1,
+      timestamp: new Date().toISOString(),
+      action: event.action,
+      user: {
+        id: event.user?.id || null,
+        name: event.user?.name || null,
+        email: event.user?.email || null,
+      },
+      documentId: event.documentId || null,
+      patientName: event.patientName || null,
+      details: event.details || {},
+      clientTimestamp: event.clientTimestamp || null,
+      ip: event.ip || null,
+      userAgent: event.userAgent || null,
+      prevHash: state.hash,
+    };
+    entry.hash = hashEntry(entry);
+
+    await fs.promises.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`, { flag: 'a' });
+
+    chainState = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  });
+
+  // Keep the queue alive after a failed write, and reload the chain head in case it was partly written
+  writeQueue = write.catch(() => {
+    chainState = null;
+  });
+  return write;
+}
+
+/**
+ * Query events. Text filters are case-insensitive substring matches.
+ * @param {Object} filters - { patient, user, documentId, action, from, to, limit, offset }
+ */
+async function queryEvents(filters = {}) {
+  const entries = await readEntries();
+  const patient = (filters.patient || '').toLowerCase();
+  const user = (filters.user || '').toLowerCase();
+  const from = filters.from ? new Date(filters.from) : null;
+  // A bare date for "to" includes that whole day
+  const to = filters.to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to}T23:59:59.999Z` : filters.to) : null;
+
+  const matches = entries.filter(entry => {
+    if (patient && !(entry.patientName || '').toLowerCase().includes(patient)) return false;
+    if (user) {
+      const identity = [entry.user?.id, entry.user?.name, entry.user?.email].join(' ').toLowerCase();
+      if (!identity.includes(user)) return false;
+    }
+    if (filters.documentId && entry.documentId !== filters.documentId) return false;
+    if (filters.action && entry.action !== filters.action) return false;
+
+    const timestamp = new Date(entry.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+
+    return true;
+  });
+
+  // Newest first
+  matches.reverse();
+
+  const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+  const limit = Math.min(1000, Math.max(1, parseInt(filters.limit, 10) || 200));
+
+  return {
+    total: matches.length,
+    events: matches.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Recompute the hash chain.
+ * @returns {Promise<{ valid: boolean, entries: number, brokenAt: number|null, reason: string|null }>}
+ */
+async function verifyChain() {
+  const lines = await readLines();
+  const entries = lines.map(parseLine);
+  let previousHash = GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+
+    if (!entry) {
+      return { valid: false, entries: entries.length, brokenAt: index + 1, reason: 'Unreadable entry' };
+    }
+    if (entry.seq !== index + 1) {
+      return { valid: false, entries: entries.length, brokenAt: index + 1, reason: 'Sequence gap' };
+    }
+    if (entry.prevHash !== previousHash) {
+      return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'Previous hash mismatch' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'Entry hash mismatch' };
+    }
+
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, entries: entries.length, brokenAt: null, reason: null };
+}
+
+module.exports = {
+  AUDIT_DIR,
+  AUDIT_ACTIONS,
+  appendEvent,
+  queryEvents,
+  verifyChain,
+};
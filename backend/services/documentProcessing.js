@@ -0,0 +1,318 @@
+/**
+ * Server-side document processing - the headless counterpart of the app's
+ * PDFProcessorService.processDocument
+ *
+ * Text extraction runs in a worker thread (textExtractionWorker.js) so OCR never
+ * blocks the API, followed by chunked LLM extraction. The result is stored like
+ * a document processed in the app and has the same processedDocument shape.
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const documentStore = require('./documentStore');
+const { getProvider, getProviderError } = require('./llmProvider');
+const { getLocalLangPath } = require('./ocrAssets');
+const { extractFields } = require('./fieldExtraction');
+const { buildChunks } = require('../../src/shared/textChunking');
+const { mergeExtractionResults } = require('../../src/shared/extractionMerge');
+const { PDF_TYPE, detectDocumentType, isImageType, toPdfFileName, imageToPdf } = require('../../src/shared/imageDocuments');
+const {
+  createEmptyFormData,
+  fieldsToFormData,
+  buildProcessedDocument,
+} = require('../../src/shared/processedDocument');
+
+const WORKER_SCRIPT = path.join(__dirname, 'textExtractionWorker.js');
+
+// Documents processed at the same time - each one gets its own worker thread
+const CONCURRENCY = parseInt(process.env.SERVER_PROCESSING_CONCURRENCY, 10) || 1;
+
+// Tesseract workers per document
+const OCR_WORKERS = parseInt(process.env.SERVER_OCR_WORKERS, 10) || 2;
+
+// Long documents are extracted in chunks of this many (estimated) tokens, as in the app
+const CHUNK_TOKENS = parseInt(process.env.EXTRACTION_CHUNK_TOKENS, 10) || 6000;
+const CHUNK_CONCURRENCY = 2;
+
+// How long a canceled worker may take to shut Tesseract down before it is terminated
+const CANCEL_GRACE_MS = 5000;
+
+let running = 0;
+const waiting = [];
+
+function canceledError() {
+  const error = new Error('Processing canceled');
+  error.canceled = true;
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw canceledError();
+  }
+}
+
+/**
+ * Wait for a free processing slot
+ */
+function acquireSlot(signal) {
+  throwIfAborted(signal);
+
+  if (running < CONCURRENCY) {
+    running++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { resolve };
+    waiting.push(entry);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) {
+          waiting.splice(index, 1);
+          reject(canceledError());
+        }
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Hand the slot to the next waiting document, or free it
+ */
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next.resolve();
+  } else {
+    running--;
+  }
+}
+
+/**
+ * Run extractPdfText() on the PDF bytes in a worker thread
+ * @param {Object} options - { signal, onProgress, ocrWorkerOptions }
+ */
+function extractTextInWorker(pdf, options = {}) {
+  const { signal } = options;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_SCRIPT, {
+      workerData: { pdf, maxWorkers: OCR_WORKERS, ocrWorkerOptions: options.ocrWorkerOptions }
+    });
+    let settled = false;
+    let killTimer = null;
+
+    const onAbort = () => {
+      worker.postMessage({ type: 'cancel' });
+      killTimer = setTimeout(() => finish(canceledError()), CANCEL_GRACE_MS);
+    };
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      worker.terminate().catch(() => {});
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'progress' && options.onProgress) {
+        options.onProgress(message.update);
+      } else if (message.type === 'result') {
+        finish(signal && signal.aborted ? canceledError() : null, message.result);
+      } else if (message.type === 'error') {
+        finish(signal && signal.aborted ? canceledError() : new Error(`Text extraction failed: ${message.message}`));
+      }
+    });
+    worker.on('error', error => finish(error));
+    worker.on('exit', code => finish(new Error(`Text extraction worker stopped (exit code ${code})`)));
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Structured extraction for the whole text - chunked and merged when it is long
+ * @returns {Promise<Object>} { fields, metadata: { provider, chunked, repaired, failedChunks } }
+ */
+async function extractDocumentFields(provider, text, signal) {
+  const chunks = buildChunks(text, { maxTokens: CHUNK_TOKENS });
+
+  if (chunks.length <= 1) {
+    const { fields, repaired } = await extractFields(provider, text);
+    return { fields, metadata: { provider: provider.name, repaired } };
+  }
+
+  const partials = [];
+  const failedChunks = [];
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < chunks.length && !(signal && signal.aborted)) {
+      const chunk = chunks[nextIndex++];
+
+      try {
+        const { fields, repaired } = await extractFields(provider, chunk.text);
+        partials.push({ chunkIndex: chunk.index, fields, repaired });
+      } catch (error) {
+        failedChunks.push({
+          index: chunk.index,
+          startPage: chunk.startPage,
+          endPage: chunk.endPage,
+          error: error.message
+        });
+      }
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.min(CHUNK_CONCURRENCY, chunks.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+  throwIfAborted(signal);
+
+  if (partials.length === 0) {
+    throw new Error(failedChunks[0] ? failedChunks[0].error : 'Extraction failed for every section');
+  }
+
+  return {
+    fields: mergeExtractionResults(partials),
+    metadata: {
+      provider: provider.name,
+      chunked: true,
+      chunkCount: chunks.length,
+      repaired: partials.some(partial => partial.repaired),
+      failedChunks
+    }
+  };
+}
+
+/**
+ * The uploaded file as a PDF - TIFF, JPEG and PNG images are converted
+ * @returns {Promise<Object>} { pdf, name }
+ */
+async function toPdfDocument(file, name) {
+  const type = detectDocumentType(file);
+
+  if (type === PDF_TYPE) {
+    return { pdf: file, name };
+  }
+
+  if (!isImageType(type)) {
+    const error = new Error('The file is not a PDF, TIFF, JPEG or PNG document');
+    error.status = 415;
+    throw error;
+  }
+
+  try {
+    const pdf = await imageToPdf(new Uint8Array(file.buffer, file.byteOffset, file.byteLength), type);
+    console.log(`🖼️ Converted ${name} (${type}) to PDF`);
+    return { pdf: Buffer.from(pdf), name: toPdfFileName(name) };
+  } catch (conversionError) {
+    const error = new Error(`Image conversion failed: ${conversionError.message}`);
+    error.status = 422;
+    throw error;
+  }
+}
+
+/**
+ * OCR, extract and store a document
+ * @param {Buffer} file - the uploaded PDF, or a TIFF/JPEG/PNG image (converted to PDF first)
+ * @param {Object} options - { name, signal, source } - aborting stops the job and stores nothing;
+ *   `source` describes where the file came from (e.g. the intake folder) and is stored with it
+ * @returns {Promise<Object>} { document, positions }
+ */
+async function processDocument(file, options = {}) {
+  const { signal } = options;
+  await acquireSlot(signal);
+
+  try {
+    // Language data is read from disk - server-side OCR never downloads it
+    const langPath = await getLocalLangPath();
+    if (!langPath) {
+      const error = new Error('Tesseract language data is missing or failed verification');
+      error.status = 503;
+      throw error;
+    }
+
+    // Faxes and photos are stored and processed as PDFs
+    const { pdf, name } = await toPdfDocument(file, options.name);
+    throwIfAborted(signal);
+
+    // STEP 1: Text and positions - PDF text layer first, OCR for scanned pages
+    const extractionResult = await extractTextInWorker(pdf, {
+      ...options,
+      ocrWorkerOptions: { langPath, cacheMethod: 'none' }
+    });
+
+    if (extractionResult.error && !extractionResult.pages) {
+      const error = new Error(`Text extraction failed: ${extractionResult.error}`);
+      error.status = 422;
+      throw error;
+    }
+
+    const extractedText = extractionResult.text || '';
+    const positions = extractionResult.positions || [];
+
+    // STEP 2: AI extraction
+    let formData = createEmptyFormData();
+    let fieldEvidence = {};
+    const provider = getProvider();
+
+    if (!extractedText) {
+      formData.extractionMethod = 'no_text';
+      formData.error = 'No text was extracted from the document';
+    } else if (!provider) {
+      formData.extractionMethod = 'unavailable';
+      formData.error = `AI extraction is not configured: ${getProviderError()}`;
+    } else {
+      try {
+        const { fields, metadata } = await extractDocumentFields(provider, extractedText, signal);
+        const { fieldEvidence: evidence, ...extractedFields } = fieldsToFormData(fields, metadata);
+        formData = { ...formData, ...extractedFields };
+        fieldEvidence = evidence || {};
+      } catch (error) {
+        throwIfAborted(signal);
+        console.error(`❌ ${provider.name} extraction error:`, error);
+        formData.extractionMethod = 'failed';
+        formData.error = error.message;
+      }
+    }
+
+    throwIfAborted(signal);
+
+    // STEP 3: Store the document, its positions and the original PDF - the store assigns the id
+    const document = buildProcessedDocument({
+      name,
+      extractionResult,
+      formData,
+      fieldEvidence
+    });
+    if (options.source) {
+      document.source = options.source;
+    }
+
+    const saved = await documentStore.createDocument(document, positions);
+    const stored = await documentStore.saveOriginal(saved.id, pdf);
+
+    return { document: stored, positions };
+  } finally {
+    releaseSlot();
+  }
+}
+
+module.exports = {
+  processDocument,
+  extractTextInWorker,
+};
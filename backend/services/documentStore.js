@@ -0,0 +1,325 @@
+/**
+ * File-backed document store
+ *
+ * Each processed referral lives in its own directory under DOCUMENT_STORAGE_DIR:
+ *   <id>/document.json   - metadata, OCR text, formData and review state
+ *   <id>/positions.json  - word positions used for source highlighting
+ *   <id>/original.pdf    - the uploaded PDF
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../../documents');
+
+const DOCUMENT_FILE = 'document.json';
+const POSITIONS_FILE = 'positions.json';
+const ORIGINAL_FILE = 'original.pdf';
+
+// Fields copied from the submitted document when it is created. Review state and
+// the assignee always start empty - they can only be set through updateDocument.
+const CREATABLE_FIELDS = [
+  'name',
+  'date',
+  'pages',
+  'extractedText',
+  'isOcr',
+  'ocrConfidence',
+  'ocrPages',
+  'failedPages',
+  'formData',
+  'fieldEvidence',
+  'hasHighlighting',
+  'positionSource',
+  'source',
+];
+
+// Fields a client may change after the document has been created
+const UPDATABLE_FIELDS = [
+  'name',
+  'formData',
+  'reviewedFields',
+  'reviewStatus',
+  'reviewerName',
+  'reviewerCredentials',
+  'assignee',
+];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Pending read-modify-write per document id. Writes to the same document run
+// one after another so two requests never both update from the same copy.
+const documentLocks = new Map();
+
+/**
+ * Reject ids that could escape the storage directory
+ */
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function documentDir(id) {
+  if (!isValidId(id)) {
+    throw new Error(`Invalid document id: ${id}`);
+  }
+  return path.join(STORAGE_DIR, id);
+}
+
+async function ensureStorageDir() {
+  await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+}
+
+/**
+ * Write via a temp file and rename so a crash never leaves half-written JSON
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Run task once every earlier task for the same document has finished
+ */
+function withDocumentLock(id, task) {
+  const previous = documentLocks.get(id) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  documentLocks.set(id, settled);
+  settled.then(() => {
+    if (documentLocks.get(id) === settled) documentLocks.delete(id);
+  });
+  return run;
+}
+
+async function readJson(filePath, fallback = null) {
+  try {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Where a document is in OCR / extraction, from formData.extractionMethod
+ */
+function getProcessingStatus(formData) {
+  switch (formData.extractionMethod) {
+    case 'pending':
+      return 'processing';
+    case 'failed':
+    case 'unavailable':
+      return 'extraction_failed';
+    case 'no_text':
+      return 'no_text';
+    default:
+      return 'complete';
+  }
+}
+
+/**
+ * Summary shown in document lists - no OCR text or positions
+ */
+function toSummary(document) {
+  const formData = document.formData || {};
+  return {
+    id: document.id,
+    name: document.name,
+    date: document.date,
+    pages: document.pages,
+    source: document.source || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+    version: document.version || 1,
+    receivedAt: document.source?.receivedAt || document.createdAt,
+    reviewStatus: document.reviewStatus,
+    processingStatus: getProcessingStatus(formData),
+    assignee: document.assignee || null,
+    hasOriginal: !!document.hasOriginal,
+    hasHighlighting: !!document.hasHighlighting,
+    patientName: formData.patientName || '',
+    patientDOB: formData.patientDOB || '',
+    facility: formData.location || '',
+    extractionMethod: formData.extractionMethod,
+  };
+}
+
+/**
+ * List all stored documents, newest first
+ */
+async function listDocuments() {
+  await ensureStorageDir();
+  const entries = await fs.promises.readdir(STORAGE_DIR, { withFileTypes: true });
+
+  const documents = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidId(entry.name)) continue;
+
+    const document = await readJson(path.join(STORAGE_DIR, entry.name, DOCUMENT_FILE));
+    if (document) {
+      documents.push(toSummary(document));
+    }
+  }
+
+  return documents.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * The stored document created from a source file with this SHA-256, or null
+ */
+async function findBySourceHash(sha256) {
+  const documents = await listDocuments();
+  return documents.find(document => document.source?.sha256 === sha256) || null;
+}
+
+async function getDocument(id) {
+  if (!isValidId(id)) return null;
+  const document = await readJson(path.join(documentDir(id), DOCUMENT_FILE));
+  if (document && !document.version) {
+    // Stored before versions were tracked
+    document.version = 1;
+  }
+  return document;
+}
+
+async function getPositions(id) {
+  if (!isValidId(id)) return [];
+  return readJson(path.join(documentDir(id), POSITIONS_FILE), []);
+}
+
+/**
+ * Path to the original PDF, or null when none was uploaded
+ */
+async function getOriginalPath(id) {
+  if (!isValidId(id)) return null;
+
+  const originalPath = path.join(documentDir(id), ORIGINAL_FILE);
+  try {
+    await fs.promises.access(originalPath);
+    return originalPath;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a document record (and its positions). The id is always assigned
+ * here - an id on the submitted document is ignored.
+ */
+async function createDocument(document, positions = []) {
+  await ensureStorageDir();
+
+  const id = crypto.randomUUID();
+  return withDocumentLock(id, async () => {
+    const dir = documentDir(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const now = new Date().toISOString();
+    const record = { id };
+    CREATABLE_FIELDS.forEach(field => {
+      if (document[field] !== undefined) {
+        record[field] = document[field];
+      }
+    });
+    Object.assign(record, {
+      uri: null,
+      hasOriginal: false,
+      reviewStatus: 'unreviewed',
+      reviewedFields: {},
+      assignee: null,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+    });
+
+    await writeFileAtomic(path.join(dir, POSITIONS_FILE), JSON.stringify(positions || []));
+    await writeFileAtomic(path.join(dir, DOCUMENT_FILE), JSON.stringify(record, null, 2));
+
+    return record;
+  });
+}
+
+/**
+ * Apply client updates - only UPDATABLE_FIELDS are accepted.
+ *
+ * When expectedVersion is given and the stored document has moved on, nothing is
+ * written and an error with status 409 and the current document is thrown.
+ */
+async function updateDocument(id, updates, { expectedVersion } = {}) {
+  return withDocumentLock(id, async () => {
+    const document = await getDocument(id);
+    if (!document) return null;
+
+    if (expectedVersion !== undefined && expectedVersion !== document.version) {
+      const error = new Error(`Document ${id} is at version ${document.version}, not ${expectedVersion}`);
+      error.status = 409;
+      error.document = document;
+      throw error;
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        document[field] = updates[field];
+      }
+    });
+    document.updatedAt = new Date().toISOString();
+    document.version += 1;
+
+    await writeFileAtomic(path.join(documentDir(id), DOCUMENT_FILE), JSON.stringify(document, null, 2));
+    return document;
+  });
+}
+
+/**
+ * Store the original PDF bytes for a document. An original is written once -
+ * a second upload throws an error with status 409 and leaves the first in place.
+ */
+async function saveOriginal(id, buffer) {
+  return withDocumentLock(id, async () => {
+    const document = await getDocument(id);
+    if (!document) return null;
+
+    if (document.hasOriginal) {
+      const error = new Error(`Document ${id} already has an original PDF`);
+      error.status = 409;
+      throw error;
+    }
+
+    const dir = documentDir(id);
+    await writeFileAtomic(path.join(dir, ORIGINAL_FILE), buffer);
+
+    document.hasOriginal = true;
+    document.originalSize = buffer.length;
+    document.updatedAt = new Date().toISOString();
+    document.version += 1;
+    await writeFileAtomic(path.join(dir, DOCUMENT_FILE), JSON.stringify(document, null, 2));
+
+    return document;
+  });
+}
+
+async function deleteDocument(id) {
+  return withDocumentLock(id, async () => {
+    if (!(await getDocument(id))) return false;
+
+    await fs.promises.rm(documentDir(id), { recursive: true, force: true });
+    return true;
+  });
+}
+
+module.exports = {
+  STORAGE_DIR,
+  UPDATABLE_FIELDS,
+  isValidId,
+  listDocuments,
+  findBySourceHash,
+  getDocument,
+  getPositions,
+  getOriginalPath,
+  createDocument,
+  updateDocument,
+  saveOriginal,
+  deleteDocument,
+};
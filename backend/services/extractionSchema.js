@@ -0,0 +1,119 @@
+/**
+ * Extraction schema - validates the structured JSON returned by the model
+ *
+ * Expected shape:
+ * {
+ *   "fields": {
+ *     "<fieldKey>": { "value": string, "evidence": string, "page": integer|null, "confidence": number }
+ *   }
+ * }
+ */
+const { FIELD_KEYS } = require('../../src/shared/medicalFields');
+
+/**
+ * Collapse whitespace so evidence quotes survive OCR line wrapping
+ */
+function normalizeForQuote(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Parse model output into an object, tolerating ```json fences
+ */
+function parseModelJson(raw) {
+  const text = (raw || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  return JSON.parse(text);
+}
+
+/**
+ * Validate a parsed extraction against the field schema.
+ * Structural problems make the result invalid; evidence quotes that cannot be
+ * found in the document are reported separately so the caller can decide.
+ * @returns {{ valid: boolean, errors: string[], evidenceErrors: string[], fields: Object }}
+ */
+function validateExtraction(parsed, documentText, options = {}) {
+  const errors = [];
+  const evidenceErrors = [];
+  const fields = {};
+  const pageCount = options.pageCount || null;
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { valid: false, errors: ['Output must be a JSON object'], evidenceErrors, fields };
+  }
+
+  const source = parsed.fields;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { valid: false, errors: ['Output must contain a "fields" object'], evidenceErrors, fields };
+  }
+
+  Object.keys(source).forEach(key => {
+    if (!FIELD_KEYS.includes(key)) {
+      errors.push(`Unknown field "${key}"`);
+    }
+  });
+
+  const normalizedDocument = normalizeForQuote(documentText);
+
+  FIELD_KEYS.forEach(key => {
+    const entry = source[key];
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`Field "${key}" is missing or not an object`);
+      return;
+    }
+
+    const { value, evidence, page, confidence } = entry;
+
+    if (typeof value !== 'string') {
+      errors.push(`Field "${key}".value must be a string`);
+    }
+    if (typeof evidence !== 'string') {
+      errors.push(`Field "${key}".evidence must be a string`);
+    }
+    if (page !== null && page !== undefined && (!Number.isInteger(page) || page < 1 || (pageCount && page > pageCount))) {
+      errors.push(`Field "${key}".page must be null or a page number${pageCount ? ` between 1 and ${pageCount}` : ''}`);
+    }
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+      errors.push(`Field "${key}".confidence must be a number between 0 and 1`);
+    }
+
+    const hasValue = typeof value === 'string' && value.trim().length > 0;
+    const hasEvidence = typeof evidence === 'string' && evidence.trim().length > 0;
+
+    if (hasValue && !hasEvidence) {
+      errors.push(`Field "${key}" has a value but no evidence quote`);
+    }
+
+    const evidenceVerified = hasEvidence && normalizedDocument.includes(normalizeForQuote(evidence));
+    if (hasEvidence && !evidenceVerified) {
+      evidenceErrors.push(`Field "${key}".evidence is not a verbatim quote from the document`);
+    }
+
+    fields[key] = {
+      value: typeof value === 'string' ? value.trim() : '',
+      evidence: typeof evidence === 'string' ? evidence.trim() : '',
+      page: Number.isInteger(page) ? page : null,
+      confidence: typeof confidence === 'number' ? Math.min(1, Math.max(0, confidence)) : 0,
+      evidenceVerified
+    };
+  });
+
+  return { valid: errors.length === 0, errors, evidenceErrors, fields };
+}
+
+/**
+ * Count the "--- Page N ---" markers in the document text
+ */
+function countPages(documentText) {
+  const matches = (documentText || '').match(/--- Page (\d+) ---/g) || [];
+  return matches.reduce((max, marker) => Math.max(max, parseInt(marker.match(/\d+/)[0], 10)), 0) || null;
+}
+
+module.exports = {
+  parseModelJson,
+  validateExtraction,
+  countPages,
+};
@@ -0,0 +1,147 @@
+/**
+ * Field extraction - prompts the model for structured JSON with evidence quotes,
+ * validates it and performs one repair retry when validation fails
+ */
+const { MEDICAL_FIELDS } = require('../../src/shared/medicalFields');
+const { parseModelJson, validateExtraction, countPages } = require('./extractionSchema');
+
+const MAX_COMPLETION_TOKENS = 4000;
+
+/**
+ * System prompt
+ */
+function getSystemPrompt() {
+  const fieldList = MEDICAL_FIELDS
+    .map(field => `- "${field.key}": ${field.description}`)
+    .join('\n');
+
+  const example = {
+    fields: {
+      patientName: { value: 'John Smith', evidence: 'Patient: John Smith', page: 1, confidence: 0.98 },
+      medications: {
+        value: 'Metformin 500mg BID\nLisinopril 10mg daily',
+        evidence: 'Metformin 500mg BID, Lisinopril 10mg daily',
+        page: 3,
+        confidence: 0.9
+      },
+      cardiacDrips: { value: '', evidence: '', page: null, confidence: 0 }
+    }
+  };
+
+  return `You are a medical AI assistant specialized in extracting information from clinical documents.
+
+TASK: Read the medical document carefully and extract the requested fields as a single JSON object.
+
+OUTPUT FORMAT RULES:
+- Respond with JSON only - no markdown, no commentary
+- The object has one key, "fields", containing EVERY field key listed below
+- Each field is an object: { "value": string, "evidence": string, "page": integer or null, "confidence": number }
+- "value": the extracted information. Lists (medications, history, labs) may span several lines separated by \\n
+- "evidence": a short quote copied EXACTLY, character for character, from the document text that supports the value
+- "page": the page number the evidence comes from, taken from the "--- Page N ---" markers
+- "confidence": your confidence in the value, from 0 to 1
+- If the information truly does not exist, use value "", evidence "", page null and confidence 0
+
+EXAMPLE (abbreviated):
+${JSON.stringify(example, null, 2)}
+
+FIELD DEFINITIONS:
+${fieldList}
+
+IMPORTANT: Extract actual information from the document. Do not invent evidence - every evidence quote must appear verbatim in the document text.`;
+}
+
+function getUserPrompt(documentText) {
+  return `Read this medical document carefully and extract the requested information:
+
+MEDICAL DOCUMENT TEXT:
+${documentText}
+
+Return the JSON object now.`;
+}
+
+/**
+ * Prompt asking the model to fix output that failed validation
+ */
+function getRepairPrompt(errors) {
+  return `Your previous response did not pass validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only. Include every field key, and make every evidence quote an exact copy of text from the document.`;
+}
+
+/**
+ * Run one completion through the configured LLM provider
+ */
+async function requestCompletion(provider, messages) {
+  return provider.complete({
+    messages,
+    maxTokens: MAX_COMPLETION_TOKENS,
+    temperature: 0.1,
+    topP: 0.3,
+    json: true,
+  });
+}
+
+/**
+ * Parse and validate raw model output
+ */
+function evaluateOutput(raw, documentText, pageCount) {
+  let parsed;
+  try {
+    parsed = parseModelJson(raw);
+  } catch (error) {
+    return { valid: false, errors: [`Output is not valid JSON: ${error.message}`], evidenceErrors: [], fields: {} };
+  }
+  return validateExtraction(parsed, documentText, { pageCount });
+}
+
+/**
+ * Extract structured fields from document text.
+ * @returns {Promise<{ fields: Object, repaired: boolean, validationErrors: string[] }>}
+ */
+async function extractFields(provider, documentText) {
+  const pageCount = countPages(documentText);
+  const messages = [
+    { role: 'system', content: getSystemPrompt() },
+    { role: 'user', content: getUserPrompt(documentText) }
+  ];
+
+  const firstOutput = await requestCompletion(provider, messages);
+  const firstResult = evaluateOutput(firstOutput, documentText, pageCount);
+
+  if (firstResult.valid && firstResult.evidenceErrors.length === 0) {
+    return { fields: firstResult.fields, repaired: false, validationErrors: [] };
+  }
+
+  // One automatic repair attempt
+  const problems = [...firstResult.errors, ...firstResult.evidenceErrors];
+  console.warn(`⚠️ Extraction output failed validation (${problems.length} problems) - requesting repair`);
+
+  const repairOutput = await requestCompletion(provider, [
+    ...messages,
+    { role: 'assistant', content: firstOutput },
+    { role: 'user', content: getRepairPrompt(problems) }
+  ]);
+  const repairResult = evaluateOutput(repairOutput, documentText, pageCount);
+
+  // Prefer the repaired output; fall back to the first one if only it is structurally valid
+  const best = repairResult.valid ? repairResult : firstResult;
+
+  if (!best.valid) {
+    const error = new Error('Model output failed schema validation after repair');
+    error.validationErrors = repairResult.errors;
+    throw error;
+  }
+
+  return {
+    fields: best.fields,
+    repaired: best === repairResult,
+    validationErrors: best.evidenceErrors
+  };
+}
+
+module.exports = {
+  extractFields,
+  getSystemPrompt,
+};
@@ -0,0 +1,292 @@
+/**
+ * Intake folder watcher - processes referrals dropped by the fax / e-fax server
+ *
+ * New PDF, TIFF, JPEG and PNG files in INTAKE_DIR are OCR'd, extracted and stored
+ * exactly like server-side uploads (documentProcessing.processDocument), then moved
+ * to INTAKE_DIR/processed or INTAKE_DIR/failed. A failed file gets a
+ * <name>.error.txt next to it. Other files are left where they are.
+ *
+ * Documents record the file name and SHA-256 they came from. A file whose hash
+ * is already stored (e.g. resent by the fax server, or left in the inbox when a
+ * move failed before a restart) is moved to processed/ without being stored again.
+ *
+ * The directory is polled rather than watched with fs.watch, which misses events on
+ * network shares and Docker bind mounts. A file is only picked up once its size and
+ * modification time have not changed for INTAKE_SETTLE_MS, so faxes that are still
+ * being written are left alone.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const documentProcessing = require('./documentProcessing');
+const documentStore = require('./documentStore');
+const auditLog = require('./auditLog');
+const { getDocumentType } = require('../../src/shared/imageDocuments');
+
+const INTAKE_DIR = process.env.INTAKE_DIR ? path.resolve(process.env.INTAKE_DIR) : null;
+const POLL_INTERVAL_MS = parseInt(process.env.INTAKE_POLL_INTERVAL_MS, 10) || 10000;
+const SETTLE_MS = parseInt(process.env.INTAKE_SETTLE_MS, 10) || 5000;
+
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+
+// Processing that failed for a server-side reason (503) is retried after this long
+const RETRY_DELAY_MS = 60000;
+
+// Recorded as the actor in the audit trail
+const INTAKE_USER = { id: 'system:intake', name: 'Intake folder', email: null };
+
+let pollTimer = null;
+let scanning = false;
+let retryAt = 0;
+
+// Last seen size/mtime per file name: { size, mtimeMs, since }
+const seen = new Map();
+
+// Unsupported files already reported, so the log is not repeated on every poll
+const ignored = new Set();
+
+const stats = {
+  processed: 0,
+  duplicates: 0,
+  failed: 0,
+  lastScanAt: null,
+  lastProcessedAt: null,
+  lastError: null,
+};
+
+/**
+ * Files a fax server leaves while writing - never picked up
+ */
+function isTemporaryName(name) {
+  return name.startsWith('.') || name.startsWith('~') || /\.(tmp|part|partial|crdownload)$/i.test(name);
+}
+
+/**
+ * True once the file has kept the same size and mtime for SETTLE_MS
+ */
+function isSettled(name, stat, now) {
+  const previous = seen.get(name);
+
+  if (!previous || previous.size !== stat.size || previous.mtimeMs !== stat.mtimeMs) {
+    seen.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+    return false;
+  }
+
+  return stat.size > 0 && now - previous.since >= SETTLE_MS;
+}
+
+/**
+ * `name` in `dir`, with a timestamp added if a file of that name is already there
+ */
+async function uniquePath(dir, name) {
+  const target = path.join(dir, name);
+  try {
+    await fs.promises.access(target);
+  } catch (error) {
+    return target;
+  }
+
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  return path.join(dir, `${base}-${Date.now()}${extension}`);
+}
+
+/**
+ * Move a file out of the inbox; falls back to copy + delete across file systems
+ * @returns {Promise<string>} the new path
+ */
+async function moveFile(source, subdir) {
+  const dir = path.join(INTAKE_DIR, subdir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const target = await uniquePath(dir, path.basename(source));
+
+  try {
+    await fs.promises.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(source, target);
+    await fs.promises.unlink(source);
+  }
+
+  return target;
+}
+
+/**
+ * Move a file whose document is stored to processed/. On failure it stays in the
+ * inbox and is ignored until it leaves, so it is never stored again.
+ */
+async function fileAsProcessed(filePath, name, documentId) {
+  try {
+    await moveFile(filePath, PROCESSED_DIR);
+  } catch (error) {
+    ignored.add(name);
+    stats.lastError = `${name}: stored as document ${documentId} but not moved to ${PROCESSED_DIR}/: ${error.message}`;
+    console.error(`❌ Intake: stored ${name} but could not move it to ${PROCESSED_DIR}/:`, error.message);
+  }
+}
+
+/**
+ * Process one settled inbox file and file it away.
+ * Only processing and storage can fail the file - once the document is stored,
+ * a failed move or audit write is logged but the file is never filed as failed.
+ */
+async function processFile(name, stat) {
+  const filePath = path.join(INTAKE_DIR, name);
+
+  let document;
+  try {
+    const file = await fs.promises.readFile(filePath);
+    const sha256 = crypto.createHash('sha256').update(file).digest('hex');
+
+    const existing = await documentStore.findBySourceHash(sha256);
+    if (existing) {
+      seen.delete(name);
+      stats.duplicates++;
+      console.log(`📠 Intake: ${name} was already stored as document ${existing.id} - not storing it again`);
+      await fileAsProcessed(filePath, name, existing.id);
+      return;
+    }
+
+    console.log(`📠 Intake: processing ${name} (${stat.size} bytes)`);
+    ({ document } = await documentProcessing.processDocument(file, {
+      name,
+      source: {
+        type: 'intake',
+        file: name,
+        sha256,
+        receivedAt: stat.mtime.toISOString(),
+      },
+    }));
+  } catch (error) {
+    // The server cannot process anything right now - leave the file and retry later
+    if (error.status === 503) {
+      retryAt = Date.now() + RETRY_DELAY_MS;
+      stats.lastError = error.message;
+      console.error(`⏸️ Intake: ${error.message} - retrying in ${RETRY_DELAY_MS / 1000}s`);
+      throw error;
+    }
+
+    console.error(`❌ Intake: ${name} failed:`, error.message);
+    stats.failed++;
+    stats.lastError = `${name}: ${error.message}`;
+    seen.delete(name);
+
+    try {
+      const failedPath = await moveFile(filePath, FAILED_DIR);
+      await fs.promises.writeFile(`${failedPath}.error.txt`, `${new Date().toISOString()}\n${error.message}\n`);
+    } catch (moveError) {
+      // Left in the inbox it would be retried on every poll
+      ignored.add(name);
+      console.error(`❌ Intake: could not move ${name} to ${FAILED_DIR}/:`, moveError.message);
+    }
+    return;
+  }
+
+  seen.delete(name);
+  stats.processed++;
+  stats.lastProcessedAt = new Date().toISOString();
+  console.log(`📄 Intake: stored ${name} as document ${document.id}`);
+
+  await auditLog.appendEvent({
+    action: 'document.intake',
+    user: INTAKE_USER,
+    documentId: document.id,
+    patientName: document.formData?.patientName || null,
+    details: { file: name, pages: document.pages },
+  }).catch(error => console.error('❌ Intake: audit event failed:', error));
+
+  await fileAsProcessed(filePath, name, document.id);
+}
+
+/**
+ * Process every settled file in the inbox, one at a time
+ */
+async function scan() {
+  if (scanning || Date.now() < retryAt) return;
+  scanning = true;
+
+  try {
+    const entries = await fs.promises.readdir(INTAKE_DIR, { withFileTypes: true });
+    const names = new Set();
+    stats.lastScanAt = new Date().toISOString();
+
+    for (const entry of entries) {
+      if (!entry.isFile() || isTemporaryName(entry.name)) continue;
+      names.add(entry.name);
+
+      if (ignored.has(entry.name)) continue;
+      if (!getDocumentType(entry.name)) {
+        ignored.add(entry.name);
+        console.log(`📠 Intake: ignoring ${entry.name} - not a PDF, TIFF, JPEG or PNG file`);
+        continue;
+      }
+
+      let stat;
+      try {
+        stat = await fs.promises.stat(path.join(INTAKE_DIR, entry.name));
+      } catch (error) {
+        continue; // Removed since the listing
+      }
+
+      if (isSettled(entry.name, stat, Date.now())) {
+        await processFile(entry.name, stat);
+      }
+    }
+
+    // Forget files that have left the inbox
+    [...seen.keys()].filter(name => !names.has(name)).forEach(name => seen.delete(name));
+    [...ignored].filter(name => !names.has(name)).forEach(name => ignored.delete(name));
+  } catch (error) {
+    if (error.status !== 503) {
+      stats.lastError = error.message;
+      console.error('❌ Intake: scan failed:', error);
+    }
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Start polling INTAKE_DIR; does nothing when it is not set
+ * @returns {Promise<boolean>} whether the watcher is running
+ */
+async function startIntakeWatcher() {
+  if (!INTAKE_DIR || pollTimer) return !!pollTimer;
+
+  await fs.promises.mkdir(path.join(INTAKE_DIR, PROCESSED_DIR), { recursive: true });
+  await fs.promises.mkdir(path.join(INTAKE_DIR, FAILED_DIR), { recursive: true });
+
+  pollTimer = setInterval(scan, POLL_INTERVAL_MS);
+  console.log(`📠 Watching intake folder ${INTAKE_DIR} (every ${POLL_INTERVAL_MS / 1000}s)`);
+  scan();
+
+  return true;
+}
+
+function stopIntakeWatcher() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Watcher configuration and counters since the server started
+ */
+function getIntakeStatus() {
+  return {
+    enabled: !!pollTimer,
+    dir: INTAKE_DIR,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    settleMs: SETTLE_MS,
+    pending: seen.size,
+    ...stats,
+  };
+}
+
+module.exports = {
+  INTAKE_DIR,
+  startIntakeWatcher,
+  stopIntakeWatcher,
+  getIntakeStatus,
+  scan,
+};
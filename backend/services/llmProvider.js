@@ -0,0 +1,38 @@
+/**
+ * The configured LLM provider, shared by every route that runs extraction.
+ * A bad configuration disables extraction instead of stopping the server.
+ */
+const { createProvider, resolveProviderName } = require('../providers');
+
+let provider = null;
+let providerError = null;
+
+try {
+  provider = createProvider(process.env);
+  const description = provider.describe();
+  console.log(`✅ LLM provider configured: ${description.provider}`);
+  console.log(`🚀 Model: ${description.model}`);
+  if (description.endpoint || description.baseURL) {
+    console.log(`📍 Endpoint: ${description.endpoint || description.baseURL}`);
+  }
+} catch (error) {
+  providerError = error.message;
+  console.error(`❌ LLM provider "${resolveProviderName(process.env)}" is not configured: ${error.message}`);
+}
+
+/**
+ * The provider, or null when it is not configured (see getProviderError)
+ */
+function getProvider() {
+  return provider;
+}
+
+function getProviderError() {
+  return providerError;
+}
+
+module.exports = {
+  getProvider,
+  getProviderError,
+  resolveProviderName,
+};
@@ -0,0 +1,103 @@
+/**
+ * Self-hosted pdf.js / Tesseract assets
+ *
+ * Files come from the pinned packages in node_modules, or from OCR_ASSET_DIR
+ * when it is set (same <package>@<version>/<file> layout as the URLs, for
+ * installs provisioned by hand). Each file is checked once against the pinned
+ * version and SHA-384 hash in src/shared/ocrAssets.js; files that fail are
+ * never served.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { OCR_ASSET_PACKAGES, OCR_ASSETS, getPackageDir, getAssetPath } = require('../../src/shared/ocrAssets');
+
+const OCR_ASSET_DIR = process.env.OCR_ASSET_DIR || null;
+
+let verification = null;
+
+/**
+ * Directory holding a package's files, checked against the pinned version
+ */
+function resolvePackageDir(packageName) {
+  if (OCR_ASSET_DIR) {
+    return path.join(OCR_ASSET_DIR, getPackageDir(packageName));
+  }
+
+  const manifestPath = require.resolve(`${packageName}/package.json`);
+  const { version } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (version !== OCR_ASSET_PACKAGES[packageName]) {
+    throw new Error(`${packageName} ${version} is installed, ${OCR_ASSET_PACKAGES[packageName]} is pinned`);
+  }
+  return path.dirname(manifestPath);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha384');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(`sha384-${hash.digest('base64')}`))
+      .on('error', reject);
+  });
+}
+
+async function verifyAsset(asset) {
+  const assetPath = getAssetPath(asset);
+
+  try {
+    const filePath = path.join(resolvePackageDir(asset.package), asset.file);
+    const integrity = await hashFile(filePath);
+
+    if (integrity !== asset.integrity) {
+      return { assetPath, error: `integrity mismatch (${integrity})` };
+    }
+    return { assetPath, filePath, integrity };
+  } catch (error) {
+    return { assetPath, error: error.message };
+  }
+}
+
+async function runVerification() {
+  const results = await Promise.all(OCR_ASSETS.map(verifyAsset));
+  const verified = new Map();
+
+  results.forEach(result => {
+    if (result.error) {
+      console.error(`❌ OCR asset ${result.assetPath} will not be served: ${result.error}`);
+    } else {
+      verified.set(result.assetPath, result);
+    }
+  });
+
+  console.log(`🔐 OCR assets verified: ${verified.size}/${OCR_ASSETS.length}${OCR_ASSET_DIR ? ` from ${OCR_ASSET_DIR}` : ''}`);
+  return verified;
+}
+
+/**
+ * Assets that passed verification, keyed by their path below /assets/ocr
+ * @returns {Promise<Map>} assetPath -> { assetPath, filePath, integrity }
+ */
+function getVerifiedAssets() {
+  if (!verification) {
+    verification = runVerification();
+  }
+  return verification;
+}
+
+/**
+ * Local directory of the verified Tesseract language data, or null.
+ * Used as langPath by server-side OCR so it never downloads from a CDN.
+ */
+async function getLocalLangPath() {
+  const assets = await getVerifiedAssets();
+  const langAsset = OCR_ASSETS.find(asset => asset.package === '@tesseract.js-data/eng');
+  const verified = assets.get(getAssetPath(langAsset));
+  return verified ? path.dirname(verified.filePath) : null;
+}
+
+module.exports = {
+  OCR_ASSET_DIR,
+  getVerifiedAssets,
+  getLocalLangPath,
+};
@@ -0,0 +1,38 @@
+/**
+ * Worker thread entry - runs PDF text extraction (pdf.js + Tesseract OCR) off
+ * the request thread. Started by documentProcessing.js with the PDF bytes in
+ * workerData; uses the same extraction code as the app, rendering pages with
+ * node-canvas.
+ *
+ * Messages to the parent:   { type: 'progress', update }, { type: 'result', result }
+ *                           and { type: 'error', message } when extraction throws
+ * Messages from the parent: { type: 'cancel' } - pages not yet started are skipped
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { extractPdfText } = require('../../src/shared/pdfTextExtraction');
+const { getPageRasterizer } = require('../../src/shared/pageRasterizer');
+
+const cancelToken = { canceled: false };
+
+parentPort.on('message', message => {
+  if (message && message.type === 'cancel') {
+    cancelToken.canceled = true;
+  }
+});
+
+extractPdfText({
+  data: new Uint8Array(workerData.pdf),
+  // No FontFace API in Node - glyphs are drawn as paths instead
+  disableFontFace: true,
+  verbosity: 0
+}, {
+  cancelToken,
+  maxWorkers: workerData.maxWorkers,
+  ocrWorkerOptions: workerData.ocrWorkerOptions,
+  rasterizer: getPageRasterizer('node'),
+  onProgress: update => parentPort.postMessage({ type: 'progress', update })
+}).then(result => {
+  parentPort.postMessage({ type: 'result', result });
+}).catch(error => {
+  parentPort.postMessage({ type: 'error', message: error.message });
+});
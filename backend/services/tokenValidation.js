@@ -0,0 +1,223 @@
+/**
+ * Azure AD access token validation
+ *
+ * Verifies the RS256 signature against the tenant's JWKS and checks audience,
+ * issuer, lifetime and group membership. Keys are cached; an unknown key id
+ * triggers a refetch so Azure key rollover is picked up without a restart.
+ * AZURE_JWKS_FILE points at a local key set for offline testing.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Keys are refetched after this long even if every kid is known
+const JWKS_CACHE_TTL = parseInt(process.env.AZURE_JWKS_CACHE_TTL_MS, 10) || 12 * 60 * 60 * 1000;
+
+// Minimum time between refetches caused by an unknown kid
+const JWKS_REFETCH_INTERVAL = 5 * 60 * 1000;
+
+// Allowed clock difference between this server and Azure AD
+const CLOCK_TOLERANCE_SECONDS = 300;
+
+class TokenValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - 401 for bad tokens, 403 for valid tokens without access,
+   *   500 when the server is not configured to validate tokens
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenValidationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validation settings from the environment. The frontend variables are accepted
+ * as fallbacks so a single .env serves both sides.
+ * Throws when only the legacy AZURE_REQUIRED_GROUP is set, so the server refuses
+ * to start instead of checking tokens against a group display name.
+ */
+function getAuthConfig(env = process.env) {
+  if (env.AZURE_REQUIRED_GROUP && !env.AZURE_REQUIRED_GROUP_ID) {
+    throw new Error(
+      'AZURE_REQUIRED_GROUP is set but AZURE_REQUIRED_GROUP_ID is not. Access tokens carry group object ids, ' +
+      'not display names - set AZURE_REQUIRED_GROUP_ID to the object id of the required group.'
+    );
+  }
+
+  const tenantId = env.AZURE_TENANT_ID || env.EXPO_PUBLIC_AZURE_TENANT_ID;
+  const clientId = env.AZURE_CLIENT_ID || env.EXPO_PUBLIC_AZURE_CLIENT_ID;
+
+  const audiences = (env.AZURE_API_AUDIENCE || (clientId ? `api://${clientId},${clientId}` : ''))
+    .split(',')
+    .map(audience => audience.trim())
+    .filter(Boolean);
+
+  return {
+    tenantId,
+    clientId,
+    audiences,
+    // v2.0 and v1.0 token issuers
+    issuers: tenantId
+      ? [`https://login.microsoftonline.com/${tenantId}/v2.0`, `https://sts.windows.net/${tenantId}/`]
+      : [],
+    // Tokens carry group object ids, never display names
+    requiredGroup: env.AZURE_REQUIRED_GROUP_ID || null,
+    jwksUri: env.AZURE_JWKS_URI || (tenantId ? `https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys` : null),
+    jwksFile: env.AZURE_JWKS_FILE || null,
+  };
+}
+
+/**
+ * Signing key cache for one JWKS source
+ */
+class JwksCache {
+  constructor({ jwksUri, jwksFile }) {
+    this.jwksUri = jwksUri;
+    this.jwksFile = jwksFile;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  async loadKeySet() {
+    if (this.jwksFile) {
+      return JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'));
+    }
+
+    if (!this.jwksUri) {
+      throw new TokenValidationError('Token validation is not configured (missing tenant id)', 500);
+    }
+
+    const response = await fetch(this.jwksUri);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async refresh() {
+    // Concurrent requests share one fetch
+    if (!this.pending) {
+      this.pending = (async () => {
+        try {
+          const keySet = await this.loadKeySet();
+          const keys = new Map();
+
+          (keySet.keys || [])
+            .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+            .forEach(jwk => {
+              keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            });
+
+          this.keys = keys;
+          this.fetchedAt = Date.now();
+          console.log(`🔑 Loaded ${keys.size} token signing keys from ${this.jwksFile || this.jwksUri}`);
+        } finally {
+          this.pending = null;
+        }
+      })();
+    }
+    return this.pending;
+  }
+
+  async getKey(kid) {
+    const age = Date.now() - this.fetchedAt;
+
+    if (this.keys.size === 0 || age > JWKS_CACHE_TTL) {
+      await this.refresh();
+    } else if (!this.keys.has(kid) && age > JWKS_REFETCH_INTERVAL) {
+      // Possibly a rolled-over key
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new TokenValidationError('Token signed with an unknown key');
+    }
+    return key;
+  }
+}
+
+function decodeSegment(segment, name) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenValidationError(`Malformed token ${name}`);
+  }
+}
+
+/**
+ * Create a validator bound to one configuration
+ * @param {Object} config - from getAuthConfig()
+ * @returns {{ validateToken: (token: string) => Promise<Object> }}
+ */
+function createTokenValidator(config = getAuthConfig()) {
+  const jwks = new JwksCache(config);
+
+  /**
+   * Validate a bearer token and return its claims
+   */
+  async function validateToken(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      throw new TokenValidationError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader, 'header');
+    const claims = decodeSegment(encodedPayload, 'payload');
+
+    if (header.alg !== 'RS256') {
+      throw new TokenValidationError(`Unsupported token algorithm ${header.alg}`);
+    }
+
+    const key = await jwks.getKey(header.kid);
+    const signatureValid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      key,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!signatureValid) {
+      throw new TokenValidationError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS < now) {
+      throw new TokenValidationError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+      throw new TokenValidationError('Token not yet valid');
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.some(audience => config.audiences.includes(audience))) {
+      throw new TokenValidationError('Token audience is not this API');
+    }
+
+    if (!config.issuers.includes(claims.iss)) {
+      throw new TokenValidationError('Token issuer is not the configured tenant');
+    }
+
+    if (config.requiredGroup) {
+      // Too many groups to fit in the token - Azure sends a Graph link instead
+      if (!claims.groups && claims._claim_names?.groups) {
+        throw new TokenValidationError('Group membership could not be verified (group overage claim)', 403);
+      }
+      if (!(claims.groups || []).includes(config.requiredGroup)) {
+        throw new TokenValidationError('User is not a member of the required group', 403);
+      }
+    }
+
+    return claims;
+  }
+
+  return { validateToken };
+}
+
+module.exports = {
+  TokenValidationError,
+  getAuthConfig,
+  createTokenValidator,
+};
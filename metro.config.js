@@ -7,8 +7,9 @@ const defaultConfig = getDefaultConfig(__dirname);
 // Add support for .mjs files (for PDF.js)
 defaultConfig.resolver.sourceExts.push('mjs');
 
-// Ensure PDFJs worker files and other assets are treated properly
-defaultConfig.resolver.assetExts.push('worker.js', 'worker.min.js', 'wasm');
+// WebAssembly files are assets. Worker scripts stay modules: iOS/Android bundle the
+// pdf.js worker to run it on the JS thread, browsers load workers from the API server
+defaultConfig.resolver.assetExts.push('wasm');
 
 // Add Node.js polyfills for web compatibility
 defaultConfig.resolver.alias = {
@@ -1,6 +1,7 @@
 /**
  * Animation utility for creating consistent animations throughout the app
  */
+import React from 'react';
 import { Animated, Easing, Platform } from 'react-native';
 
 // Standard durations for consistency
@@ -1,22 +1,25 @@
 /**
- * AuthWrapper.js - Updated with session warning and auto-logout handling
+ * AuthWrapper.js - Updated with session warning and inactivity lock handling
  */
 import React, { useState, useEffect } from 'react';
-import { View, ActivityIndicator, Text, Alert, Modal, TouchableOpacity } from 'react-native';
+import { View, ActivityIndicator, Text, Modal, TouchableOpacity } from 'react-native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import MicrosoftAuth from '../services/MicrosoftAuth';
 import LoginScreen from '../screens/LoginScreen';
+import LockScreen from './LockScreen';
 import AppNavigator from '../navigation/AppNavigator';
 import { Colors, CommonStyles } from '../styles';
+import { ROLE_LABELS, hasPermission } from '../shared/roles';
 
 const AuthWrapper = () => {
-  const [authState, setAuthState] = useState('checking'); // checking, authenticated, unauthenticated
+  const [authState, setAuthState] = useState('checking'); // checking, authenticated, locked, unauthenticated
   const [currentUser, setCurrentUser] = useState(null);
   const [microsoftAuth] = useState(() => MicrosoftAuth.getInstance());
   
   // Session warning state
   const [showSessionWarning, setShowSessionWarning] = useState(false);
   const [warningCountdown, setWarningCountdown] = useState(0);
+  const [lockMessage, setLockMessage] = useState(null);
 
   useEffect(() => {
     // Set up auth listener
@@ -60,20 +63,11 @@ const AuthWrapper = () => {
           setWarningCountdown(Math.floor(userData.timeRemaining / 1000)); // Convert to seconds
           break;
           
-        case 'session_expired':
-          // Auto-logout occurred
-          setAuthState('unauthenticated');
-          setCurrentUser(null);
+        case 'locked':
+          // Inactivity or failed token refresh - the app stays mounted underneath
+          setAuthState('locked');
+          setLockMessage(userData.message);
           setShowSessionWarning(false);
-          
-          // Show alert about session expiry
-          setTimeout(() => {
-            Alert.alert(
-              'Session Expired',
-              userData.message || 'Your session has expired due to inactivity.',
-              [{ text: 'OK' }]
-            );
-          }, 500);
           break;
           
         case 'manual_logout':
@@ -140,6 +134,10 @@ const AuthWrapper = () => {
     }
   };
 
+  const handleUnlock = () => microsoftAuth.unlock();
+
+  const handleSwitchUser = () => microsoftAuth.unlock({ switchUser: true });
+
   const handleStayLoggedIn = () => {
     // Reset session timers by simulating activity
     microsoftAuth.lastActivityTime = Date.now();
@@ -176,10 +174,20 @@ const AuthWrapper = () => {
     );
   }
 
-  // Show main app - user is authenticated and in the required group
+  // Show main app - user is authenticated and in the required group.
+  // Keyed by user so a different user never inherits the previous navigation state.
   return (
-    <UserProvider user={currentUser} onLogout={handleLogout}>
-      <AppNavigator />
+    <UserProvider user={currentUser} roles={microsoftAuth.getUserRoles()} onLogout={handleLogout}>
+      <AppNavigator key={currentUser?.id || 'app'} />
+      
+      <LockScreen
+        visible={authState === 'locked'}
+        user={currentUser}
+        message={lockMessage}
+        onUnlock={handleUnlock}
+        onSwitchUser={handleSwitchUser}
+        onSignOut={handleLogout}
+      />
       
       {/* Session Warning Modal */}
       <Modal
@@ -196,11 +204,11 @@ const AuthWrapper = () => {
                 size={32} 
                 color={Colors.warning} 
               />
-              <Text style={sessionStyles.warningTitle}>Session Expiring</Text>
+              <Text style={sessionStyles.warningTitle}>Session Locking Soon</Text>
             </View>
             
             <Text style={sessionStyles.warningMessage}>
-              Your session will expire in:
+              Your session will lock in:
             </Text>
             
             <Text style={sessionStyles.countdown}>
@@ -208,7 +216,7 @@ const AuthWrapper = () => {
             </Text>
             
             <Text style={sessionStyles.warningSubtext}>
-              You will be automatically logged out due to inactivity.
+              The app will lock due to inactivity. Your work will be kept.
             </Text>
             
             <View style={sessionStyles.buttonContainer}>
@@ -234,14 +242,17 @@ const AuthWrapper = () => {
 };
 
 /**
- * User context provider
+ * User context provider - identity, roles and permission checks
  */
-const UserProvider = ({ user, onLogout, children }) => {
+const UserProvider = ({ user, roles, onLogout, children }) => {
   const contextValue = {
     user,
+    roles,
+    roleLabels: roles.map(role => ROLE_LABELS[role] || role),
     onLogout,
-    // Simple helper - everyone who gets past auth is authorized
-    isAuthorized: () => true,
+    hasRole: (role) => roles.includes(role),
+    hasPermission: (permission) => hasPermission(roles, permission),
+    isAuthorized: () => roles.length > 0,
   };
 
   return (
@@ -260,7 +271,11 @@ export const useUser = () => {
   if (!context) {
     return { 
       user: null, 
+      roles: [],
+      roleLabels: [],
       onLogout: () => {},
+      hasRole: () => false,
+      hasPermission: () => false,
       isAuthorized: () => false,
     };
   }
@@ -1,163 +1,277 @@
-// Enhanced DocumentUploader.js with Progress Integration
-import React, { useState, useEffect } from 'react';
+// DocumentUploader.js - Multi-file upload backed by the processing queue
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
   Pressable,
-  ActivityIndicator,
   Alert,
 } from 'react-native';
+import {
+  pickDocuments,
+  webFileToDocument,
+  validateDocument,
+  hashDocument,
+  convertToPdfDocument,
+  saveDocumentToAppStorage
+} from '../utils/documentUtils';
 import { isWeb } from '../utils/platform';
-import { pickPdfDocument, saveDocumentToAppStorage } from '../utils/documentUtils';
-import PDFProcessorService from '../services/PDFProcessorService';
-import ProgressOverlay from './ProgressOverlay';
+import { hasApiServer } from '../utils/api';
+import WebDropZone from './WebDropZone';
+import ProcessingQueueService, { JOB_STATUS } from '../services/ProcessingQueueService';
+import PDFProcessorService, { PROCESSING_MODES } from '../services/PDFProcessorService';
 import { Colors, CommonStyles } from '../styles';
 import { MaterialIcons } from '@expo/vector-icons';
 
+const STATUS_DISPLAY = {
+  [JOB_STATUS.QUEUED]: { label: 'Queued', icon: 'schedule', color: Colors.gray },
+  [JOB_STATUS.PROCESSING]: { label: 'Processing', icon: 'autorenew', color: Colors.primary },
+  [JOB_STATUS.COMPLETE]: { label: 'Ready', icon: 'check-circle', color: Colors.statusProcessed },
+  [JOB_STATUS.ERROR]: { label: 'Failed', icon: 'error', color: Colors.statusFailed },
+  [JOB_STATUS.CANCELED]: { label: 'Canceled', icon: 'cancel', color: Colors.gray },
+};
+
+const PROCESSING_MODE_OPTIONS = [
+  { mode: PROCESSING_MODES.LOCAL, label: 'This device', icon: 'computer' },
+  { mode: PROCESSING_MODES.SERVER, label: 'Server', icon: 'cloud-queue' },
+];
+
 const DocumentUploader = ({
   onDocumentProcessed,
   onError,
 }) => {
-  const [document, setDocument] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [progressVisible, setProgressVisible] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [progressStatus, setProgressStatus] = useState('processing');
-  const [currentStep, setCurrentStep] = useState('');
-  const [currentStepProgress, setCurrentStepProgress] = useState(0);
-  const [progressMessage, setProgressMessage] = useState('');
-  
-  // Set up progress callback
+  const [documents, setDocuments] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [staging, setStaging] = useState(false);
+  // Files from the last pick, drop or paste that were not added: { name, reason }
+  const [rejected, setRejected] = useState([]);
+
+  const documentsRef = useRef(documents);
+  documentsRef.current = documents;
+  const [processingMode, setProcessingMode] = useState(() => PDFProcessorService.getInstance().getProcessingMode());
+
+  // Follow the shared processing queue
   useEffect(() => {
-    const pdfProcessor = PDFProcessorService.getInstance();
-    
-    // Set progress callback
-    pdfProcessor.setProgressCallback(handleProgressUpdate);
-    
-    return () => {
-      // Remove progress callback when component unmounts
-      pdfProcessor.setProgressCallback(null);
-    };
+    const queue = ProcessingQueueService.getInstance();
+    return queue.subscribe(setJobs);
   }, []);
-  
-  // Handle progress updates from services
-  const handleProgressUpdate = (progressInfo) => {
-    setProgressVisible(true);
-    
-    if (progressInfo.progress !== undefined) {
-      setProgress(progressInfo.progress);
-    }
-    
-    if (progressInfo.status) {
-      setProgressStatus(progressInfo.status);
-    }
-    
-    if (progressInfo.currentStep) {
-      setCurrentStep(progressInfo.currentStep);
-    }
-    
-    if (progressInfo.message) {
-      setProgressMessage(progressInfo.message);
-    }
-    
-    // Handle completion
-    if (progressInfo.status === 'complete') {
-      // Add a small delay before hiding the progress overlay
-      setTimeout(() => {
-        setProgressVisible(false);
-      }, 1000);
+
+  /**
+   * Validate picked, dropped or pasted files and add new ones to the staging list.
+   * Files already staged or queued are recognised by their content hash.
+   */
+  const stageDocuments = async (candidates) => {
+    if (candidates.length === 0) return;
+    setStaging(true);
+
+    const stagedByHash = new Map(documentsRef.current.map(document => [document.hash, document]));
+    const accepted = [];
+    const problems = [];
+
+    for (const candidate of candidates) {
+      let reason = validateDocument(candidate);
+
+      if (!reason) {
+        try {
+          const hash = await hashDocument(candidate);
+          const queuedJob = jobs.find(job => job.hash === hash);
+
+          if (stagedByHash.has(hash)) {
+            reason = `Same file as ${stagedByHash.get(hash).name}`;
+          } else if (queuedJob) {
+            reason = `Already in the processing queue as ${queuedJob.name}`;
+          } else {
+            const document = { ...candidate, hash };
+            stagedByHash.set(hash, document);
+            accepted.push(document);
+          }
+        } catch (error) {
+          console.error(`Error reading ${candidate.name}:`, error);
+          reason = 'The file could not be read';
+        }
+      }
+
+      if (reason) {
+        problems.push({ name: candidate.name, reason });
+        releaseDocument(candidate);
+      }
     }
-    
-    // Handle errors
-    if (progressInfo.status === 'error') {
-      setTimeout(() => {
-        setProgressVisible(false);
-        Alert.alert('Error', progressInfo.message || 'An error occurred during processing');
-      }, 2000);
+
+    if (accepted.length > 0) {
+      setDocuments(current => [...current, ...accepted]);
     }
+    setRejected(problems);
+    setStaging(false);
   };
 
   const handleDocumentPick = async () => {
     try {
-      const pickedDocument = await pickPdfDocument();
-      
-      if (pickedDocument) {
-        setDocument(pickedDocument);
-      }
+      const pickedDocuments = await pickDocuments();
+      await stageDocuments(pickedDocuments);
     } catch (error) {
-      console.error('Error picking document:', error);
+      console.error('Error picking documents:', error);
+      setStaging(false);
+      onError?.(error);
+    }
+  };
+
+  const handleFilesDropped = (files) => {
+    stageDocuments(files.map(webFileToDocument)).catch(error => {
+      console.error('Error adding dropped files:', error);
+      setStaging(false);
       onError?.(error);
+    });
+  };
+
+  const handleModeChange = (mode) => {
+    PDFProcessorService.getInstance().setProcessingMode(mode);
+    setProcessingMode(mode);
+  };
+
+  // Web files are held as blob URLs until they are removed or processed
+  const releaseDocument = (document) => {
+    if (isWeb && document.uri && document.uri.startsWith('blob:')) {
+      URL.revokeObjectURL(document.uri);
     }
   };
 
-  const handleProcessDocument = async () => {
-    if (!document) {
-      Alert.alert('Error', 'Please select a document first');
+  const handleRemoveSelected = (index) => {
+    releaseDocument(documents[index]);
+    setDocuments(current => current.filter((_, i) => i !== index));
+  };
+
+  const handleRemoveAll = () => {
+    documents.forEach(releaseDocument);
+    setDocuments([]);
+  };
+
+  const handleProcessDocuments = async () => {
+    if (documents.length === 0) {
+      Alert.alert('Error', 'Please select at least one document first');
       return;
     }
 
-    try {
-      setLoading(true);
-      setProgressVisible(true);
-      setProgress(0);
-      setProgressStatus('processing');
-      setCurrentStep('Starting');
-      setProgressMessage('Preparing to process document');
-      
-      // Save document to app storage if it's not already there
-      let localPath = document.localPath;
-      if (!localPath) {
-        setCurrentStep('Saving Document');
-        setProgressMessage('Saving document to local storage');
-        const savedPath = await saveDocumentToAppStorage(document.uri, document.name);
-        
-        if (savedPath === null) {
-          throw new Error('Failed to save document to app storage');
+    const queue = ProcessingQueueService.getInstance();
+    setSubmitting(true);
+
+    for (const picked of documents) {
+      try {
+        // Faxed TIFFs and photos are processed as PDFs
+        const document = await convertToPdfDocument(picked);
+
+        // Save document to app storage if it's not already there
+        let localPath = document.localPath;
+        if (!localPath) {
+          localPath = await saveDocumentToAppStorage(document.uri, document.name);
+
+          if (localPath === null) {
+            throw new Error('Failed to save document to app storage');
+          }
         }
-        
-        localPath = savedPath;
+
+        queue.enqueue({ uri: localPath, name: document.name, size: document.size, hash: picked.hash, processingMode });
+      } catch (error) {
+        console.error('Error queuing document:', error);
+        Alert.alert('Error', `Failed to queue ${picked.name}: ${error.message}`);
+        onError?.(error);
       }
-      
-      // Process the document - progress updates will be handled by callback
-      const processorService = PDFProcessorService.getInstance();
-      const processedDocument = await processorService.processDocument(
-        localPath,
-        document.name
-      );
-      
-      // Ensure loading state is cleaned up
-      setLoading(false);
-      
-      // Notify parent component
-      onDocumentProcessed(processedDocument);
-      
-    } catch (error) {
-      console.error('Error processing document:', error);
-      setProgressVisible(false);
-      setLoading(false);
-      Alert.alert('Error', 'Failed to process document');
-      onError?.(error);
     }
+
+    setDocuments([]);
+    setRejected([]);
+    setSubmitting(false);
+  };
+
+  const handleReview = (job) => {
+    onDocumentProcessed?.({ id: job.documentId, name: job.name });
+  };
+
+  const renderJobActions = (job) => {
+    const queue = ProcessingQueueService.getInstance();
+    const actions = [];
+
+    // Running jobs can be opened once their first pages are read
+    if (job.documentId && (job.status === JOB_STATUS.COMPLETE || job.status === JOB_STATUS.PROCESSING)) {
+      actions.push({ key: 'review', label: 'Review', icon: 'rate-review', onPress: () => handleReview(job) });
+    }
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING) {
+      actions.push({ key: 'cancel', label: 'Cancel', icon: 'close', onPress: () => queue.cancel(job.id) });
+    }
+    if (job.status === JOB_STATUS.ERROR || job.status === JOB_STATUS.CANCELED) {
+      actions.push({ key: 'retry', label: 'Retry', icon: 'refresh', onPress: () => queue.retry(job.id) });
+    }
+    if (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.PROCESSING) {
+      actions.push({ key: 'remove', label: 'Dismiss', icon: 'delete-outline', onPress: () => queue.remove(job.id) });
+    }
+
+    return (
+      <View style={CommonStyles.jobActions}>
+        {actions.map(action => (
+          <Pressable
+            key={action.key}
+            style={({pressed}) => [
+              CommonStyles.jobActionButton,
+              pressed && CommonStyles.uploadButtonPressed
+            ]}
+            onPress={action.onPress}
+          >
+            <MaterialIcons name={action.icon} size={16} color={Colors.primary} />
+            <Text style={CommonStyles.jobActionText}>{action.label}</Text>
+          </Pressable>
+        ))}
+      </View>
+    );
   };
 
   return (
     <View style={CommonStyles.uploaderContainer}>
-      <Pressable
-        style={({pressed}) => [
-          CommonStyles.uploadButton,
-          pressed && CommonStyles.uploadButtonPressed
-        ]}
-        onPress={handleDocumentPick}
-        disabled={loading}
-      >
-        <MaterialIcons name="upload-file" size={24} color="#ffffff" style={CommonStyles.uploadIcon} />
-        <Text style={CommonStyles.uploadButtonText}>
-          {document ? 'Change Document' : 'Select PDF Document'}
-        </Text>
-      </Pressable>
+      <WebDropZone onFiles={handleFilesDropped} disabled={submitting || staging}>
+        <Pressable
+          style={({pressed}) => [
+            CommonStyles.uploadButton,
+            pressed && CommonStyles.uploadButtonPressed
+          ]}
+          onPress={handleDocumentPick}
+          disabled={submitting || staging}
+        >
+          <MaterialIcons name="upload-file" size={24} color="#ffffff" style={CommonStyles.uploadIcon} />
+          <Text style={CommonStyles.uploadButtonText}>
+            {staging ? 'Checking Files...' : documents.length > 0 ? 'Add More Documents' : 'Select Documents'}
+          </Text>
+        </Pressable>
+      </WebDropZone>
+
+      {/* Files that failed validation or are duplicates */}
+      {rejected.length > 0 && (
+        <View style={CommonStyles.rejectionList}>
+          <View style={CommonStyles.jobListHeader}>
+            <Text style={CommonStyles.rejectionTitle}>
+              {rejected.length === 1 ? '1 file was not added' : `${rejected.length} files were not added`}
+            </Text>
+            <Pressable onPress={() => setRejected([])}>
+              <Text style={CommonStyles.jobActionText}>Dismiss</Text>
+            </Pressable>
+          </View>
+          {rejected.map((item, index) => (
+            <Text key={`${item.name}-${index}`} style={CommonStyles.rejectionText}>
+              {item.name} - {item.reason}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {/* Staging list - files can be removed until processing starts */}
+      {documents.length > 1 && (
+        <View style={CommonStyles.stagingHeader}>
+          <Text style={CommonStyles.jobListTitle}>Ready to Process ({documents.length})</Text>
+          <Pressable onPress={handleRemoveAll} disabled={submitting}>
+            <Text style={CommonStyles.jobActionText}>Remove all</Text>
+          </Pressable>
+        </View>
+      )}
 
-      {document && (
-        <View style={CommonStyles.documentInfo}>
+      {documents.map((document, index) => (
+        <View key={document.hash || `${document.name}-${index}`} style={CommonStyles.documentInfo}>
           <MaterialIcons name="description" size={24} color={Colors.primary} style={CommonStyles.documentIcon} />
           <View style={CommonStyles.documentDetails}>
             <Text style={CommonStyles.documentName}>
@@ -167,38 +281,99 @@ const DocumentUploader = ({
               {Math.round(document.size / 1024)} KB
             </Text>
           </View>
+          <Pressable onPress={() => handleRemoveSelected(index)} disabled={submitting}>
+            <MaterialIcons name="close" size={20} color={Colors.gray} />
+          </Pressable>
+        </View>
+      ))}
+
+      {/* Native builds without a server address can only read documents on the device */}
+      {!hasApiServer() && (
+        <View style={CommonStyles.rejectionList}>
+          <Text style={CommonStyles.rejectionText}>
+            This app build has no MedRec server address (EXPO_PUBLIC_API_BASE_URL), so documents are read on this device and fields cannot be extracted.
+          </Text>
+        </View>
+      )}
+
+      {/* Where OCR and AI extraction run for the documents queued next */}
+      {hasApiServer() && (
+        <View style={CommonStyles.processingModeRow}>
+          <Text style={CommonStyles.processingModeLabel}>Process on</Text>
+          {PROCESSING_MODE_OPTIONS.map(option => {
+            const active = processingMode === option.mode;
+            return (
+              <Pressable
+                key={option.mode}
+                style={[CommonStyles.processingModeOption, active && CommonStyles.processingModeOptionActive]}
+                onPress={() => handleModeChange(option.mode)}
+                disabled={submitting}
+              >
+                <MaterialIcons name={option.icon} size={16} color={active ? Colors.white : Colors.primary} />
+                <Text style={[CommonStyles.processingModeText, active && CommonStyles.processingModeTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            );
+          })}
         </View>
       )}
 
       <Pressable
         style={({pressed}) => [
-          CommonStyles.processButton, 
-          (!document || loading) && CommonStyles.uploaderDisabledButton,
-          pressed && !loading && document && CommonStyles.uploadButtonPressed
+          CommonStyles.processButton,
+          (documents.length === 0 || submitting || staging) && CommonStyles.uploaderDisabledButton,
+          pressed && !submitting && documents.length > 0 && CommonStyles.uploadButtonPressed
         ]}
-        onPress={handleProcessDocument}
-        disabled={!document || loading}
+        onPress={handleProcessDocuments}
+        disabled={documents.length === 0 || submitting || staging}
       >
-        {loading ? (
-          <ActivityIndicator color="#ffffff" />
-        ) : (
-          <>
-            <MaterialIcons name="send-to-mobile" size={24} color="#ffffff" style={CommonStyles.processIcon} />
-            <Text style={CommonStyles.processButtonText}>Process Document</Text>
-          </>
-        )}
+        <MaterialIcons name="send-to-mobile" size={24} color="#ffffff" style={CommonStyles.processIcon} />
+        <Text style={CommonStyles.processButtonText}>
+          {documents.length > 1 ? `Process ${documents.length} Documents` : 'Process Document'}
+        </Text>
       </Pressable>
-      
-      {/* Progress Overlay with enhanced AI feedback */}
-      <ProgressOverlay
-        visible={progressVisible}
-        progress={progress}
-        status={progressStatus}
-        currentStep={currentStep}
-        message={progressMessage}
-      />
+
+      {/* Per-file processing status */}
+      {jobs.length > 0 && (
+        <View style={CommonStyles.jobList}>
+          <View style={CommonStyles.jobListHeader}>
+            <Text style={CommonStyles.jobListTitle}>Processing Queue</Text>
+            <Pressable onPress={() => ProcessingQueueService.getInstance().clearFinished()}>
+              <Text style={CommonStyles.jobActionText}>Clear finished</Text>
+            </Pressable>
+          </View>
+
+          {jobs.map(job => {
+            const display = STATUS_DISPLAY[job.status];
+            return (
+              <View key={job.id} style={CommonStyles.jobRow}>
+                <View style={CommonStyles.jobHeader}>
+                  <MaterialIcons name={display.icon} size={20} color={display.color} style={CommonStyles.documentIcon} />
+                  <Text style={CommonStyles.jobName} numberOfLines={1}>{job.name}</Text>
+                  <Text style={[CommonStyles.jobStatus, { color: display.color }]}>
+                    {job.status === JOB_STATUS.PROCESSING ? `${Math.round(job.progress * 100)}%` : display.label}
+                  </Text>
+                </View>
+
+                {job.status === JOB_STATUS.PROCESSING && (
+                  <View style={CommonStyles.progressBarContainer}>
+                    <View style={[CommonStyles.progressBar, { width: `${Math.round(job.progress * 100)}%`, backgroundColor: Colors.primary }]} />
+                  </View>
+                )}
+
+                <Text style={CommonStyles.jobMessage} numberOfLines={2}>
+                  {job.currentStep}{job.message ? ` - ${job.message}` : ''}
+                </Text>
+
+                {renderJobActions(job)}
+              </View>
+            );
+          })}
+        </View>
+      )}
     </View>
   );
 };
 
-export default DocumentUploader;
\ No newline at end of file
+export default DocumentUploader;
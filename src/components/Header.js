@@ -29,7 +29,7 @@ const Header = ({
   showLogo = true,
 }) => {
   const navigation = useNavigation();
-  const { user, onLogout } = useUser();
+  const { user, roleLabels, onLogout } = useUser();
   const microsoftAuth = MicrosoftAuth.getInstance(); // Direct access as fallback
   const [showLogoutModal, setShowLogoutModal] = useState(false);
 
@@ -123,7 +123,7 @@ const Header = ({
                   {user.givenName || user.displayName || 'User'}
                 </Text>
                 <Text style={styles.userRole}>
-                  Healthcare Professional
+                  {roleLabels.join(' · ') || 'No role assigned'}
                 </Text>
               </View>
               
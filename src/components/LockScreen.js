@@ -0,0 +1,84 @@
+// src/components/LockScreen.js - Covers the app while the session is locked
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal
+} from 'react-native';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { Colors, CommonStyles } from '../styles';
+
+/**
+ * Lock screen shown over the (still mounted) app. Unlocking as the same user
+ * returns to where they left off; switching user or signing out discards it.
+ */
+const LockScreen = ({ visible, user, message, onUnlock, onSwitchUser, onSignOut }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const result = await action();
+      if (result && !result.success) {
+        setError(result.error || 'Sign-in failed. Please try again.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={() => {}}>
+      <View style={CommonStyles.lockBackdrop}>
+        <View style={CommonStyles.lockCard}>
+          <MaterialCommunityIcons name="lock-outline" size={48} color={Colors.primary} />
+          <Text style={CommonStyles.lockTitle}>Session Locked</Text>
+          <Text style={CommonStyles.lockMessage}>
+            {message || 'Your session is locked.'} Your work has been kept.
+          </Text>
+
+          {user && (
+            <>
+              <Text style={CommonStyles.lockUser}>{user.displayName}</Text>
+              <Text style={CommonStyles.lockUserEmail}>{user.mail || user.userPrincipalName}</Text>
+            </>
+          )}
+
+          {!!error && <Text style={CommonStyles.lockError}>{error}</Text>}
+
+          <TouchableOpacity
+            style={[CommonStyles.lockButton, busy && { opacity: 0.6 }]}
+            onPress={() => run(onUnlock)}
+            disabled={busy}
+          >
+            {busy ? (
+              <ActivityIndicator color={Colors.white} />
+            ) : (
+              <Text style={CommonStyles.lockButtonText}>Unlock</Text>
+            )}
+          </TouchableOpacity>
+
+          <View style={CommonStyles.lockLinks}>
+            <TouchableOpacity onPress={() => run(onSwitchUser)} disabled={busy}>
+              <Text style={CommonStyles.lockLinkText}>Sign in as someone else</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onSignOut} disabled={busy}>
+              <Text style={CommonStyles.lockLinkText}>Sign out</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={CommonStyles.lockHint}>
+            Signing in as someone else or signing out discards unsaved changes.
+          </Text>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default LockScreen;
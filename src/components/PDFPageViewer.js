@@ -0,0 +1,272 @@
+// src/components/PDFPageViewer.js - Renders a PDF page with pdf.js and draws source highlights on it
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf';
+import { RENDER_SCALE } from '../services/ParallelPDFTextExtractionService';
+import { isWeb } from '../utils/platform';
+import { getAuthHeaders, isApiUrl } from '../utils/api';
+import { Colors, CommonStyles } from '../styles';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+// Zoom is relative to "fit to width"
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+const FIT_ZOOM_INDEX = 2;
+
+// Space kept around a highlight when scrolling it into view
+const SCROLL_MARGIN = 40;
+
+/**
+ * @param {string} uri - PDF location (blob URL or document store URL)
+ * @param {Array} highlights - Boxes in OCR pixel space: { page, x, y, width, height }
+ * @param {number} activeIndex - Highlight currently selected
+ * @param {Function} onActiveIndexChange - Called with the new index from next/previous
+ */
+const PDFPageViewer = ({
+  uri,
+  highlights = [],
+  activeIndex = 0,
+  onActiveIndexChange,
+}) => {
+  const [zoomIndex, setZoomIndex] = useState(FIT_ZOOM_INDEX);
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [pageImage, setPageImage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pdfRef = useRef({ uri: null, pdf: null });
+  const verticalScrollRef = useRef(null);
+  const horizontalScrollRef = useRef(null);
+
+  const activeHighlight = highlights[activeIndex] || null;
+  const pageNum = activeHighlight?.page || 1;
+  const zoom = ZOOM_LEVELS[zoomIndex];
+
+  // Release the pdf.js document when the viewer goes away
+  useEffect(() => {
+    return () => {
+      if (pdfRef.current.pdf) {
+        pdfRef.current.pdf.destroy();
+      }
+    };
+  }, []);
+
+  const loadPdf = async () => {
+    if (pdfRef.current.uri === uri && pdfRef.current.pdf) {
+      return pdfRef.current.pdf;
+    }
+
+    if (pdfRef.current.pdf) {
+      pdfRef.current.pdf.destroy();
+    }
+
+    // Stored originals are served by the API and need the access token
+    const pdf = await pdfjs.getDocument({
+      url: uri,
+      httpHeaders: isApiUrl(uri) ? getAuthHeaders() : undefined
+    }).promise;
+    pdfRef.current = { uri, pdf };
+    return pdf;
+  };
+
+  // Render the page for the active highlight at the current zoom
+  useEffect(() => {
+    if (!isWeb || !uri || !containerWidth) return undefined;
+
+    let canceled = false;
+
+    const renderPage = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const pdf = await loadPdf();
+        const page = await pdf.getPage(pageNum);
+
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = (containerWidth / baseViewport.width) * zoom;
+        const viewport = page.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        await page.render({
+          canvasContext: canvas.getContext('2d'),
+          viewport
+        }).promise;
+
+        const imageUri = canvas.toDataURL('image/png');
+
+        // Clean up canvas
+        canvas.width = 0;
+        canvas.height = 0;
+
+        if (!canceled) {
+          setPageImage({ uri: imageUri, width: viewport.width, height: viewport.height, scale, pageNum });
+        }
+      } catch (renderError) {
+        console.error('Failed to render PDF page:', renderError);
+        if (!canceled) {
+          setError(renderError.message);
+        }
+      } finally {
+        if (!canceled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    renderPage();
+
+    return () => {
+      canceled = true;
+    };
+  }, [uri, pageNum, zoom, containerWidth]);
+
+  // OCR coordinates are in RENDER_SCALE pixels; convert to the rendered image
+  const toViewer = pageImage ? pageImage.scale / RENDER_SCALE : 1;
+
+  // Keep the active highlight in view
+  useEffect(() => {
+    if (!pageImage || !activeHighlight || activeHighlight.page !== pageImage.pageNum) return;
+
+    verticalScrollRef.current?.scrollTo({
+      y: Math.max(0, activeHighlight.y * toViewer - SCROLL_MARGIN),
+      animated: true
+    });
+    horizontalScrollRef.current?.scrollTo({
+      x: Math.max(0, activeHighlight.x * toViewer - SCROLL_MARGIN),
+      animated: true
+    });
+  }, [pageImage, activeIndex]);
+
+  const goToMatch = (index) => {
+    if (highlights.length === 0) return;
+    const nextIndex = (index + highlights.length) % highlights.length;
+    onActiveIndexChange?.(nextIndex);
+  };
+
+  if (!isWeb) {
+    return (
+      <View style={CommonStyles.pageViewerUnavailable}>
+        <MaterialCommunityIcons name="file-eye-outline" size={32} color={Colors.gray} />
+        <Text style={CommonStyles.pageViewerMessage}>
+          The page preview is available in the web app. The source context is listed below.
+        </Text>
+      </View>
+    );
+  }
+
+  const pageHighlights = pageImage
+    ? highlights
+      .map((highlight, index) => ({ ...highlight, index }))
+      .filter(highlight => highlight.page === pageImage.pageNum)
+    : [];
+
+  return (
+    <View style={CommonStyles.pageViewerContainer}>
+      {/* Match navigation and zoom */}
+      <View style={CommonStyles.pageViewerToolbar}>
+        <View style={CommonStyles.pageViewerToolbarGroup}>
+          <TouchableOpacity
+            style={CommonStyles.pageViewerButton}
+            onPress={() => goToMatch(activeIndex - 1)}
+            disabled={highlights.length < 2}
+          >
+            <MaterialCommunityIcons name="chevron-left" size={22} color={highlights.length < 2 ? Colors.gray : Colors.primary} />
+          </TouchableOpacity>
+          <Text style={CommonStyles.pageViewerLabel}>
+            {highlights.length > 0 ? `Match ${activeIndex + 1} of ${highlights.length}` : 'No matches'} · Page {pageNum}
+          </Text>
+          <TouchableOpacity
+            style={CommonStyles.pageViewerButton}
+            onPress={() => goToMatch(activeIndex + 1)}
+            disabled={highlights.length < 2}
+          >
+            <MaterialCommunityIcons name="chevron-right" size={22} color={highlights.length < 2 ? Colors.gray : Colors.primary} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={CommonStyles.pageViewerToolbarGroup}>
+          <TouchableOpacity
+            style={CommonStyles.pageViewerButton}
+            onPress={() => setZoomIndex(index => Math.max(0, index - 1))}
+            disabled={zoomIndex === 0}
+          >
+            <MaterialCommunityIcons name="magnify-minus-outline" size={20} color={Colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={CommonStyles.pageViewerButton}
+            onPress={() => setZoomIndex(FIT_ZOOM_INDEX)}
+          >
+            <Text style={CommonStyles.pageViewerLabel}>{Math.round(zoom * 100)}%</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={CommonStyles.pageViewerButton}
+            onPress={() => setZoomIndex(index => Math.min(ZOOM_LEVELS.length - 1, index + 1))}
+            disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+          >
+            <MaterialCommunityIcons name="magnify-plus-outline" size={20} color={Colors.primary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Page with highlight overlay - scroll in both directions to pan */}
+      <View
+        style={CommonStyles.pageViewerViewport}
+        onLayout={(event) => setContainerWidth(Math.floor(event.nativeEvent.layout.width))}
+      >
+        <ScrollView ref={verticalScrollRef} showsVerticalScrollIndicator={true}>
+          <ScrollView ref={horizontalScrollRef} horizontal showsHorizontalScrollIndicator={true}>
+            {pageImage && (
+              <View style={{ width: pageImage.width, height: pageImage.height }}>
+                <Image
+                  source={{ uri: pageImage.uri }}
+                  style={{ width: pageImage.width, height: pageImage.height }}
+                  resizeMode="contain"
+                />
+                {pageHighlights.map(highlight => (
+                  <TouchableOpacity
+                    key={highlight.index}
+                    onPress={() => onActiveIndexChange?.(highlight.index)}
+                    style={[
+                      CommonStyles.pageViewerHighlight,
+                      highlight.index === activeIndex && CommonStyles.pageViewerHighlightActive,
+                      {
+                        left: highlight.x * toViewer,
+                        top: highlight.y * toViewer,
+                        width: highlight.width * toViewer,
+                        height: highlight.height * toViewer
+                      }
+                    ]}
+                  />
+                ))}
+              </View>
+            )}
+          </ScrollView>
+        </ScrollView>
+
+        {loading && (
+          <View style={CommonStyles.pageViewerLoading}>
+            <ActivityIndicator size="large" color={Colors.primary} />
+          </View>
+        )}
+
+        {error && !loading && (
+          <View style={CommonStyles.pageViewerLoading}>
+            <Text style={CommonStyles.pageViewerMessage}>Could not render page {pageNum}: {error}</Text>
+          </View>
+        )}
+      </View>
+    </View>
+  );
+};
+
+export default PDFPageViewer;
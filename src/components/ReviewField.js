@@ -21,7 +21,10 @@ const ReviewField = ({
   aiReasoning,
   // NEW: Add props for source highlighting
   onShowSource,
-  hasSourceHighlighting = false
+  hasSourceHighlighting = false,
+  // Role-based: value editing and the review switch can be locked separately
+  editable = true,
+  canReview = true
 }) => {
   const [showReasoning, setShowReasoning] = useState(false);
   const [expanded] = useState(new Animated.Value(0));
@@ -76,6 +79,7 @@ const ReviewField = ({
             <Switch
               value={isReviewed}
               onValueChange={onReviewChange}
+              disabled={!canReview}
               trackColor={{ false: Colors.reviewBorder, true: Colors.primaryLight }}
               thumbColor={isReviewed ? Colors.primary : Colors.gray}
               ios_backgroundColor={Colors.reviewBorder}
@@ -96,6 +100,7 @@ const ReviewField = ({
             ]}
             value={value}
             onChangeText={onValueChange}
+            editable={editable}
             placeholder="No information found"
             placeholderTextColor={Colors.gray}
             multiline={isMultiline}
@@ -0,0 +1,124 @@
+// src/components/WebDropZone.js - Drag-and-drop and paste target for referral files (web only)
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { isWeb } from '../utils/platform';
+import { getDroppedFiles, MAX_DOCUMENT_SIZE_MB } from '../utils/documentUtils';
+import { Colors, CommonStyles } from '../styles';
+
+const hasFiles = (event) => Array.from((event.dataTransfer && event.dataTransfer.types) || []).includes('Files');
+
+/**
+ * Accepts files and folders dropped on it, and files pasted anywhere on the page
+ * outside a text field. Renders only its children on iOS/Android.
+ * @param {Function} onFiles - Called with the dropped or pasted browser Files
+ * @param {boolean} disabled - Ignore drops and pastes
+ */
+const WebDropZone = ({ onFiles, disabled = false, children }) => {
+  const zoneRef = useRef(null);
+  const dragDepth = useRef(0);
+  const [dragActive, setDragActive] = useState(false);
+
+  // Listeners are added once; they read the latest props from here
+  const propsRef = useRef({ onFiles, disabled });
+  propsRef.current = { onFiles, disabled };
+
+  useEffect(() => {
+    const node = zoneRef.current;
+    if (!isWeb || !node || !node.addEventListener) return undefined;
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current++;
+      setDragActive(true);
+    };
+
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = propsRef.current.disabled ? 'none' : 'copy';
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (dragDepth.current === 0) setDragActive(false);
+    };
+
+    const handleDrop = async (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current = 0;
+      setDragActive(false);
+
+      if (propsRef.current.disabled) return;
+
+      try {
+        const files = await getDroppedFiles(event.dataTransfer);
+        if (files.length > 0) propsRef.current.onFiles(files);
+      } catch (error) {
+        console.error('Error reading dropped files:', error);
+      }
+    };
+
+    // A file dropped next to the zone would otherwise replace the app with the file
+    const preventNavigation = (event) => {
+      if (hasFiles(event) && !node.contains(event.target)) {
+        event.preventDefault();
+        if (event.type === 'dragover') event.dataTransfer.dropEffect = 'none';
+      }
+    };
+
+    const handlePaste = (event) => {
+      const target = event.target;
+      if (propsRef.current.disabled ||
+          (target && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName)))) {
+        return;
+      }
+
+      const files = Array.from((event.clipboardData && event.clipboardData.files) || []);
+      if (files.length === 0) return;
+
+      event.preventDefault();
+      propsRef.current.onFiles(files);
+    };
+
+    node.addEventListener('dragenter', handleDragEnter);
+    node.addEventListener('dragover', handleDragOver);
+    node.addEventListener('dragleave', handleDragLeave);
+    node.addEventListener('drop', handleDrop);
+    window.addEventListener('dragover', preventNavigation);
+    window.addEventListener('drop', preventNavigation);
+    document.addEventListener('paste', handlePaste);
+
+    return () => {
+      node.removeEventListener('dragenter', handleDragEnter);
+      node.removeEventListener('dragover', handleDragOver);
+      node.removeEventListener('dragleave', handleDragLeave);
+      node.removeEventListener('drop', handleDrop);
+      window.removeEventListener('dragover', preventNavigation);
+      window.removeEventListener('drop', preventNavigation);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, []);
+
+  if (!isWeb) {
+    return children;
+  }
+
+  return (
+    <View ref={zoneRef} style={[CommonStyles.dropZone, dragActive && CommonStyles.dropZoneActive]}>
+      {children}
+      <MaterialIcons name="move-to-inbox" size={28} color={dragActive ? Colors.primary : Colors.gray} />
+      <Text style={CommonStyles.dropZoneText}>
+        {dragActive ? 'Drop to add the files' : 'Drag files or folders here, or paste copied files (Ctrl+V)'}
+      </Text>
+      <Text style={CommonStyles.dropZoneHint}>
+        PDF, TIFF, JPEG or PNG, up to {MAX_DOCUMENT_SIZE_MB} MB each
+      </Text>
+    </View>
+  );
+};
+
+export default WebDropZone;
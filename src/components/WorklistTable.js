@@ -0,0 +1,324 @@
+// src/components/WorklistTable.js - Sortable, filterable table of stored referrals
+import React, { useState, useMemo } from 'react';
+import { View, Text, TextInput, Pressable, ScrollView, ActivityIndicator } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { Colors, CommonStyles } from '../styles';
+
+export const PROCESSING_STATUS_DISPLAY = {
+  queued: { label: 'Queued', icon: 'schedule', color: Colors.gray },
+  processing: { label: 'Processing', icon: 'autorenew', color: Colors.primary },
+  complete: { label: 'Extracted', icon: 'check-circle', color: Colors.secondary },
+  no_text: { label: 'No text found', icon: 'warning', color: Colors.warning },
+  extraction_failed: { label: 'Manual entry', icon: 'warning', color: Colors.warning },
+  failed: { label: 'Failed', icon: 'error', color: Colors.error },
+};
+
+export const REVIEW_STATUS_DISPLAY = {
+  unreviewed: { label: 'Not reviewed', color: Colors.gray },
+  in_review: { label: 'In review', color: Colors.warning },
+  reviewed: { label: 'Reviewed', color: Colors.secondary },
+};
+
+const FILTERS = [
+  {
+    key: 'review',
+    options: [
+      { value: 'all', label: 'All' },
+      { value: 'unreviewed', label: 'Not reviewed' },
+      { value: 'in_review', label: 'In review' },
+      { value: 'reviewed', label: 'Reviewed' },
+    ],
+  },
+  {
+    key: 'assignment',
+    options: [
+      { value: 'all', label: 'Everyone' },
+      { value: 'mine', label: 'Assigned to me' },
+      { value: 'unassigned', label: 'Unassigned' },
+    ],
+  },
+  {
+    key: 'processing',
+    options: [
+      { value: 'all', label: 'Any status' },
+      { value: 'active', label: 'Processing' },
+      { value: 'attention', label: 'Needs attention' },
+      { value: 'complete', label: 'Extracted' },
+    ],
+  },
+];
+
+export const DEFAULT_FILTERS = { review: 'all', assignment: 'all', processing: 'all' };
+
+const ACTIVE_PROCESSING = ['queued', 'processing'];
+const ATTENTION_PROCESSING = ['no_text', 'extraction_failed', 'failed'];
+
+const toTime = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const COLUMNS = [
+  { key: 'patientName', label: 'Patient', width: 200, sortValue: row => (row.patientName || '').toLowerCase() },
+  { key: 'patientDOB', label: 'DOB', width: 110, sortValue: row => toTime(row.patientDOB) ?? (row.patientDOB || '') },
+  { key: 'facility', label: 'Source Facility', width: 180, sortValue: row => (row.facility || '').toLowerCase() },
+  { key: 'receivedAt', label: 'Received', width: 150, sortValue: row => toTime(row.receivedAt) },
+  { key: 'processingStatus', label: 'Processing', width: 140, sortValue: row => PROCESSING_STATUS_DISPLAY[row.processingStatus]?.label },
+  { key: 'reviewStatus', label: 'Review', width: 120, sortValue: row => REVIEW_STATUS_DISPLAY[row.reviewStatus]?.label },
+  { key: 'assignee', label: 'Assignee', width: 190, sortValue: row => (row.assignee?.name || '').toLowerCase() },
+  // Newest (smallest age) first when ascending
+  { key: 'age', label: 'Age', width: 70, sortValue: row => toTime(row.receivedAt) && -toTime(row.receivedAt) },
+];
+
+const TABLE_WIDTH = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+
+const columnWidth = (key) => ({ width: COLUMNS.find(column => column.key === key).width });
+
+/**
+ * "45m", "5h", "3d" since the referral arrived
+ */
+export const formatAge = (receivedAt, now = Date.now()) => {
+  const time = toTime(receivedAt);
+  if (time === null) return '';
+
+  const minutes = Math.max(0, Math.floor((now - time) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+};
+
+const formatReceived = (receivedAt) => {
+  const time = toTime(receivedAt);
+  if (time === null) return '';
+  return new Date(time).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const isSameUser = (assignee, user) =>
+  !!(assignee && user) && (assignee.id && user.id ? assignee.id === user.id : !!assignee.email && assignee.email === user.email);
+
+export const matchesFilters = (row, filters, currentUser) => {
+  if (filters.review !== 'all' && (row.reviewStatus || 'unreviewed') !== filters.review) return false;
+
+  if (filters.assignment === 'mine' && !isSameUser(row.assignee, currentUser)) return false;
+  if (filters.assignment === 'unassigned' && row.assignee) return false;
+
+  if (filters.processing === 'active' && !ACTIVE_PROCESSING.includes(row.processingStatus)) return false;
+  if (filters.processing === 'attention' && !ATTENTION_PROCESSING.includes(row.processingStatus)) return false;
+  if (filters.processing === 'complete' && row.processingStatus !== 'complete') return false;
+
+  return true;
+};
+
+/**
+ * `search` is already trimmed and lower-cased
+ */
+export const matchesSearch = (row, search) => {
+  if (!search) return true;
+  return [row.patientName, row.patientDOB, row.facility, row.name, row.assignee?.name]
+    .some(value => value && value.toLowerCase().includes(search));
+};
+
+/**
+ * Ascending or descending by column; rows without a value always sort last
+ */
+export const sortRows = (rows, sort) => {
+  const column = COLUMNS.find(candidate => candidate.key === sort.key) || COLUMNS[0];
+  const direction = sort.direction === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const valueA = column.sortValue(a);
+    const valueB = column.sortValue(b);
+    const emptyA = valueA === null || valueA === undefined || valueA === '';
+    const emptyB = valueB === null || valueB === undefined || valueB === '';
+
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return 0;
+  });
+};
+
+/**
+ * Worklist of referrals with search, filter chips and sortable columns
+ * @param {Array<Object>} rows - Document summaries ({ id, name, patientName, patientDOB, facility,
+ *   receivedAt, processingStatus, reviewStatus, assignee }); rows without an id cannot be opened yet
+ * @param {Object|null} currentUser - { id, name, email } of the signed-in user
+ * @param {Function} onOpen - Called with a row when it is pressed
+ * @param {Function} onAssign - Called with (row, assignee or null); omit to hide assignment
+ * @param {boolean} loading - Show a loading indicator instead of an empty list
+ * @param {string|null} error - Load error to show above the table
+ */
+const WorklistTable = ({ rows, currentUser, onOpen, onAssign, loading = false, error = null }) => {
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [sort, setSort] = useState({ key: 'receivedAt', direction: 'desc' });
+
+  const visibleRows = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const matching = rows.filter(row => matchesFilters(row, filters, currentUser) && matchesSearch(row, query));
+    return sortRows(matching, sort);
+  }, [rows, search, filters, sort, currentUser]);
+
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const now = Date.now();
+
+  const renderAssignee = (row) => {
+    const mine = isSameUser(row.assignee, currentUser);
+    const canChange = onAssign && currentUser && row.id && (!row.assignee || mine);
+
+    return (
+      <View style={[CommonStyles.worklistCell, CommonStyles.worklistAssigneeCell, columnWidth('assignee')]}>
+        <Text style={row.assignee ? CommonStyles.worklistCellText : CommonStyles.worklistCellMuted} numberOfLines={1}>
+          {row.assignee ? (mine ? 'Me' : row.assignee.name) : 'Unassigned'}
+        </Text>
+        {canChange && (
+          <Pressable
+            style={CommonStyles.worklistAssignButton}
+            onPress={() => onAssign(row, mine ? null : currentUser)}
+          >
+            <Text style={CommonStyles.worklistAssignButtonText}>{mine ? 'Release' : 'Take'}</Text>
+          </Pressable>
+        )}
+      </View>
+    );
+  };
+
+  const renderRow = (row) => {
+    const processing = PROCESSING_STATUS_DISPLAY[row.processingStatus] || PROCESSING_STATUS_DISPLAY.complete;
+    const review = REVIEW_STATUS_DISPLAY[row.reviewStatus] || REVIEW_STATUS_DISPLAY.unreviewed;
+
+    return (
+      <Pressable
+        key={row.id || row.jobId}
+        style={({ pressed }) => [CommonStyles.worklistRow, pressed && row.id && CommonStyles.worklistRowPressed]}
+        onPress={() => row.id && onOpen(row)}
+        disabled={!row.id}
+      >
+        <View style={[CommonStyles.worklistCell, columnWidth('patientName')]}>
+          <Text style={row.patientName ? CommonStyles.worklistPatientName : CommonStyles.worklistCellMuted} numberOfLines={1}>
+            {row.patientName || 'Unknown patient'}
+          </Text>
+          <Text style={CommonStyles.worklistCellMuted} numberOfLines={1}>{row.name}</Text>
+        </View>
+        <View style={[CommonStyles.worklistCell, columnWidth('patientDOB')]}>
+          <Text style={CommonStyles.worklistCellText} numberOfLines={1}>{row.patientDOB}</Text>
+        </View>
+        <View style={[CommonStyles.worklistCell, columnWidth('facility')]}>
+          <Text style={CommonStyles.worklistCellText} numberOfLines={1}>{row.facility}</Text>
+        </View>
+        <View style={[CommonStyles.worklistCell, columnWidth('receivedAt')]}>
+          <Text style={CommonStyles.worklistCellText} numberOfLines={1}>{formatReceived(row.receivedAt)}</Text>
+          {row.source?.type === 'intake' && (
+            <Text style={CommonStyles.worklistCellMuted} numberOfLines={1}>Intake folder</Text>
+          )}
+        </View>
+        <View style={[CommonStyles.worklistCell, CommonStyles.worklistStatusCell, columnWidth('processingStatus')]}>
+          <MaterialIcons name={processing.icon} size={16} color={processing.color} />
+          <Text style={[CommonStyles.worklistStatusText, { color: processing.color }]} numberOfLines={1}>
+            {processing.label}
+          </Text>
+        </View>
+        <View style={[CommonStyles.worklistCell, columnWidth('reviewStatus')]}>
+          <Text style={[CommonStyles.worklistStatusText, { color: review.color }]} numberOfLines={1}>{review.label}</Text>
+        </View>
+        {renderAssignee(row)}
+        <View style={[CommonStyles.worklistCell, columnWidth('age')]}>
+          <Text style={CommonStyles.worklistCellText}>{formatAge(row.receivedAt, now)}</Text>
+        </View>
+      </Pressable>
+    );
+  };
+
+  const filtered = search.trim() !== '' || FILTERS.some(filter => filters[filter.key] !== 'all');
+
+  return (
+    <View>
+      <TextInput
+        style={CommonStyles.auditFilterInput}
+        value={search}
+        placeholder="Search patient, DOB, facility or file name"
+        placeholderTextColor={Colors.gray}
+        autoCapitalize="none"
+        onChangeText={setSearch}
+      />
+
+      {FILTERS.map(filter => (
+        <View key={filter.key} style={CommonStyles.worklistChipRow}>
+          {filter.options.map(option => {
+            const active = filters[filter.key] === option.value;
+            return (
+              <Pressable
+                key={option.value}
+                style={[CommonStyles.worklistChip, active && CommonStyles.worklistChipActive]}
+                onPress={() => setFilters(current => ({ ...current, [filter.key]: option.value }))}
+              >
+                <Text style={[CommonStyles.worklistChipText, active && CommonStyles.worklistChipTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      ))}
+
+      {error && (
+        <Text style={CommonStyles.worklistError}>Could not load referrals: {error}</Text>
+      )}
+
+      <Text style={CommonStyles.auditSummary}>
+        {filtered ? `Showing ${visibleRows.length} of ${rows.length} referrals` : `${rows.length} referrals`}
+      </Text>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={true}>
+        <View style={{ width: TABLE_WIDTH }}>
+          <View style={CommonStyles.worklistHeaderRow}>
+            {COLUMNS.map(column => (
+              <Pressable
+                key={column.key}
+                style={[CommonStyles.worklistHeaderCell, { width: column.width }]}
+                onPress={() => handleSort(column.key)}
+              >
+                <Text style={CommonStyles.worklistHeaderText}>{column.label}</Text>
+                {sort.key === column.key && (
+                  <MaterialIcons
+                    name={sort.direction === 'asc' ? 'arrow-upward' : 'arrow-downward'}
+                    size={14}
+                    color={Colors.primary}
+                  />
+                )}
+              </Pressable>
+            ))}
+          </View>
+
+          {visibleRows.map(renderRow)}
+
+          {visibleRows.length === 0 && (
+            <View style={CommonStyles.worklistEmpty}>
+              {loading ? (
+                <ActivityIndicator color={Colors.primary} />
+              ) : (
+                <Text style={CommonStyles.worklistCellMuted}>
+                  {rows.length === 0 ? 'No referrals have been processed yet' : 'No referrals match the search and filters'}
+                </Text>
+              )}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+export default WorklistTable;
@@ -0,0 +1,103 @@
+jest.mock('react-native', () => ({}));
+jest.mock('@expo/vector-icons', () => ({ MaterialIcons: () => null }));
+jest.mock('../../styles', () => ({
+  Colors: { gray: 'gray', primary: 'primary', secondary: 'secondary', warning: 'warning', error: 'error' },
+  CommonStyles: {},
+}));
+
+const { DEFAULT_FILTERS, matchesFilters, matchesSearch, sortRows, formatAge } = require('../WorklistTable');
+
+const dana = { id: 'u1', name: 'Dana Reviewer', email: 'dana@example.org' };
+const sam = { id: 'u2', name: 'Sam Nurse', email: 'sam@example.org' };
+
+const ROWS = [
+  { id: 'a', patientName: 'jane Doe', patientDOB: '01/15/1980', facility: 'Mercy General', receivedAt: '2026-10-01T09:00:00Z', processingStatus: 'complete', reviewStatus: 'reviewed', assignee: dana },
+  { id: 'b', patientName: 'Adam Smith', patientDOB: '03/02/1955', facility: 'St. Luke', receivedAt: '2026-10-03T09:00:00Z', processingStatus: 'no_text', reviewStatus: 'in_review', assignee: sam },
+  { id: 'c', patientName: '', patientDOB: '', facility: 'Mercy General', receivedAt: '2026-10-02T09:00:00Z', processingStatus: 'processing', assignee: null },
+  { id: 'd', patientName: 'Zoe Park', patientDOB: '12/24/2001', facility: '', receivedAt: null, processingStatus: 'failed', reviewStatus: 'unreviewed', assignee: { name: 'Dana Reviewer', email: 'dana@example.org' } },
+];
+
+const ids = rows => rows.map(row => row.id);
+const filter = (filters, currentUser = dana) =>
+  ids(ROWS.filter(row => matchesFilters(row, { ...DEFAULT_FILTERS, ...filters }, currentUser)));
+
+describe('sortRows', () => {
+  it('lists the newest referrals first by default', () => {
+    expect(ids(sortRows(ROWS, { key: 'receivedAt', direction: 'desc' }))).toEqual(['b', 'c', 'a', 'd']);
+  });
+
+  it('keeps rows without a value last in both directions', () => {
+    expect(ids(sortRows(ROWS, { key: 'receivedAt', direction: 'asc' }))).toEqual(['a', 'c', 'b', 'd']);
+    expect(ids(sortRows(ROWS, { key: 'patientName', direction: 'asc' }))).toEqual(['b', 'a', 'd', 'c']);
+    expect(ids(sortRows(ROWS, { key: 'patientName', direction: 'desc' }))).toEqual(['d', 'a', 'b', 'c']);
+  });
+
+  it('sorts dates of birth by date rather than as text', () => {
+    expect(ids(sortRows(ROWS, { key: 'patientDOB', direction: 'asc' }))).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  it('sorts by age with the newest referral first when ascending', () => {
+    expect(ids(sortRows(ROWS, { key: 'age', direction: 'asc' }))).toEqual(['b', 'c', 'a', 'd']);
+  });
+
+  it('sorts statuses by their label', () => {
+    expect(ids(sortRows(ROWS, { key: 'processingStatus', direction: 'asc' }))).toEqual(['a', 'd', 'b', 'c']);
+  });
+
+  it('does not change the rows it was given', () => {
+    const rows = [...ROWS];
+    sortRows(rows, { key: 'patientName', direction: 'asc' });
+    expect(ids(rows)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('matchesFilters', () => {
+  it('shows everything with the default filters', () => {
+    expect(filter({})).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('treats referrals without a review status as not reviewed', () => {
+    expect(filter({ review: 'unreviewed' })).toEqual(['c', 'd']);
+    expect(filter({ review: 'in_review' })).toEqual(['b']);
+  });
+
+  it('matches the current user by id, or by email when the assignee has no id', () => {
+    expect(filter({ assignment: 'mine' })).toEqual(['a', 'd']);
+    expect(filter({ assignment: 'mine' }, sam)).toEqual(['b']);
+    expect(filter({ assignment: 'mine' }, null)).toEqual([]);
+    expect(filter({ assignment: 'unassigned' })).toEqual(['c']);
+  });
+
+  it('groups processing statuses', () => {
+    expect(filter({ processing: 'active' })).toEqual(['c']);
+    expect(filter({ processing: 'attention' })).toEqual(['b', 'd']);
+    expect(filter({ processing: 'complete' })).toEqual(['a']);
+  });
+
+  it('combines filters', () => {
+    expect(filter({ review: 'unreviewed', processing: 'attention', assignment: 'mine' })).toEqual(['d']);
+  });
+});
+
+describe('matchesSearch', () => {
+  it('searches patient, DOB, facility, file name and assignee', () => {
+    const search = query => ids(ROWS.filter(row => matchesSearch(row, query)));
+
+    expect(search('')).toEqual(['a', 'b', 'c', 'd']);
+    expect(search('jane')).toEqual(['a']);
+    expect(search('mercy')).toEqual(['a', 'c']);
+    expect(search('1955')).toEqual(['b']);
+    expect(search('sam nurse')).toEqual(['b']);
+  });
+});
+
+describe('formatAge', () => {
+  const now = Date.parse('2026-10-03T12:00:00Z');
+
+  it('shows minutes, hours and days since the referral arrived', () => {
+    expect(formatAge('2026-10-03T11:15:00Z', now)).toBe('45m');
+    expect(formatAge('2026-10-02T09:00:00Z', now)).toBe('27h');
+    expect(formatAge('2026-09-28T12:00:00Z', now)).toBe('5d');
+    expect(formatAge(null, now)).toBe('');
+  });
+});
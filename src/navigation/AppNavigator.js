@@ -9,8 +9,13 @@ import { createStackNavigator } from '@react-navigation/stack';
 // Import only the screens needed for the streamlined workflow
 import HomeScreen from '../screens/HomeScreen';
 import DocumentUploadScreen from '../screens/DocumentUploadScreen';
+import DocumentCaptureScreen from '../screens/DocumentCaptureScreen';
 import DocumentReviewScreen from '../screens/DocumentReviewScreen';
 import PreviewPDFScreen from '../screens/PreviewPDFScreen';
+import AuditLogScreen from '../screens/AuditLogScreen';
+import AdminSettingsScreen from '../screens/AdminSettingsScreen';
+import { useUser } from '../components/AuthWrapper';
+import { PERMISSIONS } from '../shared/roles';
 
 const Stack = createStackNavigator();
 
@@ -20,13 +25,14 @@ const Stack = createStackNavigator();
  * Home → Upload → Review → PDF Preview → Home
  */
 const AppNavigator = () => {
+  const { hasPermission } = useUser();
+  
   return (
     <NavigationContainer>
       <Stack.Navigator
         initialRouteName="Home"
         screenOptions={{
           headerShown: false,
-          cardStyle: { backgroundColor: '#f7f9fc' }, // Lighter, more clinical background
           presentation: 'card',
           // Add modern transition options
           gestureEnabled: true,
@@ -70,6 +76,16 @@ const AppNavigator = () => {
           }}
         />
         
+        {/* Camera capture of paper referrals (iOS/Android) */}
+        <Stack.Screen 
+          name="DocumentCapture" 
+          component={DocumentCaptureScreen}
+          options={{ 
+            title: 'Scan Paper Referral',
+            gestureEnabled: false, // Swiping back would discard the captured pages
+          }}
+        />
+        
         {/* Document review screen - core of the workflow */}
         <Stack.Screen 
           name="DocumentReview" 
@@ -107,6 +123,28 @@ const AppNavigator = () => {
             }),
           }}
         />
+        
+        {/* Audit trail - supervisors, admins and auditors only */}
+        {hasPermission(PERMISSIONS.AUDIT_VIEW) && (
+          <Stack.Screen 
+            name="AuditLog" 
+            component={AuditLogScreen}
+            options={{ 
+              title: 'Audit Log',
+            }}
+          />
+        )}
+        
+        {/* Configuration - admins only */}
+        {hasPermission(PERMISSIONS.ADMIN_CONFIG) && (
+          <Stack.Screen 
+            name="AdminSettings" 
+            component={AdminSettingsScreen}
+            options={{ 
+              title: 'Settings',
+            }}
+          />
+        )}
       </Stack.Navigator>
     </NavigationContainer>
   );
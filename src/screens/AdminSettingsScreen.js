@@ -0,0 +1,155 @@
+/**
+ * AdminSettingsScreen.js - Read-only overview of roles and server configuration for administrators
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import EnhancedHeader from '../components/Header';
+import { useUser } from '../components/AuthWrapper';
+import { apiFetch } from '../utils/api';
+import { ROLE_LABELS } from '../shared/roles';
+import { Colors, CommonStyles } from '../styles';
+
+const SettingRow = ({ label, value }) => (
+  <View style={CommonStyles.adminRow}>
+    <Text style={CommonStyles.adminLabel}>{label}</Text>
+    <Text style={CommonStyles.adminValue}>{value === null || value === undefined || value === '' ? '—' : String(value)}</Text>
+  </View>
+);
+
+const AdminSettingsScreen = () => {
+  const { user, roleLabels } = useUser();
+  const [config, setConfig] = useState(null);
+  const [llmHealth, setLlmHealth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const [configResponse, healthResponse] = await Promise.all([
+          apiFetch('/admin/config'),
+          apiFetch('/openai/health'),
+        ]);
+
+        const configResult = await configResponse.json().catch(() => ({}));
+        if (!configResponse.ok || !configResult.success) {
+          throw new Error(configResult.details || configResult.error || `HTTP ${configResponse.status}`);
+        }
+
+        setConfig(configResult.config);
+        setLlmHealth(await healthResponse.json().catch(() => null));
+      } catch (loadError) {
+        console.error('Error loading configuration:', loadError);
+        setError(loadError.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadConfig();
+  }, []);
+
+  return (
+    <SafeAreaView style={CommonStyles.adminContainer}>
+      <EnhancedHeader
+        title="Settings"
+        showBackButton={true}
+        backgroundColor="#ffffff"
+        textColor="#2c3e50"
+      />
+
+      <ScrollView contentContainerStyle={CommonStyles.adminContent}>
+        <View style={CommonStyles.adminCard}>
+          <Text style={CommonStyles.adminTitle}>Your Account</Text>
+          <SettingRow label="Name" value={user?.displayName} />
+          <SettingRow label="Email" value={user?.mail || user?.userPrincipalName} />
+          <SettingRow label="Roles" value={roleLabels.join(', ')} />
+        </View>
+
+        {loading && <ActivityIndicator size="large" color={Colors.primary} />}
+
+        {error && !loading && (
+          <View style={CommonStyles.adminCard}>
+            <Text style={[CommonStyles.auditSummary, { color: Colors.statusFailed }]}>
+              Could not load the server configuration: {error}
+            </Text>
+          </View>
+        )}
+
+        {config && (
+          <>
+            <View style={CommonStyles.adminCard}>
+              <Text style={CommonStyles.adminTitle}>Role Assignments</Text>
+              {config.roles.groups.length === 0 ? (
+                <Text style={CommonStyles.auditSummary}>
+                  No role groups configured - members of the required group are clinical reviewers.
+                </Text>
+              ) : (
+                config.roles.groups.map(({ group, role }) => (
+                  <SettingRow key={`${group}:${role}`} label={ROLE_LABELS[role] || role} value={group} />
+                ))
+              )}
+            </View>
+
+            <View style={CommonStyles.adminCard}>
+              <Text style={CommonStyles.adminTitle}>Role Permissions</Text>
+              {Object.entries(config.roles.permissions).map(([role, permissions]) => (
+                <SettingRow key={role} label={ROLE_LABELS[role] || role} value={permissions.join(', ')} />
+              ))}
+            </View>
+
+            <View style={CommonStyles.adminCard}>
+              <Text style={CommonStyles.adminTitle}>Authentication</Text>
+              <SettingRow label="Tenant" value={config.auth.tenantId} />
+              <SettingRow label="Accepted audiences" value={config.auth.audiences.join(', ')} />
+              <SettingRow label="Required group" value={config.auth.requiredGroup} />
+              <SettingRow label="Signing keys" value={config.auth.jwksSource === 'file' ? 'Local JWKS file' : 'Tenant JWKS endpoint'} />
+              {config.auth.disabled && (
+                <SettingRow label="Warning" value="Token validation is disabled (AUTH_DISABLED)" />
+              )}
+            </View>
+
+            <View style={CommonStyles.adminCard}>
+              <Text style={CommonStyles.adminTitle}>AI Extraction</Text>
+              <SettingRow label="Provider" value={config.llm.provider} />
+              <SettingRow label="Model" value={llmHealth?.model || config.llm.model} />
+              <SettingRow label="Status" value={llmHealth?.status} />
+            </View>
+
+            <View style={CommonStyles.adminCard}>
+              <Text style={CommonStyles.adminTitle}>Storage</Text>
+              <SettingRow label="Documents" value={config.storage.documents} />
+              <SettingRow label="Audit log" value={config.storage.audit} />
+              <SettingRow label="Server mode" value={config.mode} />
+            </View>
+
+            {config.intake && (
+              <View style={CommonStyles.adminCard}>
+                <Text style={CommonStyles.adminTitle}>Intake Folder</Text>
+                <SettingRow label="Folder" value={config.intake.enabled ? config.intake.dir : 'Disabled (INTAKE_DIR not set)'} />
+                {config.intake.enabled && (
+                  <>
+                    <SettingRow label="Processed" value={config.intake.processed} />
+                    <SettingRow label="Already stored" value={config.intake.duplicates} />
+                    <SettingRow label="Failed" value={config.intake.failed} />
+                    <SettingRow label="Waiting" value={config.intake.pending} />
+                    <SettingRow label="Last checked" value={config.intake.lastScanAt && new Date(config.intake.lastScanAt).toLocaleString()} />
+                    <SettingRow label="Last error" value={config.intake.lastError} />
+                  </>
+                )}
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default AdminSettingsScreen;
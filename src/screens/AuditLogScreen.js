@@ -0,0 +1,239 @@
+/**
+ * AuditLogScreen.js - Admin view of the audit trail with patient, user and date filters
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import EnhancedHeader from '../components/Header';
+import AuditService, { AUDIT_ACTIONS } from '../services/AuditService';
+import { Colors, CommonStyles } from '../styles';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+const ACTION_DISPLAY = {
+  [AUDIT_ACTIONS.LOGIN]: { label: 'Signed in', icon: 'login' },
+  [AUDIT_ACTIONS.LOGOUT]: { label: 'Signed out', icon: 'logout' },
+  [AUDIT_ACTIONS.SESSION_EXPIRED]: { label: 'Session expired', icon: 'timer-off-outline' },
+  [AUDIT_ACTIONS.SESSION_LOCKED]: { label: 'Session locked', icon: 'lock-outline' },
+  [AUDIT_ACTIONS.SESSION_UNLOCKED]: { label: 'Session unlocked', icon: 'lock-open-variant-outline' },
+  [AUDIT_ACTIONS.DOCUMENT_VIEW]: { label: 'Viewed document', icon: 'eye-outline' },
+  [AUDIT_ACTIONS.FIELD_EDIT]: { label: 'Edited field', icon: 'pencil-outline' },
+  [AUDIT_ACTIONS.REVIEW_TOGGLE]: { label: 'Changed review state', icon: 'checkbox-marked-outline' },
+  [AUDIT_ACTIONS.REPORT_GENERATE]: { label: 'Generated report', icon: 'file-document-outline' },
+  [AUDIT_ACTIONS.REPORT_DOWNLOAD]: { label: 'Downloaded report', icon: 'download' },
+  [AUDIT_ACTIONS.DOCUMENT_INTAKE]: { label: 'Received from intake folder', icon: 'fax' },
+  [AUDIT_ACTIONS.DOCUMENT_LIST]: { label: 'Listed documents', icon: 'format-list-bulleted' },
+  [AUDIT_ACTIONS.DOCUMENT_READ]: { label: 'Opened document', icon: 'file-eye-outline' },
+  [AUDIT_ACTIONS.DOCUMENT_POSITIONS_READ]: { label: 'Loaded word positions', icon: 'text-search' },
+  [AUDIT_ACTIONS.DOCUMENT_ORIGINAL_READ]: { label: 'Opened original PDF', icon: 'file-pdf-box' },
+  [AUDIT_ACTIONS.DOCUMENT_ORIGINAL_UPLOAD]: { label: 'Uploaded original PDF', icon: 'file-upload-outline' },
+  [AUDIT_ACTIONS.DOCUMENT_UPDATE]: { label: 'Saved changes', icon: 'content-save-outline' },
+  [AUDIT_ACTIONS.DOCUMENT_DELETE]: { label: 'Deleted document', icon: 'delete-outline' },
+};
+
+const EMPTY_FILTERS = { patient: '', user: '', from: '', to: '' };
+
+const FILTER_FIELDS = [
+  { key: 'patient', label: 'Patient', placeholder: 'Patient name' },
+  { key: 'user', label: 'User', placeholder: 'Name or email' },
+  { key: 'from', label: 'From', placeholder: 'YYYY-MM-DD' },
+  { key: 'to', label: 'To', placeholder: 'YYYY-MM-DD' },
+];
+
+/**
+ * One-line description of the event details
+ */
+const describeDetails = (event) => {
+  const details = event.details || {};
+
+  switch (event.action) {
+    case AUDIT_ACTIONS.FIELD_EDIT:
+      return `${details.field}: "${details.from ?? ''}" → "${details.to ?? ''}"`;
+    case AUDIT_ACTIONS.REVIEW_TOGGLE:
+      return details.bulk
+        ? `Marked ${details.fields?.length || 0} fields reviewed`
+        : `${details.field} ${details.reviewed ? 'reviewed' : 'unreviewed'}`;
+    case AUDIT_ACTIONS.REPORT_DOWNLOAD:
+      return details.filename || '';
+    case AUDIT_ACTIONS.DOCUMENT_VIEW:
+    case AUDIT_ACTIONS.DOCUMENT_READ:
+    case AUDIT_ACTIONS.DOCUMENT_POSITIONS_READ:
+    case AUDIT_ACTIONS.DOCUMENT_ORIGINAL_READ:
+    case AUDIT_ACTIONS.DOCUMENT_ORIGINAL_UPLOAD:
+    case AUDIT_ACTIONS.DOCUMENT_DELETE:
+      return details.name || '';
+    case AUDIT_ACTIONS.DOCUMENT_LIST:
+      return `${details.count ?? 0} documents`;
+    case AUDIT_ACTIONS.DOCUMENT_UPDATE:
+      return (details.fields || []).join(', ');
+    case AUDIT_ACTIONS.DOCUMENT_INTAKE:
+      return details.file || '';
+    default:
+      return details.reason || '';
+  }
+};
+
+const AuditLogScreen = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [chainStatus, setChainStatus] = useState(null);
+
+  const loadEvents = async (activeFilters = filters) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const audit = AuditService.getInstance();
+
+      // Make sure this session's own events are included
+      await audit.flush();
+
+      const [result, verification] = await Promise.all([
+        audit.queryEvents(activeFilters),
+        audit.verifyChain(),
+      ]);
+
+      setEvents(result.events);
+      setTotal(result.total);
+      setChainStatus(verification);
+    } catch (loadError) {
+      console.error('Error loading audit log:', loadError);
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEvents();
+  }, []);
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    loadEvents(EMPTY_FILTERS);
+  };
+
+  return (
+    <SafeAreaView style={CommonStyles.adminContainer}>
+      <EnhancedHeader
+        title="Audit Log"
+        showBackButton={true}
+        backgroundColor="#ffffff"
+        textColor="#2c3e50"
+      />
+
+      <ScrollView contentContainerStyle={CommonStyles.adminContent}>
+        {/* Filters */}
+        <View style={CommonStyles.adminCard}>
+          <Text style={CommonStyles.adminTitle}>Filter Events</Text>
+
+          <View style={CommonStyles.auditFilterRow}>
+            {FILTER_FIELDS.map(field => (
+              <View key={field.key} style={CommonStyles.auditFilterField}>
+                <Text style={CommonStyles.auditFilterLabel}>{field.label}</Text>
+                <TextInput
+                  style={CommonStyles.auditFilterInput}
+                  value={filters[field.key]}
+                  placeholder={field.placeholder}
+                  placeholderTextColor={Colors.gray}
+                  autoCapitalize="none"
+                  onChangeText={(value) => setFilters(current => ({ ...current, [field.key]: value }))}
+                  onSubmitEditing={() => loadEvents()}
+                />
+              </View>
+            ))}
+          </View>
+
+          <View style={CommonStyles.auditFilterActions}>
+            <TouchableOpacity
+              style={[CommonStyles.auditButton, CommonStyles.auditButtonSecondary]}
+              onPress={handleClear}
+            >
+              <Text style={[CommonStyles.auditButtonText, CommonStyles.auditButtonSecondaryText]}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={CommonStyles.auditButton}
+              onPress={() => loadEvents()}
+              disabled={loading}
+            >
+              <Text style={CommonStyles.auditButtonText}>Search</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Hash chain integrity */}
+        {chainStatus && (
+          <View style={[
+            CommonStyles.auditChainStatus,
+            chainStatus.valid ? CommonStyles.auditChainValid : CommonStyles.auditChainBroken
+          ]}>
+            <MaterialCommunityIcons
+              name={chainStatus.valid ? 'shield-check' : 'shield-alert'}
+              size={22}
+              color={chainStatus.valid ? Colors.statusProcessed : Colors.statusFailed}
+            />
+            <Text style={CommonStyles.auditChainText}>
+              {chainStatus.valid
+                ? `Audit trail intact - ${chainStatus.entries} entries verified`
+                : `Audit trail tampered with at entry ${chainStatus.brokenAt} (${chainStatus.reason})`}
+            </Text>
+          </View>
+        )}
+
+        {/* Results */}
+        <View style={CommonStyles.adminCard}>
+          <Text style={CommonStyles.adminTitle}>Events</Text>
+
+          {loading && <ActivityIndicator size="large" color={Colors.primary} />}
+
+          {error && !loading && (
+            <Text style={[CommonStyles.auditSummary, { color: Colors.statusFailed }]}>
+              Could not load the audit log: {error}
+            </Text>
+          )}
+
+          {!loading && !error && (
+            <Text style={CommonStyles.auditSummary}>
+              {total === 0 ? 'No matching events' : `Showing ${events.length} of ${total} events, newest first`}
+            </Text>
+          )}
+
+          {!loading && events.map(event => {
+            const display = ACTION_DISPLAY[event.action] || { label: event.action, icon: 'information-outline' };
+            const details = describeDetails(event);
+
+            return (
+              <View key={event.seq} style={CommonStyles.auditEventRow}>
+                <View style={CommonStyles.auditEventHeader}>
+                  <MaterialCommunityIcons name={display.icon} size={18} color={Colors.primary} />
+                  <Text style={CommonStyles.auditEventAction}>{display.label}</Text>
+                  <Text style={CommonStyles.auditEventTime}>
+                    {new Date(event.timestamp).toLocaleString()}
+                  </Text>
+                </View>
+                <Text style={CommonStyles.auditEventMeta}>
+                  {event.user?.name || 'Unknown user'}{event.user?.email ? ` (${event.user.email})` : ''}
+                  {event.patientName ? ` · Patient: ${event.patientName}` : ''}
+                </Text>
+                {!!details && (
+                  <Text style={CommonStyles.auditEventMeta} numberOfLines={2}>{details}</Text>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default AuditLogScreen;
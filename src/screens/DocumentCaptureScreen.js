@@ -0,0 +1,445 @@
+/**
+ * DocumentCaptureScreen.js - Photograph a paper referral page by page
+ *
+ * Each photo is flattened (page edges detected, perspective corrected) as soon as
+ * it is taken. Pages can be reordered, retaken or deleted, and are then assembled
+ * into one PDF and queued for processing like any other upload.
+ *
+ * Photographed pages always need OCR, so they are processed on the API server.
+ * Builds without a server address (EXPO_PUBLIC_API_BASE_URL) cannot scan.
+ */
+import React, { useRef, useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Pressable,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Camera, CameraType } from 'expo-camera';
+import { MaterialIcons } from '@expo/vector-icons';
+import EnhancedHeader from '../components/Header';
+import ProcessingQueueService from '../services/ProcessingQueueService';
+import { PROCESSING_MODES } from '../services/PDFProcessorService';
+import { hasApiServer } from '../utils/api';
+import { processCapturedPage, discardCapturedPage, assembleCapturedPages } from '../utils/pageCapture';
+import { Colors, CommonStyles, Typography, Spacing, BorderRadius, Shadows } from '../styles';
+
+const DocumentCaptureScreen = () => {
+  const navigation = useNavigation();
+  const cameraRef = useRef(null);
+  const [permission, requestPermission] = Camera.useCameraPermissions();
+
+  const [pages, setPages] = useState([]);
+  const [showCamera, setShowCamera] = useState(true);
+  const [cameraReady, setCameraReady] = useState(false);
+  // Index of the page being retaken, null when adding a page
+  const [retakeIndex, setRetakeIndex] = useState(null);
+  const [busyMessage, setBusyMessage] = useState(null);
+
+  // Page images not handed to processing are removed when the screen closes
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+  useEffect(() => () => {
+    pagesRef.current.forEach(discardCapturedPage);
+  }, []);
+
+  const openCamera = (index = null) => {
+    setRetakeIndex(index);
+    setCameraReady(false);
+    setShowCamera(true);
+  };
+
+  const handleCapture = async () => {
+    if (!cameraRef.current || !cameraReady || busyMessage) return;
+
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 0.9 });
+      setBusyMessage('Detecting page edges...');
+      const page = await processCapturedPage(photo);
+
+      if (retakeIndex !== null) {
+        discardCapturedPage(pages[retakeIndex]);
+        setPages(current => current.map((existing, i) => (i === retakeIndex ? page : existing)));
+        setRetakeIndex(null);
+        setShowCamera(false);
+      } else {
+        setPages(current => [...current, page]);
+      }
+    } catch (error) {
+      console.error('Error capturing page:', error);
+      Alert.alert('Capture Failed', `The page could not be captured: ${error.message}`);
+    } finally {
+      setBusyMessage(null);
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    setPages(current => {
+      const target = index + offset;
+      if (target < 0 || target >= current.length) return current;
+
+      const reordered = [...current];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  const handleDelete = (index) => {
+    Alert.alert(
+      'Delete Page',
+      `Delete page ${index + 1}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            discardCapturedPage(pages[index]);
+            setPages(current => current.filter((_, i) => i !== index));
+          }
+        }
+      ]
+    );
+  };
+
+  const handleProcess = async () => {
+    if (pages.length === 0) return;
+
+    setBusyMessage('Assembling PDF...');
+    try {
+      const document = await assembleCapturedPages(pages);
+
+      ProcessingQueueService.getInstance().enqueue({
+        uri: document.uri,
+        name: document.name,
+        size: document.size,
+        processingMode: PROCESSING_MODES.SERVER
+      });
+
+      // The PDF holds the pages now
+      pages.forEach(discardCapturedPage);
+      pagesRef.current = [];
+      setPages([]);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error assembling captured pages:', error);
+      Alert.alert('Error', `Failed to create the PDF: ${error.message}`);
+    } finally {
+      setBusyMessage(null);
+    }
+  };
+
+  const renderPermissionRequest = () => (
+    <View style={styles.centered}>
+      <MaterialIcons name="no-photography" size={48} color={Colors.gray} />
+      <Text style={styles.messageText}>
+        {permission && !permission.canAskAgain
+          ? 'Camera access is turned off for MedRec. Allow it in the device settings to scan paper referrals.'
+          : 'MedRec needs camera access to scan paper referrals.'}
+      </Text>
+      {(!permission || permission.canAskAgain) && (
+        <Pressable style={CommonStyles.uploadButton} onPress={requestPermission}>
+          <Text style={CommonStyles.uploadButtonText}>Allow Camera</Text>
+        </Pressable>
+      )}
+    </View>
+  );
+
+  const renderNoServer = () => (
+    <View style={styles.centered}>
+      <MaterialIcons name="cloud-off" size={48} color={Colors.gray} />
+      <Text style={styles.messageText}>
+        Scanned pages are read on the MedRec server, but this app build has no server address.
+        Ask your administrator for a build with EXPO_PUBLIC_API_BASE_URL set.
+      </Text>
+    </View>
+  );
+
+  const renderCamera = () => (
+    <View style={styles.cameraContainer}>
+      <Camera
+        ref={cameraRef}
+        style={styles.camera}
+        type={CameraType.back}
+        onCameraReady={() => setCameraReady(true)}
+      />
+
+      <View style={styles.cameraHint}>
+        <Text style={styles.cameraHintText}>
+          {retakeIndex !== null
+            ? `Retake page ${retakeIndex + 1}`
+            : `Page ${pages.length + 1} - fit the whole page on a darker surface`}
+        </Text>
+      </View>
+
+      <View style={styles.cameraControls}>
+        <View style={styles.cameraControlSide} />
+        <Pressable
+          style={({ pressed }) => [styles.shutterButton, pressed && styles.shutterButtonPressed]}
+          onPress={handleCapture}
+          disabled={!cameraReady || !!busyMessage}
+        >
+          <View style={styles.shutterInner} />
+        </Pressable>
+        <View style={styles.cameraControlSide}>
+          {pages.length > 0 && (
+            <Pressable
+              style={styles.pagesButton}
+              onPress={() => {
+                setRetakeIndex(null);
+                setShowCamera(false);
+              }}
+              disabled={!!busyMessage}
+            >
+              <Image source={{ uri: pages[pages.length - 1].uri }} style={styles.pagesButtonThumbnail} />
+              <Text style={styles.pagesButtonText}>Done ({pages.length})</Text>
+            </Pressable>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+
+  const renderPages = () => (
+    <View style={styles.pagesContainer}>
+      <ScrollView contentContainerStyle={styles.pagesContent}>
+        {pages.length === 0 && (
+          <Text style={styles.messageText}>No pages captured yet.</Text>
+        )}
+
+        {pages.map((page, index) => (
+          <View key={page.id} style={styles.pageRow}>
+            <Image source={{ uri: page.uri }} style={styles.pageThumbnail} resizeMode="contain" />
+            <View style={styles.pageDetails}>
+              <Text style={styles.pageTitle}>Page {index + 1}</Text>
+              <Text style={[styles.pageStatus, !page.corrected && styles.pageStatusWarning]}>
+                {page.corrected ? 'Page edges found, perspective corrected' : 'No page edges found - photo used as taken'}
+              </Text>
+              <View style={CommonStyles.jobActions}>
+                <Pressable style={CommonStyles.jobActionButton} onPress={() => handleMove(index, -1)} disabled={index === 0}>
+                  <MaterialIcons name="arrow-upward" size={16} color={index === 0 ? Colors.lightGray : Colors.primary} />
+                </Pressable>
+                <Pressable style={CommonStyles.jobActionButton} onPress={() => handleMove(index, 1)} disabled={index === pages.length - 1}>
+                  <MaterialIcons name="arrow-downward" size={16} color={index === pages.length - 1 ? Colors.lightGray : Colors.primary} />
+                </Pressable>
+                <Pressable style={CommonStyles.jobActionButton} onPress={() => openCamera(index)}>
+                  <MaterialIcons name="photo-camera" size={16} color={Colors.primary} />
+                  <Text style={CommonStyles.jobActionText}>Retake</Text>
+                </Pressable>
+                <Pressable style={CommonStyles.jobActionButton} onPress={() => handleDelete(index)}>
+                  <MaterialIcons name="delete-outline" size={16} color={Colors.accent} />
+                </Pressable>
+              </View>
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+
+      <View style={styles.pagesFooter}>
+        <Pressable
+          style={({ pressed }) => [CommonStyles.uploadButton, pressed && CommonStyles.uploadButtonPressed]}
+          onPress={() => openCamera()}
+          disabled={!!busyMessage}
+        >
+          <MaterialIcons name="add-a-photo" size={24} color="#ffffff" style={CommonStyles.uploadIcon} />
+          <Text style={CommonStyles.uploadButtonText}>Add Page</Text>
+        </Pressable>
+
+        <Pressable
+          style={({ pressed }) => [
+            CommonStyles.processButton,
+            (pages.length === 0 || busyMessage) && CommonStyles.uploaderDisabledButton,
+            pressed && pages.length > 0 && CommonStyles.uploadButtonPressed
+          ]}
+          onPress={handleProcess}
+          disabled={pages.length === 0 || !!busyMessage}
+        >
+          <MaterialIcons name="send-to-mobile" size={24} color="#ffffff" style={CommonStyles.processIcon} />
+          <Text style={CommonStyles.processButtonText}>
+            {pages.length === 1 ? 'Process 1 Page' : `Process ${pages.length} Pages`}
+          </Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+
+  const renderContent = () => {
+    if (!hasApiServer()) {
+      return renderNoServer();
+    }
+    if (!permission || !permission.granted) {
+      return renderPermissionRequest();
+    }
+    return showCamera ? renderCamera() : renderPages();
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <EnhancedHeader
+        title="Scan Paper Referral"
+        showBackButton={true}
+        backgroundColor="#ffffff"
+        textColor="#2c3e50"
+      />
+
+      {renderContent()}
+
+      {busyMessage && (
+        <View style={styles.busyOverlay}>
+          <ActivityIndicator size="large" color={Colors.white} />
+          <Text style={styles.busyText}>{busyMessage}</Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f7f9fc',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: Spacing.large,
+  },
+  messageText: {
+    fontSize: Typography.size.medium,
+    color: Colors.gray,
+    textAlign: 'center',
+    lineHeight: Typography.lineHeight.normal,
+    marginVertical: Spacing.medium,
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: '#000000',
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraHint: {
+    position: 'absolute',
+    top: Spacing.medium,
+    left: Spacing.medium,
+    right: Spacing.medium,
+    alignItems: 'center',
+  },
+  cameraHintText: {
+    color: Colors.white,
+    fontSize: Typography.size.small,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    borderRadius: BorderRadius.medium,
+    paddingHorizontal: Spacing.medium,
+    paddingVertical: Spacing.small,
+    overflow: 'hidden',
+  },
+  cameraControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: Spacing.large,
+    paddingHorizontal: Spacing.large,
+    backgroundColor: '#000000',
+  },
+  cameraControlSide: {
+    width: 90,
+    alignItems: 'center',
+  },
+  shutterButton: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    borderWidth: 4,
+    borderColor: Colors.white,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  shutterButtonPressed: {
+    opacity: 0.6,
+  },
+  shutterInner: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: Colors.white,
+  },
+  pagesButton: {
+    alignItems: 'center',
+  },
+  pagesButtonThumbnail: {
+    width: 44,
+    height: 56,
+    borderRadius: BorderRadius.small,
+    borderWidth: 1,
+    borderColor: Colors.white,
+    marginBottom: 4,
+  },
+  pagesButtonText: {
+    color: Colors.white,
+    fontSize: Typography.size.small,
+  },
+  pagesContainer: {
+    flex: 1,
+  },
+  pagesContent: {
+    padding: Spacing.large,
+  },
+  pageRow: {
+    flexDirection: 'row',
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.medium,
+    padding: Spacing.medium,
+    marginBottom: Spacing.medium,
+    ...Shadows.soft,
+  },
+  pageThumbnail: {
+    width: 72,
+    height: 96,
+    backgroundColor: Colors.lightGray,
+    borderRadius: BorderRadius.small,
+    marginRight: Spacing.medium,
+  },
+  pageDetails: {
+    flex: 1,
+  },
+  pageTitle: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.black,
+  },
+  pageStatus: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginTop: 2,
+  },
+  pageStatusWarning: {
+    color: Colors.warning,
+  },
+  pagesFooter: {
+    padding: Spacing.large,
+    backgroundColor: Colors.white,
+    borderTopWidth: 1,
+    borderTopColor: Colors.lightGray,
+  },
+  busyOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  busyText: {
+    color: Colors.white,
+    fontSize: Typography.size.medium,
+    marginTop: Spacing.medium,
+  },
+});
+
+export default DocumentCaptureScreen;
@@ -16,8 +16,13 @@ import {
 import { useRoute, useNavigation } from '@react-navigation/native';
 import PDFProcessorService from '../services/PDFProcessorService';
 import MedicalFieldService from '../services/MedicalFieldService';
+import AuditService, { AUDIT_ACTIONS } from '../services/AuditService';
+import MicrosoftAuth from '../services/MicrosoftAuth';
+import { PERMISSIONS } from '../shared/roles';
 import EnhancedHeader from '../components/Header';
 import ReviewField from '../components/ReviewField';
+import { useUser } from '../components/AuthWrapper';
+import PDFPageViewer from '../components/PDFPageViewer';
 import { Colors, CommonStyles } from '../styles';
 import * as Animations from '../animations';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
@@ -26,6 +31,12 @@ const DocumentReviewScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
   const { documentId } = route.params;
+  const { user, hasPermission } = useUser();
+  
+  // Role-based capabilities - the API enforces the same rules
+  const canEdit = hasPermission(PERMISSIONS.DOCUMENT_EDIT);
+  const canSignOff = hasPermission(PERMISSIONS.REVIEW_SIGNOFF);
+  const canGenerateReport = hasPermission(PERMISSIONS.REPORT_GENERATE);
   
   // Services
   const pdfProcessor = PDFProcessorService.getInstance();
@@ -40,20 +51,69 @@ const DocumentReviewScreen = () => {
   const [reviewerCredentials, setReviewerCredentials] = useState('');
   const [extractionError, setExtractionError] = useState('');
   
+  // True while pages are still being read - fields are read-only until the final extraction
+  const [processing, setProcessing] = useState(false);
+  
   // Enhanced source highlighting state
   const [showSourceViewer, setShowSourceViewer] = useState(false);
   const [highlightedField, setHighlightedField] = useState(null);
   const [contextualBlocks, setContextualBlocks] = useState([]);
+  const [activeBlockIndex, setActiveBlockIndex] = useState(0);
   
   // Animation references
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(30)).current;
   
+  // Review state persistence - only the user's own edits are saved, never the
+  // copy that was just loaded
+  const [reloadCount, setReloadCount] = useState(0);
+  const hasChangesRef = useRef(false);
+  const pendingSaveRef = useRef(null);
+  const failedSaveRef = useRef(null);
+  
+  // Show a document's fields, review state and extraction issues
+  const applyDocument = (document) => {
+    // Check for extraction errors
+    if (document.formData.extractionMethod === 'failed' || 
+        document.formData.extractionMethod === 'error' || 
+        document.formData.extractionMethod === 'unavailable' ||
+        document.formData.error) {
+      setExtractionError(document.formData.error || 'Error during information extraction');
+    } else {
+      setExtractionError('');
+    }
+    
+    setDocumentData(document);
+    
+    // Use service to get clean form data
+    const fieldOrder = medicalFieldService.getFieldOrder();
+    const cleanFormData = {};
+    
+    fieldOrder.forEach(fieldKey => {
+      cleanFormData[fieldKey] = document.formData[fieldKey] || '';
+    });
+    
+    setFormData(cleanFormData);
+    
+    // Initialize reviewed fields from saved review state
+    const savedReviewed = document.reviewedFields || {};
+    const initialReviewed = {};
+    fieldOrder.forEach(fieldKey => {
+      initialReviewed[fieldKey] = !!savedReviewed[fieldKey];
+    });
+    setReviewedFields(initialReviewed);
+    setReviewerName(document.reviewerName || '');
+    setReviewerCredentials(document.reviewerCredentials || '');
+  };
+  
   // Existing useEffect for loading document
   useEffect(() => {
+    let unsubscribe = null;
+    
     const loadDocument = async () => {
       try {
         setLoading(true);
+        hasChangesRef.current = false;
         
         const document = await pdfProcessor.getDocumentById(documentId);
         
@@ -61,32 +121,19 @@ const DocumentReviewScreen = () => {
           throw new Error('Document not found');
         }
         
-        // Check for extraction errors
-        if (document.formData.extractionMethod === 'failed' || 
-            document.formData.extractionMethod === 'error' || 
-            document.formData.extractionMethod === 'unavailable' ||
-            document.formData.error) {
-          setExtractionError(document.formData.error || 'Error during information extraction');
-        }
-        
-        setDocumentData(document);
-        
-        // Use service to get clean form data
-        const fieldOrder = medicalFieldService.getFieldOrder();
-        const cleanFormData = {};
+        applyDocument(document);
         
-        fieldOrder.forEach(fieldKey => {
-          cleanFormData[fieldKey] = document.formData[fieldKey] || '';
+        AuditService.getInstance().log(AUDIT_ACTIONS.DOCUMENT_VIEW, {
+          documentId,
+          patientName: document.formData.patientName,
+          details: { name: document.name, reviewStatus: document.reviewStatus }
         });
         
-        setFormData(cleanFormData);
-        
-        // Initialize reviewed fields
-        const initialReviewed = {};
-        fieldOrder.forEach(fieldKey => {
-          initialReviewed[fieldKey] = false;
-        });
-        setReviewedFields(initialReviewed);
+        // Pages and fields arrive while the document is still being processed
+        if (document.processingStatus === 'processing') {
+          setProcessing(true);
+          unsubscribe = pdfProcessor.subscribeToDocument(documentId, handleProcessingUpdate);
+        }
         
         setLoading(false);
         
@@ -103,7 +150,106 @@ const DocumentReviewScreen = () => {
     };
     
     loadDocument();
-  }, [documentId]);
+    
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [documentId, reloadCount]);
+  
+  // Follow a document that is still being processed
+  const handleProcessingUpdate = (document) => {
+    if (document.processingStatus === 'processing') {
+      applyDocument(document);
+      return;
+    }
+    
+    setProcessing(false);
+    
+    if (document.processingStatus === 'failed' || document.processingStatus === 'canceled') {
+      Alert.alert(
+        'Processing Stopped',
+        document.processingStatus === 'canceled' ?
+          'Processing of this document was canceled.' :
+          `This document could not be processed: ${document.processingError}`
+      );
+      navigation.goBack();
+      return;
+    }
+    
+    // Stored under the id the server assigned - reload from there
+    if (document.id !== documentId) {
+      navigation.setParams({ documentId: document.id });
+      return;
+    }
+    
+    applyDocument(document);
+  };
+  
+  // Persist edits and review progress to the document store (debounced)
+  useEffect(() => {
+    if (!hasChangesRef.current || processing || (!canEdit && !canSignOff)) return;
+    
+    const fieldOrder = medicalFieldService.getFieldOrder();
+    const reviewedCount = fieldOrder.filter(fieldKey => reviewedFields[fieldKey]).length;
+    const reviewStatus = reviewedCount === 0 ? 'unreviewed' :
+      reviewedCount === fieldOrder.length ? 'reviewed' : 'in_review';
+    
+    const saveReviewState = () => {
+      pendingSaveRef.current = null;
+      hasChangesRef.current = false;
+      // Only send what this role may change, or the API rejects the whole update
+      const updates = {};
+      if (canEdit) {
+        updates.formData = { ...documentData?.formData, ...formData };
+      }
+      if (canSignOff) {
+        Object.assign(updates, { reviewedFields, reviewStatus, reviewerName, reviewerCredentials });
+      }
+      
+      pdfProcessor.updateDocument(documentId, updates).then(() => {
+        failedSaveRef.current = null;
+      }).catch(error => {
+        if (error.status === 409) {
+          failedSaveRef.current = null;
+          Alert.alert(
+            'Document Changed',
+            'Someone else updated this referral while you had it open, so your latest changes were not saved. It has been reloaded with their changes.'
+          );
+          setReloadCount(count => count + 1);
+          return;
+        }
+        console.warn('Failed to save review state:', error);
+        failedSaveRef.current = saveReviewState;
+      });
+    };
+    
+    pendingSaveRef.current = saveReviewState;
+    const saveTimer = setTimeout(saveReviewState, 1000);
+    
+    return () => clearTimeout(saveTimer);
+  }, [formData, reviewedFields, reviewerName, reviewerCredentials]);
+  
+  // Edits that could not be saved while the session was locked are sent once
+  // the same user unlocks - never under another user's sign-in
+  useEffect(() => {
+    const microsoftAuth = MicrosoftAuth.getInstance();
+    const handleAuthChange = (status, authUser) => {
+      if (status === 'authenticated' && authUser?.id === user?.id && failedSaveRef.current) {
+        failedSaveRef.current();
+      }
+    };
+    
+    microsoftAuth.addListener(handleAuthChange);
+    return () => microsoftAuth.removeListener(handleAuthChange);
+  }, []);
+  
+  // Flush any pending save and audit events when leaving the screen
+  useEffect(() => {
+    return () => {
+      if (pendingSaveRef.current) pendingSaveRef.current();
+      AuditService.getInstance().flush();
+    };
+  }, []);
   
   // ENHANCED: Handle showing contextual source blocks
   const handleShowSource = (fieldKey, fieldValue) => {
@@ -113,6 +259,7 @@ const DocumentReviewScreen = () => {
     if (fieldReference && fieldReference.hasSourceHighlighting) {
       setHighlightedField({ fieldKey, fieldValue });
       setContextualBlocks(fieldReference.sourcePositions);
+      setActiveBlockIndex(0);
       setShowSourceViewer(true);
     } else {
       Alert.alert('No Source Found', 'Could not locate this information in the document.');
@@ -121,6 +268,17 @@ const DocumentReviewScreen = () => {
   
   // Existing handler functions
   const handleFieldChange = (fieldKey, value) => {
+    if (!canEdit || processing) return;
+    
+    AuditService.getInstance().logFieldEdit(
+      documentId,
+      fieldKey,
+      formData[fieldKey],
+      value,
+      fieldKey === 'patientName' ? value : formData.patientName
+    );
+    
+    hasChangesRef.current = true;
     setFormData(prev => ({
       ...prev,
       [fieldKey]: value
@@ -128,12 +286,26 @@ const DocumentReviewScreen = () => {
   };
   
   const handleReviewToggle = (fieldKey, value) => {
+    if (!canSignOff || processing) return;
+    
+    AuditService.getInstance().log(AUDIT_ACTIONS.REVIEW_TOGGLE, {
+      documentId,
+      patientName: formData.patientName,
+      details: { field: fieldKey, reviewed: value }
+    });
+    
+    hasChangesRef.current = true;
     setReviewedFields(prev => ({
       ...prev,
       [fieldKey]: value
     }));
   };
   
+  const handleReviewerChange = (setter) => (value) => {
+    hasChangesRef.current = true;
+    setter(value);
+  };
+  
   // Existing utility functions
   const calculateProgress = () => {
     const fieldOrder = medicalFieldService.getFieldOrder();
@@ -153,10 +325,27 @@ const DocumentReviewScreen = () => {
     medicalFieldService.getFieldOrder().forEach(fieldKey => {
       allReviewed[fieldKey] = true;
     });
+    
+    AuditService.getInstance().log(AUDIT_ACTIONS.REVIEW_TOGGLE, {
+      documentId,
+      patientName: formData.patientName,
+      details: {
+        fields: Object.keys(allReviewed).filter(fieldKey => !reviewedFields[fieldKey]),
+        reviewed: true,
+        bulk: true
+      }
+    });
+    
+    hasChangesRef.current = true;
     setReviewedFields(allReviewed);
   };
   
   const generatePDF = () => {
+    if (!canGenerateReport) {
+      Alert.alert('Not Permitted', 'Your role cannot generate clinical reports.');
+      return;
+    }
+    
     if (!allFieldsReviewed()) {
       Alert.alert('Error', 'Please review all fields before generating a report.');
       return;
@@ -167,6 +356,12 @@ const DocumentReviewScreen = () => {
       return;
     }
     
+    AuditService.getInstance().log(AUDIT_ACTIONS.REPORT_GENERATE, {
+      documentId,
+      patientName: formData.patientName,
+      details: { reviewerName, reviewerCredentials }
+    });
+    
     navigation.navigate('PDFPreview', {
       documentId,
       formData,
@@ -208,6 +403,8 @@ const DocumentReviewScreen = () => {
   const fieldOrder = medicalFieldService.getFieldOrder();
   const reviewedCount = fieldOrder.filter(fieldKey => reviewedFields[fieldKey]).length;
   const progressPercent = Math.round(calculateProgress() * 100);
+  const receivedPages = documentData?.receivedPages || [];
+  const failedPages = documentData?.failedPages || [];
   
   return (
     <SafeAreaView style={CommonStyles.screenContainer}>
@@ -261,7 +458,48 @@ const DocumentReviewScreen = () => {
                 Processed on {new Date(documentData?.date).toLocaleDateString()}
               </Text>
               
-              {extractionError && (
+              {processing && (
+                <View style={CommonStyles.warningContainer}>
+                  <Text style={[CommonStyles.messageTitle, CommonStyles.warningTitle]}>
+                    Still Processing - {receivedPages.length} of {documentData?.pages} pages read
+                  </Text>
+                  <Text style={CommonStyles.messageText}>
+                    Fields fill in as the AI works through the pages read so far. Editing and sign-off unlock when processing finishes.
+                  </Text>
+                  {receivedPages.map(page => (
+                    <View key={page.pageNum} style={styles.receivedPage}>
+                      <Text style={styles.receivedPageTitle}>
+                        Page {page.pageNum}
+                        {page.error ? ' · could not be read' :
+                          ` · ${page.source === 'pdf-text' ? 'text layer' : (typeof page.confidence === 'number' ? `OCR ${Math.round(page.confidence)}%` : 'OCR')}`}
+                      </Text>
+                      {!!page.text && (
+                        <Text style={styles.receivedPageText} numberOfLines={2}>
+                          {page.text}
+                        </Text>
+                      )}
+                    </View>
+                  ))}
+                </View>
+              )}
+              
+              {!processing && failedPages.length > 0 && (
+                <View style={CommonStyles.warningContainer}>
+                  <Text style={[CommonStyles.messageTitle, CommonStyles.warningTitle]}>
+                    {failedPages.length === 1 ? 'Page' : 'Pages'} {failedPages.map(page => page.pageNum).join(', ')} could not be read
+                  </Text>
+                  <Text style={CommonStyles.messageText}>
+                    No text was extracted from {failedPages.length === 1 ? 'this page' : 'these pages'}, so fields found only there are missing. Check them against the original document.
+                  </Text>
+                  {failedPages.map(page => !!page.error && (
+                    <Text key={page.pageNum} style={styles.receivedPageText}>
+                      Page {page.pageNum}: {page.error}
+                    </Text>
+                  ))}
+                </View>
+              )}
+              
+              {!processing && extractionError && (
                 <View style={CommonStyles.errorContainer}>
                   <Text style={[CommonStyles.messageTitle, CommonStyles.errorTitle]}>
                     AI Extraction Issue
@@ -298,6 +536,8 @@ const DocumentReviewScreen = () => {
                       onValueChange={(newValue) => handleFieldChange(fieldKey, newValue)}
                       isReviewed={reviewedFields[fieldKey] || false}
                       onReviewChange={(newValue) => handleReviewToggle(fieldKey, newValue)}
+                      editable={canEdit && !processing}
+                      canReview={canSignOff && !processing}
                       aiReasoning={aiReasoning}
                       hasSourceHighlighting={hasSourceHighlighting}
                       onShowSource={handleShowSource}
@@ -306,13 +546,15 @@ const DocumentReviewScreen = () => {
                 })}
               </View>
               
-              <TouchableOpacity
-                style={CommonStyles.secondaryButton}
-                onPress={markAllAsReviewed}
-                activeOpacity={0.8}
-              >
-                <Text style={CommonStyles.secondaryButtonText}>Mark All as Reviewed</Text>
-              </TouchableOpacity>
+              {canSignOff && !processing && (
+                <TouchableOpacity
+                  style={CommonStyles.secondaryButton}
+                  onPress={markAllAsReviewed}
+                  activeOpacity={0.8}
+                >
+                  <Text style={CommonStyles.secondaryButtonText}>Mark All as Reviewed</Text>
+                </TouchableOpacity>
+              )}
             </View>
             
             {/* Reviewer Authentication */}
@@ -322,12 +564,19 @@ const DocumentReviewScreen = () => {
                 <Text style={CommonStyles.sectionTitle}>Clinician Authentication</Text>
               </View>
               
+              {!canSignOff && (
+                <Text style={CommonStyles.sectionDescription}>
+                  Sign-off requires the Clinical Reviewer role.
+                </Text>
+              )}
+              
               <View style={{ marginBottom: 20 }}>
                 <Text style={CommonStyles.inputLabel}>Reviewer Name*</Text>
                 <TextInput
                   style={CommonStyles.input}
                   value={reviewerName}
-                  onChangeText={setReviewerName}
+                  onChangeText={handleReviewerChange(setReviewerName)}
+                  editable={canSignOff && !processing}
                   placeholder="Enter your full name"
                   placeholderTextColor={Colors.gray}
                 />
@@ -336,7 +585,8 @@ const DocumentReviewScreen = () => {
                 <TextInput
                   style={CommonStyles.input}
                   value={reviewerCredentials}
-                  onChangeText={setReviewerCredentials}
+                  onChangeText={handleReviewerChange(setReviewerCredentials)}
+                  editable={canSignOff && !processing}
                   placeholder="e.g., RN, BSN, CPN"
                   placeholderTextColor={Colors.gray}
                 />
@@ -351,22 +601,24 @@ const DocumentReviewScreen = () => {
                 </View>
               </View>
               
-              <TouchableOpacity
-                style={[
-                  CommonStyles.primaryButton,
-                  (!allFieldsReviewed() || !reviewerName.trim()) && CommonStyles.disabledButton
-                ]}
-                onPress={generatePDF}
-                disabled={!allFieldsReviewed() || !reviewerName.trim()}
-                activeOpacity={0.8}
-              >
-                <Text style={[
-                  CommonStyles.primaryButtonText,
-                  (!allFieldsReviewed() || !reviewerName.trim()) && CommonStyles.disabledButtonText
-                ]}>
-                  Generate Clinical Report
-                </Text>
-              </TouchableOpacity>
+              {canGenerateReport && (
+                <TouchableOpacity
+                  style={[
+                    CommonStyles.primaryButton,
+                    (!allFieldsReviewed() || !reviewerName.trim()) && CommonStyles.disabledButton
+                  ]}
+                  onPress={generatePDF}
+                  disabled={!allFieldsReviewed() || !reviewerName.trim()}
+                  activeOpacity={0.8}
+                >
+                  <Text style={[
+                    CommonStyles.primaryButtonText,
+                    (!allFieldsReviewed() || !reviewerName.trim()) && CommonStyles.disabledButtonText
+                  ]}>
+                    Generate Clinical Report
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
           </View>
         </Animated.View>
@@ -396,6 +648,18 @@ const DocumentReviewScreen = () => {
             </View>
           </View>
           
+          {/* Rendered page with the source locations drawn on it */}
+          {documentData?.uri && contextualBlocks.length > 0 && (
+            <View style={Platform.OS === 'web' ? styles.pageViewerPane : null}>
+              <PDFPageViewer
+                uri={documentData.uri}
+                highlights={contextualBlocks}
+                activeIndex={activeBlockIndex}
+                onActiveIndexChange={setActiveBlockIndex}
+              />
+            </View>
+          )}
+          
           <ScrollView 
             style={[
               styles.sourceViewerContent,
@@ -407,7 +671,12 @@ const DocumentReviewScreen = () => {
               const { before, highlighted, after } = formatContextText(block);
               
               return (
-                <View key={index} style={styles.contextualBlock}>
+                <TouchableOpacity
+                  key={index}
+                  style={[styles.contextualBlock, index === activeBlockIndex && styles.contextualBlockActive]}
+                  onPress={() => setActiveBlockIndex(index)}
+                  activeOpacity={0.8}
+                >
                   <View style={styles.blockHeader}>
                     <View style={styles.blockHeaderLeft}>
                       <MaterialCommunityIcons 
@@ -422,10 +691,10 @@ const DocumentReviewScreen = () => {
                     </View>
                     <View style={styles.blockHeaderRight}>
                       <Text style={styles.blockConfidence}>
-                        {Math.round(block.confidence)}% confidence
+                        {typeof block.confidence === 'number' ? `${Math.round(block.confidence)}% OCR confidence` : 'OCR'}
                       </Text>
                       <Text style={styles.blockType}>
-                        {block.matchType} match
+                        {block.matchType} match{typeof block.matchScore === 'number' ? ` · ${block.matchScore}%` : ''}
                       </Text>
                     </View>
                   </View>
@@ -443,7 +712,7 @@ const DocumentReviewScreen = () => {
                       Position: ({Math.round(block.x)}, {Math.round(block.y)}) | {block.wordCount} words | {block.source} source
                     </Text>
                   </View>
-                </View>
+                </TouchableOpacity>
               );
             })}
             
@@ -535,6 +804,15 @@ const styles = {
     shadowOpacity: 0.1,
     shadowRadius: 2,
   },
+  contextualBlockActive: {
+    borderWidth: 2,
+    borderColor: Colors.primary,
+  },
+  pageViewerPane: {
+    height: '60%',
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.reviewBorder,
+  },
   blockHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -618,6 +896,22 @@ const styles = {
     textAlign: 'center',
     lineHeight: 20,
   },
+  receivedPage: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: Colors.reviewBorder,
+  },
+  receivedPageTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: Colors.black,
+  },
+  receivedPageText: {
+    fontSize: 13,
+    color: Colors.gray,
+    marginTop: 2,
+  },
 };
 
 export default DocumentReviewScreen;
\ No newline at end of file
@@ -8,13 +8,16 @@ import {
   StyleSheet, 
   SafeAreaView,
   ScrollView,
-  Animated
+  Animated,
+  Pressable
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import DocumentUploader from '../components/DocumentUploader';
 import EnhancedHeader from '../components/Header';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../styles';
 import * as Animations from '../animations';
+import { isWeb } from '../utils/platform';
+import { MAX_DOCUMENT_SIZE_MB } from '../utils/documentUtils';
 import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
 
 const DocumentUploadScreen = () => {
@@ -73,7 +76,7 @@ const DocumentUploadScreen = () => {
               <Text style={styles.cardTitle}>Medical Referral Upload</Text>
             </View>
             <Text style={styles.cardSubtitle}>
-              Upload a medical referral PDF for AI-powered processing
+              Upload one or more medical referrals - PDFs, faxes or photos - for AI-powered processing
             </Text>
           </View>
           
@@ -82,7 +85,7 @@ const DocumentUploadScreen = () => {
               <View style={[styles.stepIcon, styles.uploadIcon]}>
                 <MaterialIcons name="file-upload" size={22} color={Colors.primary} />
               </View>
-              <Text style={styles.stepText}>Select PDF</Text>
+              <Text style={styles.stepText}>Select Files</Text>
             </View>
             
             <View style={styles.stepConnector} />
@@ -110,6 +113,17 @@ const DocumentUploadScreen = () => {
               onError={handleProcessingError}
             />
           </View>
+
+          {/* Paper packets are photographed page by page */}
+          {!isWeb && (
+            <Pressable
+              style={({pressed}) => [styles.scanButton, pressed && styles.scanButtonPressed]}
+              onPress={() => navigation.navigate('DocumentCapture')}
+            >
+              <MaterialIcons name="document-scanner" size={22} color={Colors.primary} />
+              <Text style={styles.scanButtonText}>Scan Paper Pages</Text>
+            </Pressable>
+          )}
         </Animated.View>
         
         <Animated.View 
@@ -124,11 +138,11 @@ const DocumentUploadScreen = () => {
           <Text style={styles.infoTitle}>Document Requirements</Text>
           <View style={styles.infoItem}>
             <FontAwesome5 name="file-pdf" size={14} color={Colors.primary} style={styles.infoIcon} />
-            <Text style={styles.infoText}>PDF format only</Text>
+            <Text style={styles.infoText}>PDF, TIFF (including multi-page faxes), JPEG or PNG</Text>
           </View>
           <View style={styles.infoItem}>
             <FontAwesome5 name="weight" size={14} color={Colors.primary} style={styles.infoIcon} />
-            <Text style={styles.infoText}>Maximum size: 10MB</Text>
+            <Text style={styles.infoText}>Maximum size: {MAX_DOCUMENT_SIZE_MB}MB per file</Text>
           </View>
           <View style={styles.infoItem}>
             <MaterialIcons name="description" size={14} color={Colors.primary} style={styles.infoIcon} />
@@ -231,6 +245,25 @@ const styles = StyleSheet.create({
   uploaderContainer: {
     width: '100%',
   },
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderRadius: BorderRadius.medium,
+    paddingVertical: Spacing.medium,
+    marginTop: Spacing.medium,
+  },
+  scanButtonPressed: {
+    backgroundColor: Colors.primaryLight,
+  },
+  scanButtonText: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.primary,
+    marginLeft: Spacing.small,
+  },
   infoCard: {
     backgroundColor: Colors.white,
     borderRadius: BorderRadius.medium,
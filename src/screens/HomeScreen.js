@@ -1,7 +1,7 @@
 /**
  * HomeScreen.js - Modern clinical dashboard focused on document review
  */
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
@@ -11,13 +11,18 @@ import {
   Animated,
   Image,
 } from 'react-native';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import Header from '../components/Header';
+import WorklistTable from '../components/WorklistTable';
 import PDFProcessorService from '../services/PDFProcessorService';
+import DocumentStoreService from '../services/DocumentStoreService';
+import ProcessingQueueService, { JOB_STATUS } from '../services/ProcessingQueueService';
 import MedicalFieldService from '../services/MedicalFieldService';
 import { Colors, CommonStyles } from '../styles';
 import * as Animations from '../animations';
 import Footer from '../components/Footer';
+import { useUser } from '../components/AuthWrapper';
+import { PERMISSIONS } from '../shared/roles';
 
 // Import icons from Expo vector icons
 import { 
@@ -27,9 +32,32 @@ import {
   MaterialCommunityIcons 
 } from '@expo/vector-icons';
 
+// Queue jobs shown in the worklist until their document is in the store
+const JOB_PROCESSING_STATUS = {
+  [JOB_STATUS.QUEUED]: 'queued',
+  [JOB_STATUS.PROCESSING]: 'processing',
+  [JOB_STATUS.ERROR]: 'failed',
+};
+
 const HomeScreen = () => {
   const navigation = useNavigation();
+  const { user, hasPermission } = useUser();
   const [loading, setLoading] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [worklistError, setWorklistError] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const completedJobs = useRef(null);
+  
+  const canUpload = hasPermission(PERMISSIONS.DOCUMENT_UPLOAD);
+  const canViewWorklist = hasPermission(PERMISSIONS.DOCUMENT_VIEW);
+  const canAssign = hasPermission(PERMISSIONS.DOCUMENT_EDIT);
+  
+  // Worklist identity, in the same shape the audit trail records
+  const currentUser = useMemo(() => (user ? {
+    id: user.id || null,
+    name: user.displayName || user.mail || user.userPrincipalName,
+    email: user.mail || user.userPrincipalName || null,
+  } : null), [user]);
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -45,6 +73,79 @@ const HomeScreen = () => {
     ]).start();
   }, []);
   
+  const loadDocuments = useCallback(async () => {
+    if (!canViewWorklist) return;
+    
+    setLoading(true);
+    setWorklistError(null);
+    
+    try {
+      setDocuments(await DocumentStoreService.getInstance().listDocuments());
+    } catch (error) {
+      console.error('Error loading worklist:', error);
+      setWorklistError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [canViewWorklist]);
+  
+  // Reload whenever the screen comes back into view, e.g. after a review
+  useFocusEffect(useCallback(() => {
+    loadDocuments();
+  }, [loadDocuments]));
+  
+  // Follow the processing queue, and pick up each document as it completes
+  useEffect(() => {
+    return ProcessingQueueService.getInstance().subscribe(queueJobs => {
+      const completed = queueJobs.filter(job => job.status === JOB_STATUS.COMPLETE).length;
+      if (completedJobs.current !== null && completed > completedJobs.current) {
+        loadDocuments();
+      }
+      completedJobs.current = completed;
+      setJobs(queueJobs);
+    });
+  }, [loadDocuments]);
+  
+  const worklistRows = useMemo(() => {
+    const storedIds = new Set(documents.map(document => document.id));
+    const jobRows = jobs
+      .filter(job => JOB_PROCESSING_STATUS[job.status] && !storedIds.has(job.documentId))
+      .map(job => ({
+        id: job.documentId,
+        jobId: job.id,
+        name: job.name,
+        receivedAt: job.createdAt,
+        processingStatus: JOB_PROCESSING_STATUS[job.status],
+        reviewStatus: 'unreviewed',
+        assignee: null,
+      }));
+    
+    return [...jobRows, ...documents];
+  }, [documents, jobs]);
+  
+  const handleOpenDocument = (row) => {
+    navigation.navigate('DocumentReview', { documentId: row.id });
+  };
+  
+  const handleAssign = async (row, assignee) => {
+    try {
+      const updated = await PDFProcessorService.getInstance().updateDocument(row.id, { assignee }, { version: row.version });
+      setDocuments(current => current.map(document =>
+        document.id === row.id ?
+          { ...document, assignee: updated ? updated.assignee : assignee, version: updated ? updated.version : document.version } :
+          document
+      ));
+    } catch (error) {
+      if (error.status === 409) {
+        await loadDocuments();
+        setWorklistError(`${row.name} was changed by someone else - check the refreshed worklist and try again`);
+        return;
+      }
+      console.error('Error updating assignee:', error);
+      setWorklistError(error.message);
+    }
+  };
+  
   // NEW: Handle blank form navigation
   const handleBlankFormPress = () => {
     // Create a blank document entry for the review screen
@@ -184,14 +285,48 @@ const HomeScreen = () => {
               </View>
             </View>
             
-            <TouchableOpacity
-              style={CommonStyles.homeBeginButton}
-              onPress={() => navigation.navigate('DocumentUpload')}
-            >
-              <Text style={CommonStyles.homeBeginButtonText}>Begin Document Review</Text>
-            </TouchableOpacity>
+            {canUpload && (
+              <TouchableOpacity
+                style={CommonStyles.homeBeginButton}
+                onPress={() => navigation.navigate('DocumentUpload')}
+              >
+                <Text style={CommonStyles.homeBeginButtonText}>Begin Document Review</Text>
+              </TouchableOpacity>
+            )}
           </Animated.View>
           
+          {/* Referral worklist */}
+          {canViewWorklist && (
+            <Animated.View
+              style={[
+                CommonStyles.homeMainActionCard,
+                {
+                  opacity: fadeAnim,
+                  transform: [{ translateY: slideAnim }]
+                }
+              ]}
+            >
+              <View style={CommonStyles.homeWorklistHeader}>
+                <View style={CommonStyles.homeCardTitleContainer}>
+                  <View style={CommonStyles.homeCardTitleIcon} />
+                  <Text style={CommonStyles.homeCardTitle}>Referral Worklist</Text>
+                </View>
+                <TouchableOpacity onPress={loadDocuments} disabled={loading}>
+                  <MaterialIcons name="refresh" size={24} color={loading ? Colors.gray : Colors.primary} />
+                </TouchableOpacity>
+              </View>
+              
+              <WorklistTable
+                rows={worklistRows}
+                currentUser={currentUser}
+                onOpen={handleOpenDocument}
+                onAssign={canAssign ? handleAssign : undefined}
+                loading={loading}
+                error={worklistError}
+              />
+            </Animated.View>
+          )}
+          
           {/* Quick actions - UPDATED */}
           <Animated.View
             style={[
@@ -205,26 +340,54 @@ const HomeScreen = () => {
             <Text style={CommonStyles.homeSectionTitle}>Quick Actions</Text>
             
             <View style={CommonStyles.homeActionButtonsContainer}>
-              <TouchableOpacity
-                style={CommonStyles.homeActionButton}
-                onPress={() => navigation.navigate('DocumentUpload')}
-              >
-                <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionUploadIcon]}>
-                  <Ionicons name="document-text-outline" size={28} color={Colors.primary} />
-                </View>
-                <Text style={CommonStyles.homeActionLabel}>Upload & Review</Text>
-              </TouchableOpacity>
+              {canUpload && (
+                <TouchableOpacity
+                  style={CommonStyles.homeActionButton}
+                  onPress={() => navigation.navigate('DocumentUpload')}
+                >
+                  <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionUploadIcon]}>
+                    <Ionicons name="document-text-outline" size={28} color={Colors.primary} />
+                  </View>
+                  <Text style={CommonStyles.homeActionLabel}>Upload & Review</Text>
+                </TouchableOpacity>
+              )}
               
               {/* UPDATED: Add onPress handler for blank form */}
-              <TouchableOpacity
-                style={CommonStyles.homeActionButton}
-                onPress={handleBlankFormPress}
-              >
-                <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionFillFormIcon]}>
-                  <MaterialIcons name="edit-document" size={28} color={Colors.secondary} />
-                </View>
-                <Text style={CommonStyles.homeActionLabel}>Blank Form</Text>
-              </TouchableOpacity>
+              {hasPermission(PERMISSIONS.DOCUMENT_EDIT) && (
+                <TouchableOpacity
+                  style={CommonStyles.homeActionButton}
+                  onPress={handleBlankFormPress}
+                >
+                  <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionFillFormIcon]}>
+                    <MaterialIcons name="edit-document" size={28} color={Colors.secondary} />
+                  </View>
+                  <Text style={CommonStyles.homeActionLabel}>Blank Form</Text>
+                </TouchableOpacity>
+              )}
+              
+              {hasPermission(PERMISSIONS.AUDIT_VIEW) && (
+                <TouchableOpacity
+                  style={CommonStyles.homeActionButton}
+                  onPress={() => navigation.navigate('AuditLog')}
+                >
+                  <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionAuditIcon]}>
+                    <MaterialCommunityIcons name="shield-search" size={28} color={Colors.gray} />
+                  </View>
+                  <Text style={CommonStyles.homeActionLabel}>Audit Log</Text>
+                </TouchableOpacity>
+              )}
+              
+              {hasPermission(PERMISSIONS.ADMIN_CONFIG) && (
+                <TouchableOpacity
+                  style={CommonStyles.homeActionButton}
+                  onPress={() => navigation.navigate('AdminSettings')}
+                >
+                  <View style={[CommonStyles.homeActionIcon, CommonStyles.homeActionAuditIcon]}>
+                    <MaterialCommunityIcons name="cog-outline" size={28} color={Colors.gray} />
+                  </View>
+                  <Text style={CommonStyles.homeActionLabel}>Settings</Text>
+                </TouchableOpacity>
+              )}
             </View>
           </Animated.View>
           
@@ -18,6 +18,7 @@ import EnhancedHeader from '../components/Header';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../styles';
 import * as FileSystem from 'expo-file-system';
 import { isWeb } from '../utils/platform';
+import AuditService, { AUDIT_ACTIONS } from '../services/AuditService';
 
 // For web PDF generation
 import jsPDF from 'jspdf';
@@ -393,6 +394,13 @@ const PDFPreviewScreen = () => {
         link.click();
         document.body.removeChild(link);
         
+        AuditService.getInstance().log(AUDIT_ACTIONS.REPORT_DOWNLOAD, {
+          documentId,
+          patientName: formData.patientName,
+          details: { filename, reviewerName },
+          immediate: true
+        });
+        
         // Show success alert for web
         setTimeout(() => {
           Alert.alert('Success', 'PDF downloaded successfully');
@@ -409,6 +417,13 @@ const PDFPreviewScreen = () => {
           encoding: FileSystem.EncodingType.Base64 
         });
         
+        AuditService.getInstance().log(AUDIT_ACTIONS.REPORT_DOWNLOAD, {
+          documentId,
+          patientName: formData.patientName,
+          details: { filename, reviewerName },
+          immediate: true
+        });
+        
         // Show success message
         Alert.alert('Success', `PDF saved to ${fileUri}`);
       }
@@ -0,0 +1,295 @@
+/**
+ * AuditService - Sends access and edit events to the backend audit log (/api/audit)
+ *
+ * Events are stamped with the signed-in Microsoft identity when they happen and
+ * sent in batches. Keystroke-level field edits are coalesced into one event per
+ * field and edit session.
+ */
+import { Platform } from 'react-native';
+import { apiFetch, getAuthHeaders } from '../utils/api';
+
+export const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGOUT: 'auth.logout',
+  SESSION_EXPIRED: 'auth.session_expired',
+  SESSION_LOCKED: 'auth.session_locked',
+  SESSION_UNLOCKED: 'auth.session_unlocked',
+  DOCUMENT_VIEW: 'document.view',
+  FIELD_EDIT: 'document.field_edit',
+  REVIEW_TOGGLE: 'document.review_toggle',
+  REPORT_GENERATE: 'report.generate',
+  REPORT_DOWNLOAD: 'report.download',
+  // Recorded by the server: the intake folder watcher and the document API.
+  // Listed for display only - the server refuses them from clients.
+  DOCUMENT_INTAKE: 'document.intake',
+  DOCUMENT_LIST: 'document.list',
+  DOCUMENT_READ: 'document.read',
+  DOCUMENT_POSITIONS_READ: 'document.positions_read',
+  DOCUMENT_ORIGINAL_READ: 'document.original_read',
+  DOCUMENT_ORIGINAL_UPLOAD: 'document.original_upload',
+  DOCUMENT_UPDATE: 'document.update',
+  DOCUMENT_DELETE: 'document.delete',
+};
+
+// Delay before queued events are sent
+const FLUSH_DELAY = 2000;
+
+// A field edit is closed after this long without another keystroke
+const EDIT_IDLE_TIME = 5000;
+
+// Matches the backend batch limit
+const MAX_BATCH_SIZE = 100;
+
+class AuditService {
+  static instance;
+
+  constructor() {
+    this.identity = null;
+    this.queue = [];
+    // Batches bound to the access token they are sent with: { userId, headers, events }
+    this.outbox = [];
+    this.pendingEdits = new Map();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+
+    // Last chance to send queued events before the tab goes away
+    if (Platform.OS === 'web' && typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => this.flush({ keepalive: true }));
+    }
+  }
+
+  static getInstance() {
+    if (!AuditService.instance) {
+      AuditService.instance = new AuditService();
+    }
+    return AuditService.instance;
+  }
+
+  /**
+   * Identity attached to subsequent events
+   * @param {Object|null} user - Microsoft Graph /me profile
+   */
+  setIdentity(user) {
+    this.identity = user
+      ? {
+        id: user.id || null,
+        name: user.displayName || null,
+        email: user.mail || user.userPrincipalName || null,
+      }
+      : null;
+  }
+
+  getIdentity() {
+    return this.identity;
+  }
+
+  /**
+   * Queue an event
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Object} options - { documentId, patientName, details, immediate }
+   */
+  log(action, options = {}) {
+    this.queue.push({
+      action,
+      user: this.identity,
+      documentId: options.documentId || null,
+      patientName: options.patientName || null,
+      details: options.details || {},
+      timestamp: new Date().toISOString(),
+    });
+
+    if (options.immediate) {
+      return this.flush();
+    }
+
+    this.scheduleFlush();
+    return Promise.resolve();
+  }
+
+  /**
+   * Record a field edit. Successive changes to the same field are merged and
+   * logged once the user stops typing, keeping the first and last value.
+   */
+  logFieldEdit(documentId, field, previousValue, newValue, patientName) {
+    const key = `${documentId}:${field}`;
+    const pending = this.pendingEdits.get(key);
+
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.to = newValue;
+      pending.changes += 1;
+      if (patientName) pending.patientName = patientName;
+    } else {
+      this.pendingEdits.set(key, {
+        documentId,
+        field,
+        from: previousValue,
+        to: newValue,
+        changes: 1,
+        patientName,
+        user: this.identity,
+        startedAt: new Date().toISOString(),
+      });
+    }
+
+    this.pendingEdits.get(key).timer = setTimeout(() => this.closeFieldEdit(key), EDIT_IDLE_TIME);
+  }
+
+  closeFieldEdit(key) {
+    const edit = this.pendingEdits.get(key);
+    if (!edit) return;
+
+    clearTimeout(edit.timer);
+    this.pendingEdits.delete(key);
+
+    // Typed and then reverted - nothing changed
+    if (edit.from === edit.to) return;
+
+    this.queue.push({
+      action: AUDIT_ACTIONS.FIELD_EDIT,
+      user: edit.user,
+      documentId: edit.documentId,
+      patientName: edit.patientName || null,
+      details: {
+        field: edit.field,
+        from: edit.from,
+        to: edit.to,
+        changes: edit.changes,
+        startedAt: edit.startedAt,
+      },
+      timestamp: new Date().toISOString(),
+    });
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY);
+  }
+
+  /**
+   * Send everything queued, including open field edits.
+   *
+   * Queued events are bound to the current access token here, so a batch that
+   * has to be retried later (e.g. after the session locked and another user
+   * signed in) is still sent with the token of the user who caused it. While
+   * signed out or locked, events wait for the next sign-in.
+   */
+  flush(options = {}) {
+    Array.from(this.pendingEdits.keys()).forEach(key => this.closeFieldEdit(key));
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const headers = getAuthHeaders();
+    const currentId = this.identity?.id || null;
+
+    if (headers.Authorization && this.queue.length > 0) {
+      // Events of a previous user that were never bound to their token cannot be sent with this one
+      const foreign = this.queue.filter(event => event.user?.id && event.user.id !== currentId);
+      if (foreign.length > 0) {
+        console.warn(`⚠️ Dropping ${foreign.length} audit events of a previous user that could not be sent with their token`);
+      }
+
+      const events = this.queue.filter(event => !foreign.includes(event));
+      this.queue = [];
+      while (events.length > 0) {
+        this.outbox.push({ userId: currentId, headers, events: events.splice(0, MAX_BATCH_SIZE) });
+      }
+    }
+
+    // Chained so the server receives batches in the order they were logged
+    this.flushing = this.flushing.then(() => this.sendQueued(options));
+    return this.flushing;
+  }
+
+  /**
+   * Send the bound batches in order. Network errors and 5xx answers keep the
+   * batch for the next flush; a batch the server refuses with 4xx would be
+   * refused again, so it is dropped and logged.
+   */
+  async sendQueued(options = {}) {
+    while (this.outbox.length > 0) {
+      const batch = this.outbox[0];
+      let response;
+
+      try {
+        response = await apiFetch('/audit/events', {
+          method: 'POST',
+          headers: { ...batch.headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ events: batch.events }),
+          keepalive: !!options.keepalive,
+          // A renewed token belongs to whoever is signed in now
+          renewToken: batch.userId === (this.identity?.id || null),
+        });
+      } catch (error) {
+        console.error('❌ Failed to send audit events:', error);
+        this.scheduleFlush();
+        return;
+      }
+
+      if (response.status >= 500) {
+        console.error(`❌ Failed to send audit events: HTTP ${response.status}`);
+        this.scheduleFlush();
+        return;
+      }
+
+      this.outbox.shift();
+
+      if (response.status === 401) {
+        // The token expired before the batch went out - bind it again on the next flush
+        this.queue.unshift(...batch.events);
+        this.scheduleFlush();
+        return;
+      }
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        console.error(`❌ Audit server refused ${batch.events.length} events (HTTP ${response.status}: ${result.error || response.statusText}) - dropped`, batch.events);
+      }
+    }
+  }
+
+  /**
+   * Query the audit log
+   * @param {Object} filters - { patient, user, documentId, action, from, to, limit, offset }
+   */
+  async queryEvents(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    });
+
+    const response = await apiFetch(`/audit/events?${params}`);
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(`Audit query failed: ${result.error || `HTTP ${response.status}`}`);
+    }
+
+    return { events: result.events || [], total: result.total || 0 };
+  }
+
+  /**
+   * Ask the server to check the hash chain
+   */
+  async verifyChain() {
+    const response = await apiFetch('/audit/verify');
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(`Audit verification failed: ${result.error || `HTTP ${response.status}`}`);
+    }
+
+    return result;
+  }
+}
+
+export default AuditService;
@@ -1,17 +1,27 @@
 /**
  * AzureOpenAIService - Clean production version without debug statements
  */
-import MedicalFieldService from './MedicalFieldService';
+import { getApiBaseUrl, apiFetch } from '../utils/api';
+import { buildChunks, createChunkBuilder } from '../shared/textChunking';
+import { mergeExtractionResults } from '../shared/extractionMerge';
+import { fieldsToFormData, getProviderLabel } from '../shared/processedDocument';
 
 class AzureOpenAIService {
   static instance;
 
   constructor() {
-    this.medicalFieldService = MedicalFieldService.getInstance();
     this.progressCallback = null;
     
     // Smart API endpoint detection
     this.apiEndpoint = this.getApiEndpoint();
+    
+    // Long documents are extracted in chunks of this many (estimated) tokens
+    this.chunkTokenBudget = parseInt(process.env.EXPO_PUBLIC_EXTRACTION_CHUNK_TOKENS, 10) || 6000;
+    this.chunkConcurrency = 2;
+    
+    // Provider id the server extracts with (LLM_PROVIDER), once known
+    this.provider = null;
+    this.providerRequest = null;
   }
 
   static getInstance() {
@@ -25,25 +35,20 @@ class AzureOpenAIService {
    * Smart API endpoint detection for development vs production
    */
   getApiEndpoint() {
-    // Check if we're in Expo development environment (port 19006)
-    const isExpoDev = typeof window !== 'undefined' && 
-                     window.location && 
-                     window.location.port === '19006';
-
-    if (isExpoDev) {
-      return 'http://localhost:3000/api/openai';
-    } else {
-      return '/api/openai';
-    }
+    return `${getApiBaseUrl()}/openai`;
   }
 
   setProgressCallback(callback) {
     this.progressCallback = callback;
   }
 
-  updateProgress(status, progress, currentStep, message) {
-    if (this.progressCallback) {
-      this.progressCallback({
+  /**
+   * Report progress to the per-call callback (options.onProgress) or the shared one
+   */
+  updateProgress(status, progress, currentStep, message, options = {}) {
+    const callback = options.onProgress || this.progressCallback;
+    if (callback) {
+      callback({
         status,
         progress,
         currentStep,
@@ -53,54 +58,303 @@ class AzureOpenAIService {
   }
 
   /**
-   * Extract information using API proxy
+   * Display name of the server's LLM provider, for progress messages.
+   * Asked from /openai/health once, and updated from every extraction response.
    */
-  async extractInformation(text) {
-    try {
-      this.updateProgress('processing', 0.3, 'Starting AI analysis', 'Preparing document for Azure OpenAI');
-      this.updateProgress('processing', 0.4, 'AI Analysis', 'Sending to Azure OpenAI via secure proxy');
+  async getProviderLabel() {
+    if (!this.provider) {
+      if (!this.providerRequest) {
+        this.providerRequest = apiFetch('/openai/health')
+          .then(response => (response.ok ? response.json() : {}))
+          .then(health => {
+            this.provider = this.provider || health.provider || null;
+          })
+          .catch(() => {})
+          .finally(() => {
+            this.providerRequest = null;
+          });
+      }
+      await this.providerRequest;
+    }
+    return getProviderLabel(this.provider);
+  }
+  
+  /**
+   * Call the /extract proxy for one piece of document text
+   * @param {Object} options - { signal } to abort the request
+   */
+  async requestExtraction(documentText, { signal } = {}) {
+    const response = await apiFetch('/openai/extract', {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        documentText
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ 
+        error: `HTTP ${response.status}: ${response.statusText}` 
+      }));
+      throw new Error(`API request failed: ${response.status} - ${errorData.error || errorData.details || 'Unknown error'}`);
+    }
+
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(result.error || result.details || 'Extraction failed');
+    }
+    
+    if (result.metadata?.provider) {
+      this.provider = result.metadata.provider;
+    }
+    return result;
+  }
+
+  /**
+   * Map step: extract each chunk (a few at a time), then reduce the partial results
+   */
+  async extractInChunks(chunks, options = {}) {
+    const partials = [];
+    const failedChunks = [];
+    let completed = 0;
+    let nextIndex = 0;
+    
+    this.updateProgress('processing', 0.4, 'AI Analysis', 
+      `Document split into ${chunks.length} sections for extraction`, options);
+    
+    const runNext = async () => {
+      while (nextIndex < chunks.length && !options.cancelToken?.canceled) {
+        const chunk = chunks[nextIndex++];
+        
+        try {
+          const result = await this.requestExtraction(chunk.text);
+          partials.push({ chunkIndex: chunk.index, fields: result.fields, repaired: result.metadata?.repaired, provider: result.metadata?.provider });
+        } catch (error) {
+          failedChunks.push({
+            index: chunk.index,
+            startPage: chunk.startPage,
+            endPage: chunk.endPage,
+            error: error.message
+          });
+        }
+        
+        completed++;
+        this.updateProgress('processing', 0.4 + (0.4 * completed / chunks.length), 'AI Analysis',
+          `Extracted section ${completed}/${chunks.length} (pages ${chunk.startPage}-${chunk.endPage})`, options);
+      }
+    };
+    
+    const runners = [];
+    for (let i = 0; i < Math.min(this.chunkConcurrency, chunks.length); i++) {
+      runners.push(runNext());
+    }
+    await Promise.all(runners);
+    
+    if (partials.length === 0) {
+      throw new Error(failedChunks[0]?.error || 'Extraction failed for every section');
+    }
+    
+    this.updateProgress('processing', 0.8, 'Merging Results', 'Combining results from all document sections', options);
+    
+    return {
+      fields: mergeExtractionResults(partials),
+      metadata: {
+        provider: partials[0].provider,
+        chunked: true,
+        chunkCount: chunks.length,
+        repaired: partials.some(partial => partial.repaired),
+        failedChunks
+      }
+    };
+  }
+
+  /**
+   * Extract information using API proxy.
+   * Documents larger than the chunk budget are extracted chunk by chunk and merged.
+   */
+  async extractInformation(text, options = {}) {
+    return this.toExtractedData(async () => {
+      const providerLabel = await this.getProviderLabel();
+      this.updateProgress('processing', 0.3, 'Starting AI analysis', `Preparing document for ${providerLabel}`, options);
       
-      // Call our internal API instead of Azure directly
-      const response = await fetch(`${this.apiEndpoint}/extract`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          documentText: text
-        })
-      });
+      const chunks = buildChunks(text, { maxTokens: this.chunkTokenBudget });
+      
+      if (chunks.length <= 1) {
+        this.updateProgress('processing', 0.4, 'AI Analysis', `Sending to ${providerLabel} via secure proxy`, options);
+        return this.requestExtraction(text);
+      }
+      return this.extractInChunks(chunks, options);
+    }, options);
+  }
+
+  /**
+   * Extraction that runs while the document is still being read. Pages are added
+   * as they finish, in any order; each page-aligned chunk is sent as soon as it is
+   * complete, and options.onPartialResult(formData) receives the fields merged from
+   * the chunks extracted so far.
+   * @returns {Object} { addPage(pageNum, text), finish(), abort() } - finish() resolves like
+   *   extractInformation(); abort() drops queued chunks and aborts the requests in flight
+   */
+  startIncrementalExtraction(options = {}) {
+    const controller = new AbortController();
+    const partials = [];
+    const failedChunks = [];
+    const waiting = [];
+    const requests = [];
+    const pendingPages = new Map();
+    let chunkCount = 0;
+    let completedChunks = 0;
+    let nextPage = 1;
+    let running = 0;
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ 
-          error: `HTTP ${response.status}: ${response.statusText}` 
+    const reportPartial = () => {
+      if (!options.onPartialResult) return;
+      try {
+        options.onPartialResult(this.parseStructuredResponse(mergeExtractionResults(partials), {
+          provider: partials[0].provider,
+          chunked: true
         }));
-        throw new Error(`API request failed: ${response.status} - ${errorData.error || errorData.details || 'Unknown error'}`);
+      } catch (error) {
+        console.warn('Partial extraction result could not be used:', error);
       }
+    };
 
-      const result = await response.json();
+    const runChunk = async (chunk) => {
+      try {
+        const result = await this.requestExtraction(chunk.text, { signal: controller.signal });
+        partials.push({ chunkIndex: chunk.index, fields: result.fields, repaired: result.metadata?.repaired, provider: result.metadata?.provider });
+        reportPartial();
+      } catch (error) {
+        failedChunks.push({
+          index: chunk.index,
+          startPage: chunk.startPage,
+          endPage: chunk.endPage,
+          error: error.message
+        });
+      }
+      if (controller.signal.aborted) return;
       
-      if (result.success) {
-        this.updateProgress('processing', 0.7, 'AI Complete', 'Processing extraction results');
-        
-        try {
-          const extractedData = this.parseDelimiterResponse(result.extractedData);
-          this.updateProgress('processing', 0.9, 'AI extraction complete', 'Successfully extracted clinical data');
-          return extractedData;
-          
-        } catch (parseError) {
-          this.updateProgress('error', 0.7, 'AI parsing error', `Failed to extract: ${parseError.message}`);
-          
-          return {
-            extractionMethod: 'failed',
-            error: 'AI parsing error',
-            errorDetails: parseError.message,
-            rawOutput: result.extractedData,
-            timestamp: new Date().toISOString()
-          };
+      // More chunks may still be queued, so this is the share of the chunks known so far,
+      // kept in the same 0.4-0.8 band as extractInChunks
+      completedChunks++;
+      const progress = Math.min(0.8, Math.max(0.4, 0.4 + (0.4 * completedChunks / chunkCount)));
+      this.updateProgress('processing', progress, 'AI Analysis',
+        `Extracted pages ${chunk.startPage}-${chunk.endPage} while reading the rest of the document`, options);
+    };
+
+    const startChunks = () => {
+      while (running < this.chunkConcurrency && waiting.length > 0 && !options.cancelToken?.canceled && !controller.signal.aborted) {
+        const chunk = waiting.shift();
+        running++;
+        requests.push(runChunk(chunk).finally(() => {
+          running--;
+          startChunks();
+        }));
+      }
+    };
+
+    const builder = createChunkBuilder({
+      maxTokens: this.chunkTokenBudget,
+      onChunk: chunk => {
+        chunkCount++;
+        waiting.push(chunk);
+        startChunks();
+      }
+    });
+
+    // Chunks hold consecutive pages, so pages wait here until the ones before them are done
+    const addReadyPages = () => {
+      while (pendingPages.has(nextPage)) {
+        const text = pendingPages.get(nextPage);
+        pendingPages.delete(nextPage);
+        if (text.trim()) {
+          builder.addPage({ page: nextPage, text: text.trim() });
+        }
+        nextPage++;
+      }
+    };
+
+    const addPage = (pageNum, text) => {
+      pendingPages.set(pageNum, text || '');
+      addReadyPages();
+    };
+
+    const finish = () => this.toExtractedData(async () => {
+      // Whatever is still waiting goes out in page order
+      [...pendingPages.keys()].sort((a, b) => a - b).forEach(pageNum => {
+        const text = pendingPages.get(pageNum);
+        if (text.trim()) {
+          builder.addPage({ page: pageNum, text: text.trim() });
         }
-      } else {
-        throw new Error(result.error || result.details || 'Extraction failed');
+      });
+      pendingPages.clear();
+      builder.flush();
+
+      while (running > 0 || (waiting.length > 0 && !options.cancelToken?.canceled && !controller.signal.aborted)) {
+        await Promise.all([...requests]);
+      }
+      
+      if (chunkCount === 0) {
+        throw new Error('No text to extract');
+      }
+      if (partials.length === 0) {
+        throw new Error(failedChunks[0]?.error || 'Extraction failed for every section');
+      }
+      
+      if (chunkCount > 1) {
+        this.updateProgress('processing', 0.8, 'Merging Results', 'Combining results from all document sections', options);
+      }
+      
+      return {
+        fields: mergeExtractionResults(partials),
+        metadata: {
+          provider: partials[0].provider,
+          chunked: chunkCount > 1,
+          chunkCount,
+          repaired: partials.some(partial => partial.repaired),
+          failedChunks
+        }
+      };
+    }, options);
+
+    const abort = () => {
+      waiting.length = 0;
+      controller.abort();
+    };
+
+    return { addPage, finish, abort };
+  }
+
+  /**
+   * Run an extraction and turn its { fields, metadata } into form data.
+   * Failures are returned as { extractionMethod: 'failed', error } rather than thrown.
+   * @param {Function} runExtraction - async () => { fields, metadata }
+   */
+  async toExtractedData(runExtraction, options = {}) {
+    try {
+      const result = await runExtraction();
+      
+      this.updateProgress('processing', 0.7, 'AI Complete', 'Processing extraction results', options);
+      
+      try {
+        const extractedData = this.parseStructuredResponse(result.fields, result.metadata);
+        this.updateProgress('processing', 0.9, 'AI extraction complete', 'Successfully extracted clinical data', options);
+        return extractedData;
+        
+      } catch (parseError) {
+        this.updateProgress('error', 0.7, 'AI parsing error', `Failed to extract: ${parseError.message}`, options);
+        
+        return {
+          extractionMethod: 'failed',
+          error: 'AI parsing error',
+          errorDetails: parseError.message,
+          rawOutput: result.fields,
+          timestamp: new Date().toISOString()
+        };
       }
       
     } catch (error) {
@@ -116,7 +370,7 @@ class AzureOpenAIService {
         }
       }
       
-      this.updateProgress('error', 0.5, 'AI extraction failed', errorMessage);
+      this.updateProgress('error', 0.5, 'AI extraction failed', errorMessage, options);
       return {
         extractionMethod: 'failed',
         error: errorMessage,
@@ -126,70 +380,10 @@ class AzureOpenAIService {
   }
 
   /**
-   * Parse delimiter response
+   * Convert the structured { fields } response into form data (see shared/processedDocument.js)
    */
-  parseDelimiterResponse(text) {
-    const result = this.medicalFieldService.createEmptyFormData();
-    result.extractionMethod = 'azure-openai-parsed';
-    
-    const pattern = /^(\d+)\s*\|\s*(.*?)$/gm;
-    const matches = [...text.matchAll(pattern)];
-    
-    if (matches.length === 0) {
-      result.extractionMethod = 'format_error';
-      result.error = 'AI response did not follow required pipe delimiter format';
-      return result;
-    }
-    
-    matches.forEach((match) => {
-      const number = parseInt(match[1], 10);
-      let content = match[2].trim();
-      
-      if (this.isValidMedicalContent(content, number)) {
-        const field = this.medicalFieldService.getFieldByNumber(number);
-        
-        if (field && number >= 1 && number <= 15) {
-          content = this.cleanMedicalContent(content);
-          result[field.key] = content;
-        }
-      }
-    });
-    
-    return result;
-  }
-
-  /**
-   * Validate medical content
-   */
-  isValidMedicalContent(content, fieldNumber) {
-    if (!content || content.length < 1) {
-      return false;
-    }
-    
-    const invalidPatterns = [
-      /^(not found|none|n\/a|unknown|not specified|not mentioned)$/i,
-      /^(no|null|undefined|empty)$/i,
-      /^\[.*\]$/,
-      /^extract:/i,
-      /^(here|content|info|information)$/i
-    ];
-    
-    const isInvalid = invalidPatterns.some(pattern => pattern.test(content.trim()));
-    return !isInvalid;
-  }
-
-  /**
-   * Clean medical content
-   */
-  cleanMedicalContent(content) {
-    const cleaned = content
-      .replace(/^\[|\]$/g, '')
-      .replace(/^Extract:\s*/i, '')
-      .replace(/\s+/g, ' ')
-      .replace(/^[:\-\s]+|[:\-\s]+$/g, '')
-      .trim();
-    
-    return cleaned;
+  parseStructuredResponse(fields, metadata = {}) {
+    return fieldsToFormData(fields, metadata);
   }
 }
 
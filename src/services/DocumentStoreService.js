@@ -0,0 +1,139 @@
+/**
+ * DocumentStoreService - Client for the backend document store (/api/documents)
+ */
+import { getApiBaseUrl, apiFetch } from '../utils/api';
+
+class DocumentStoreService {
+  static instance;
+
+  constructor() {
+    this.apiEndpoint = `${getApiBaseUrl()}/documents`;
+  }
+
+  static getInstance() {
+    if (!DocumentStoreService.instance) {
+      DocumentStoreService.instance = new DocumentStoreService();
+    }
+    return DocumentStoreService.instance;
+  }
+
+  /**
+   * Perform an authenticated request and unwrap the { success, ... } envelope
+   */
+  async request(path, options = {}) {
+    const response = await apiFetch(`/documents${path}`, options);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({
+        error: `HTTP ${response.status}: ${response.statusText}`
+      }));
+      const error = new Error(`Document store request failed: ${response.status} - ${errorData.error || 'Unknown error'}`);
+      error.status = response.status;
+      error.document = errorData.document;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * URL the original PDF can be loaded from (pdf.js, download links)
+   */
+  getOriginalUrl(id) {
+    return `${this.apiEndpoint}/${encodeURIComponent(id)}/original`;
+  }
+
+  async listDocuments() {
+    const result = await this.request('');
+    return result.documents || [];
+  }
+
+  /**
+   * Get a stored document, or null if it does not exist
+   */
+  async getDocument(id) {
+    try {
+      const result = await this.request(`/${encodeURIComponent(id)}`);
+      return result.document;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async getPositions(id) {
+    const result = await this.request(`/${encodeURIComponent(id)}/positions`);
+    return result.positions || [];
+  }
+
+  /**
+   * Create a document record together with its text positions
+   */
+  async saveDocument(document, positions = []) {
+    const result = await this.request('', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ document, positions })
+    });
+    return result.document;
+  }
+
+  /**
+   * Upload the original PDF from a local or blob URI
+   */
+  async uploadOriginal(id, uri) {
+    const fileResponse = await fetch(uri);
+    const blob = await fileResponse.blob();
+
+    return this.request(`/${encodeURIComponent(id)}/original`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/pdf' },
+      body: blob
+    });
+  }
+
+  /**
+   * Upload a PDF for OCR and extraction on the server. The server stores the
+   * document and its original, and answers once processing has finished.
+   * @param {Object} options - { signal } - aborting stops the server-side job
+   * @returns {Promise<Object>} { document, positions }
+   */
+  async processOnServer(uri, name, options = {}) {
+    const fileResponse = await fetch(uri);
+    const blob = await fileResponse.blob();
+
+    const result = await this.request(`/process?name=${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/pdf' },
+      body: blob,
+      signal: options.signal
+    });
+    return { document: result.document, positions: result.positions || [] };
+  }
+
+  /**
+   * Update formData / review state
+   * @param {number} version - Version of the document the updates were made to.
+   *   Rejected with status 409 (and error.document) if it has changed since.
+   */
+  async updateDocument(id, updates, version) {
+    const result = await this.request(`/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', 'If-Match': `"${version}"` },
+      body: JSON.stringify(updates)
+    });
+    return result.document;
+  }
+
+  async deleteDocument(id) {
+    try {
+      await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+}
+
+export default DocumentStoreService;
@@ -2,29 +2,15 @@
  * MedicalFieldService.js - Simple field definitions and basic operations
  * Only handles field structure - no UI, validation, or AI concerns
  */
+import { MEDICAL_FIELDS } from '../shared/medicalFields';
+import { createEmptyFormData } from '../shared/processedDocument';
 
 class MedicalFieldService {
   static instance;
   
   constructor() {
-    // Simple field definitions - just what we need
-    this.fieldDefinitions = [
-      { key: 'patientName', number: 1, label: 'Patient Name' },
-      { key: 'patientDOB', number: 2, label: 'Date of Birth' },
-      { key: 'insurance', number: 3, label: 'Insurance Information' },
-      { key: 'location', number: 4, label: 'Location/Facility' },
-      { key: 'dx', number: 5, label: 'Diagnosis (Dx)' },
-      { key: 'pcp', number: 6, label: 'Primary Care Provider (PCP)' },
-      { key: 'dc', number: 7, label: 'Discharge (DC)' },
-      { key: 'wounds', number: 8, label: 'Wounds/Injuries' },
-      { key: 'medications', number: 9, label: 'Medications & Antibiotics' },
-      { key: 'cardiacDrips', number: 10, label: 'Cardiac Medications/Drips' },
-      { key: 'labsAndVitals', number: 11, label: 'Labs & Vital Signs' },
-      { key: 'faceToFace', number: 12, label: 'Face-to-Face Evaluations' },
-      { key: 'history', number: 13, label: 'Medical History' },
-      { key: 'mentalHealthState', number: 14, label: 'Mental Health State' },
-      { key: 'additionalComments', number: 15, label: 'Additional Comments' }
-    ];
+    // Field definitions are shared with the API server
+    this.fieldDefinitions = MEDICAL_FIELDS;
     
     // Create lookup maps for quick access
     this.fieldsByKey = {};
@@ -86,16 +72,7 @@ class MedicalFieldService {
    * Initialize empty form data with all fields
    */
   createEmptyFormData() {
-    const formData = {
-      extractionMethod: 'pending',
-      extractionDate: new Date().toISOString(),
-    };
-    
-    this.fieldOrder.forEach(key => {
-      formData[key] = '';
-    });
-    
-    return formData;
+    return createEmptyFormData();
   }
 }
 
@@ -1,7 +1,17 @@
 /**
  * Enhanced MicrosoftAuth.js - Complete implementation with proper admin consent handling
  */
-import { Platform } from 'react-native';
+import { Platform, AppState } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
+import * as ExpoCrypto from 'expo-crypto';
+import AuditService, { AUDIT_ACTIONS } from './AuditService';
+import { setAccessTokenProvider, setTokenRefreshHandler } from '../utils/api';
+import { saveRefreshToken, loadRefreshToken, clearRefreshToken } from '../utils/secureTokenStorage';
+import { parseRoleMap, getRolesForGroups, hasPermission } from '../shared/roles';
+
+// Native builds redirect back through the app scheme declared in app.config.js;
+// register it as a "Mobile and desktop applications" redirect URI in Azure AD
+const NATIVE_REDIRECT_URI = 'com.medrec.app://auth';
 
 class MicrosoftAuth {
   static instance;
@@ -18,11 +28,18 @@ class MicrosoftAuth {
     this.config = {
       tenantId: process.env.EXPO_PUBLIC_AZURE_TENANT_ID,
       clientId: process.env.EXPO_PUBLIC_AZURE_CLIENT_ID,
-      requiredGroup: process.env.EXPO_PUBLIC_AZURE_REQUIRED_GROUP,
+      // Object id, like the server's AZURE_REQUIRED_GROUP_ID
+      requiredGroup: process.env.EXPO_PUBLIC_AZURE_REQUIRED_GROUP_ID,
+      // Group object id to role assignments - see src/shared/roles.js
+      roleMap: parseRoleMap(process.env.EXPO_PUBLIC_AZURE_ROLE_GROUPS),
+      // Scope exposed by this app's registration for the MedRec API
+      apiScope: process.env.EXPO_PUBLIC_AZURE_API_SCOPE ||
+        `api://${process.env.EXPO_PUBLIC_AZURE_CLIENT_ID}/access_as_user`,
       scopes: [
         'openid',
         'profile',
         'email',
+        'offline_access',
         'User.Read',
         'GroupMember.Read.All'
       ]
@@ -31,11 +48,28 @@ class MicrosoftAuth {
     this.validateConfig();
     
     this.isAuthenticated = false;
+    // Locked sessions keep the user (and the app state) but no tokens
+    this.isLocked = false;
     this.currentUser = null;
     this.userGroups = [];
+    this.userRoles = [];
     this.accessToken = null;
+    this.apiAccessToken = null;
     this.listeners = [];
     
+    // Token renewal - refresh tokens never touch localStorage (see utils/secureTokenStorage.js)
+    this.refreshToken = null;
+    this.tokenExpiresAt = 0;
+    this.refreshLeadTime = 5 * 60 * 1000;
+    this.refreshTimer = null;
+    this.refreshPromise = null;
+    // Bumped whenever tokens are cleared so an in-flight refresh cannot revive them
+    this.tokenGeneration = 0;
+    
+    // Backend requests carry the API token and renew it after a 401
+    setAccessTokenProvider(() => this.apiAccessToken);
+    setTokenRefreshHandler(() => this.handleUnauthorized());
+    
     // Auto-logout configuration
     this.sessionTimeout = 15 * 60 * 1000;
     this.warningTimeout = 13 * 60 * 1000;
@@ -54,7 +88,8 @@ class MicrosoftAuth {
     const requiredVars = [
       { name: 'EXPO_PUBLIC_AZURE_TENANT_ID', value: this.config.tenantId },
       { name: 'EXPO_PUBLIC_AZURE_CLIENT_ID', value: this.config.clientId },
-      { name: 'EXPO_PUBLIC_AZURE_REQUIRED_GROUP', value: this.config.requiredGroup }
+      // A role map can replace the single required group
+      { name: 'EXPO_PUBLIC_AZURE_REQUIRED_GROUP_ID or EXPO_PUBLIC_AZURE_ROLE_GROUPS', value: this.config.requiredGroup || this.config.roleMap.length > 0 }
     ];
 
     const missing = requiredVars.filter(v => !v.value);
@@ -68,7 +103,8 @@ class MicrosoftAuth {
       console.log('✅ MicrosoftAuth Configuration:');
       console.log(`📱 Tenant ID: ${this.config.tenantId.substring(0, 8)}...`);
       console.log(`🔑 Client ID: ${this.config.clientId.substring(0, 8)}...`);
-      console.log(`👥 Required Group: ${this.config.requiredGroup}`);
+      console.log(`👥 Required Group: ${this.config.requiredGroup || '(none)'}`);
+      console.log(`🎭 Role groups: ${this.config.roleMap.length || '(none - required group members are clinical reviewers)'}`);
     }
   }
 
@@ -82,8 +118,9 @@ class MicrosoftAuth {
       // First, try normal user authentication
       const result = await this.attemptUserAuthentication();
       
-      // If user auth fails due to consent issues, try admin consent
-      if (!result.success && this.isConsentError(result.error)) {
+      // If user auth fails due to consent issues, try admin consent (web only -
+      // native users get the error and an administrator consents from a browser)
+      if (!result.success && this.isConsentError(result.error) && Platform.OS === 'web') {
         console.log('🔐 User authentication failed - attempting admin consent flow');
         return await this.attemptAdminConsent();
       }
@@ -346,7 +383,11 @@ class MicrosoftAuth {
   /**
    * Perform the actual authentication (user or admin)
    */
-  async performAuthentication(promptType = 'select_account') {
+  async performAuthentication(promptType = 'select_account', loginHint = null) {
+    if (Platform.OS !== 'web') {
+      return this.performNativeAuthentication(promptType, loginHint);
+    }
+    
     return new Promise(async (resolve, reject) => {
       try {
         // Generate PKCE parameters
@@ -358,16 +399,7 @@ class MicrosoftAuth {
         sessionStorage.setItem('auth_state', state);
         
         // Build auth URL
-        const authParams = new URLSearchParams({
-          client_id: this.config.clientId,
-          response_type: 'code',
-          redirect_uri: window.location.origin,
-          scope: this.config.scopes.join(' '),
-          state: state,
-          code_challenge: codeChallenge,
-          code_challenge_method: 'S256',
-          prompt: promptType
-        });
+        const authParams = this.buildAuthorizeParams({ state, codeChallenge, promptType, loginHint });
         
         const authUrl = `https://login.microsoftonline.com/${this.config.tenantId}/oauth2/v2.0/authorize?${authParams}`;
         
@@ -443,6 +475,80 @@ class MicrosoftAuth {
     });
   }
 
+  /**
+   * Query parameters for the authorize endpoint
+   */
+  buildAuthorizeParams({ state, codeChallenge, promptType, loginHint }) {
+    return new URLSearchParams({
+      client_id: this.config.clientId,
+      response_type: 'code',
+      redirect_uri: this.getRedirectUri(),
+      scope: this.config.scopes.join(' '),
+      state: state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      prompt: promptType,
+      ...(loginHint ? { login_hint: loginHint } : {})
+    });
+  }
+
+  getRedirectUri() {
+    return Platform.OS === 'web' ? window.location.origin : NATIVE_REDIRECT_URI;
+  }
+
+  /**
+   * Native sign-in through a system browser auth session
+   * (ASWebAuthenticationSession on iOS, Custom Tabs on Android)
+   */
+  async performNativeAuthentication(promptType = 'select_account', loginHint = null) {
+    const { codeVerifier, codeChallenge } = await this.generatePKCE();
+    const state = ExpoCrypto.randomUUID();
+    
+    const authParams = this.buildAuthorizeParams({ state, codeChallenge, promptType, loginHint });
+    const authUrl = `https://login.microsoftonline.com/${this.config.tenantId}/oauth2/v2.0/authorize?${authParams}`;
+    
+    console.log('🔗 Opening system browser for authentication...');
+    const result = await WebBrowser.openAuthSessionAsync(authUrl, NATIVE_REDIRECT_URI);
+    
+    if (result.type !== 'success') {
+      throw new Error(result.type === 'cancel' || result.type === 'dismiss'
+        ? 'Authentication cancelled by user'
+        : `Authentication ended: ${result.type}`);
+    }
+    
+    const params = this.parseRedirectParams(result.url);
+    
+    if (params.error) {
+      console.error('❌ OAuth error:', params.error, params.error_description);
+      throw new Error(params.error_description || params.error);
+    }
+    
+    if (params.state !== state) {
+      throw new Error('Invalid state parameter');
+    }
+    
+    if (!params.code) {
+      throw new Error('No authorization code received');
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.exchangeCodeForTokens(params.code, codeVerifier, resolve, reject);
+    });
+  }
+
+  /**
+   * Query parameters of the redirect URL (React Native's URLSearchParams cannot read)
+   */
+  parseRedirectParams(url) {
+    const query = url.split('#')[0].split('?')[1] || '';
+    
+    return query.split('&').filter(Boolean).reduce((params, pair) => {
+      const [key, value = ''] = pair.split('=');
+      params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+      return params;
+    }, {});
+  }
+
   /**
    * Exchange authorization code for access tokens
    */
@@ -454,7 +560,7 @@ class MicrosoftAuth {
         client_id: this.config.clientId,
         grant_type: 'authorization_code',
         code: code,
-        redirect_uri: window.location.origin,
+        redirect_uri: this.getRedirectUri(),
         code_verifier: codeVerifier
       });
       
@@ -479,11 +585,29 @@ class MicrosoftAuth {
       console.log('✅ Tokens received successfully');
       
       // Clean up session storage
-      sessionStorage.removeItem('pkce_code_verifier');
-      sessionStorage.removeItem('auth_state');
+      if (Platform.OS === 'web') {
+        sessionStorage.removeItem('pkce_code_verifier');
+        sessionStorage.removeItem('auth_state');
+      }
+      
+      if (!tokens.refresh_token) {
+        throw new Error('No refresh token received - register the redirect URI as a single-page application');
+      }
+      
+      // Graph and the MedRec API are separate resources - the code only
+      // yields a Graph token, so redeem the refresh token for an API token
+      const apiTokens = await this.redeemRefreshToken(tokens.refresh_token, this.config.apiScope);
+      console.log('✅ API access token received');
       
       // Process the tokens
-      await this.processTokens(tokens.access_token, tokens.id_token, resolve, reject);
+      await this.processTokens({
+        accessToken: tokens.access_token,
+        idToken: tokens.id_token,
+        apiAccessToken: apiTokens.access_token,
+        // Azure AD rotates refresh tokens on every redemption - keep the newest
+        refreshToken: apiTokens.refresh_token || tokens.refresh_token,
+        expiresIn: Math.min(tokens.expires_in, apiTokens.expires_in)
+      }, resolve, reject);
       
     } catch (error) {
       console.error('❌ Token exchange error:', error);
@@ -492,69 +616,235 @@ class MicrosoftAuth {
   }
 
   /**
-   * Process received tokens and get user info
+   * Redeem a refresh token for an access token to the given scope
    */
-  async processTokens(accessToken, idToken, resolve, reject) {
-    try {
-      console.log('👤 Processing tokens and fetching user info...');
-      
-      // Get user profile
-      const userResponse = await fetch('https://graph.microsoft.com/v1.0/me', {
+  async redeemRefreshToken(refreshToken, scope) {
+    const tokenParams = new URLSearchParams({
+      client_id: this.config.clientId,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      scope: scope
+    });
+    
+    const tokenResponse = await fetch(
+      `https://login.microsoftonline.com/${this.config.tenantId}/oauth2/v2.0/token`,
+      {
+        method: 'POST',
         headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: tokenParams
+      }
+    );
+    
+    if (!tokenResponse.ok) {
+      const errorData = await tokenResponse.json().catch(() => ({}));
+      throw new Error(`Token request for '${scope}' failed: ${errorData.error_description || errorData.error || tokenResponse.status}`);
+    }
+    
+    return tokenResponse.json();
+  }
+
+  /**
+   * Renew the Graph and API access tokens; concurrent callers share one refresh
+   * @returns {Promise<boolean>} true if fresh tokens are in place
+   */
+  refreshTokens() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
       });
-      
-      if (!userResponse.ok) {
-        throw new Error('Failed to fetch user profile');
+    }
+    return this.refreshPromise;
+  }
+
+  async performTokenRefresh() {
+    const generation = this.tokenGeneration;
+    
+    try {
+      const refreshToken = this.refreshToken || await loadRefreshToken();
+      if (!refreshToken) {
+        console.log('ℹ️ No refresh token available');
+        return false;
       }
       
-      const user = await userResponse.json();
-      console.log('✅ User profile received:', user.displayName);
+      console.log('🔄 Refreshing access tokens...');
+      const graphTokens = await this.redeemRefreshToken(refreshToken, this.config.scopes.join(' '));
+      const apiTokens = await this.redeemRefreshToken(graphTokens.refresh_token || refreshToken, this.config.apiScope);
       
-      // Get user groups
-      console.log('👥 Fetching user groups...');
-      const groupsResponse = await fetch('https://graph.microsoft.com/v1.0/me/memberOf', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      if (generation !== this.tokenGeneration) {
+        console.log('ℹ️ Signed out during token refresh - discarding new tokens');
+        return false;
+      }
       
-      let userGroups = [];
-      if (groupsResponse.ok) {
-        const groupsData = await groupsResponse.json();
-        userGroups = groupsData.value || [];
-        console.log('✅ User groups received:', userGroups.length);
-      } else {
-        console.warn('⚠️ Failed to fetch user groups, continuing without group info');
+      this.accessToken = graphTokens.access_token;
+      this.apiAccessToken = apiTokens.access_token;
+      this.refreshToken = apiTokens.refresh_token || graphTokens.refresh_token || refreshToken;
+      await saveRefreshToken(this.refreshToken);
+      
+      this.scheduleTokenRefresh(Math.min(graphTokens.expires_in, apiTokens.expires_in));
+      console.log('✅ Access tokens refreshed');
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Token refresh failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Renew the tokens shortly before they expire
+   * @param {number} expiresInSeconds - Lifetime reported by the token endpoint
+   */
+  scheduleTokenRefresh(expiresInSeconds) {
+    if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    
+    const lifetime = (Number(expiresInSeconds) || 3600) * 1000;
+    this.tokenExpiresAt = Date.now() + lifetime;
+    
+    this.refreshTimer = setTimeout(() => {
+      this.handleScheduledRefresh();
+    }, Math.max(lifetime - this.refreshLeadTime, 30 * 1000));
+  }
+
+  async handleScheduledRefresh() {
+    this.refreshTimer = null;
+    if (!this.isAuthenticated) return;
+    
+    if (await this.refreshTokens()) return;
+    
+    // A transient failure (e.g. offline) is retried while the current tokens still work
+    if (this.tokenExpiresAt - Date.now() > 60 * 1000) {
+      this.refreshTimer = setTimeout(() => this.handleScheduledRefresh(), 60 * 1000);
+      return;
+    }
+    
+    await this.requireReauthentication();
+  }
+
+  /**
+   * Called by apiFetch after a 401 - renews the tokens so the request can be retried
+   */
+  async handleUnauthorized() {
+    if (!this.isAuthenticated) return false;
+    
+    const refreshed = await this.refreshTokens();
+    if (!refreshed && this.isAuthenticated) {
+      await this.requireReauthentication();
+    }
+    return refreshed;
+  }
+
+  /**
+   * The refresh token was rejected - lock until the user signs in again
+   */
+  async requireReauthentication() {
+    console.log('🔒 Access could not be renewed - sign-in required');
+    await this.lockSession('token_refresh_failed');
+  }
+
+  /**
+   * GET from Microsoft Graph, retrying once with renewed tokens after a 401
+   */
+  async graphFetch(path) {
+    const send = () => fetch(`https://graph.microsoft.com/v1.0${path}`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
       }
+    });
+    
+    const response = await send();
+    if (response.status === 401 && await this.refreshTokens()) {
+      return send();
+    }
+    return response;
+  }
+
+  /**
+   * Drop all tokens, in memory and in secure storage
+   */
+  async clearTokens() {
+    if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.tokenGeneration += 1;
+    
+    this.accessToken = null;
+    this.apiAccessToken = null;
+    this.refreshToken = null;
+    this.tokenExpiresAt = 0;
+    
+    await clearRefreshToken();
+  }
+
+  /**
+   * Process received tokens and get user info
+   */
+  async processTokens({ accessToken, idToken, apiAccessToken, refreshToken, expiresIn }, resolve, reject) {
+    try {
+      console.log('👤 Processing tokens and fetching user info...');
+      
+      // Held before sign-in completes so the Graph calls can renew them
+      this.accessToken = accessToken;
+      this.apiAccessToken = apiAccessToken;
+      this.refreshToken = refreshToken;
+      
+      const { user, userGroups } = await this.fetchUserProfile();
       
-      // Check if user is in required group
+      // Check if user is in required group and holds at least one role
       const userGroupNames = userGroups.map(group => group.displayName);
-      const isAuthorized = this.isUserInRequiredGroup(userGroups);
+      const inRequiredGroup = !this.config.requiredGroup || this.isUserInRequiredGroup(userGroups);
+      const userRoles = this.getRolesForUserGroups(userGroups);
       
       console.log('📋 User groups:', userGroupNames);
-      console.log('🔐 Is authorized:', isAuthorized);
+      console.log('🎭 User roles:', userRoles);
+      console.log('🔐 Is authorized:', inRequiredGroup && userRoles.length > 0);
+      
+      if (!inRequiredGroup || userRoles.length === 0) {
+        await this.clearTokens();
+      }
+      
+      if (!inRequiredGroup) {
+        resolve({
+          success: false,
+          error: 'Access denied. You are not a member of the group required to access this application.',
+          user: user
+        });
+        return;
+      }
       
-      if (!isAuthorized) {
+      if (userRoles.length === 0) {
         resolve({
           success: false,
-          error: `Access denied. You must be a member of the '${this.config.requiredGroup}' group to access this application.`,
+          error: 'Access denied. Your account has not been assigned a MedRec role. Contact your administrator.',
           user: user
         });
         return;
       }
       
+      // Unlocking by the same user keeps the app state; anyone else starts afresh
+      const isUnlock = this.isLocked && this.currentUser?.id === user.id;
+      
       // Success! Store the session
       this.isAuthenticated = true;
+      this.isLocked = false;
       this.currentUser = user;
       this.userGroups = userGroups;
-      this.accessToken = accessToken;
+      this.userRoles = userRoles;
       this.lastActivityTime = Date.now();
       
+      await saveRefreshToken(this.refreshToken);
       await this.storeSession();
+      // Tokens renewed by a Graph retry have already been scheduled
+      if (!this.refreshTimer) {
+        this.scheduleTokenRefresh(expiresIn);
+      }
+      
+      const audit = AuditService.getInstance();
+      audit.setIdentity(user);
+      audit.log(isUnlock ? AUDIT_ACTIONS.SESSION_UNLOCKED : AUDIT_ACTIONS.LOGIN, {
+        details: { method: 'microsoft' },
+        immediate: true
+      });
       
       // Start session timers
       this.resetSessionTimers();
@@ -564,16 +854,47 @@ class MicrosoftAuth {
       resolve({
         success: true,
         user: user,
-        accessToken: accessToken,
-        userGroups: userGroups
+        accessToken: this.accessToken,
+        userGroups: userGroups,
+        userRoles: userRoles,
+        unlocked: isUnlock
       });
       
     } catch (error) {
       console.error('❌ Token processing error:', error);
+      await this.clearTokens();
       reject(new Error(`Failed to process authentication: ${error.message}`));
     }
   }
 
+  /**
+   * Signed-in user's Graph profile and group memberships
+   */
+  async fetchUserProfile() {
+    const userResponse = await this.graphFetch('/me');
+    
+    if (!userResponse.ok) {
+      throw new Error('Failed to fetch user profile');
+    }
+    
+    const user = await userResponse.json();
+    console.log('✅ User profile received:', user.displayName);
+    
+    console.log('👥 Fetching user groups...');
+    const groupsResponse = await this.graphFetch('/me/memberOf');
+    
+    let userGroups = [];
+    if (groupsResponse.ok) {
+      const groupsData = await groupsResponse.json();
+      userGroups = groupsData.value || [];
+      console.log('✅ User groups received:', userGroups.length);
+    } else {
+      console.warn('⚠️ Failed to fetch user groups, continuing without group info');
+    }
+    
+    return { user, userGroups };
+  }
+
   /**
    * Check if error is related to consent
    */
@@ -596,6 +917,19 @@ class MicrosoftAuth {
    * Generate PKCE code verifier and challenge
    */
   async generatePKCE() {
+    if (Platform.OS !== 'web') {
+      // No WebCrypto in React Native - a hex verifier is within the PKCE alphabet
+      const bytes = await ExpoCrypto.getRandomBytesAsync(32);
+      const codeVerifier = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      const digest = await ExpoCrypto.digestStringAsync(
+        ExpoCrypto.CryptoDigestAlgorithm.SHA256,
+        codeVerifier,
+        { encoding: ExpoCrypto.CryptoEncoding.BASE64 }
+      );
+      const codeChallenge = digest.replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+      return { codeVerifier, codeChallenge };
+    }
+    
     const codeVerifier = this.base64URLEncode(crypto.getRandomValues(new Uint8Array(32)));
     const encoder = new TextEncoder();
     const data = encoder.encode(codeVerifier);
@@ -615,32 +949,56 @@ class MicrosoftAuth {
   }
 
   /**
-   * Check if user is in required group
+   * Check if user is in required group - by object id, as the server does
    */
   isUserInRequiredGroup(userGroups) {
     return userGroups.some(group => 
-      group.displayName === this.config.requiredGroup
+      group.id === this.config.requiredGroup
     );
   }
 
   /**
-   * Set up activity tracking for auto-logout
+   * Roles granted by the user's groups, matched by object id
+   */
+  getRolesForUserGroups(userGroups) {
+    const groupIds = userGroups.map(group => group.id).filter(Boolean);
+    return getRolesForGroups(groupIds, this.config.roleMap, this.config.requiredGroup);
+  }
+
+  /**
+   * Set up activity tracking for auto-logout.
+   * On iOS/Android touches are reported by the root view in App.js through recordActivity().
    */
   setupActivityTracking() {
-    if (Platform.OS !== 'web') return;
+    if (Platform.OS !== 'web') {
+      // Timers do not fire while the app is suspended, so the idle time is checked on return
+      AppState.addEventListener('change', (state) => {
+        if (state !== 'active' || !this.isAuthenticated) return;
+        
+        if (Date.now() - this.lastActivityTime >= this.sessionTimeout) {
+          this.lockSession('inactivity');
+        } else {
+          this.recordActivity();
+        }
+      });
+      return;
+    }
     
     const activityEvents = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart', 'click'];
     
-    const resetActivityTimer = () => {
-      this.lastActivityTime = Date.now();
-      this.resetSessionTimers();
-    };
-    
     activityEvents.forEach(event => {
-      document.addEventListener(event, resetActivityTimer, true);
+      document.addEventListener(event, () => this.recordActivity(), true);
     });
   }
 
+  /**
+   * Note user activity and restart the inactivity timers
+   */
+  recordActivity() {
+    this.lastActivityTime = Date.now();
+    this.resetSessionTimers();
+  }
+
   /**
    * Reset session timers when user is active
    */
@@ -655,7 +1013,7 @@ class MicrosoftAuth {
     }, this.warningTimeout);
     
     this.sessionTimer = setTimeout(() => {
-      this.autoLogout();
+      this.lockSession('inactivity');
     }, this.sessionTimeout);
   }
 
@@ -663,24 +1021,72 @@ class MicrosoftAuth {
    * Show session expiry warning
    */
   showSessionWarning() {
-    console.log('⚠️ Session expiring in 2 minutes...');
+    console.log('⚠️ Session locking in 2 minutes...');
     this.notifyListeners('session_warning', {
-      message: 'Your session will expire in 2 minutes due to inactivity.',
+      message: 'Your session will lock in 2 minutes due to inactivity.',
       timeRemaining: 2 * 60 * 1000
     });
   }
 
   /**
-   * Auto-logout due to inactivity
+   * Lock the session after inactivity or a failed token refresh.
+   * Tokens are dropped, but the user and the app state stay in memory so the
+   * same user can carry on after re-authenticating.
+   * @param {string} reason - 'inactivity' or 'token_refresh_failed'
    */
-  async autoLogout() {
-    console.log('🔒 Auto-logout triggered due to inactivity');
-    this.notifyListeners('session_expired', {
-      message: 'You have been logged out due to 15 minutes of inactivity.',
-      reason: 'inactivity'
+  async lockSession(reason = 'inactivity') {
+    if (this.isLocked) return;
+    console.log(`🔒 Locking session (${reason})`);
+    
+    // Sent now, while the token is still valid - along with everything else this
+    // user has queued, so it goes out under their token even if someone else unlocks.
+    // An expired sign-in may already be refused; the event then waits for the next sign-in.
+    AuditService.getInstance().log(reason === 'token_refresh_failed' ? AUDIT_ACTIONS.SESSION_EXPIRED : AUDIT_ACTIONS.SESSION_LOCKED, {
+      details: { reason },
+      immediate: true
     });
     
-    await this.logout();
+    if (this.sessionTimer) clearTimeout(this.sessionTimer);
+    if (this.warningTimer) clearTimeout(this.warningTimer);
+    
+    // Also stops 401s during the lock from re-entering handleUnauthorized
+    this.isAuthenticated = false;
+    this.isLocked = true;
+    
+    await this.clearTokens();
+    
+    this.notifyListeners('locked', {
+      reason,
+      message: reason === 'inactivity'
+        ? 'Locked after 15 minutes of inactivity.'
+        : 'Your sign-in could not be renewed.'
+    });
+  }
+
+  /**
+   * Re-authenticate a locked session - silently if the Azure AD session is
+   * still valid, otherwise with a fresh sign-in
+   * @param {Object} options - { switchUser } to let another account sign in
+   */
+  async unlock({ switchUser = false } = {}) {
+    const loginHint = switchUser ? null : (this.currentUser?.userPrincipalName || this.currentUser?.mail);
+    
+    try {
+      if (!switchUser) {
+        try {
+          const result = await this.performAuthentication('none', loginHint);
+          if (result.success) return result;
+        } catch (error) {
+          // login_required / interaction_required - fall back to a full sign-in
+          console.log('ℹ️ Silent re-authentication not possible:', error.message);
+        }
+      }
+      
+      return await this.performAuthentication(switchUser ? 'select_account' : 'login', loginHint);
+    } catch (error) {
+      console.error('❌ Unlock error:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
@@ -689,15 +1095,21 @@ class MicrosoftAuth {
   async manualLogout() {
     console.log('🔒 Manual logout triggered');
     
+    const audit = AuditService.getInstance();
+    audit.log(AUDIT_ACTIONS.LOGOUT, { details: { reason: 'manual' }, immediate: true });
+    audit.setIdentity(null);
+    
     if (this.sessionTimer) clearTimeout(this.sessionTimer);
     if (this.warningTimer) clearTimeout(this.warningTimer);
     
     this.isAuthenticated = false;
+    this.isLocked = false;
     this.currentUser = null;
     this.userGroups = [];
-    this.accessToken = null;
+    this.userRoles = [];
     this.lastActivityTime = 0;
     
+    await this.clearTokens();
     await this.clearStoredSession();
     
     this.notifyListeners('manual_logout', {
@@ -713,32 +1125,34 @@ class MicrosoftAuth {
    */
   async checkStoredSession() {
     try {
-      let storedSession;
-      
-      if (Platform.OS === 'web') {
-        storedSession = localStorage.getItem('medrec_microsoft_session');
-      } else {
-        storedSession = null;
+      if (Platform.OS !== 'web') {
+        return await this.restoreNativeSession();
       }
       
+      const storedSession = localStorage.getItem('medrec_microsoft_session');
+      
       if (storedSession) {
         const session = JSON.parse(storedSession);
-        const isExpired = Date.now() - session.timestamp > 24 * 60 * 60 * 1000;
         
-        if (!isExpired && session.user && session.accessToken) {
+        // The session lasts as long as its refresh token can be redeemed
+        if (session.user && await this.refreshTokens()) {
           this.isAuthenticated = true;
           this.currentUser = session.user;
           this.userGroups = session.userGroups || [];
-          this.accessToken = session.accessToken;
+          // Recomputed so role map changes apply to restored sessions
+          this.userRoles = this.getRolesForUserGroups(this.userGroups);
           this.lastActivityTime = Date.now();
           
-          console.log('✅ Found valid stored session for:', session.user.displayName);
+          AuditService.getInstance().setIdentity(session.user);
+          
+          console.log('✅ Restored session for:', session.user.displayName);
           
           this.resetSessionTimers();
           this.notifyListeners('authenticated');
           return true;
         } else {
-          console.log('⚠️ Stored session expired or invalid, clearing...');
+          console.log('⚠️ Stored session could not be renewed, clearing...');
+          await this.clearTokens();
           await this.clearStoredSession();
         }
       } else {
@@ -755,14 +1169,46 @@ class MicrosoftAuth {
   }
 
   /**
-   * Store authentication session
+   * Native builds keep nothing but the refresh token (in secure storage) -
+   * the profile and groups are read from Graph again after renewing it
+   */
+  async restoreNativeSession() {
+    if (await this.refreshTokens()) {
+      const { user, userGroups } = await this.fetchUserProfile();
+      const inRequiredGroup = !this.config.requiredGroup || this.isUserInRequiredGroup(userGroups);
+      const userRoles = this.getRolesForUserGroups(userGroups);
+      
+      if (inRequiredGroup && userRoles.length > 0) {
+        this.isAuthenticated = true;
+        this.currentUser = user;
+        this.userGroups = userGroups;
+        this.userRoles = userRoles;
+        this.lastActivityTime = Date.now();
+        
+        AuditService.getInstance().setIdentity(user);
+        
+        console.log('✅ Restored session for:', user.displayName);
+        
+        this.resetSessionTimers();
+        this.notifyListeners('authenticated');
+        return true;
+      }
+    }
+    
+    console.log('ℹ️ No stored session found');
+    await this.clearTokens();
+    this.notifyListeners('unauthenticated');
+    return false;
+  }
+
+  /**
+   * Store the signed-in profile - tokens are kept out of localStorage
    */
   async storeSession() {
     try {
       const sessionData = {
         user: this.currentUser,
         userGroups: this.userGroups,
-        accessToken: this.accessToken,
         timestamp: Date.now()
       };
       
@@ -795,11 +1241,15 @@ class MicrosoftAuth {
     if (this.warningTimer) clearTimeout(this.warningTimer);
     
     this.isAuthenticated = false;
+    this.isLocked = false;
     this.currentUser = null;
     this.userGroups = [];
-    this.accessToken = null;
+    this.userRoles = [];
     this.lastActivityTime = 0;
     
+    AuditService.getInstance().setIdentity(null);
+    
+    await this.clearTokens();
     await this.clearStoredSession();
     this.notifyListeners('unauthenticated');
   }
@@ -815,14 +1265,30 @@ class MicrosoftAuth {
     return this.isAuthenticated;
   }
   
+  getIsLocked() {
+    return this.isLocked;
+  }
+  
   getUserGroups() {
     return this.userGroups;
   }
   
+  getUserRoles() {
+    return this.userRoles;
+  }
+  
+  hasPermission(permission) {
+    return hasPermission(this.userRoles, permission);
+  }
+  
   getAccessToken() {
     return this.accessToken;
   }
   
+  getApiAccessToken() {
+    return this.apiAccessToken;
+  }
+  
   addListener(callback) {
     this.listeners.push(callback);
   }
@@ -4,6 +4,29 @@ import { Platform } from 'react-native';
 import ParallelPDFTextExtractionService from './ParallelPDFTextExtractionService';
 import AzureOpenAIService from './AzureOpenAIService';
 import MedicalFieldService from './MedicalFieldService';
+import DocumentStoreService from './DocumentStoreService';
+import { findFuzzyMatches, normalizeToken, tokenSimilarity } from '../shared/fuzzyMatch';
+import { generateDocumentId, buildProcessedDocument, getProviderLabel, getExtractionProvider } from '../shared/processedDocument';
+import { hasApiServer } from '../utils/api';
+
+// Where OCR and AI extraction run: in the app, or on the API server
+export const PROCESSING_MODES = {
+  LOCAL: 'local',
+  SERVER: 'server',
+};
+
+/**
+ * EXPO_PUBLIC_PROCESSING_MODE wins; otherwise browsers process locally and
+ * iOS/Android, where on-device OCR is slower and less accurate, use the server -
+ * but only when the build knows where the server is (EXPO_PUBLIC_API_BASE_URL)
+ */
+const getDefaultProcessingMode = () => {
+  const configured = process.env.EXPO_PUBLIC_PROCESSING_MODE;
+  if (Object.values(PROCESSING_MODES).includes(configured)) {
+    return configured;
+  }
+  return Platform.OS !== 'web' && hasApiServer() ? PROCESSING_MODES.SERVER : PROCESSING_MODES.LOCAL;
+};
 
 class PDFProcessorService {
   static instance;
@@ -13,11 +36,19 @@ class PDFProcessorService {
     this.textExtractionService = ParallelPDFTextExtractionService.getInstance();
     this.azureOpenAIService = AzureOpenAIService.getInstance();
     this.medicalFieldService = MedicalFieldService.getInstance();
-    this.isProcessing = false;
+    this.documentStore = DocumentStoreService.getInstance();
     this.progressCallback = null;
     
     // Store text positions for highlighting
     this.textPositions = new Map();
+    
+    // Reading-order word lists, built once per positions array
+    this.readingOrderCache = new WeakMap();
+    
+    // Screens following a document while it is processed - id -> Set of listeners
+    this.documentListeners = new Map();
+    
+    this.processingMode = getDefaultProcessingMode();
   }
   
   static getInstance() {
@@ -29,13 +60,29 @@ class PDFProcessorService {
   
   setProgressCallback(callback) {
     this.progressCallback = callback;
-    this.textExtractionService.setProgressCallback(callback);
-    this.azureOpenAIService.setProgressCallback(callback);
   }
   
-  updateProgress(status, progress, step, message) {
-    if (this.progressCallback) {
-      this.progressCallback({
+  getProcessingMode() {
+    return this.processingMode;
+  }
+  
+  /**
+   * Choose where new documents are processed - PROCESSING_MODES.LOCAL or .SERVER
+   */
+  setProcessingMode(mode) {
+    if (!Object.values(PROCESSING_MODES).includes(mode)) {
+      throw new Error(`Unknown processing mode "${mode}"`);
+    }
+    this.processingMode = mode;
+  }
+  
+  /**
+   * Report progress to the per-call callback (options.onProgress) or the shared one
+   */
+  updateProgress(status, progress, step, message, options = {}) {
+    const callback = options.onProgress || this.progressCallback;
+    if (callback) {
+      callback({
         status,
         progress,
         currentStep: step,
@@ -44,6 +91,104 @@ class PDFProcessorService {
     }
   }
   
+  /**
+   * Follow a document while it is processed. The listener receives the document
+   * after every finished page and partial extraction result, and once more when
+   * processing ends (processingStatus 'failed' or 'canceled', or the final document).
+   * @returns {Function} unsubscribe
+   */
+  subscribeToDocument(id, listener) {
+    if (!this.documentListeners.has(id)) {
+      this.documentListeners.set(id, new Set());
+    }
+    this.documentListeners.get(id).add(listener);
+    
+    return () => {
+      const listeners = this.documentListeners.get(id);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.documentListeners.delete(id);
+    };
+  }
+  
+  notifyDocument(id, document) {
+    const listeners = this.documentListeners.get(id);
+    if (!listeners) return;
+    listeners.forEach(listener => listener(document));
+  }
+  
+  /**
+   * Add a finished page to the document being processed. The first page creates
+   * a draft document so the review screen can open before processing ends.
+   */
+  addDraftPage(id, name, uri, pageResult, options = {}) {
+    let draft = this.documentsCache.get(id);
+    
+    if (!draft) {
+      draft = {
+        ...buildProcessedDocument({
+          id,
+          name,
+          uri,
+          extractionResult: { pages: pageResult.totalPages, positions: [] },
+          formData: this.medicalFieldService.createEmptyFormData()
+        }),
+        processingStatus: 'processing',
+        receivedPages: [],
+        isPersisted: false
+      };
+      this.documentsCache.set(id, draft);
+      this.textPositions.set(id, []);
+      options.onDocumentAvailable?.(draft);
+    }
+    
+    draft.receivedPages = [...draft.receivedPages, {
+      pageNum: pageResult.pageNum,
+      text: pageResult.text,
+      confidence: pageResult.confidence,
+      source: pageResult.source,
+      error: pageResult.error
+    }].sort((a, b) => a.pageNum - b.pageNum);
+    
+    // A new array, so cached reading orders are rebuilt
+    const positions = [...this.textPositions.get(id), ...pageResult.positions];
+    this.textPositions.set(id, positions);
+    draft.hasHighlighting = positions.length > 0;
+    
+    this.notifyDocument(id, { ...draft });
+  }
+  
+  /**
+   * Show fields extracted from the first chunks on the draft document
+   */
+  updateDraftFields(id, extractedInfo) {
+    const draft = this.documentsCache.get(id);
+    if (!draft || draft.processingStatus !== 'processing') return;
+    
+    const { fieldEvidence, ...extractedFields } = extractedInfo;
+    draft.formData = { ...draft.formData, ...extractedFields, extractionMethod: 'pending' };
+    draft.fieldEvidence = fieldEvidence || {};
+    
+    this.notifyDocument(id, { ...draft });
+  }
+  
+  /**
+   * Drop the draft of a document whose processing failed or was canceled
+   */
+  discardDraft(id, error, options = {}) {
+    const draft = this.documentsCache.get(id);
+    if (!draft || draft.processingStatus !== 'processing') return;
+    
+    this.documentsCache.delete(id);
+    this.textPositions.delete(id);
+    
+    this.notifyDocument(id, {
+      ...draft,
+      processingStatus: options.cancelToken?.canceled ? 'canceled' : 'failed',
+      processingError: error.message
+    });
+  }
+  
   /**
    * UNIFIED EXPANSION VALUES - Single source of truth for highlighting expansion
    */
@@ -70,114 +215,213 @@ class PDFProcessorService {
   }
   
   /**
-   * Main document processing with highlighting support
+   * Main document processing with highlighting support.
+   * Several documents may be processed at once (see ProcessingQueueService).
+   * Pages are published as they finish (see subscribeToDocument) and AI extraction
+   * starts on the first pages while later pages are still being read.
+   * @param {Object} options - { onProgress, onDocumentAvailable(draft), cancelToken: { canceled }, processingMode }
    */
-  async processDocument(uri, name) {
+  async processDocument(uri, name, options = {}) {
+    if ((options.processingMode || this.processingMode) === PROCESSING_MODES.SERVER) {
+      return this.processDocumentOnServer(uri, name, options);
+    }
+    
+    // Sub-services report through the same callback as this call
+    const serviceOptions = {
+      ...options,
+      onProgress: options.onProgress || this.progressCallback
+    };
+    
+    const id = generateDocumentId();
+    
+    // Extraction requests still in flight are aborted when the job fails or is canceled
+    let aiExtraction = null;
+    const cancelWatch = setInterval(() => {
+      if (options.cancelToken?.canceled) aiExtraction?.abort();
+    }, 500);
+    
     try {
-      if (this.isProcessing) {
-        throw new Error('Another document is currently being processed');
-      }
-      
-      this.isProcessing = true;
-      
-      this.updateProgress('processing', 0.01, 'Starting', 'Beginning document processing');
+      this.updateProgress('processing', 0.01, 'Starting', 'Beginning document processing', options);
       
-      const id = Date.now().toString();
-      const date = new Date().toISOString().split('T')[0];
+      // AI extraction runs alongside text extraction, one page-aligned chunk at a time
+      aiExtraction = this.azureOpenAIService.startIncrementalExtraction({
+        ...serviceOptions,
+        onPartialResult: extractedInfo => this.updateDraftFields(id, extractedInfo)
+      });
       
       // STEP 1: Extract text AND positions in single OCR run
-      this.updateProgress('processing', 0.15, 'Text Extraction', 'Starting OCR processing with position capture');
-      const extractionResult = await this.textExtractionService.extractText(uri);
+      this.updateProgress('processing', 0.15, 'Text Extraction', 'Starting OCR processing with position capture', options);
+      const extractionResult = await this.textExtractionService.extractText(uri, {
+        ...serviceOptions,
+        // Text extraction has its own 0-1 scale; keep it inside this step of the overall progress
+        onProgress: serviceOptions.onProgress && (update => serviceOptions.onProgress({
+          ...update,
+          status: update.status === 'complete' ? 'processing' : update.status,
+          progress: 0.15 + (0.15 * (update.progress || 0))
+        })),
+        onPageResult: pageResult => {
+          aiExtraction.addPage(pageResult.pageNum, pageResult.text);
+          this.addDraftPage(id, name, uri, pageResult, options);
+        }
+      });
+      this.throwIfCanceled(options);
       
       if (!extractionResult || (extractionResult.error && !extractionResult.text)) {
-        this.isProcessing = false;
         const error = extractionResult?.error || 'Unknown error in text extraction';
-        this.updateProgress('error', 0.2, 'Extraction Failed', `Error: ${error}`);
+        this.updateProgress('error', 0.2, 'Extraction Failed', `Error: ${error}`, options);
         throw new Error(`Text extraction failed: ${error}`);
       }
       
       const extractedText = extractionResult.text || '';
       
-      this.updateProgress('processing', 0.3, 'Text Extracted', `Successfully processed ${extractionResult.pages} pages`);
+      this.updateProgress('processing', 0.3, 'Text Extracted', `Successfully processed ${extractionResult.pages} pages`, options);
       
       // STEP 2: Store positions for highlighting
-      this.updateProgress('processing', 0.32, 'Context Mapping', 'Building contextual position map');
+      this.updateProgress('processing', 0.32, 'Context Mapping', 'Building contextual position map', options);
       
-      const positions = this.textExtractionService.getLastExtractedPositions();
-      this.textPositions.set(id, positions);
+      const positions = extractionResult.positions || [];
       
       if (positions.length > 0) {
         this.updateProgress('processing', 0.38, 'Context Mapping Complete', 
-          `Built contextual map with ${positions.length} text positions`);
+          `Built contextual map with ${positions.length} text positions`, options);
       } else {
-        this.updateProgress('processing', 0.38, 'Context Mapping', 'No text positions found - highlighting disabled');
+        this.updateProgress('processing', 0.38, 'Context Mapping', 'No text positions found - highlighting disabled', options);
       }
       
-      // STEP 3: AI processing using Azure OpenAI
+      // STEP 3: AI processing with the server's LLM provider
       let formData = this.medicalFieldService.createEmptyFormData();
+      let fieldEvidence = {};
       
       if (extractedText) {
+        const providerLabel = await this.azureOpenAIService.getProviderLabel();
         try {
-          this.updateProgress('processing', 0.4, 'AI Extraction', 'Starting Azure OpenAI information extraction');
+          this.updateProgress('processing', 0.4, 'AI Extraction', `Completing ${providerLabel} information extraction`, options);
           
-          const extractedInfo = await this.azureOpenAIService.extractInformation(extractedText);
+          const extractedInfo = await aiExtraction.finish();
+          this.throwIfCanceled(options);
           
-          this.updateProgress('processing', 0.8, 'AI Complete', 'Azure OpenAI extraction completed successfully');
+          this.updateProgress('processing', 0.8, 'AI Complete', `${providerLabel} extraction completed successfully`, options);
           
           if (extractedInfo && extractedInfo.extractionMethod !== 'failed') {
-            formData = { ...formData, ...extractedInfo };
+            const { fieldEvidence: evidence, ...extractedFields } = extractedInfo;
+            formData = { ...formData, ...extractedFields };
+            fieldEvidence = evidence || {};
             
             if (formData.patientName) {
-              this.updateProgress('processing', 0.85, 'Patient Identified', `Found patient: ${formData.patientName}`);
+              this.updateProgress('processing', 0.85, 'Patient Identified', `Found patient: ${formData.patientName}`, options);
             }
           } else {
-            this.updateProgress('warning', 0.8, 'Extraction Issues', 'Azure OpenAI had trouble identifying information');
+            this.updateProgress('warning', 0.8, 'Extraction Issues', `${providerLabel} had trouble identifying information`, options);
             formData.extractionMethod = 'failed';
             formData.error = extractedInfo?.error || 'Unknown error';
           }
         } catch (error) {
-          this.updateProgress('warning', 0.5, 'AI Unavailable', `Could not connect to Azure OpenAI: ${error.message}`);
+          if (options.cancelToken?.canceled) throw error;
+          this.updateProgress('warning', 0.5, 'AI Unavailable', `Could not connect to ${providerLabel}: ${error.message}`, options);
           formData.extractionMethod = 'unavailable';
-          formData.error = `Azure OpenAI service unavailable: ${error.message}`;
+          formData.error = `${providerLabel} unavailable: ${error.message}`;
         }
       } else {
-        this.updateProgress('error', 0.4, 'No Text Found', 'No readable text was extracted');
+        this.updateProgress('error', 0.4, 'No Text Found', 'No readable text was extracted', options);
         formData.extractionMethod = 'no_text';
         formData.error = 'No text was extracted from the document';
       }
       
-      this.updateProgress('processing', 0.9, 'Processing Complete', 'Document processed successfully');
+      this.updateProgress('processing', 0.9, 'Processing Complete', 'Document processed successfully', options);
       
-      const processedDocument = {
+      const processedDocument = buildProcessedDocument({
         id,
         name,
-        date,
         uri,
-        extractedText,
-        isOcr: extractionResult.isOcr || false,
-        ocrConfidence: extractionResult.confidence,
-        pages: extractionResult.pages || 1,
+        extractionResult,
         formData,
-        hasHighlighting: positions.length > 0,
-        positionSource: positions.length > 0 ? positions[0].source : 'none'
+        fieldEvidence
+      });
+      
+      // STEP 4: Persist to the backend document store
+      this.updateProgress('processing', 0.95, 'Saving', 'Saving document to the document store', options);
+      await this.persistDocument(processedDocument, positions, options);
+      
+      // The final document replaces the draft once it can be edited on the server,
+      // under the id the server assigned. Followers of the draft are told the new id.
+      if (processedDocument.id !== id) {
+        this.documentsCache.delete(id);
+        this.textPositions.delete(id);
+      }
+      this.textPositions.set(processedDocument.id, positions);
+      this.documentsCache.set(processedDocument.id, processedDocument);
+      this.notifyDocument(id, processedDocument);
+      
+      this.updateProgress('complete', 1.0, 'Complete', 'Document processed with contextual highlighting', options);
+      return processedDocument;
+    } catch (error) {
+      aiExtraction?.abort();
+      this.discardDraft(id, error, options);
+      this.updateProgress('error', 0.5, 'Processing Failed', `Error: ${error.message}`, options);
+      throw error;
+    } finally {
+      clearInterval(cancelWatch);
+    }
+  }
+  
+  /**
+   * Let the API server run OCR and extraction (POST /api/documents/process).
+   * The server stores the document, so nothing is persisted from here.
+   */
+  async processDocumentOnServer(uri, name, options = {}) {
+    // The request is aborted when the job is canceled; the server then stops its worker
+    const controller = new AbortController();
+    const cancelWatch = setInterval(() => {
+      if (options.cancelToken?.canceled) controller.abort();
+    }, 500);
+    
+    try {
+      this.updateProgress('processing', 0.1, 'Server Processing', 'PDF sent - OCR and AI extraction are running on the server', options);
+      
+      const { document, positions } = await this.documentStore.processOnServer(uri, name, { signal: controller.signal });
+      this.throwIfCanceled(options);
+      
+      const processedDocument = {
+        ...document,
+        uri,
+        isPersisted: true
       };
       
-      this.documentsCache.set(id, processedDocument);
+      this.textPositions.set(processedDocument.id, positions);
+      this.documentsCache.set(processedDocument.id, processedDocument);
+      
+      if (processedDocument.formData?.patientName) {
+        this.updateProgress('processing', 0.9, 'Patient Identified', `Found patient: ${processedDocument.formData.patientName}`, options);
+      }
       
-      this.updateProgress('complete', 1.0, 'Complete', 'Document processed with contextual highlighting');
-      this.isProcessing = false;
+      this.updateProgress('complete', 1.0, 'Complete', 'Document processed on the server', options);
       return processedDocument;
     } catch (error) {
-      this.isProcessing = false;
-      this.updateProgress('error', 0.5, 'Processing Failed', `Error: ${error.message}`);
+      if (options.cancelToken?.canceled) {
+        throw new Error('Processing canceled');
+      }
+      this.updateProgress('error', 0.5, 'Processing Failed', `Error: ${error.message}`, options);
       throw error;
+    } finally {
+      clearInterval(cancelWatch);
     }
   }
   
   /**
-   * OPTIMIZED: Find contextual blocks - consolidated search strategies
+   * Throw if the caller canceled this run (options.cancelToken.canceled)
    */
-  findSourcePositions(documentId, fieldValue) {
+  throwIfCanceled(options) {
+    if (options.cancelToken?.canceled) {
+      throw new Error('Processing canceled');
+    }
+  }
+  
+  /**
+   * Find where a value appears in the document - OCR-error tolerant.
+   * Results carry a calibrated matchScore (0-100, roughly the share of characters matched).
+   * @param {number|null} preferredPage - Matches on this page are returned first
+   */
+  findSourcePositions(documentId, fieldValue, preferredPage = null) {
     if (!fieldValue || !fieldValue.trim()) return [];
     
     const positions = this.textPositions.get(documentId) || [];
@@ -187,14 +431,19 @@ class PDFProcessorService {
     
     // Try strategies in order of preference
     const strategies = [
-      () => this.findMatches(positions, searchText, 'phrase'),
-      () => this.findMatches(positions, searchText, 'sequence'),
-      () => this.findMatches(positions, searchText, 'significant')
+      () => this.findFuzzyPhraseMatches(positions, fieldValue),
+      () => this.findMatches(positions, searchText)
     ];
     
     for (const strategy of strategies) {
       const matches = strategy();
       if (matches.length > 0) {
+        matches.sort((a, b) => {
+          if (preferredPage && (a.page === preferredPage) !== (b.page === preferredPage)) {
+            return a.page === preferredPage ? -1 : 1;
+          }
+          return b.matchScore - a.matchScore;
+        });
         return matches.slice(0, 3).map(match => this.expandBoundingBox(match));
       }
     }
@@ -203,32 +452,79 @@ class PDFProcessorService {
   }
   
   /**
-   * CONSOLIDATED: Single method for all match types
+   * Align the whole value against the document words in reading order.
+   * Matches may run across line and page breaks; each page gets its own result.
+   */
+  findFuzzyPhraseMatches(positions, fieldValue) {
+    const words = this.getReadingOrder(positions);
+    const matches = findFuzzyMatches(fieldValue, words.map(word => word.text), { maxResults: 5 });
+    
+    const results = [];
+    matches.forEach(match => {
+      const matchedWords = words.slice(match.start, match.end + 1);
+      const pages = [...new Set(matchedWords.map(word => word.page))];
+      
+      pages.forEach((pageNum, pageIndex) => {
+        const pageWords = matchedWords.filter(word => word.page === pageNum);
+        const result = this.createMatchResult(
+          this.getLineContext(words, pageWords),
+          pageWords,
+          pageNum,
+          match.score === 1 ? 'exact' : 'fuzzy',
+          Math.round(match.score * 100)
+        );
+        if (pages.length > 1) {
+          result.continued = pageIndex > 0;
+        }
+        results.push(result);
+      });
+    });
+    
+    return this.removeDuplicateResults(results);
+  }
+  
+  /**
+   * Fallback: locate the significant words of the value individually
    */
-  findMatches(positions, searchText, matchType) {
+  findMatches(positions, searchText) {
     const pageGroups = this.groupPositionsByPage(positions);
     const results = [];
     
     Object.entries(pageGroups).forEach(([page, pagePositions]) => {
       const pageNum = parseInt(page);
       pagePositions.sort(this.sortByReadingOrder);
-      
-      switch (matchType) {
-        case 'phrase':
-          results.push(...this.findPhraseMatchesOnPage(pagePositions, searchText, pageNum));
-          break;
-        case 'sequence':
-          results.push(...this.findSequenceMatchesOnPage(pagePositions, searchText, pageNum));
-          break;
-        case 'significant':
-          results.push(...this.findSignificantWordMatchesOnPage(pagePositions, searchText, pageNum));
-          break;
-      }
+      results.push(...this.findSignificantWordMatchesOnPage(pagePositions, searchText, pageNum));
     });
     
     return this.removeDuplicateResults(results);
   }
   
+  /**
+   * HELPER: All words sorted page by page in reading order (cached)
+   */
+  getReadingOrder(positions) {
+    if (!this.readingOrderCache.has(positions)) {
+      const pageGroups = this.groupPositionsByPage(positions);
+      const words = Object.keys(pageGroups)
+        .map(page => parseInt(page))
+        .sort((a, b) => a - b)
+        .flatMap(page => [...pageGroups[page]].sort(this.sortByReadingOrder));
+      this.readingOrderCache.set(positions, words);
+    }
+    return this.readingOrderCache.get(positions);
+  }
+  
+  /**
+   * HELPER: Words on the lines around a match, for the context text
+   */
+  getLineContext(words, matchedWords) {
+    const page = matchedWords[0].page;
+    const top = Math.min(...matchedWords.map(word => word.y)) - 50;
+    const bottom = Math.max(...matchedWords.map(word => word.y + word.height)) + 50;
+    
+    return words.filter(word => word.page === page && word.y >= top && word.y <= bottom);
+  }
+  
   /**
    * HELPER: Group positions by page
    */
@@ -250,50 +546,6 @@ class PDFProcessorService {
     return yDiff;
   }
   
-  /**
-   * Find phrase matches on a single page
-   */
-  findPhraseMatchesOnPage(pagePositions, searchText, pageNum) {
-    const results = [];
-    const windowSize = Math.min(50, pagePositions.length);
-    
-    for (let i = 0; i < pagePositions.length - 5; i++) {
-      const textWindow = pagePositions.slice(i, i + windowSize);
-      const windowText = textWindow.map(p => p.text).join(' ').toLowerCase();
-      
-      if (windowText.indexOf(searchText) !== -1) {
-        const contextWords = this.getContextWords(pagePositions, i, 500);
-        results.push(this.createMatchResult(contextWords, searchText, pageNum, 'phrase'));
-      }
-    }
-    
-    return results;
-  }
-  
-  /**
-   * Find sequence matches on a single page
-   */
-  findSequenceMatchesOnPage(pagePositions, searchText, pageNum) {
-    const results = [];
-    const significantWords = this.getSignificantWords(searchText);
-    
-    if (significantWords.length === 0) return results;
-    
-    pagePositions.forEach((currentPos, index) => {
-      if (significantWords.includes(currentPos.text.toLowerCase())) {
-        const nearbyWords = this.findNearbySignificantWords(pagePositions, currentPos, significantWords);
-        
-        if (nearbyWords.length >= 2) {
-          const contextWords = this.getContextWords(pagePositions, index, 500);
-          const highlightedText = nearbyWords.map(w => w.text).join(' ');
-          results.push(this.createMatchResult(contextWords, highlightedText, pageNum, 'sequence'));
-        }
-      }
-    });
-    
-    return results;
-  }
-  
   /**
    * Find significant word matches on a single page
    */
@@ -302,7 +554,7 @@ class PDFProcessorService {
     if (significantWords.length === 0) return [];
     
     const matchingWords = this.findMatchingWords(pagePositions, significantWords);
-    const contextualBlocks = this.buildContextualBlocks(matchingWords, pagePositions, pageNum);
+    const contextualBlocks = this.buildContextualBlocks(matchingWords, pagePositions, pageNum, significantWords.length);
     
     return contextualBlocks;
   }
@@ -319,36 +571,30 @@ class PDFProcessorService {
       'not', 'no', 'yes', 'all', 'any', 'some', 'most', 'many', 'much', 'more'
     ];
     
-    return searchText.split(' ')
+    return searchText.split(/\s+/)
       .filter(word => word.length > 2 && !commonWords.includes(word.toLowerCase()));
   }
   
   /**
-   * HELPER: Find nearby significant words
-   */
-  findNearbySignificantWords(pagePositions, currentPos, significantWords) {
-    return pagePositions.filter(pos => 
-      Math.abs(pos.x - currentPos.x) < 800 &&
-      Math.abs(pos.y - currentPos.y) < 100 &&
-      significantWords.includes(pos.text.toLowerCase())
-    ).sort(this.sortByReadingOrder);
-  }
-  
-  /**
-   * HELPER: Find matching words
+   * HELPER: Find words similar to the significant words (OCR-normalized)
    */
   findMatchingWords(pagePositions, significantWords) {
+    const MIN_WORD_SIMILARITY = 0.75;
     const matchingWords = [];
+    const searchTokens = significantWords.map(normalizeToken);
     
     pagePositions.forEach(pos => {
-      const posText = pos.text.toLowerCase();
-      significantWords.forEach(word => {
-        if (posText === word || posText.includes(word)) {
+      const posToken = normalizeToken(pos.text);
+      if (!posToken) return;
+      
+      searchTokens.forEach((token, index) => {
+        const similarity = tokenSimilarity(posToken, token);
+        if (similarity >= MIN_WORD_SIMILARITY) {
           matchingWords.push({
             ...pos,
-            matchType: posText === word ? 'exact' : 'partial',
-            matchScore: posText === word ? 100 : 80,
-            searchWord: word
+            matchType: similarity === 1 ? 'exact' : 'partial',
+            matchScore: Math.round(similarity * 100),
+            searchWord: significantWords[index]
           });
         }
       });
@@ -358,27 +604,17 @@ class PDFProcessorService {
   }
   
   /**
-   * HELPER: Get context words around a position
+   * HELPER: Create match result object - the box covers the matched words
    */
-  getContextWords(pagePositions, centerIndex, radius) {
-    const centerPos = pagePositions[centerIndex];
-    
-    return pagePositions.filter(pos => 
-      Math.abs(pos.x - centerPos.x) < radius &&
-      Math.abs(pos.y - centerPos.y) < 100
-    ).sort(this.sortByReadingOrder);
-  }
-  
-  /**
-   * HELPER: Create match result object
-   */
-  createMatchResult(contextWords, searchText, pageNum, matchType) {
-    const contextText = contextWords.map(p => p.text).join(' ');
-    const boundingBox = this.calculateBoundingBox(contextWords);
-    const confidence = this.calculateConfidence(contextWords);
+  createMatchResult(contextWords, matchedWords, pageNum, matchType, matchScore) {
+    const sortedContext = [...contextWords].sort(this.sortByReadingOrder);
+    const contextText = sortedContext.map(p => p.text).join(' ');
+    const matchedText = matchedWords.map(p => p.text).join(' ');
+    const boundingBox = this.calculateBoundingBox(matchedWords);
+    const confidence = this.calculateConfidence(matchedWords);
     
     return {
-      text: searchText,
+      text: matchedText,
       context: contextText,
       page: pageNum,
       x: boundingBox.x,
@@ -387,17 +623,18 @@ class PDFProcessorService {
       height: boundingBox.height,
       confidence,
       matchType,
-      highlightStart: contextText.toLowerCase().indexOf(searchText.toLowerCase()),
-      highlightLength: searchText.length,
-      source: contextWords[0]?.source || 'contextual',
-      wordCount: contextWords.length
+      matchScore,
+      highlightStart: contextText.indexOf(matchedText),
+      highlightLength: matchedText.length,
+      source: matchedWords[0]?.source || 'contextual',
+      wordCount: sortedContext.length
     };
   }
   
   /**
    * OPTIMIZED: Build contextual blocks with enhanced deduplication
    */
-  buildContextualBlocks(matchingWords, allPositions, pageNum) {
+  buildContextualBlocks(matchingWords, allPositions, pageNum, significantWordCount) {
     const CONTEXT_RADIUS_X = 200;
     const CONTEXT_RADIUS_Y = 50;
     const MIN_CONTEXT_WORDS = 5;
@@ -431,6 +668,10 @@ class PDFProcessorService {
         contextWords.sort(this.sortByReadingOrder);
         const uniqueWords = this.removeDuplicateWords(contextWords);
         
+        // Calibrated score: how well the anchor matched, scaled by how many of the words were found nearby
+        const foundWords = new Set(wordGroup.map(word => word.searchWord)).size;
+        const matchScore = Math.round(anchorWord.matchScore * (foundWords / significantWordCount));
+        
         blocks.push({
           text: anchorWord.text,
           context: uniqueWords.map(w => w.text).join(' '),
@@ -441,6 +682,7 @@ class PDFProcessorService {
           height: this.calculateBoundingBox(uniqueWords).height,
           confidence: this.calculateConfidence(uniqueWords),
           matchType: anchorWord.matchType,
+          matchScore,
           highlightStart: 0,
           highlightLength: anchorWord.text.length,
           source: anchorWord.source,
@@ -497,10 +739,11 @@ class PDFProcessorService {
   }
   
   /**
-   * HELPER: Calculate confidence from OCR results
+   * HELPER: Calculate confidence from OCR results - null when the OCR engine reports none (ML Kit)
    */
   calculateConfidence(words) {
     if (!words || words.length === 0) return 50;
+    if (words.every(w => w.confidence === null)) return null;
     
     const validConfidences = words
       .map(w => w.confidence)
@@ -538,13 +781,9 @@ class PDFProcessorService {
    * ENHANCED: Remove duplicate and overlapping results with better spatial awareness
    */
   removeDuplicateResults(results) {
-    // First, sort by quality and position
+    // First, sort by match score and position
     const sortedResults = results.sort((a, b) => {
-      const typeOrder = { phrase: 0, sequence: 1, exact: 2, partial: 3 };
-      const aOrder = typeOrder[a.matchType] || 4;
-      const bOrder = typeOrder[b.matchType] || 4;
-      
-      if (aOrder !== bOrder) return aOrder - bOrder;
+      if (a.matchScore !== b.matchScore) return (b.matchScore || 0) - (a.matchScore || 0);
       if (a.page !== b.page) return a.page - b.page;
       if (Math.abs(a.y - b.y) > 10) return a.y - b.y;
       return a.x - b.x;
@@ -622,7 +861,8 @@ class PDFProcessorService {
   }
   
   /**
-   * Get field reference with contextual source positions
+   * Get field reference with contextual source positions.
+   * When the model supplied an evidence quote it is searched first, then the value itself.
    */
   getFieldReference(documentId, fieldKey) {
     const document = this.documentsCache.get(documentId);
@@ -631,14 +871,43 @@ class PDFProcessorService {
     const fieldValue = document.formData[fieldKey];
     if (!fieldValue) return null;
     
-    const sourcePositions = this.findSourcePositions(documentId, fieldValue);
+    const evidence = document.fieldEvidence?.[fieldKey] || null;
+    const preferredPage = evidence?.page || null;
+    const providerLabel = getProviderLabel(getExtractionProvider(document.formData.extractionMethod));
+    
+    let sourcePositions = [];
+    if (evidence?.evidence) {
+      sourcePositions = this.findSourcePositions(documentId, evidence.evidence, preferredPage);
+    }
+    if (sourcePositions.length === 0) {
+      sourcePositions = this.findSourcePositions(documentId, fieldValue, preferredPage);
+    }
+    
+    let explanation;
+    if (evidence?.evidence) {
+      explanation = `${evidence.page ? `Page ${evidence.page}` : 'Document'}: "${evidence.evidence}"`;
+      if (!evidence.evidenceVerified) {
+        explanation += ' (quote could not be matched exactly to the document text)';
+      }
+      if (evidence.conflicts && evidence.conflicts.length > 0) {
+        const otherValues = evidence.conflicts
+          .map(conflict => `"${conflict.value}"${conflict.page ? ` (page ${conflict.page})` : ''}`)
+          .join(', ');
+        explanation += `. Other values found: ${otherValues}`;
+      }
+    } else if (sourcePositions.length > 0) {
+      explanation = `Found "${fieldValue}" in ${sourcePositions.length} contextual location(s) with generous highlighting.`;
+    } else {
+      explanation = `${providerLabel} extracted this information from the document text.`;
+    }
     
     return {
       extractedValue: fieldValue,
-      explanation: sourcePositions.length > 0 ? 
-        `Found "${fieldValue}" in ${sourcePositions.length} contextual location(s) with generous highlighting.` :
-        `Azure OpenAI extracted this information from the document text.`,
-      confidence: 'Azure OpenAI Generated',
+      explanation,
+      confidence: typeof evidence?.confidence === 'number' ?
+        `${Math.round(evidence.confidence * 100)}% model confidence` :
+        `${providerLabel} Generated`,
+      evidence,
       timestamp: document.formData.extractionDate,
       sourcePositions: sourcePositions,
       hasSourceHighlighting: sourcePositions.length > 0
@@ -646,25 +915,135 @@ class PDFProcessorService {
   }
   
   // Existing utility methods
-  cancelProcessing() {
-    if (this.isProcessing) {
-      this.textExtractionService.cancel();
-      this.isProcessing = false;
+  /**
+   * Save a processed document, its positions and the original PDF to the store.
+   * The document takes the id the server assigned.
+   * Failures are reported but do not fail processing - the document stays in memory.
+   */
+  async persistDocument(processedDocument, positions, options = {}) {
+    try {
+      const saved = await this.documentStore.saveDocument(processedDocument, positions);
+      processedDocument.id = saved.id;
+      processedDocument.version = saved.version;
+      processedDocument.updatedAt = saved.updatedAt;
+      
+      if (processedDocument.uri) {
+        // Storing the original bumps the version
+        const uploaded = await this.documentStore.uploadOriginal(processedDocument.id, processedDocument.uri);
+        processedDocument.version = uploaded.version ?? processedDocument.version;
+      }
+      
+      processedDocument.isPersisted = true;
+      return true;
+    } catch (error) {
+      console.warn('Failed to persist document:', error);
+      this.updateProgress('warning', 0.95, 'Not Saved', `Document could not be saved to the server: ${error.message}`, options);
+      processedDocument.isPersisted = false;
+      return false;
     }
   }
   
+  /**
+   * Blank forms are never stored on the server
+   */
+  isLocalOnlyDocument(id) {
+    return typeof id === 'string' && id.startsWith('blank_');
+  }
+  
   async getProcessedDocuments() {
-    return Array.from(this.documentsCache.values());
+    try {
+      return await this.documentStore.listDocuments();
+    } catch (error) {
+      console.warn('Failed to load documents from the store:', error);
+      return Array.from(this.documentsCache.values());
+    }
   }
   
+  /**
+   * Open a document. Stored documents are always re-read from the server so
+   * changes made by other users since the last visit are shown.
+   */
   async getDocumentById(id) {
-    return this.documentsCache.get(id) || null;
+    const cachedDocument = this.documentsCache.get(id);
+    
+    // Blank forms, drafts and documents that could not be saved only exist here
+    if (this.isLocalOnlyDocument(id) || (cachedDocument && cachedDocument.isPersisted !== true)) {
+      return cachedDocument || null;
+    }
+    
+    let storedDocument;
+    try {
+      storedDocument = await this.documentStore.getDocument(id);
+    } catch (error) {
+      if (!cachedDocument) throw error;
+      console.warn('Failed to refresh document, showing the copy from this session:', error);
+      return cachedDocument;
+    }
+    
+    if (!storedDocument) {
+      this.documentsCache.delete(id);
+      return null;
+    }
+    
+    // Word positions never change once a document is stored
+    if (!this.textPositions.has(id)) {
+      const positions = await this.documentStore.getPositions(id).catch(error => {
+        console.warn('Failed to load text positions:', error);
+        return [];
+      });
+      this.textPositions.set(id, positions);
+    }
+    
+    const document = {
+      ...storedDocument,
+      uri: storedDocument.hasOriginal ? this.documentStore.getOriginalUrl(id) : null,
+      isPersisted: true
+    };
+    
+    this.documentsCache.set(id, document);
+    
+    return document;
+  }
+  
+  /**
+   * Update formData / review state and persist the change.
+   * Stored documents are only updated if nobody has changed them since they were
+   * read - otherwise this rejects with error.status 409.
+   * @param {Object} options - { version } overrides the version of the cached copy
+   */
+  async updateDocument(id, updates, options = {}) {
+    const document = this.documentsCache.get(id);
+    
+    if (this.isLocalOnlyDocument(id) || (document && document.isPersisted === false)) {
+      if (document) {
+        Object.assign(document, updates);
+      }
+      return document || null;
+    }
+    
+    const version = options.version ?? document?.version;
+    const saved = await this.documentStore.updateDocument(id, updates, version);
+    
+    if (document) {
+      Object.assign(document, updates, { version: saved.version, updatedAt: saved.updatedAt });
+    }
+    return saved;
   }
   
   async deleteDocument(id) {
-    if (this.documentsCache.has(id)) {
-      const document = this.documentsCache.get(id);
-      const uri = document?.uri;
+    const document = this.documentsCache.get(id);
+    let deleted = false;
+    
+    if (!this.isLocalOnlyDocument(id)) {
+      try {
+        deleted = await this.documentStore.deleteDocument(id);
+      } catch (error) {
+        console.warn('Failed to delete document from the store:', error);
+      }
+    }
+    
+    if (document) {
+      const uri = document.uri;
       
       this.textPositions.delete(id);
       this.documentsCache.delete(id);
@@ -683,10 +1062,10 @@ class PDFProcessorService {
         }
       }
       
-      return true;
+      deleted = true;
     }
     
-    return false;
+    return deleted;
   }
 }
 
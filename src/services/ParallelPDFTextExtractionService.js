@@ -1,303 +1,114 @@
 /**
- * Tesseract-Only PDFTextExtractionService - Clean production version
+ * PDFTextExtractionService - Uses the PDF text layer where it exists and
+ * falls back to OCR for scanned pages
+ *
+ * The extraction itself lives in src/shared/pdfTextExtraction.js so the API
+ * server runs the same code; pages are rasterized for the current platform.
+ * Browsers OCR with Tesseract.js; iOS/Android have no Web Workers or
+ * WebAssembly and use ML Kit on the device (see shared/nativeOcrWorker.js).
  */
-import Tesseract from 'tesseract.js';
+import { Platform } from 'react-native';
 import * as pdfjs from 'pdfjs-dist/legacy/build/pdf';
+import { RENDER_SCALE, MIN_TEXT_LAYER_CHARS, extractPdfText } from '../shared/pdfTextExtraction';
+import { getOcrAssetUrls } from '../shared/ocrAssets';
+import { TesseractWorkerPool } from '../shared/tesseractWorkerPool';
+import { createNativeOcrWorker } from '../shared/nativeOcrWorker';
+import { getOcrAssetBaseUrl } from '../utils/api';
+import { readDocumentBytes } from '../utils/documentUtils';
 
-// Set PDF.js worker for web
-if (typeof window !== 'undefined' && 'Worker' in window) {
-  pdfjs.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@2.16.105/legacy/build/pdf.worker.min.js';
+const isNative = Platform.OS !== 'web';
+
+// pdf.js and Tesseract assets come from our own server (see shared/ocrAssets.js)
+const ocrAssetUrls = getOcrAssetUrls(getOcrAssetBaseUrl());
+
+if (isNative) {
+  // No Web Workers - pdf.js runs its worker code on the JS thread when it is preloaded here
+  globalThis.pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker');
+} else if (typeof window !== 'undefined' && 'Worker' in window) {
+  pdfjs.GlobalWorkerOptions.workerSrc = ocrAssetUrls.pdfWorkerSrc;
 }
 
+// Pages are rendered at this scale for OCR; all positions are in this pixel space
+export { RENDER_SCALE };
+
 class ParallelPDFTextExtractionService {
   static instance;
-  
+
   constructor() {
     this.progressCallback = null;
-    this.cancelProcessing = false;
-    this.maxWorkers = 20;
-    
+
+    // Tesseract workers shared by every document being processed; started on first use
+    this.workerPool = null;
+    this.workerPoolSize = parseInt(process.env.EXPO_PUBLIC_OCR_WORKER_BUDGET, 10) || undefined;
+
     // Store positions during OCR processing
     this.lastExtractedPositions = [];
+
+    // Pages need at least this many letters/digits in their text layer to skip OCR
+    this.minTextLayerChars = MIN_TEXT_LAYER_CHARS;
+
+    // Orientation, deskew, binarization and speckle removal before OCR (shared/imagePreprocessing.js);
+    // false to OCR pages as rendered, or an options object
+    this.preprocessing = true;
   }
-  
+
   static getInstance() {
     if (!ParallelPDFTextExtractionService.instance) {
       ParallelPDFTextExtractionService.instance = new ParallelPDFTextExtractionService();
     }
     return ParallelPDFTextExtractionService.instance;
   }
-  
+
   setProgressCallback(callback) {
     this.progressCallback = callback;
   }
-  
-  updateProgress(status, progress, currentStep = '', message = '') {
-    if (this.progressCallback) {
-      this.progressCallback({
-        status,
-        progress,
-        currentStep,
-        message
+
+  /**
+   * Shared worker pool - sized to the device unless EXPO_PUBLIC_OCR_WORKER_BUDGET is set.
+   * On iOS/Android the pool runs ML Kit workers instead of Tesseract.
+   */
+  getWorkerPool() {
+    if (!this.workerPool) {
+      this.workerPool = new TesseractWorkerPool({
+        size: this.workerPoolSize,
+        workerOptions: ocrAssetUrls.tesseract,
+        createWorker: isNative ? createNativeOcrWorker : undefined
       });
     }
+    return this.workerPool;
   }
-  
-  cancel() {
-    this.cancelProcessing = true;
-  }
-  
+
   /**
    * Get positions from last extraction
    */
   getLastExtractedPositions() {
     return this.lastExtractedPositions;
   }
-  
-  /**
-   * Extract text using Tesseract.js OCR as primary method
-   */
-  async extractText(uri) {
-    try {
-      this.cancelProcessing = false;
-      
-      this.updateProgress('processing', 0.05, 'Starting', 'Loading PDF document');
-      
-      // Clear previous positions
-      this.lastExtractedPositions = [];
-      
-      // Load PDF (still needed to render pages to canvas for OCR)
-      const loadingTask = pdfjs.getDocument(uri);
-      const pdf = await loadingTask.promise;
-      const totalPages = pdf.numPages;
-      
-      this.updateProgress('processing', 0.15, 'PDF Loaded', `Processing ${totalPages} pages with OCR`);
-      
-      // Process directly with OCR
-      this.updateProgress('processing', 0.2, 'OCR Processing', 'Starting OCR text extraction with position tracking');
-      
-      return await this.processWithOCRAndRealPositions(pdf, totalPages);
-      
-    } catch (error) {
-      this.updateProgress('error', 0.5, 'Error', `OCR extraction failed: ${error.message}`);
-      
-      return {
-        text: `Error extracting text: ${error.message}`,
-        isOcr: true,
-        pages: 0,
-        error: error.message,
-        positions: []
-      };
-    }
-  }
-  
-  /**
-   * OCR processing that captures REAL text positions from Tesseract.js
-   */
-  async processWithOCRAndRealPositions(pdf, totalPages) {
-    const workers = await this.createWorkers();
-    const pageTexts = [];
-    const allPositions = [];
-    
-    try {
-      // Process pages in small batches
-      const batchSize = Math.min(this.maxWorkers, totalPages);
-      
-      for (let i = 0; i < totalPages; i += batchSize) {
-        if (this.cancelProcessing) {
-          throw new Error('Processing canceled');
-        }
-        
-        const batchEnd = Math.min(i + batchSize, totalPages);
-        const batchPromises = [];
-        
-        for (let pageNum = i + 1; pageNum <= batchEnd; pageNum++) {
-          const workerIndex = (pageNum - 1) % workers.length;
-          const worker = workers[workerIndex];
-          
-          batchPromises.push(this.processPageWithOCR(pdf, pageNum, worker));
-        }
-        
-        const batchResults = await Promise.all(batchPromises);
-        
-        // Collect both text and positions
-        batchResults.forEach(result => {
-          if (result && !result.error) {
-            pageTexts.push(result);
-            if (result.positions) {
-              allPositions.push(...result.positions);
-            }
-          }
-        });
-        
-        const progress = 0.3 + (0.6 * (batchEnd / totalPages));
-        this.updateProgress('processing', progress, 'OCR Processing', 
-          `OCR completed ${batchEnd}/${totalPages} pages`);
-      }
-      
-      // Combine results
-      this.updateProgress('processing', 0.95, 'Finalizing', 'Combining OCR results');
-      
-      let fullText = '';
-      pageTexts.forEach((pageResult, index) => {
-        if (pageResult && !pageResult.error) {
-          fullText += `\n\n--- Page ${index + 1} ---\n\n${pageResult.text}`;
-        }
-      });
-      
-      // Store positions for later use
-      this.lastExtractedPositions = allPositions;
-      
-      await this.cleanupWorkers(workers);
-      
-      this.updateProgress('complete', 1.0, 'Complete', 'OCR text extraction with real positions completed');
-      
-      return {
-        text: fullText,
-        isOcr: true,
-        pages: totalPages,
-        positions: allPositions,
-        confidence: 'Tesseract OCR'
-      };
-      
-    } catch (error) {
-      await this.cleanupWorkers(workers);
-      throw error;
-    }
-  }
-  
-  /**
-   * Process single page with Tesseract OCR and capture REAL word positions
-   */
-  async processPageWithOCR(pdf, pageNum, worker) {
-    try {
-      const page = await pdf.getPage(pageNum);
-      
-      // Render page to canvas with high resolution for better OCR
-      const viewport = page.getViewport({ scale: 2.0 });
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d');
-      canvas.height = viewport.height;
-      canvas.width = viewport.width;
-      
-      await page.render({
-        canvasContext: context,
-        viewport: viewport
-      }).promise;
-      
-      // Convert canvas to blob for Tesseract
-      const blob = await new Promise(resolve => {
-        canvas.toBlob(resolve, 'image/png');
-      });
-      
-      // Run Tesseract OCR with blocks output to get real bounding boxes
-      const { data } = await worker.recognize(blob, {
-        tesseract_pageseg_mode: 6,    // Uniform block of text
-        preserve_interword_spaces: 1  // Better text formatting
-      }, {
-        // Request blocks output format to get bounding boxes
-        blocks: true,
-        text: true
-      });
-      
-      // Extract text
-      const extractedText = data.text || '';
-      
-      // Extract REAL word positions from blocks output
-      const positions = [];
-      
-      if (data.blocks && data.blocks.length > 0) {
-        // Navigate through blocks -> paragraphs -> lines -> words
-        data.blocks.forEach((block, blockIndex) => {
-          if (block.paragraphs) {
-            block.paragraphs.forEach((paragraph, paraIndex) => {
-              if (paragraph.lines) {
-                paragraph.lines.forEach((line, lineIndex) => {
-                  if (line.words) {
-                    line.words.forEach((word, wordIndex) => {
-                      if (word.text && word.text.trim() && word.confidence > 30) {
-                        // Get REAL positions from Tesseract blocks output
-                        const bbox = word.bbox;
-                        if (bbox && typeof bbox.x0 === 'number') {
-                          positions.push({
-                            text: word.text.trim(),
-                            page: pageNum,
-                            x: bbox.x0,
-                            y: bbox.y0,
-                            width: bbox.x1 - bbox.x0,
-                            height: bbox.y1 - bbox.y0,
-                            confidence: word.confidence,
-                            index: wordIndex,
-                            source: 'tesseract-ocr',
-                            blockIndex,
-                            paraIndex,
-                            lineIndex,
-                            wordIndex
-                          });
-                        }
-                      }
-                    });
-                  }
-                });
-              }
-            });
-          }
-        });
-      }
-      
-      // Clean up canvas
-      canvas.width = 0;
-      canvas.height = 0;
-      
-      return {
-        pageNum,
-        text: extractedText,
-        positions: positions,
-        error: false
-      };
-      
-    } catch (error) {
-      return {
-        pageNum,
-        text: `Error processing page ${pageNum}: ${error.message}`,
-        positions: [],
-        error: true
-      };
-    }
-  }
-  
-  /**
-   * Create Tesseract workers
-   */
-  async createWorkers() {
-    const workers = [];
-    
-    for (let i = 0; i < this.maxWorkers; i++) {
-      try {
-        const worker = await Tesseract.createWorker('eng');
-        workers.push(worker);
-      } catch (error) {
-        break;
-      }
-    }
-    
-    if (workers.length === 0) {
-      throw new Error('Failed to create any Tesseract OCR workers');
-    }
-    
-    return workers;
-  }
-  
+
   /**
-   * Clean up workers
+   * Extract text - PDF text layer first, OCR for scanned pages
+   * @param {Object} options - { onProgress, cancelToken: { canceled }, rasterizer, preprocessing }
    */
-  async cleanupWorkers(workers) {
-    const cleanupPromises = workers.map(worker => 
-      worker.terminate().catch(() => {})
-    );
-    
-    await Promise.all(cleanupPromises);
+  async extractText(uri, options = {}) {
+    // Clear previous positions
+    this.lastExtractedPositions = [];
+
+    // pdf.js cannot load file:// URIs on iOS/Android; the native rasterizer still renders from the file
+    const source = isNative ? { data: await readDocumentBytes(uri) } : uri;
+
+    const result = await extractPdfText(source, {
+      ...options,
+      uri,
+      workerPool: this.getWorkerPool(),
+      minTextLayerChars: this.minTextLayerChars,
+      preprocessing: options.preprocessing !== undefined ? options.preprocessing : this.preprocessing,
+      onProgress: options.onProgress || this.progressCallback || undefined
+    });
+
+    // Store positions for later use
+    this.lastExtractedPositions = result.positions || [];
+    return result;
   }
 }
 
-export default ParallelPDFTextExtractionService;
\ No newline at end of file
+export default ParallelPDFTextExtractionService;
@@ -0,0 +1,234 @@
+/**
+ * ProcessingQueueService - Runs document processing jobs with a concurrency limit
+ *
+ * Each job has its own id, status, progress, cancel token and retry count.
+ * Running jobs share the Tesseract worker pool of ParallelPDFTextExtractionService,
+ * so several referrals can be processed at once without starting more OCR workers.
+ */
+import PDFProcessorService from './PDFProcessorService';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETE: 'complete',
+  ERROR: 'error',
+  CANCELED: 'canceled',
+};
+
+class ProcessingQueueService {
+  static instance;
+
+  constructor() {
+    this.pdfProcessor = PDFProcessorService.getInstance();
+    this.jobs = new Map();
+    this.listeners = new Set();
+    this.nextJobNumber = 1;
+
+    // How many documents are processed at the same time
+    this.concurrency = parseInt(process.env.EXPO_PUBLIC_PROCESSING_CONCURRENCY, 10) || 2;
+  }
+
+  static getInstance() {
+    if (!ProcessingQueueService.instance) {
+      ProcessingQueueService.instance = new ProcessingQueueService();
+    }
+    return ProcessingQueueService.instance;
+  }
+
+  /**
+   * Subscribe to job changes. The listener receives the current job list.
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getJobs());
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const jobs = this.getJobs();
+    this.listeners.forEach(listener => listener(jobs));
+  }
+
+  getJobs() {
+    return [...this.jobs.values()].map(job => ({ ...job, cancelToken: undefined }));
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  updateJob(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+    Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+    this.notify();
+  }
+
+  /**
+   * Add a document to the queue
+   * @param {Object} file - { uri, name, size, hash, processingMode }
+   * @returns {Object} the new job
+   */
+  enqueue(file) {
+    const id = `job_${Date.now()}_${this.nextJobNumber++}`;
+    const now = new Date().toISOString();
+
+    const job = {
+      id,
+      uri: file.uri,
+      name: file.name,
+      size: file.size || 0,
+      // Content hash of the file as picked, for duplicate detection
+      hash: file.hash || null,
+      processingMode: file.processingMode,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      currentStep: 'Queued',
+      message: 'Waiting for a free processing slot',
+      error: null,
+      documentId: null,
+      attempts: 0,
+      cancelToken: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(id, job);
+    this.notify();
+    this.runNext();
+
+    return { ...job };
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs stop at their next checkpoint.
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.updateJob(jobId, { status: JOB_STATUS.CANCELED, currentStep: 'Canceled', message: 'Removed from the queue' });
+      return true;
+    }
+
+    if (job.status === JOB_STATUS.PROCESSING && job.cancelToken) {
+      job.cancelToken.canceled = true;
+      this.updateJob(jobId, { currentStep: 'Canceling', message: 'Stopping after the current step' });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Put a failed or canceled job back in the queue
+   */
+  retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || ![JOB_STATUS.ERROR, JOB_STATUS.CANCELED].includes(job.status)) {
+      return false;
+    }
+
+    this.updateJob(jobId, {
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      currentStep: 'Queued',
+      message: 'Waiting for a free processing slot',
+      error: null,
+    });
+    this.runNext();
+    return true;
+  }
+
+  /**
+   * Drop a finished job from the list
+   */
+  remove(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING].includes(job.status)) {
+      return false;
+    }
+
+    this.jobs.delete(jobId);
+    this.notify();
+    return true;
+  }
+
+  clearFinished() {
+    [...this.jobs.values()]
+      .filter(job => ![JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING].includes(job.status))
+      .forEach(job => this.jobs.delete(job.id));
+    this.notify();
+  }
+
+  getRunningJobs() {
+    return [...this.jobs.values()].filter(job => job.status === JOB_STATUS.PROCESSING);
+  }
+
+  /**
+   * Start queued jobs until the concurrency limit is reached
+   */
+  runNext() {
+    const queued = [...this.jobs.values()].filter(job => job.status === JOB_STATUS.QUEUED);
+    let slots = this.concurrency - this.getRunningJobs().length;
+
+    while (slots > 0 && queued.length > 0) {
+      this.runJob(queued.shift());
+      slots--;
+    }
+  }
+
+  async runJob(job) {
+    const cancelToken = { canceled: false };
+
+    this.updateJob(job.id, {
+      status: JOB_STATUS.PROCESSING,
+      attempts: job.attempts + 1,
+      cancelToken,
+      currentStep: 'Starting',
+      message: 'Beginning document processing',
+    });
+
+    try {
+      const processedDocument = await this.pdfProcessor.processDocument(job.uri, job.name, {
+        cancelToken,
+        processingMode: job.processingMode,
+        // The review screen can open as soon as the first page is read
+        onDocumentAvailable: document => this.updateJob(job.id, { documentId: document.id }),
+        onProgress: ({ progress, currentStep, message }) => {
+          if (cancelToken.canceled) return;
+          this.updateJob(job.id, {
+            progress: progress !== undefined ? progress : job.progress,
+            currentStep: currentStep || job.currentStep,
+            message: message || job.message,
+          });
+        },
+      });
+
+      this.updateJob(job.id, {
+        status: JOB_STATUS.COMPLETE,
+        progress: 1,
+        currentStep: 'Complete',
+        message: processedDocument.formData?.patientName
+          ? `Patient: ${processedDocument.formData.patientName}`
+          : 'Ready for review',
+        documentId: processedDocument.id,
+        cancelToken: null,
+      });
+    } catch (error) {
+      console.error(`Processing job ${job.id} failed:`, error);
+
+      if (cancelToken.canceled) {
+        this.updateJob(job.id, { status: JOB_STATUS.CANCELED, currentStep: 'Canceled', message: 'Processing was canceled', documentId: null, cancelToken: null });
+      } else {
+        this.updateJob(job.id, { status: JOB_STATUS.ERROR, currentStep: 'Failed', message: error.message, error: error.message, documentId: null, cancelToken: null });
+      }
+    } finally {
+      this.runNext();
+    }
+  }
+}
+
+export default ProcessingQueueService;
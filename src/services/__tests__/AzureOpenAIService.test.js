@@ -0,0 +1,85 @@
+const mockApiFetch = jest.fn();
+
+jest.mock('../../utils/api', () => ({
+  getApiBaseUrl: () => 'http://localhost:3000/api',
+  apiFetch: (...args) => mockApiFetch(...args),
+}));
+
+const { default: AzureOpenAIService } = require('../AzureOpenAIService');
+
+// About 100 characters - with a 30 token budget every page is a chunk of its own
+const pageText = pageNum => `Page ${pageNum}: Patient Jane Doe was admitted with CHF exacerbation and treated with furosemide.`;
+
+/**
+ * /extract requests that stay open until the test answers them or they are aborted
+ */
+function controlRequests() {
+  const requests = [];
+
+  mockApiFetch.mockImplementation((path, options) => new Promise((resolve, reject) => {
+    const request = {
+      signal: options.signal,
+      answer: () => resolve({
+        ok: true,
+        json: async () => ({ success: true, fields: {}, metadata: { provider: 'fixture' } }),
+      }),
+    };
+    options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    requests.push(request);
+  }));
+
+  return requests;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function startExtraction(onProgress = () => {}) {
+  const service = new AzureOpenAIService();
+  service.chunkTokenBudget = 30;
+  service.provider = 'fixture';
+  return service.startIncrementalExtraction({ onProgress });
+}
+
+beforeEach(() => {
+  mockApiFetch.mockReset();
+});
+
+describe('startIncrementalExtraction', () => {
+  it('sends each finished chunk while pages are still arriving', async () => {
+    const requests = controlRequests();
+    const extraction = startExtraction();
+
+    [1, 2, 3].forEach(pageNum => extraction.addPage(pageNum, pageText(pageNum)));
+    await flush();
+    expect(requests).toHaveLength(2);
+
+    const result = extraction.finish();
+    await flush();
+    requests.forEach(request => request.answer());
+    await flush();
+    // The last page went out once one of the first two chunks was answered
+    requests[2].answer();
+
+    expect(await result).toMatchObject({ extractionMethod: 'fixture-chunked' });
+    expect(requests).toHaveLength(3);
+    expect(requests.some(request => request.signal.aborted)).toBe(false);
+  });
+
+  it('aborts the requests in flight and drops queued chunks on abort()', async () => {
+    const requests = controlRequests();
+    const onProgress = jest.fn();
+    const extraction = startExtraction(onProgress);
+
+    [1, 2, 3, 4].forEach(pageNum => extraction.addPage(pageNum, pageText(pageNum)));
+    await flush();
+    expect(requests).toHaveLength(2);
+
+    extraction.abort();
+    const result = await extraction.finish();
+
+    expect(requests.every(request => request.signal.aborted)).toBe(true);
+    expect(requests).toHaveLength(2);
+    expect(result).toMatchObject({ extractionMethod: 'failed' });
+    expect(onProgress).not.toHaveBeenCalledWith(expect.objectContaining({ currentStep: 'AI Analysis' }));
+  });
+});
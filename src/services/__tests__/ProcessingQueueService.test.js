@@ -0,0 +1,169 @@
+const mockProcessDocument = jest.fn();
+
+jest.mock('../PDFProcessorService', () => ({
+  __esModule: true,
+  default: { getInstance: () => ({ processDocument: mockProcessDocument }) },
+}));
+
+const { default: ProcessingQueueService, JOB_STATUS } = require('../ProcessingQueueService');
+
+/**
+ * processDocument() that waits until the test finishes or fails the document,
+ * giving up early like the real one when its job is canceled
+ */
+function controlProcessing() {
+  const calls = new Map();
+
+  mockProcessDocument.mockImplementation((uri, name, options) => new Promise((resolve, reject) => {
+    calls.set(name, {
+      options,
+      finish: () => resolve({ id: `doc-${name}`, formData: { patientName: `Patient ${name}` } }),
+      fail: error => reject(error),
+      stopIfCanceled: () => options.cancelToken.canceled && reject(new Error('Processing canceled')),
+    });
+  }));
+
+  return calls;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const statusOf = (queue, name) => queue.getJobs().find(job => job.name === name).status;
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+});
+
+beforeEach(() => {
+  mockProcessDocument.mockReset();
+});
+
+describe('ProcessingQueueService', () => {
+  it('processes jobs in the order they were queued, `concurrency` at a time', async () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    queue.concurrency = 2;
+
+    ['a', 'b', 'c', 'd'].forEach(name => queue.enqueue({ uri: `file:///${name}.pdf`, name }));
+
+    expect([...calls.keys()]).toEqual(['a', 'b']);
+    expect(queue.getJobs().map(job => job.status)).toEqual([
+      JOB_STATUS.PROCESSING, JOB_STATUS.PROCESSING, JOB_STATUS.QUEUED, JOB_STATUS.QUEUED,
+    ]);
+
+    calls.get('b').finish();
+    await flush();
+    expect([...calls.keys()]).toEqual(['a', 'b', 'c']);
+
+    calls.get('a').finish();
+    await flush();
+    expect([...calls.keys()]).toEqual(['a', 'b', 'c', 'd']);
+
+    const b = queue.getJobs().find(job => job.name === 'b');
+    expect(b).toMatchObject({ status: JOB_STATUS.COMPLETE, documentId: 'doc-b', message: 'Patient: Patient b', attempts: 1 });
+  });
+
+  it('passes the processing mode and a cancel token to the processor', () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+
+    queue.enqueue({ uri: 'file:///a.pdf', name: 'a', processingMode: 'server' });
+
+    expect(mockProcessDocument).toHaveBeenCalledWith('file:///a.pdf', 'a', expect.any(Object));
+    expect(calls.get('a').options).toMatchObject({ processingMode: 'server', cancelToken: { canceled: false } });
+    // Cancel tokens stay inside the service
+    expect(queue.getJobs()[0].cancelToken).toBeUndefined();
+  });
+
+  it('drops a canceled queued job without processing it', async () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    queue.concurrency = 1;
+
+    queue.enqueue({ uri: 'file:///a.pdf', name: 'a' });
+    const queued = queue.enqueue({ uri: 'file:///b.pdf', name: 'b' });
+
+    expect(queue.cancel(queued.id)).toBe(true);
+    expect(statusOf(queue, 'b')).toBe(JOB_STATUS.CANCELED);
+
+    calls.get('a').finish();
+    await flush();
+    expect([...calls.keys()]).toEqual(['a']);
+  });
+
+  it('stops a running job at its next checkpoint and starts the next one', async () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    queue.concurrency = 1;
+
+    const running = queue.enqueue({ uri: 'file:///a.pdf', name: 'a' });
+    queue.enqueue({ uri: 'file:///b.pdf', name: 'b' });
+
+    expect(queue.cancel(running.id)).toBe(true);
+    expect(calls.get('a').options.cancelToken.canceled).toBe(true);
+    expect(queue.getJob(running.id).currentStep).toBe('Canceling');
+
+    calls.get('a').stopIfCanceled();
+    await flush();
+
+    expect(queue.getJob(running.id)).toMatchObject({ status: JOB_STATUS.CANCELED, documentId: null });
+    expect(statusOf(queue, 'b')).toBe(JOB_STATUS.PROCESSING);
+    // Finished jobs cannot be canceled
+    expect(queue.cancel(running.id)).toBe(false);
+  });
+
+  it('ignores progress reported after a cancel', () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    const job = queue.enqueue({ uri: 'file:///a.pdf', name: 'a' });
+
+    calls.get('a').options.onProgress({ progress: 0.4, currentStep: 'OCR Processing' });
+    queue.cancel(job.id);
+    calls.get('a').options.onProgress({ progress: 0.6, currentStep: 'AI Extraction' });
+
+    expect(queue.getJob(job.id)).toMatchObject({ progress: 0.4, currentStep: 'Canceling' });
+  });
+
+  it('retries a failed job at the back of the queue', async () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    queue.concurrency = 1;
+
+    const failing = queue.enqueue({ uri: 'file:///a.pdf', name: 'a' });
+    queue.enqueue({ uri: 'file:///b.pdf', name: 'b' });
+
+    calls.get('a').fail(new Error('Server unavailable'));
+    await flush();
+    expect(queue.getJob(failing.id)).toMatchObject({ status: JOB_STATUS.ERROR, error: 'Server unavailable' });
+
+    expect(queue.retry(failing.id)).toBe(true);
+    expect(statusOf(queue, 'a')).toBe(JOB_STATUS.QUEUED);
+
+    calls.get('b').finish();
+    await flush();
+    expect(queue.getJob(failing.id)).toMatchObject({ status: JOB_STATUS.PROCESSING, attempts: 2, error: null });
+    expect(mockProcessDocument.mock.calls.map(call => call[1])).toEqual(['a', 'b', 'a']);
+  });
+
+  it('only removes finished jobs', async () => {
+    const calls = controlProcessing();
+    const queue = new ProcessingQueueService();
+    queue.concurrency = 1;
+
+    const done = queue.enqueue({ uri: 'file:///a.pdf', name: 'a' });
+    const waiting = queue.enqueue({ uri: 'file:///b.pdf', name: 'b' });
+
+    expect(queue.remove(done.id)).toBe(false);
+    calls.get('a').finish();
+    await flush();
+
+    expect(queue.remove(waiting.id)).toBe(false);
+    expect(queue.remove(done.id)).toBe(true);
+    queue.clearFinished();
+    expect(queue.getJobs().map(job => job.name)).toEqual(['b']);
+  });
+});
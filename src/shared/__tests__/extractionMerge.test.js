@@ -0,0 +1,52 @@
+const { mergeExtractionResults, normalizeDate } = require('../extractionMerge');
+
+const field = (value, extra = {}) => ({ value, evidence: value, page: 1, confidence: 0.9, evidenceVerified: true, ...extra });
+
+describe('normalizeDate', () => {
+  it('reads the common date spellings', () => {
+    expect(normalizeDate('1980-1-5')).toBe('1980-01-05');
+    expect(normalizeDate('01/15/1980')).toBe('1980-01-15');
+    expect(normalizeDate('Jan 15, 1980')).toBe('1980-01-15');
+    expect(normalizeDate('not a date')).toBeNull();
+  });
+});
+
+describe('mergeExtractionResults', () => {
+  it('returns every field, empty when no chunk found it', () => {
+    const merged = mergeExtractionResults([{ chunkIndex: 0, fields: { patientName: field('Jane Doe') } }]);
+    expect(merged.patientName).toMatchObject({ value: 'Jane Doe', sources: [{ chunk: 0, page: 1 }] });
+    expect(merged.dx).toMatchObject({ value: '', confidence: 0 });
+  });
+
+  it('pools agreeing single values and reports conflicts', () => {
+    const merged = mergeExtractionResults([
+      { chunkIndex: 0, fields: { patientDOB: field('01/15/1980') } },
+      { chunkIndex: 1, fields: { patientDOB: field('1980-01-15') } },
+      { chunkIndex: 2, fields: { patientDOB: field('01/18/1980', { evidenceVerified: false }) } },
+    ]);
+
+    expect(merged.patientDOB.value).toBe('01/15/1980');
+    expect(merged.patientDOB.sources).toHaveLength(2);
+    expect(merged.patientDOB.conflicts).toEqual([{ value: '01/18/1980', page: 1, confidence: 0.9 }]);
+  });
+
+  it('treats reordered names as the same person', () => {
+    const merged = mergeExtractionResults([
+      { chunkIndex: 0, fields: { patientName: field('Smith, John') } },
+      { chunkIndex: 1, fields: { patientName: field('John Smith') } },
+    ]);
+    expect(merged.patientName.conflicts).toBeUndefined();
+  });
+
+  it('unions list items without duplicates', () => {
+    const merged = mergeExtractionResults([
+      { chunkIndex: 0, fields: { medications: field('Metformin 500 mg BID\nLisinopril 10mg daily') } },
+      { chunkIndex: 1, fields: { medications: field('metformin 500mg BID; Aspirin 81mg') } },
+    ]);
+    expect(merged.medications.value.split('\n')).toEqual([
+      'Metformin 500 mg BID',
+      'Lisinopril 10mg daily',
+      'Aspirin 81mg',
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+const { normalizeToken, tokenize, editDistance, findFuzzyMatches } = require('../fuzzyMatch');
+
+const words = text => text.split(/\s+/).filter(Boolean);
+
+describe('normalizeToken', () => {
+  it('folds case, punctuation and common OCR confusions', () => {
+    expect(normalizeToken('Metf0rmin,')).toBe(normalizeToken('metformin'));
+    expect(normalizeToken('Lisinopri1')).toBe(normalizeToken('Lisinopril'));
+    expect(normalizeToken('rnorphine')).toBe(normalizeToken('morphine'));
+  });
+});
+
+describe('tokenize', () => {
+  it('splits on whitespace and separators and drops punctuation', () => {
+    expect(tokenize('Patient: John (Smith); -')).toEqual(['patlent', 'john', 'smlth']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+});
+
+describe('findFuzzyMatches', () => {
+  it('finds an exact phrase', () => {
+    const document = words('Patient John Smith was admitted on Monday');
+    expect(findFuzzyMatches('John Smith', document)[0]).toEqual({ start: 1, end: 2, score: 1 });
+  });
+
+  it('tolerates OCR character errors', () => {
+    const document = words('Continue Metf0rmin 500 mg BID');
+    const [match] = findFuzzyMatches('Metformin 500 mg BID', document);
+    expect(match).toMatchObject({ start: 1, end: 4 });
+    expect(match.score).toBeGreaterThan(0.9);
+  });
+
+  it('matches words split or joined across lines', () => {
+    expect(findFuzzyMatches('Metformin', words('start Metfor- min today'))[0]).toMatchObject({ start: 1, end: 2 });
+    expect(findFuzzyMatches('500 mg', words('Metformin 500mg daily'))[0]).toMatchObject({ start: 1, end: 1 });
+  });
+
+  it('returns nothing for unrelated text', () => {
+    expect(findFuzzyMatches('Congestive heart failure', words('Patient ambulates independently'))).toEqual([]);
+  });
+
+  it('returns non-overlapping matches best first', () => {
+    const document = words('aspirin daily then asprin again');
+    const matches = findFuzzyMatches('aspirin', document);
+    expect(matches.map(match => match.start)).toEqual([0, 3]);
+    expect(matches[0].score).toBeGreaterThan(matches[1].score);
+  });
+});
+
+describe('findFuzzyMatches with numbers', () => {
+  it.each([
+    ['a different dose', 'Metoprolol 25mg', 'Continue Metoprolol 50mg daily'],
+    ['a different dose with spaced units', 'Lasix 20 mg', 'Lasix 40 mg PO BID'],
+    ['a different date', '01/15/1980', 'DOB: 01/18/1980'],
+    ['a different MRN', 'MRN 00123456', 'MRN 00123457 Admit 3/2'],
+  ])('does not match %s', (_, phrase, text) => {
+    expect(findFuzzyMatches(phrase, words(text))).toEqual([]);
+  });
+
+  it('does not skip a number that is missing from the document', () => {
+    expect(findFuzzyMatches('Furosemide 40 mg', words('Furosemide mg daily'))).toEqual([]);
+  });
+
+  it.each([
+    ['the same dose', 'Metoprolol 25mg', 'Continue Metoprolol 25mg daily', { start: 1, end: 2 }],
+    ['a dose with OCR letter confusions', 'Metformin 500mg', 'Metformin 5OOmg BID', { start: 0, end: 1 }],
+    ['a dose split from its unit', 'Lasix 20mg', 'Lasix 20 mg PO', { start: 0, end: 2 }],
+    ['the same date', '01/15/1980', 'DOB: 01/15/1980', { start: 1, end: 1 }],
+    ['an MRN read with O and l for 0 and 1', 'MRN 00123456', 'MRN O0l23456', { start: 0, end: 1 }],
+  ])('matches %s', (_, phrase, text, range) => {
+    expect(findFuzzyMatches(phrase, words(text))[0]).toMatchObject({ ...range, score: 1 });
+  });
+
+  it('still tolerates OCR errors in the words around a number', () => {
+    const [match] = findFuzzyMatches('Metoprolol 25mg', words('Metoprol0l 25mg'));
+    expect(match).toMatchObject({ start: 0, end: 1, score: 1 });
+    expect(findFuzzyMatches('Metoprolol 25mg', words('Metoprolo 25mg'))[0].score).toBeGreaterThan(0.9);
+  });
+});
@@ -0,0 +1,113 @@
+const { PDFDocument } = require('pdf-lib');
+const UTIF = require('utif');
+const { detectDocumentType, imageToPdf, imagesToPdf } = require('../imageDocuments');
+
+// UTIF reads NewSubfileType (thumbnail flag) but has no type to write it with - LONG
+UTIF.ttypes[254] = 4;
+
+/**
+ * Uncompressed gray TIFF with one image per entry of `pages` ({ width, height, t282, t283, ... })
+ */
+function buildTiff(pages) {
+  const DATA_START = 4000;
+  let offset = DATA_START;
+
+  const ifds = pages.map(({ width, height, ...tags }) => {
+    const ifd = {
+      t256: [width], t257: [height], t258: [8], t259: [1], t262: [1],
+      t273: [offset], t277: [1], t278: [height], t279: [width * height],
+      ...tags
+    };
+    offset += width * height;
+    return ifd;
+  });
+
+  const bytes = new Uint8Array(offset).fill(255);
+  bytes.set(new Uint8Array(UTIF.encode(ifds)));
+  return bytes;
+}
+
+/**
+ * JPEG headers with an EXIF APP1 segment holding only the orientation tag.
+ * Enough for pdf-lib, which embeds JPEGs without decoding them.
+ */
+function buildJpeg(width, height, orientation) {
+  return new Uint8Array([
+    0xFF, 0xD8,                                     // SOI
+    0xFF, 0xE1, 0x00, 0x22,                         // APP1, length 34
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // "Exif\0\0"
+    0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00, // little-endian TIFF header, IFD at 8
+    0x01, 0x00,                                     // one entry
+    0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, // Orientation, SHORT, count 1
+    orientation, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,                         // no next IFD
+    0xFF, 0xC0, 0x00, 0x0B, 0x08,                   // SOF0, length 11, 8 bits
+    Math.floor(height / 256), height % 256, Math.floor(width / 256), width % 256,
+    0x01, 0x01, 0x11, 0x00,                         // one gray component
+    0xFF, 0xD9                                      // EOI
+  ]);
+}
+
+describe('imageToPdf with TIFF faxes', () => {
+  it('makes one page per image and skips thumbnails', async () => {
+    const tiff = buildTiff([
+      { width: 40, height: 20 },
+      { width: 8, height: 8, t254: [1] },
+      { width: 20, height: 40 },
+    ]);
+    expect(detectDocumentType(tiff)).toBe('image/tiff');
+
+    const pdf = await PDFDocument.load(await imageToPdf(tiff));
+    const sizes = pdf.getPages().map(page => page.getSize());
+
+    expect(sizes).toHaveLength(2);
+    expect(sizes[0].width).toBeCloseTo(792);
+    expect(sizes[0].height).toBeCloseTo(396);
+    expect(sizes[1].width).toBeCloseTo(396);
+    expect(sizes[1].height).toBeCloseTo(792);
+  });
+
+  it('stretches fax standard resolution pages back to their real proportions', async () => {
+    // 204 x 98 dpi: 204 pixels are one inch across, 98 rows are one inch down
+    const tiff = buildTiff([{ width: 204, height: 98, t282: [204], t283: [98], t296: [2] }]);
+
+    const [page] = (await PDFDocument.load(await imageToPdf(tiff))).getPages();
+
+    expect(page.getWidth()).toBeCloseTo(72);
+    expect(page.getHeight()).toBeCloseTo(72);
+  });
+
+  it('refuses a TIFF with only thumbnails', async () => {
+    const tiff = buildTiff([{ width: 8, height: 8, t254: [1] }]);
+
+    await expect(imageToPdf(tiff)).rejects.toThrow('TIFF file contains no images');
+  });
+});
+
+describe('imageToPdf with photos', () => {
+  it.each([
+    [1, 0],
+    [3, 180],
+    [6, 90],
+    [8, 270],
+  ])('turns the page for EXIF orientation %i by %i°', async (orientation, rotation) => {
+    const pdf = await PDFDocument.load(await imageToPdf(buildJpeg(40, 20, orientation)));
+    const [page] = pdf.getPages();
+
+    expect(page.getRotation().angle).toBe(rotation);
+    expect(page.getWidth()).toBeCloseTo(792);
+  });
+
+  it('combines photographed pages in order', async () => {
+    const pdf = await PDFDocument.load(await imagesToPdf([
+      { bytes: buildJpeg(40, 20, 1) },
+      { bytes: buildTiff([{ width: 20, height: 40 }]) },
+    ]));
+
+    expect(pdf.getPages().map(page => page.getWidth() > page.getHeight())).toEqual([true, false]);
+  });
+
+  it('refuses other files', async () => {
+    await expect(imageToPdf(new Uint8Array(16))).rejects.toThrow('Unsupported image type (unknown)');
+  });
+});
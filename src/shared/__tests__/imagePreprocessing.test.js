@@ -0,0 +1,118 @@
+const { preprocessPageImage, rotateGray } = require('../imagePreprocessing');
+
+const WIDTH = 600;
+const HEIGHT = 800;
+
+/**
+ * Upright page of fake text lines: an x-height core per letter, ascenders on
+ * about a third of the letters and descenders on a few, like Latin script
+ */
+function drawTextPage() {
+  const gray = new Uint8Array(WIDTH * HEIGHT).fill(255);
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const fill = (x0, y0, x1, y1) => {
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) gray[y * WIDTH + x] = 0;
+    }
+  };
+
+  for (let baseline = 80; baseline < HEIGHT - 60; baseline += 36) {
+    let x = 50;
+    while (x < WIDTH - 60) {
+      const letters = 2 + Math.floor(random() * 7);
+      for (let i = 0; i < letters && x < WIDTH - 60; i++) {
+        const letterWidth = 5 + Math.floor(random() * 5);
+        fill(x, baseline - 12, x + letterWidth, baseline);
+        const shape = random();
+        if (shape < 0.35) fill(x, baseline - 20, x + 2, baseline - 12);
+        else if (shape > 0.92) fill(x + letterWidth - 2, baseline, x + letterWidth, baseline + 7);
+        x += letterWidth + 2;
+      }
+      x += 8 + Math.floor(random() * 6);
+    }
+  }
+  return gray;
+}
+
+function toImageData(gray, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < gray.length; i++) {
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+    data[i * 4 + 3] = 255;
+  }
+  return { data, width, height };
+}
+
+function scanTurnedBy(angle) {
+  const rotated = rotateGray(drawTextPage(), WIDTH, HEIGHT, angle);
+  return toImageData(rotated.gray, rotated.width, rotated.height);
+}
+
+function expectBoxClose(actual, expected) {
+  for (const key of ['x0', 'y0', 'x1', 'y1']) {
+    expect(Math.abs(actual[key] - expected[key])).toBeLessThanOrEqual(2);
+  }
+}
+
+// A word box on the upright page and where it sits on a page scanned turned clockwise
+const WORD = { x0: 100, y0: 200, x1: 180, y1: 230 };
+const TURNED_WORD = {
+  90: { x0: HEIGHT - WORD.y1, y0: WORD.x0, x1: HEIGHT - WORD.y0, y1: WORD.x1 },
+  180: { x0: WIDTH - WORD.x1, y0: HEIGHT - WORD.y1, x1: WIDTH - WORD.x0, y1: HEIGHT - WORD.y0 },
+  270: { x0: WORD.y0, y0: WIDTH - WORD.x1, x1: WORD.y1, y1: WIDTH - WORD.x0 },
+};
+
+describe('preprocessPageImage orientation', () => {
+  it('leaves an upright page alone', () => {
+    const result = preprocessPageImage(toImageData(drawTextPage(), WIDTH, HEIGHT), { binarize: false });
+
+    expect(result.rotation).toBe(0);
+    expect(result.skewAngle).toBe(0);
+    expect(result).toMatchObject({ width: WIDTH, height: HEIGHT });
+    expect(result.toSourceBox(WORD)).toEqual(WORD);
+  });
+
+  it.each([90, 180, 270])('turns a page scanned %i° clockwise upright and maps word boxes back onto it', (turn) => {
+    const result = preprocessPageImage(scanTurnedBy(turn), { binarize: false });
+
+    expect(result.rotation).toBe((360 - turn) % 360);
+    expect(Math.abs(result.skewAngle)).toBeLessThan(0.5);
+    expect(Math.abs(result.width - WIDTH)).toBeLessThanOrEqual(1);
+    expect(Math.abs(result.height - HEIGHT)).toBeLessThanOrEqual(1);
+    expectBoxClose(result.toSourceBox(WORD), TURNED_WORD[turn]);
+  });
+
+  it('straightens a skewed scan', () => {
+    const result = preprocessPageImage(scanTurnedBy(3), { binarize: false });
+
+    expect(result.rotation).toBe(0);
+    expect(result.skewAngle).toBeCloseTo(-3, 0);
+  });
+
+  it('does not turn pages when orientation is off', () => {
+    const result = preprocessPageImage(scanTurnedBy(180), { binarize: false, orientation: false });
+
+    expect(result.rotation).toBe(0);
+  });
+});
+
+describe('preprocessPageImage binarization', () => {
+  it('outputs pure black and white and removes isolated specks', () => {
+    const gray = drawTextPage();
+    // Grey fax background with a lone speck in the margin
+    for (let i = 0; i < gray.length; i++) {
+      if (gray[i] === 255) gray[i] = 200;
+    }
+    gray[20 * WIDTH + 20] = 0;
+
+    const result = preprocessPageImage(toImageData(gray, WIDTH, HEIGHT), { orientation: false, deskew: false });
+
+    expect(result.gray.every(value => value === 0 || value === 255)).toBe(true);
+    expect(result.gray[20 * WIDTH + 20]).toBe(255);
+    expect(result.gray[(80 - 6) * WIDTH + 52]).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+const { toTesseractData } = require('../nativeOcrWorker');
+const { ocrPage, RENDER_SCALE } = require('../pdfTextExtraction');
+
+const frame = (left, top, width, height) => ({ left, top, width, height });
+
+const ML_KIT_RESULT = {
+  text: 'Patient: Jane Doe',
+  blocks: [{
+    text: 'Patient: Jane Doe',
+    frame: frame(10, 20, 300, 40),
+    lines: [{
+      text: 'Patient: Jane Doe',
+      frame: frame(10, 20, 300, 40),
+      elements: [
+        { text: 'Patient:', frame: frame(10, 20, 120, 40) },
+        { text: 'Jane', frame: frame(140, 20, 70, 40) },
+        { text: 'Doe', frame: frame(220, 20, 90, 40) },
+      ],
+    }],
+  }],
+};
+
+describe('toTesseractData', () => {
+  it('maps ML Kit frames to Tesseract word boxes without confidences', () => {
+    const data = toTesseractData(ML_KIT_RESULT);
+    const words = data.blocks[0].paragraphs[0].lines[0].words;
+
+    expect(data.text).toBe('Patient: Jane Doe');
+    expect(data.confidence).toBeNull();
+    expect(words.map(word => word.text)).toEqual(['Patient:', 'Jane', 'Doe']);
+    expect(words[1]).toEqual({ text: 'Jane', bbox: { x0: 140, y0: 20, x1: 210, y1: 60 }, confidence: null });
+  });
+
+  it('copes with an empty page', () => {
+    expect(toTesseractData({ text: '', blocks: [] })).toEqual({ text: '', confidence: null, blocks: [] });
+  });
+});
+
+describe('ocrPage with an on-device worker', () => {
+  it('keeps every word, records the engine and maps boxes to RENDER_SCALE', async () => {
+    const renderCalls = [];
+    const rasterizer = {
+      async renderPage(args) {
+        renderCalls.push(args);
+        // The platform renderer picked half the requested resolution
+        return { width: 600, height: 800, scale: RENDER_SCALE / 2, encode: async () => 'file:///page-1.png', release() {} };
+      },
+    };
+    const worker = {
+      source: 'mlkit-ocr',
+      recognize: async (image) => {
+        expect(image).toBe('file:///page-1.png');
+        return { data: toTesseractData(ML_KIT_RESULT) };
+      },
+    };
+    const pdf = { getPage: async () => ({}) };
+
+    const result = await ocrPage(pdf, 1, worker, { rasterizer, uri: 'file:///referral.pdf' });
+
+    expect(renderCalls[0]).toMatchObject({ pageNum: 1, uri: 'file:///referral.pdf', scale: RENDER_SCALE });
+    expect(result).toMatchObject({ source: 'mlkit-ocr', confidence: null, error: false });
+    expect(result.positions).toHaveLength(3);
+    expect(result.positions[1]).toMatchObject({ text: 'Jane', source: 'mlkit-ocr', confidence: null });
+    expect(result.positions[1].x).toBe(280);
+  });
+});
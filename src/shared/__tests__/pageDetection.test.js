@@ -0,0 +1,117 @@
+const { detectPageCorners, getPerspectiveTransform, warpPerspective } = require('../pageDetection');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// A page photographed at an angle, a little smaller at the top than the bottom
+const PAGE = {
+  topLeft: { x: 200, y: 60 },
+  topRight: { x: 450, y: 70 },
+  bottomRight: { x: 520, y: 430 },
+  bottomLeft: { x: 130, y: 420 },
+};
+
+function insideQuad(corners, x, y) {
+  const points = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft];
+  return points.every((a, i) => {
+    const b = points[(i + 1) % 4];
+    return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+  });
+}
+
+/**
+ * Dark desk with a white page and rows of printed "words" on it
+ */
+function photographPage(corners) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const onPage = corners && insideQuad(corners, x + 0.5, y + 0.5);
+      const printed = onPage && y % 24 < 4 && x % 30 < 20;
+      const value = !onPage ? 70 : printed ? 20 : 235;
+      const p = (y * WIDTH + x) * 4;
+      data[p] = value;
+      data[p + 1] = value;
+      data[p + 2] = onPage ? value : value + 20;
+      data[p + 3] = 255;
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+function expectPointClose(actual, expected, tolerance) {
+  expect(Math.abs(actual.x - expected.x)).toBeLessThanOrEqual(tolerance);
+  expect(Math.abs(actual.y - expected.y)).toBeLessThanOrEqual(tolerance);
+}
+
+describe('detectPageCorners', () => {
+  it('finds the corners of a page photographed at an angle', () => {
+    const corners = detectPageCorners(photographPage(PAGE));
+
+    expect(corners).not.toBeNull();
+    // Detection runs at half this photo's size
+    for (const name of Object.keys(PAGE)) {
+      expectPointClose(corners[name], PAGE[name], 8);
+    }
+  });
+
+  it('returns null when there is no page', () => {
+    expect(detectPageCorners(photographPage(null))).toBeNull();
+  });
+
+  it('returns null when the bright region is too small to be the page', () => {
+    const small = {
+      topLeft: { x: 300, y: 200 },
+      topRight: { x: 360, y: 200 },
+      bottomRight: { x: 360, y: 260 },
+      bottomLeft: { x: 300, y: 260 },
+    };
+    expect(detectPageCorners(photographPage(small))).toBeNull();
+  });
+});
+
+describe('getPerspectiveTransform', () => {
+  it('maps each corner onto its target', () => {
+    const from = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 150 }, { x: 0, y: 150 }];
+    const to = [PAGE.topLeft, PAGE.topRight, PAGE.bottomRight, PAGE.bottomLeft];
+    const transform = getPerspectiveTransform(from, to);
+
+    from.forEach((point, i) => {
+      const mapped = transform(point.x, point.y);
+      expect(mapped.x).toBeCloseTo(to[i].x, 6);
+      expect(mapped.y).toBeCloseTo(to[i].y, 6);
+    });
+  });
+
+  it('refuses corners that do not form a quadrilateral', () => {
+    const line = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+    expect(() => getPerspectiveTransform(line, line)).toThrow('do not form a quadrilateral');
+  });
+});
+
+describe('warpPerspective', () => {
+  it('flattens the page into an upright rectangle of its average size', () => {
+    const page = warpPerspective(photographPage(PAGE), PAGE);
+
+    expect(page.width).toBe(Math.round((Math.hypot(250, 10) + Math.hypot(390, 10)) / 2));
+    expect(page.height).toBe(Math.round((Math.hypot(70, 360) + Math.hypot(70, 360)) / 2));
+
+    // The desk is tinted blue; a few pixels in from every edge there is only page left
+    const inset = 3;
+    const deskPixels = [];
+    for (let v = inset; v < page.height - inset; v++) {
+      for (let u = inset; u < page.width - inset; u++) {
+        const onEdge = v === inset || u === inset || v === page.height - inset - 1 || u === page.width - inset - 1;
+        const p = (v * page.width + u) * 4;
+        if (onEdge && page.data[p + 2] - page.data[p] > 5) deskPixels.push({ u, v });
+      }
+    }
+    expect(deskPixels).toEqual([]);
+  });
+
+  it('limits the longest side to maxSize', () => {
+    const page = warpPerspective(photographPage(PAGE), PAGE, { maxSize: 100 });
+
+    expect(Math.max(page.width, page.height)).toBe(100);
+  });
+});
@@ -0,0 +1,171 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { extractPdfText, extractTextLayerPage, RENDER_SCALE } = require('../pdfTextExtraction');
+
+const REFERRAL_TEXT = 'Patient: Jane Doe  DOB: 01/15/1980  Facility: Mercy General Hospital';
+
+/**
+ * pdf.js-like document whose pages only have a text layer
+ * @param {Array<Array<string>>} pages - text items per page
+ */
+function fakeTextLayerPdf(pages) {
+  return {
+    numPages: pages.length,
+    getPage: async (pageNum) => ({
+      getTextContent: async () => ({
+        items: pages[pageNum - 1].map((str, index) => ({
+          str,
+          transform: [12, 0, 0, 12, 72, 700 - index * 14],
+          width: str.length * 6,
+          hasEOL: true,
+        })),
+      }),
+      getViewport: ({ scale }) => ({ scale, transform: [scale, 0, 0, -scale, 0, 792 * scale] }),
+      cleanup: () => {},
+    }),
+  };
+}
+
+/**
+ * Three-page PDF: a typed page with a text layer and two "scanned" pages without one
+ */
+async function buildReferralPdf() {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  pdfDoc.addPage([612, 792]).drawText(REFERRAL_TEXT, { x: 72, y: 700, size: 10, font });
+  pdfDoc.addPage([612, 792]);
+  pdfDoc.addPage([612, 792]);
+  return pdfDoc.save();
+}
+
+/**
+ * Worker pool running every task on one fake OCR worker
+ */
+function fakeWorkerPool(worker) {
+  return { run: (task) => task(worker), terminate: async () => {} };
+}
+
+const ocrData = text => ({
+  text,
+  confidence: 87,
+  blocks: [{
+    paragraphs: [{
+      lines: [{
+        words: text.split(' ').map((word, index) => ({
+          text: word,
+          confidence: 90,
+          bbox: { x0: index * 100, y0: 50, x1: index * 100 + 80, y1: 70 },
+        })),
+      }],
+    }],
+  }],
+});
+
+describe('extractTextLayerPage', () => {
+  it('reads lines and word positions from the text layer', async () => {
+    const pdf = fakeTextLayerPdf([['Patient: Jane Doe, DOB 01/15/1980', 'Diagnosis: CHF exacerbation']]);
+
+    const page = await extractTextLayerPage(pdf, 1);
+
+    expect(page).toMatchObject({ pageNum: 1, source: 'pdf-text', confidence: 100, error: false });
+    expect(page.text).toBe('Patient: Jane Doe, DOB 01/15/1980\nDiagnosis: CHF exacerbation');
+    expect(page.positions[0]).toMatchObject({ text: 'Patient:', page: 1, x: 72 * RENDER_SCALE, source: 'pdf-text' });
+  });
+
+  it('rejects symbol soup from fonts without a Unicode mapping', async () => {
+    // Enough letters and digits to skip OCR, but mostly symbols
+    const soup = `${'a1b2c3d4e5'.repeat(4)}${'!"#$%&()*+,-./:;<=>?@[]^_{|}~'.repeat(2)}`;
+    const pdf = fakeTextLayerPdf([[soup]]);
+
+    expect(await extractTextLayerPage(pdf, 1)).toBeNull();
+  });
+
+  it('rejects pages with too little text to skip OCR', async () => {
+    const pdf = fakeTextLayerPdf([['Page 1 of 3']]);
+
+    expect(await extractTextLayerPage(pdf, 1)).toBeNull();
+    expect(await extractTextLayerPage(pdf, 1, { minTextLayerChars: 5 })).not.toBeNull();
+  });
+
+  it('leaves pages that cannot be read to OCR', async () => {
+    const pdf = { getPage: async () => { throw new Error('Bad XRef entry'); } };
+
+    expect(await extractTextLayerPage(pdf, 1)).toBeNull();
+  });
+});
+
+describe('extractPdfText', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  it('uses the text layer where it exists and OCRs only the other pages', async () => {
+    const recognized = [];
+    const rasterizer = {
+      renderPage: async ({ pageNum }) => ({
+        width: 1224,
+        height: 1584,
+        scale: RENDER_SCALE,
+        encode: async () => `page-${pageNum}.png`,
+        release: () => {},
+      }),
+    };
+    const worker = {
+      recognize: async (image) => {
+        recognized.push(image);
+        return { data: ocrData(image === 'page-2.png' ? 'Medications: Furosemide 40 mg' : 'Signed by Dr Smith') };
+      },
+    };
+    const pageResults = [];
+
+    const result = await extractPdfText({ data: await buildReferralPdf(), verbosity: 0 }, {
+      rasterizer,
+      workerPool: fakeWorkerPool(worker),
+      onPageResult: page => pageResults.push(page),
+    });
+
+    expect(recognized.sort()).toEqual(['page-2.png', 'page-3.png']);
+    expect(result).toMatchObject({ pages: 3, isOcr: true, ocrPages: [2, 3], failedPages: [] });
+    expect(result.confidence).toBe('PDF text layer + Tesseract OCR');
+    expect(result.text).toContain('--- Page 1 ---\n\nPatient: Jane Doe');
+    expect(result.text).toContain('--- Page 2 ---\n\nMedications: Furosemide 40 mg');
+    expect(new Set(result.positions.map(position => position.source))).toEqual(new Set(['pdf-text', 'tesseract-ocr']));
+    expect(pageResults.map(page => [page.pageNum, page.source]).sort()).toEqual([
+      [1, 'pdf-text'], [2, 'tesseract-ocr'], [3, 'tesseract-ocr'],
+    ]);
+  });
+
+  it('keeps pages OCR could not read as empty pages and reports why', async () => {
+    const rasterizer = {
+      renderPage: async ({ pageNum }) => {
+        if (pageNum === 3) throw new Error('Page too large to render');
+        return { width: 1224, height: 1584, scale: RENDER_SCALE, encode: async () => 'page.png', release: () => {} };
+      },
+    };
+    const worker = { recognize: async () => ({ data: ocrData('Medications: Furosemide 40 mg') }) };
+    const pageResults = [];
+
+    const result = await extractPdfText({ data: await buildReferralPdf(), verbosity: 0 }, {
+      rasterizer,
+      workerPool: fakeWorkerPool(worker),
+      onPageResult: page => pageResults.push(page),
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.failedPages).toEqual([{ pageNum: 3, error: 'Page too large to render' }]);
+    expect(result.text).toMatch(/--- Page 3 ---\n\n$/);
+    expect(result.text).not.toContain('Page too large');
+    expect(pageResults.find(page => page.pageNum === 3)).toMatchObject({ error: true, text: '', positions: [] });
+  });
+
+  it('stops when canceled', async () => {
+    const result = await extractPdfText({ data: await buildReferralPdf(), verbosity: 0 }, {
+      cancelToken: { canceled: true },
+    });
+
+    expect(result.error).toBe('Processing canceled');
+  });
+});
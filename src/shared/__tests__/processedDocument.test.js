@@ -0,0 +1,33 @@
+const { fieldsToFormData, getProviderLabel, getExtractionProvider } = require('../processedDocument');
+
+const fields = { patientName: { value: 'Jane Doe', evidence: 'Patient: Jane Doe', page: 1, confidence: 0.9, evidenceVerified: true } };
+
+describe('fieldsToFormData', () => {
+  it('names the extraction method after the provider that ran it', () => {
+    expect(fieldsToFormData(fields, { provider: 'local' }).extractionMethod).toBe('local-structured');
+    expect(fieldsToFormData(fields, { provider: 'openai', repaired: true }).extractionMethod).toBe('openai-structured-repaired');
+    expect(fieldsToFormData(fields, { provider: 'azure-openai', chunked: true }).extractionMethod).toBe('azure-openai-chunked');
+  });
+
+  it('keeps evidence out of the form fields', () => {
+    const formData = fieldsToFormData(fields, { provider: 'fixture' });
+    expect(formData.patientName).toBe('Jane Doe');
+    expect(formData.fieldEvidence.patientName).toMatchObject({ page: 1, evidenceVerified: true });
+  });
+});
+
+describe('getExtractionProvider', () => {
+  it('reads the provider back from the extraction method', () => {
+    expect(getExtractionProvider('azure-openai-structured-repaired')).toBe('azure-openai');
+    expect(getExtractionProvider('local-chunked')).toBe('local');
+    expect(getExtractionProvider('failed')).toBeNull();
+    expect(getExtractionProvider(undefined)).toBeNull();
+  });
+});
+
+describe('getProviderLabel', () => {
+  it('falls back to a generic name for unknown providers', () => {
+    expect(getProviderLabel('openai')).toBe('OpenAI');
+    expect(getProviderLabel(null)).toBe('AI service');
+  });
+});
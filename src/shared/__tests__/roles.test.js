@@ -0,0 +1,55 @@
+const {
+  ROLES,
+  PERMISSIONS,
+  parseRoleMap,
+  getRolesForGroups,
+  getPermissionsForRoles,
+  hasPermission,
+} = require('../roles');
+
+describe('parseRoleMap', () => {
+  it('parses group:role pairs, splitting on the last colon', () => {
+    expect(parseRoleMap('MedRec Intake:intake, Team: Reviewers:clinical_reviewer')).toEqual([
+      { group: 'MedRec Intake', role: 'intake' },
+      { group: 'Team: Reviewers', role: 'clinical_reviewer' },
+    ]);
+  });
+
+  it('skips unknown roles and empty groups', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseRoleMap('a:superuser,:admin,b:auditor')).toEqual([{ group: 'b', role: 'auditor' }]);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+});
+
+describe('getRolesForGroups', () => {
+  const roleMap = parseRoleMap('g1:intake,g2:clinical_reviewer,g3:intake');
+
+  it('maps every group the user belongs to, without duplicates', () => {
+    expect(getRolesForGroups(['g1', 'g3', 'other'], roleMap)).toEqual([ROLES.INTAKE]);
+    expect(getRolesForGroups(['g1', 'g2'], roleMap)).toEqual([ROLES.INTAKE, ROLES.CLINICAL_REVIEWER]);
+    expect(getRolesForGroups([], roleMap)).toEqual([]);
+  });
+
+  it('makes members of the legacy required group clinical reviewers without a role map', () => {
+    expect(getRolesForGroups(['legacy'], [], 'legacy')).toEqual([ROLES.CLINICAL_REVIEWER]);
+    expect(getRolesForGroups(['other'], [], 'legacy')).toEqual([]);
+    expect(getRolesForGroups(['legacy'], [], null)).toEqual([]);
+  });
+});
+
+describe('permissions', () => {
+  it('only lets clinical reviewers sign off', () => {
+    Object.values(ROLES).forEach(role => {
+      expect(hasPermission([role], PERMISSIONS.REVIEW_SIGNOFF)).toBe(role === ROLES.CLINICAL_REVIEWER);
+    });
+  });
+
+  it('keeps intake to viewing and uploading', () => {
+    expect(getPermissionsForRoles([ROLES.INTAKE]).sort()).toEqual(
+      [PERMISSIONS.DOCUMENT_UPLOAD, PERMISSIONS.DOCUMENT_VIEW].sort()
+    );
+    expect(hasPermission([], PERMISSIONS.DOCUMENT_VIEW)).toBe(false);
+  });
+});
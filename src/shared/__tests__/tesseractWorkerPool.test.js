@@ -0,0 +1,213 @@
+const { TesseractWorkerPool, getDefaultPoolSize } = require('../tesseractWorkerPool');
+
+/**
+ * Fake workers - `failures` is how many createWorker() calls fail before they succeed
+ */
+function createFakeWorkers(failures = 0) {
+  const workers = [];
+  let calls = 0;
+
+  const createWorker = jest.fn(async () => {
+    calls++;
+    if (calls <= failures) {
+      throw new Error('Out of memory');
+    }
+    const worker = { id: workers.length + 1, terminate: jest.fn(async () => {}) };
+    workers.push(worker);
+    return worker;
+  });
+
+  return { workers, createWorker };
+}
+
+/**
+ * A task that runs until release() is called, recording when it started
+ */
+function deferredTask(name, started) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async (worker) => {
+    started.push(name);
+    await done;
+    return `${name} on worker ${worker.id}`;
+  };
+  return { task, release: () => release() };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('getDefaultPoolSize', () => {
+  it('leaves a core free and keeps workers within half of the memory', () => {
+    expect(getDefaultPoolSize({ cores: 4, memoryMB: 8192 })).toBe(3);
+    expect(getDefaultPoolSize({ cores: 16, memoryMB: 600 })).toBe(2);
+    expect(getDefaultPoolSize({ cores: 1, memoryMB: 100 })).toBe(1);
+    expect(getDefaultPoolSize({ cores: 64, memoryMB: null })).toBe(8);
+  });
+});
+
+describe('TesseractWorkerPool', () => {
+  it('runs tasks on up to `size` workers and reuses them', async () => {
+    const { workers, createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 2, createWorker, idleTimeout: 0 });
+
+    const results = await Promise.all([1, 2, 3, 4].map(n => pool.run(async worker => `${n}:${worker.id}`)));
+
+    expect(results).toHaveLength(4);
+    expect(workers).toHaveLength(2);
+    expect(pool.getStats()).toEqual({ size: 2, workers: 2, busy: 0, queued: 0 });
+    await pool.terminate();
+    expect(workers.every(worker => worker.terminate.mock.calls.length === 1)).toBe(true);
+  });
+
+  it('gives the next worker to the document with the fewest pages in progress', async () => {
+    const { createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 2, createWorker, idleTimeout: 0 });
+    const started = [];
+
+    const long = [1, 2, 3].map(n => deferredTask(`long-${n}`, started));
+    const short = deferredTask('short-1', started);
+    const runs = [
+      ...long.map(({ task }) => pool.run(task, { group: 'long' })),
+      pool.run(short.task, { group: 'short' }),
+    ];
+
+    await flush();
+    // The short referral does not wait behind the rest of the long one
+    expect(started).toEqual(['long-1', 'short-1']);
+
+    short.release();
+    await flush();
+    expect(started).toEqual(['long-1', 'short-1', 'long-2']);
+
+    long.forEach(({ release }) => release());
+    await Promise.all(runs);
+    await pool.terminate();
+  });
+
+  it('drops canceled tasks before they start', async () => {
+    const { createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker, idleTimeout: 0 });
+    const started = [];
+    const cancelToken = { canceled: false };
+
+    const first = deferredTask('first', started);
+    const running = pool.run(first.task, { cancelToken });
+    const queued = pool.run(deferredTask('queued', started).task, { cancelToken });
+    await flush();
+
+    cancelToken.canceled = true;
+    first.release();
+
+    await expect(running).resolves.toBe('first on worker 1');
+    await expect(queued).rejects.toThrow('Processing canceled');
+    expect(started).toEqual(['first']);
+    await pool.terminate();
+  });
+
+  it('replaces a worker after `pagesPerWorker` pages', async () => {
+    const { workers, createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker, pagesPerWorker: 2, idleTimeout: 0 });
+
+    const results = [];
+    for (let n = 1; n <= 3; n++) {
+      results.push(await pool.run(async worker => worker.id));
+    }
+
+    expect(results).toEqual([1, 1, 2]);
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+    expect(workers[1].terminate).not.toHaveBeenCalled();
+    await pool.terminate();
+  });
+
+  it('terminates workers that stay idle', async () => {
+    const { workers, createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker, idleTimeout: 10 });
+
+    await pool.run(async () => 'done');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+    expect(pool.getStats().workers).toBe(0);
+    await pool.terminate();
+  });
+
+  it('rejects queued tasks when terminated', async () => {
+    const { createWorker } = createFakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker, idleTimeout: 0 });
+    const started = [];
+
+    const first = deferredTask('first', started);
+    pool.run(first.task).catch(() => {});
+    const queued = pool.run(deferredTask('queued', started).task);
+    await flush();
+
+    await pool.terminate();
+    await expect(queued).rejects.toThrow('has been terminated');
+    await expect(pool.run(async () => 'late')).rejects.toThrow('has been terminated');
+    first.release();
+  });
+
+  describe('when workers fail to start', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('retries with backoff and keeps its size', async () => {
+      const { workers, createWorker } = createFakeWorkers(2);
+      const pool = new TesseractWorkerPool({ size: 2, createWorker, idleTimeout: 0 });
+
+      const result = pool.run(async worker => worker.id);
+      await jest.advanceTimersByTimeAsync(0);
+      expect(createWorker).toHaveBeenCalledTimes(1);
+
+      // Second attempt after 1s, third after another 2s
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(createWorker).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      await expect(result).resolves.toBe(1);
+      expect(workers).toHaveLength(1);
+      expect(pool.getStats().size).toBe(2);
+
+      // The pool still grows to two workers when there is work for them
+      const started = [];
+      const tasks = [deferredTask('a', started), deferredTask('b', started)];
+      const runs = tasks.map(({ task }) => pool.run(task));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(started).toEqual(['a', 'b']);
+      expect(workers).toHaveLength(2);
+
+      tasks.forEach(({ release }) => release());
+      await Promise.all(runs);
+      await pool.terminate();
+    });
+
+    it('fails queued tasks when no worker starts after repeated attempts', async () => {
+      const { createWorker } = createFakeWorkers(Infinity);
+      const pool = new TesseractWorkerPool({ size: 2, createWorker, idleTimeout: 0 });
+
+      const results = [pool.run(async () => 'never'), pool.run(async () => 'never')];
+      const assertions = results.map(result => expect(result).rejects.toThrow('Failed to create any Tesseract OCR workers'));
+      await jest.advanceTimersByTimeAsync(3000);
+      await Promise.all(assertions);
+
+      // One round of starts per attempt - two workers each
+      expect(createWorker).toHaveBeenCalledTimes(6);
+      await pool.terminate();
+    });
+  });
+});
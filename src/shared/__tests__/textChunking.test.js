@@ -0,0 +1,68 @@
+const { estimateTokens, splitPages, buildChunks, createChunkBuilder } = require('../textChunking');
+
+const pages = count => Array.from({ length: count }, (_, index) =>
+  `--- Page ${index + 1} ---\nPage ${index + 1} text ${'x'.repeat(400)}`
+).join('\n');
+
+describe('splitPages', () => {
+  it('splits on page markers and keeps absolute page numbers', () => {
+    expect(splitPages('--- Page 3 ---\nfirst\n--- Page 4 ---\nsecond')).toEqual([
+      { page: 3, text: 'first' },
+      { page: 4, text: 'second' },
+    ]);
+  });
+
+  it('treats text without markers as page 1', () => {
+    expect(splitPages('  just text ')).toEqual([{ page: 1, text: 'just text' }]);
+    expect(splitPages('')).toEqual([]);
+  });
+});
+
+describe('buildChunks', () => {
+  it('keeps small documents in one chunk', () => {
+    const chunks = buildChunks(pages(3), { maxTokens: 6000 });
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ index: 0, startPage: 1, endPage: 3 });
+  });
+
+  it('splits on page boundaries within the token budget', () => {
+    const chunks = buildChunks(pages(6), { maxTokens: 250 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokens).toBeLessThanOrEqual(250);
+      expect(chunk.text).toContain(`--- Page ${chunk.startPage} ---`);
+    });
+    expect(chunks[chunks.length - 1].endPage).toBe(6);
+  });
+
+  it('breaks a single oversized page into pieces that keep its page number', () => {
+    const text = `--- Page 2 ---\n${Array.from({ length: 50 }, (_, i) => `line ${i} ${'y'.repeat(60)}`).join('\n')}`;
+    const chunks = buildChunks(text, { maxTokens: 200 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk).toMatchObject({ startPage: 2, endPage: 2 });
+      expect(chunk.tokens).toBeLessThanOrEqual(200);
+    });
+  });
+});
+
+describe('createChunkBuilder', () => {
+  it('emits a chunk as soon as the next page does not fit', () => {
+    const emitted = [];
+    const builder = createChunkBuilder({ maxTokens: 150, onChunk: chunk => emitted.push(chunk) });
+
+    builder.addPage({ page: 1, text: 'a'.repeat(400) });
+    expect(emitted).toHaveLength(0);
+    builder.addPage({ page: 2, text: 'b'.repeat(400) });
+    expect(emitted).toHaveLength(1);
+    builder.flush();
+    expect(emitted.map(chunk => chunk.startPage)).toEqual([1, 2]);
+  });
+});
+
+describe('estimateTokens', () => {
+  it('uses four characters per token', () => {
+    expect(estimateTokens('12345678')).toBe(2);
+    expect(estimateTokens(null)).toBe(0);
+  });
+});
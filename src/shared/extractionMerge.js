@@ -0,0 +1,203 @@
+/**
+ * extractionMerge.js - Reduces per-chunk extraction results into one set of fields
+ *
+ * Each partial result has the /extract response shape:
+ *   { chunkIndex, fields: { <key>: { value, evidence, page, confidence, evidenceVerified } } }
+ * Fields are merged according to their mergeStrategy (see medicalFields.js).
+ */
+const { MEDICAL_FIELDS } = require('./medicalFields');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function emptyField() {
+  return { value: '', evidence: '', page: null, confidence: 0, evidenceVerified: false };
+}
+
+function basicNormalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9/\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Canonical YYYY-MM-DD for the common date spellings, or null
+ */
+function normalizeDate(text) {
+  const value = (text || '').toLowerCase();
+
+  let match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+
+  match = value.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    let year = match[3];
+    if (year.length === 2) {
+      year = (parseInt(year, 10) > new Date().getFullYear() % 100 ? '19' : '20') + year;
+    }
+    return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  match = value.match(/([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS.includes(match[1])) {
+    const month = String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0');
+    return `${match[3]}-${month}-${match[2].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Key used to decide whether two single-valued candidates agree
+ */
+function normalizeSingleValue(fieldKey, value) {
+  if (fieldKey === 'patientDOB') {
+    return normalizeDate(value) || basicNormalize(value);
+  }
+
+  if (fieldKey === 'patientName' || fieldKey === 'pcp') {
+    // "Smith, John A" and "John Smith" are the same person
+    return basicNormalize(value.replace(/\b(dr|md|do|np|pa|rn)\b\.?/gi, ''))
+      .split(' ')
+      .filter(token => token.length > 1)
+      .sort()
+      .join(' ');
+  }
+
+  return basicNormalize(value);
+}
+
+/**
+ * Key used to de-duplicate list items ("Metformin 500 mg BID." == "metformin 500mg bid")
+ */
+function normalizeListItem(item) {
+  return basicNormalize(item)
+    .replace(/(\d)\s+(mg|mcg|g|ml|units?|meq|%)\b/g, '$1$2')
+    .replace(/^[-\d.)\s]+(?=[a-z])/, '');
+}
+
+function candidateWeight(entry) {
+  const confidence = typeof entry.confidence === 'number' ? entry.confidence : 0.5;
+  return confidence * (entry.evidenceVerified ? 1 : 0.6);
+}
+
+function hasValue(entry) {
+  return entry && typeof entry.value === 'string' && entry.value.trim().length > 0;
+}
+
+/**
+ * Pick one value: candidates that agree pool their weight, the heaviest group wins
+ */
+function mergeSingleField(fieldKey, candidates) {
+  const groups = new Map();
+
+  candidates.forEach(candidate => {
+    const key = normalizeSingleValue(fieldKey, candidate.value);
+    if (!groups.has(key)) {
+      groups.set(key, { weight: 0, entries: [] });
+    }
+    const group = groups.get(key);
+    group.weight += candidateWeight(candidate);
+    group.entries.push(candidate);
+  });
+
+  const ranked = [...groups.values()].sort((a, b) =>
+    b.weight - a.weight || a.entries[0].chunkIndex - b.entries[0].chunkIndex
+  );
+  const totalWeight = ranked.reduce((sum, group) => sum + group.weight, 0) || 1;
+  const winner = ranked[0];
+  const best = winner.entries.reduce((a, b) => (candidateWeight(b) > candidateWeight(a) ? b : a));
+
+  const merged = {
+    value: best.value.trim(),
+    evidence: best.evidence || '',
+    page: best.page || null,
+    confidence: Math.round(best.confidence * (winner.weight / totalWeight) * 100) / 100,
+    evidenceVerified: !!best.evidenceVerified,
+    sources: winner.entries.map(entry => ({ chunk: entry.chunkIndex, page: entry.page || null }))
+  };
+
+  if (ranked.length > 1) {
+    merged.conflicts = ranked.slice(1).map(group => ({
+      value: group.entries[0].value.trim(),
+      page: group.entries[0].page || null,
+      confidence: group.entries[0].confidence
+    }));
+  }
+
+  return merged;
+}
+
+/**
+ * Union of list items across chunks, de-duplicated, in document order
+ */
+function mergeListField(candidates) {
+  const items = [];
+
+  candidates.forEach(candidate => {
+    candidate.value
+      .split(/\n|;/)
+      .map(item => item.trim())
+      .filter(Boolean)
+      .forEach(item => {
+        const key = normalizeListItem(item);
+        if (!key) return;
+
+        // An item that is contained in another one is the same entry with less detail
+        const existing = items.find(other => other.key.includes(key) || key.includes(other.key));
+        if (!existing) {
+          items.push({ key, text: item });
+        } else if (key.length > existing.key.length) {
+          existing.key = key;
+          existing.text = item;
+        }
+      });
+  });
+
+  const best = candidates.reduce((a, b) => (candidateWeight(b) > candidateWeight(a) ? b : a));
+
+  return {
+    value: items.map(item => item.text).join('\n'),
+    evidence: best.evidence || '',
+    page: best.page || null,
+    confidence: Math.max(...candidates.map(candidate => candidate.confidence || 0)),
+    evidenceVerified: !!best.evidenceVerified,
+    sources: candidates.map(candidate => ({ chunk: candidate.chunkIndex, page: candidate.page || null }))
+  };
+}
+
+/**
+ * Merge partial extraction results into one fields object
+ * @param {Array<{ chunkIndex: number, fields: Object }>} partials
+ */
+function mergeExtractionResults(partials) {
+  const merged = {};
+
+  MEDICAL_FIELDS.forEach(field => {
+    const candidates = partials
+      .filter(partial => partial && partial.fields)
+      .map(partial => ({ ...partial.fields[field.key], chunkIndex: partial.chunkIndex }))
+      .filter(hasValue);
+
+    if (candidates.length === 0) {
+      merged[field.key] = emptyField();
+    } else if (candidates.length === 1) {
+      const { chunkIndex, ...entry } = candidates[0];
+      merged[field.key] = { ...entry, sources: [{ chunk: chunkIndex, page: entry.page || null }] };
+    } else if (field.mergeStrategy === 'single') {
+      merged[field.key] = mergeSingleField(field.key, candidates);
+    } else {
+      merged[field.key] = mergeListField(candidates);
+    }
+  });
+
+  return merged;
+}
+
+module.exports = {
+  mergeExtractionResults,
+  normalizeDate,
+};
@@ -0,0 +1,238 @@
+/**
+ * fuzzyMatch.js - OCR-error-tolerant matching of a phrase against a word sequence
+ *
+ * Words are compared after normalizing case, punctuation and the character
+ * confusions Tesseract commonly makes ("Metf0rmin", "5OOmg", "rn" for "m").
+ * A phrase is aligned against the document words with an edit-distance style
+ * dynamic program, so extra words, missing words and words split or joined
+ * across line and page breaks are tolerated.
+ *
+ * Scores are calibrated as character accuracy: 1 means every character of the
+ * phrase was found, 0.8 means roughly one character in five had to be edited.
+ *
+ * Phrase words containing digits (doses, dates, MRNs) are the exception: after the
+ * OCR normalization they must match exactly and cannot be skipped, so "25mg" never
+ * matches "50mg" and "01/15/1980" never matches "01/18/1980".
+ */
+
+// Applied to both sides, so "0" and "o" (etc.) compare equal
+const OCR_CONFUSIONS = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w'],
+  [/0/g, 'o'],
+  [/[1il|!]/g, 'l'],
+  [/5/g, 's'],
+  [/8/g, 'b'],
+];
+
+// Extra document words inside a match cost this fraction of their length
+const EXTRA_WORD_COST = 0.5;
+
+const DEFAULT_MIN_SCORE = 0.75;
+
+/**
+ * Canonical form of a single word
+ */
+function normalizeToken(text) {
+  let token = (text || '').toLowerCase().replace(/[^a-z0-9|!]/g, '');
+  OCR_CONFUSIONS.forEach(([pattern, replacement]) => {
+    token = token.replace(pattern, replacement);
+  });
+  return token;
+}
+
+function splitWords(text) {
+  return (text || '').split(/[\s,;:()[\]{}"]+/);
+}
+
+/**
+ * Split text into normalized tokens, dropping pure punctuation
+ */
+function tokenize(text) {
+  return splitWords(text)
+    .map(normalizeToken)
+    .filter(Boolean);
+}
+
+function hasDigit(text) {
+  return /\d/.test(text || '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(substitution, previous[j] + 1, current[j - 1] + 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two normalized tokens, 0-1
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Find approximate occurrences of a phrase in a word sequence.
+ *
+ * @param {string} phrase - Text to look for
+ * @param {string[]} words - Document words in reading order (may span lines and pages)
+ * @param {Object} options - { minScore, maxResults }
+ * @returns {Array<{ start: number, end: number, score: number }>} Inclusive word ranges, best first
+ */
+function findFuzzyMatches(phrase, words, options = {}) {
+  const minScore = options.minScore || DEFAULT_MIN_SCORE;
+  const maxResults = options.maxResults || 5;
+
+  const queryWords = splitWords(phrase).filter(word => normalizeToken(word));
+  if (queryWords.length === 0 || words.length === 0) return [];
+
+  const query = queryWords.map(normalizeToken);
+  const queryNumeric = queryWords.map(hasDigit);
+  const document = words.map(normalizeToken);
+  const m = query.length;
+  const weights = query.map(token => token.length);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Similarities repeat a lot (the same words occur many times) - cache them.
+  // Pairs whose lengths alone rule out a useful match are not compared at all.
+  const similarityCache = new Map();
+  const similarity = (queryToken, documentToken) => {
+    if (!documentToken) return 0;
+    const longest = Math.max(queryToken.length, documentToken.length);
+    if (Math.abs(queryToken.length - documentToken.length) > longest / 2) return 0;
+
+    const key = `${queryToken}\u0000${documentToken}`;
+    let value = similarityCache.get(key);
+    if (value === undefined) {
+      value = tokenSimilarity(queryToken, documentToken);
+      similarityCache.set(key, value);
+    }
+    return value;
+  };
+
+  // Cost of aligning a query token with a document token; numbers must be exact
+  const alignmentCost = (queryToken, documentToken, weight, numeric) => {
+    if (numeric) return queryToken === documentToken ? 0 : Infinity;
+    return weight * (1 - similarity(queryToken, documentToken));
+  };
+
+  // cost[i] / start[i] for the last three document positions (j-2, j-1, j)
+  const column = () => ({ cost: new Array(m + 1).fill(Infinity), start: new Array(m + 1).fill(-1) });
+  let beforePrevious = column();
+  let previous = column();
+  previous.cost[0] = 0;
+  previous.start[0] = 0;
+
+  const candidates = [];
+
+  for (let j = 1; j <= document.length; j++) {
+    const current = column();
+    const word = document[j - 1];
+
+    // A match may start at any word
+    current.cost[0] = 0;
+    current.start[0] = j;
+
+    for (let i = 1; i <= m; i++) {
+      const weight = weights[i - 1];
+      let best = Infinity;
+      let bestStart = -1;
+
+      const consider = (cost, start) => {
+        if (cost < best) {
+          best = cost;
+          bestStart = start;
+        }
+      };
+
+      const numeric = queryNumeric[i - 1];
+
+      // Query token matches this word
+      consider(
+        previous.cost[i - 1] + alignmentCost(query[i - 1], word, weight, numeric),
+        previous.start[i - 1]
+      );
+
+      // Query token missing from the document
+      if (!numeric) {
+        consider(current.cost[i - 1] + weight, current.start[i - 1]);
+      }
+
+      // Extra document word inside the match
+      if (i < m) {
+        consider(previous.cost[i] + word.length * EXTRA_WORD_COST, previous.start[i]);
+      }
+
+      // Query token split across two document words ("Metfor-" / "min")
+      if (j >= 2) {
+        const joined = document[j - 2] + word;
+        consider(
+          beforePrevious.cost[i - 1] + alignmentCost(query[i - 1], joined, weight, numeric),
+          beforePrevious.start[i - 1]
+        );
+      }
+
+      // Two query tokens joined in one document word ("500 mg" / "500mg")
+      if (i >= 2) {
+        const joinedWeight = weights[i - 2] + weight;
+        const joined = query[i - 2] + query[i - 1];
+        const joinedNumeric = numeric || queryNumeric[i - 2];
+        consider(
+          previous.cost[i - 2] + alignmentCost(joined, word, joinedWeight, joinedNumeric),
+          previous.start[i - 2]
+        );
+      }
+
+      current.cost[i] = best;
+      current.start[i] = bestStart;
+    }
+
+    const score = 1 - current.cost[m] / totalWeight;
+    if (Number.isFinite(score) && score >= minScore && current.start[m] >= 0 && current.start[m] < j) {
+      candidates.push({ start: current.start[m], end: j - 1, score });
+    }
+
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  // Best first, without overlapping ranges
+  candidates.sort((a, b) => b.score - a.score || (a.end - a.start) - (b.end - b.start));
+  const results = [];
+  for (const candidate of candidates) {
+    const overlaps = results.some(result => candidate.start <= result.end && candidate.end >= result.start);
+    if (!overlaps) {
+      results.push({ ...candidate, score: Math.round(candidate.score * 1000) / 1000 });
+      if (results.length >= maxResults) break;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  normalizeToken,
+  tokenize,
+  editDistance,
+  tokenSimilarity,
+  findFuzzyMatches,
+};
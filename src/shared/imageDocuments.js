@@ -0,0 +1,287 @@
+/**
+ * imageDocuments.js - Turns faxed TIFFs and photographed referrals into PDFs
+ *
+ * TIFF (including multi-page CCITT fax), JPEG and PNG files are converted to a
+ * PDF with one page per image before processing, so OCR, word positions, the
+ * page viewer, stored originals and reports all work on them unchanged.
+ */
+const {
+  PDFDocument,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  drawObject
+} = require('pdf-lib');
+const UTIF = require('utif');
+
+const PDF_TYPE = 'application/pdf';
+
+const IMAGE_TYPES = {
+  'image/tiff': ['.tif', '.tiff'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png']
+};
+
+const SUPPORTED_TYPES = [PDF_TYPE, ...Object.keys(IMAGE_TYPES)];
+
+const SUPPORTED_EXTENSIONS = ['.pdf', ...Object.values(IMAGE_TYPES).flat()];
+
+// Images without a usable resolution are fitted to a US Letter page (11 in long side)
+const LETTER_LONG_SIDE = 792;
+
+// Lower resolutions are treated as missing - 72 dpi defaults would make huge pages
+const MIN_DPI = 50;
+
+// EXIF orientation -> clockwise page rotation (mirrored orientations are shown as stored)
+const EXIF_ROTATION = { 3: 180, 6: 90, 8: 270 };
+
+/**
+ * Document type from the file's first bytes
+ * @returns {string|null} a SUPPORTED_TYPES entry, or null if unknown
+ */
+function detectDocumentType(bytes) {
+  const b = bytes;
+  if (!b || b.length < 8) return null;
+
+  if (b[0] === 0x25 && b[1] === 0x50 && b[2] === 0x44 && b[3] === 0x46) return PDF_TYPE;
+  if ((b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2A && b[3] === 0x00) ||
+      (b[0] === 0x4D && b[1] === 0x4D && b[2] === 0x00 && b[3] === 0x2A)) return 'image/tiff';
+  if (b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF) return 'image/jpeg';
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47) return 'image/png';
+
+  return null;
+}
+
+/**
+ * Document type from a MIME type or file name
+ * @returns {string|null}
+ */
+function getDocumentType(name, mimeType) {
+  if (SUPPORTED_TYPES.includes(mimeType)) return mimeType;
+
+  const lowerName = (name || '').toLowerCase();
+  if (lowerName.endsWith('.pdf')) return PDF_TYPE;
+
+  return Object.keys(IMAGE_TYPES).find(type =>
+    IMAGE_TYPES[type].some(extension => lowerName.endsWith(extension))
+  ) || null;
+}
+
+function isImageType(type) {
+  return Object.prototype.hasOwnProperty.call(IMAGE_TYPES, type);
+}
+
+/**
+ * "fax_0412.tif" -> "fax_0412.pdf"
+ */
+function toPdfFileName(name) {
+  const base = (name || 'document').replace(/\.[^./\\]+$/, '');
+  return `${base}.pdf`;
+}
+
+/**
+ * Page size in PDF points. Non-square pixels (fax standard mode is 204 x 98 dpi)
+ * are stretched back to the right aspect ratio.
+ * @param {Object} resolution - { x, y, absolute } - absolute when x/y are dots per inch
+ */
+function getPageSize(width, height, resolution = {}) {
+  const { x, y } = resolution;
+  let displayHeight = height;
+
+  if (x > 0 && y > 0) {
+    if (resolution.absolute && Math.min(x, y) >= MIN_DPI) {
+      return { width: (width * 72) / x, height: (height * 72) / y };
+    }
+    displayHeight = (height * x) / y;
+  }
+
+  const scale = LETTER_LONG_SIDE / Math.max(width, displayHeight);
+  return { width: width * scale, height: displayHeight * scale };
+}
+
+/**
+ * Resolution of a decoded TIFF page (XResolution, YResolution, ResolutionUnit)
+ */
+function getTiffResolution(ifd) {
+  const x = ifd.t282 ? Number(ifd.t282[0]) : 0;
+  const y = ifd.t283 ? Number(ifd.t283[0]) : 0;
+  const unit = ifd.t296 ? ifd.t296[0] : 2;
+
+  if (unit === 3) {
+    return { x: x * 2.54, y: y * 2.54, absolute: true };
+  }
+  return { x, y, absolute: unit === 2 };
+}
+
+/**
+ * RGBA pixels -> gray or RGB samples for a PDF image, composited on white.
+ * Fax pages are gray, so one byte per pixel is kept where possible.
+ */
+function toPdfSamples(rgba, pixelCount) {
+  let isGray = true;
+  for (let i = 0; i < pixelCount * 4; i += 4) {
+    if (rgba[i] !== rgba[i + 1] || rgba[i + 1] !== rgba[i + 2]) {
+      isGray = false;
+      break;
+    }
+  }
+
+  const channels = isGray ? 1 : 3;
+  const samples = new Uint8Array(pixelCount * channels);
+
+  for (let p = 0; p < pixelCount; p++) {
+    const alpha = rgba[p * 4 + 3];
+    for (let c = 0; c < channels; c++) {
+      const value = rgba[p * 4 + c];
+      samples[p * channels + c] = alpha === 255 ? value : Math.round((value * alpha + 255 * (255 - alpha)) / 255);
+    }
+  }
+
+  return { samples, colorSpace: isGray ? 'DeviceGray' : 'DeviceRGB' };
+}
+
+/**
+ * Add one page showing raw pixels, stored Flate-compressed
+ */
+function addPixelPage(pdfDoc, rgba, width, height, resolution) {
+  const { samples, colorSpace } = toPdfSamples(rgba, width * height);
+  const imageRef = pdfDoc.context.register(pdfDoc.context.flateStream(samples, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: width,
+    Height: height,
+    ColorSpace: colorSpace,
+    BitsPerComponent: 8
+  }));
+
+  const size = getPageSize(width, height, resolution);
+  const page = pdfDoc.addPage([size.width, size.height]);
+  const imageName = page.node.newXObject('Image', imageRef);
+
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(size.width, 0, 0, size.height, 0, 0),
+    drawObject(imageName),
+    popGraphicsState()
+  );
+}
+
+/**
+ * One page per TIFF image; reduced-resolution thumbnails are skipped
+ */
+function addTiffPages(pdfDoc, bytes) {
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const ifds = UTIF.decode(buffer).filter(ifd => !(ifd.t254 && (ifd.t254[0] & 1)));
+
+  if (ifds.length === 0) {
+    throw new Error('TIFF file contains no images');
+  }
+
+  ifds.forEach(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    addPixelPage(pdfDoc, UTIF.toRGBA8(ifd), ifd.width, ifd.height, getTiffResolution(ifd));
+  });
+}
+
+/**
+ * EXIF orientation of a JPEG (1 when missing)
+ */
+function getJpegOrientation(bytes) {
+  let offset = 2;
+
+  while (offset + 4 < bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+    // APP1 "Exif\0\0"
+    if (marker === 0xE1 && bytes[offset + 4] === 0x45 && bytes[offset + 5] === 0x78 &&
+        bytes[offset + 6] === 0x69 && bytes[offset + 7] === 0x66) {
+      const tiff = offset + 10;
+      const little = bytes[tiff] === 0x49;
+      const read16 = at => (little ? bytes[at] | (bytes[at + 1] << 8) : (bytes[at] << 8) | bytes[at + 1]);
+      const read32 = at => (little ?
+        (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0 :
+        ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0);
+
+      const ifd = tiff + read32(tiff + 4);
+      const entries = read16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 10 > bytes.length) break;
+        if (read16(entry) === 0x0112) {
+          return read16(entry + 8);
+        }
+      }
+      return 1;
+    }
+
+    // Start of scan - no metadata after this
+    if (marker === 0xDA) break;
+    offset += 2 + length;
+  }
+
+  return 1;
+}
+
+async function addEncodedImagePage(pdfDoc, bytes, type) {
+  const image = type === 'image/jpeg' ? await pdfDoc.embedJpg(bytes) : await pdfDoc.embedPng(bytes);
+  const size = getPageSize(image.width, image.height);
+  const page = pdfDoc.addPage([size.width, size.height]);
+
+  page.drawImage(image, { x: 0, y: 0, width: size.width, height: size.height });
+
+  const rotation = type === 'image/jpeg' ? EXIF_ROTATION[getJpegOrientation(bytes)] : null;
+  if (rotation) {
+    page.setRotation(degrees(rotation));
+  }
+}
+
+/**
+ * Convert a TIFF, JPEG or PNG file to a PDF with one page per image
+ * @param {Uint8Array} bytes - the image file
+ * @param {string} type - image MIME type; detected from the bytes when omitted
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function imageToPdf(bytes, type = detectDocumentType(bytes)) {
+  return imagesToPdf([{ bytes, type }]);
+}
+
+/**
+ * Combine several images into one PDF, in order - e.g. pages photographed one by one
+ * @param {Array<Object>} images - { bytes, type }; type is detected when omitted
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function imagesToPdf(images) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setProducer('MedRec');
+
+  for (const image of images) {
+    const type = image.type || detectDocumentType(image.bytes);
+    if (!isImageType(type)) {
+      throw new Error(`Unsupported image type ${type || '(unknown)'}`);
+    }
+
+    if (type === 'image/tiff') {
+      addTiffPages(pdfDoc, image.bytes);
+    } else {
+      await addEncodedImagePage(pdfDoc, image.bytes, type);
+    }
+  }
+
+  return pdfDoc.save();
+}
+
+module.exports = {
+  PDF_TYPE,
+  IMAGE_TYPES,
+  SUPPORTED_TYPES,
+  SUPPORTED_EXTENSIONS,
+  detectDocumentType,
+  getDocumentType,
+  isImageType,
+  toPdfFileName,
+  getPageSize,
+  imageToPdf,
+  imagesToPdf,
+};
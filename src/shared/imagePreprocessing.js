@@ -0,0 +1,468 @@
+/**
+ * imagePreprocessing.js - Cleans up rendered pages before OCR
+ *
+ * Faxed and scanned referrals arrive rotated, skewed and speckled. This works on
+ * plain pixel arrays (no canvas), so it runs wherever pages are rasterized:
+ *   1. orientation - 0/90/180/270 from text line profiles and the balance of
+ *                    ascenders over descenders in Latin script
+ *   2. deskew      - the small angle that gives the sharpest text line profile
+ *   3. binarize    - Sauvola adaptive threshold, robust to uneven fax backgrounds
+ *   4. denoise     - removes ink specks of a few pixels
+ *
+ * The result has toSourceBox(), which maps OCR word boxes back onto the page as
+ * it was rendered, so highlighting stays in the original page geometry.
+ */
+
+const DEFAULT_OPTIONS = {
+  orientation: true,
+  deskew: true,
+  binarize: true,
+  denoise: true,
+  maxSkewAngle: 8,   // degrees either side of upright
+  sauvolaK: 0.2,
+};
+
+// Orientation and skew are measured on at most this many pixels along the longest side
+const ANALYSIS_SIZE = 1600;
+
+// Too little ink to tell which way the text runs
+const MIN_INK_PIXELS = 500;
+
+// A quarter turn must make the line profile this much sharper before the page is turned
+const QUARTER_TURN_MARGIN = 1.3;
+
+// Upside down when text lines carry this much more ink below their core than above
+const UPSIDE_DOWN_MARGIN = 1.25;
+const MIN_LINES_FOR_FLIP = 3;
+
+// Rotations smaller than this are not worth resampling the page for
+const MIN_ROTATION = 0.05;
+
+function toGrayscale({ data, width, height }) {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+  return gray;
+}
+
+/**
+ * Global threshold separating ink from paper (Otsu)
+ */
+function otsuThreshold(gray) {
+  const histogram = new Float64Array(256);
+  for (let i = 0; i < gray.length; i++) {
+    histogram[gray[i]]++;
+  }
+
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) {
+    sumAll += t * histogram[t];
+  }
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 128;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+
+    const weightForeground = gray.length - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = t;
+    }
+  }
+
+  return threshold;
+}
+
+/**
+ * Sampled ink pixels, relative to the page centre
+ */
+function collectInkPoints(gray, width, height) {
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / ANALYSIS_SIZE));
+  const threshold = otsuThreshold(gray);
+  const xs = [];
+  const ys = [];
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      if (gray[y * width + x] <= threshold) {
+        xs.push(x - width / 2);
+        ys.push(y - height / 2);
+      }
+    }
+  }
+
+  return {
+    xs: Float32Array.from(xs),
+    ys: Float32Array.from(ys),
+    step,
+    radius: Math.hypot(width, height) / 2,
+    sampledPixels: Math.ceil(width / step) * Math.ceil(height / step),
+  };
+}
+
+/**
+ * Ink per row after rotating the page by `angle` degrees (clockwise)
+ */
+function rowProfile(points, angle) {
+  const radians = angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const profile = new Int32Array(Math.ceil((2 * points.radius) / points.step) + 1);
+
+  for (let i = 0; i < points.xs.length; i++) {
+    const rotatedY = points.xs[i] * sin + points.ys[i] * cos;
+    profile[Math.floor((rotatedY + points.radius) / points.step)]++;
+  }
+
+  return profile;
+}
+
+/**
+ * Sharpness of the row profile - highest when text lines run exactly horizontally
+ */
+function profileScore(points, angle) {
+  const profile = rowProfile(points, angle);
+  let score = 0;
+  for (let i = 0; i < profile.length; i++) {
+    score += profile[i] * profile[i];
+  }
+  return score;
+}
+
+/**
+ * Best angle within `range` degrees of `center`: coarse search, then refine
+ */
+function searchAngle(points, center, range) {
+  let best = { angle: center, score: profileScore(points, center) };
+
+  const consider = angle => {
+    const score = profileScore(points, angle);
+    if (score > best.score) {
+      best = { angle, score };
+    }
+  };
+
+  for (let angle = center - range; angle <= center + range; angle += 0.5) {
+    consider(angle);
+  }
+
+  const coarse = best.angle;
+  for (let angle = coarse - 0.4; angle <= coarse + 0.4; angle += 0.1) {
+    consider(angle);
+  }
+
+  return best;
+}
+
+/**
+ * Latin text has far more ascenders (b, d, h, l, capitals) than descenders
+ * (g, p, q, y). Once lines run horizontally, more ink below each line's
+ * x-height core than above it means the page is upside down.
+ */
+function isUpsideDown(points, angle) {
+  const profile = rowProfile(points, angle);
+  let maxRow = 0;
+  for (let i = 0; i < profile.length; i++) {
+    maxRow = Math.max(maxRow, profile[i]);
+  }
+
+  const lineThreshold = maxRow * 0.05;
+  let above = 0;
+  let below = 0;
+  let lines = 0;
+  let start = -1;
+
+  for (let i = 0; i <= profile.length; i++) {
+    const inLine = i < profile.length && profile[i] > lineThreshold;
+
+    if (inLine && start === -1) {
+      start = i;
+    } else if (!inLine && start !== -1) {
+      const end = i - 1;
+
+      if (end - start >= 3) {
+        let lineMax = 0;
+        for (let row = start; row <= end; row++) {
+          lineMax = Math.max(lineMax, profile[row]);
+        }
+
+        // The x-height core is where the line's ink is densest
+        let coreStart = start;
+        while (profile[coreStart] < lineMax * 0.5) coreStart++;
+        let coreEnd = end;
+        while (profile[coreEnd] < lineMax * 0.5) coreEnd--;
+
+        for (let row = start; row < coreStart; row++) above += profile[row];
+        for (let row = coreEnd + 1; row <= end; row++) below += profile[row];
+        lines++;
+      }
+      start = -1;
+    }
+  }
+
+  return lines >= MIN_LINES_FOR_FLIP && below > above * UPSIDE_DOWN_MARGIN;
+}
+
+/**
+ * Clockwise rotation (degrees) that makes the page upright and level
+ */
+function detectRotation(gray, width, height, options) {
+  const points = collectInkPoints(gray, width, height);
+
+  // Blank or nearly black pages - nothing to measure
+  if (points.xs.length < MIN_INK_PIXELS || points.xs.length > points.sampledPixels / 2) {
+    return 0;
+  }
+
+  const range = options.deskew ? options.maxSkewAngle : 0;
+  let best = searchAngle(points, 0, range);
+
+  if (options.orientation) {
+    const quarterTurn = searchAngle(points, 90, range);
+    if (quarterTurn.score > best.score * QUARTER_TURN_MARGIN) {
+      best = quarterTurn;
+    }
+  }
+
+  let angle = best.angle;
+  if (options.orientation && isUpsideDown(points, angle)) {
+    angle += 180;
+  }
+
+  return angle;
+}
+
+/**
+ * Rotate clockwise about the centre with bilinear sampling; the canvas grows to fit
+ */
+function rotateGray(gray, width, height, angle) {
+  const radians = angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+
+  const outWidth = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+  const outHeight = Math.round(Math.abs(width * sin) + Math.abs(height * cos));
+  const rotated = new Uint8Array(outWidth * outHeight).fill(255);
+
+  const inCx = width / 2;
+  const inCy = height / 2;
+  const outCx = outWidth / 2;
+  const outCy = outHeight / 2;
+
+  for (let v = 0; v < outHeight; v++) {
+    const dy = v + 0.5 - outCy;
+    for (let u = 0; u < outWidth; u++) {
+      const dx = u + 0.5 - outCx;
+      const x = cos * dx + sin * dy + inCx - 0.5;
+      const y = -sin * dx + cos * dy + inCy - 0.5;
+
+      if (x < 0 || y < 0 || x > width - 1 || y > height - 1) continue;
+
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+
+      const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+      const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+      rotated[v * outWidth + u] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  // Maps a point in the rotated image back onto the original
+  const toSource = (u, v) => {
+    const dx = u - outCx;
+    const dy = v - outCy;
+    return { x: cos * dx + sin * dy + inCx, y: -sin * dx + cos * dy + inCy };
+  };
+
+  return { gray: rotated, width: outWidth, height: outHeight, toSource };
+}
+
+/**
+ * Sauvola adaptive threshold: each pixel is compared with the mean and contrast
+ * of its neighbourhood, so grey fax backgrounds and faint strokes both survive
+ */
+function sauvolaBinarize(gray, width, height, k) {
+  const window = Math.max(15, Math.round(Math.min(width, height) / 40)) | 1;
+  const half = window >> 1;
+  const stride = width + 1;
+
+  // Integral images of the values and their squares
+  const sum = new Uint32Array(stride * (height + 1));
+  const sumSq = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSumSq = 0;
+    for (let x = 0; x < width; x++) {
+      const value = gray[y * width + x];
+      rowSum += value;
+      rowSumSq += value * value;
+
+      const index = (y + 1) * stride + x + 1;
+      sum[index] = sum[index - stride] + rowSum;
+      sumSq[index] = sumSq[index - stride] + rowSumSq;
+    }
+  }
+
+  const binary = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - half);
+    const bottom = Math.min(height, y + half + 1);
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - half);
+      const right = Math.min(width, x + half + 1);
+      const area = (bottom - top) * (right - left);
+
+      const a = top * stride + left;
+      const b = top * stride + right;
+      const c = bottom * stride + left;
+      const d = bottom * stride + right;
+
+      const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / area;
+      const variance = (sumSq[d] - sumSq[b] - sumSq[c] + sumSq[a]) / area - mean * mean;
+      const deviation = Math.sqrt(Math.max(0, variance));
+      const threshold = mean * (1 + k * (deviation / 128 - 1));
+
+      binary[y * width + x] = gray[y * width + x] <= threshold ? 0 : 255;
+    }
+  }
+
+  return binary;
+}
+
+/**
+ * Whiten ink components (8-connected) of at most maxArea pixels - fax specks
+ */
+function removeSpeckles(binary, width, height, maxArea) {
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const members = new Int32Array(maxArea + 1);
+
+  for (let start = 0; start < binary.length; start++) {
+    if (binary[start] !== 0 || visited[start]) continue;
+
+    let size = 0;
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const index = stack[--top];
+      if (size <= maxArea) members[size] = index;
+      size++;
+
+      const x = index % width;
+      const y = (index - x) / width;
+
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const neighbour = ny * width + nx;
+          if (binary[neighbour] === 0 && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack[top++] = neighbour;
+          }
+        }
+      }
+    }
+
+    if (size <= maxArea) {
+      for (let i = 0; i < size; i++) {
+        binary[members[i]] = 255;
+      }
+    }
+  }
+
+  return binary;
+}
+
+/**
+ * Preprocess a rendered page for OCR
+ * @param {Object} imageData - { data: RGBA bytes, width, height }
+ * @param {Object} options - DEFAULT_OPTIONS overrides, plus `scale` (pixels per PDF point)
+ * @returns {Object} { gray, width, height, rotation, skewAngle, toSourceBox(bbox) } -
+ *   gray is one byte per pixel; rotation is the quarter turn applied (0/90/180/270)
+ */
+function preprocessPageImage(imageData, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+
+  let angle = settings.orientation || settings.deskew ? detectRotation(gray, width, height, settings) : 0;
+  let output = { gray, width, height, toSource: (x, y) => ({ x, y }) };
+
+  if (Math.abs(angle) >= MIN_ROTATION) {
+    output = rotateGray(gray, width, height, angle);
+  } else {
+    angle = 0;
+  }
+
+  if (settings.binarize) {
+    output.gray = sauvolaBinarize(output.gray, output.width, output.height, settings.sauvolaK);
+
+    if (settings.denoise) {
+      // About a 0.5pt square at the render scale
+      const maxArea = Math.max(1, Math.round((settings.scale || 2) ** 2));
+      removeSpeckles(output.gray, output.width, output.height, maxArea);
+    }
+  }
+
+  const rotation = ((Math.round(angle / 90) * 90) % 360 + 360) % 360;
+
+  return {
+    gray: output.gray,
+    width: output.width,
+    height: output.height,
+    rotation,
+    skewAngle: angle - Math.round(angle / 90) * 90,
+
+    /**
+     * Bounding box { x0, y0, x1, y1 } in the processed image -> the same box on the original
+     */
+    toSourceBox(bbox) {
+      const corners = [
+        output.toSource(bbox.x0, bbox.y0),
+        output.toSource(bbox.x1, bbox.y0),
+        output.toSource(bbox.x0, bbox.y1),
+        output.toSource(bbox.x1, bbox.y1),
+      ];
+      const xs = corners.map(corner => corner.x);
+      const ys = corners.map(corner => corner.y);
+
+      return {
+        x0: Math.max(0, Math.min(...xs)),
+        y0: Math.max(0, Math.min(...ys)),
+        x1: Math.min(width, Math.max(...xs)),
+        y1: Math.min(height, Math.max(...ys)),
+      };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  preprocessPageImage,
+  detectRotation,
+  rotateGray,
+  sauvolaBinarize,
+  removeSpeckles,
+  otsuThreshold,
+};
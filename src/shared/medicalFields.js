@@ -0,0 +1,124 @@
+/**
+ * medicalFields.js - Referral field definitions shared by the app and the API server
+ *
+ * CommonJS so backend/ can require it directly; the app imports it through Metro.
+ *
+ * mergeStrategy controls how results from several extraction chunks are combined:
+ *   'single' - one value wins (conflicts are resolved by agreement and confidence)
+ *   'list'   - values are split into items and de-duplicated across chunks
+ */
+
+const MEDICAL_FIELDS = [
+  {
+    key: 'patientName',
+    number: 1,
+    label: 'Patient Name',
+    description: "Patient's full name (look for names, patient identifiers)",
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'patientDOB',
+    number: 2,
+    label: 'Date of Birth',
+    description: 'Date of birth or age (look for DOB, birth date, age)',
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'insurance',
+    number: 3,
+    label: 'Insurance Information',
+    description: 'Insurance (Medicare, Medicaid, insurance company names)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'location',
+    number: 4,
+    label: 'Location/Facility',
+    description: 'Medical facility (hospital name, clinic, medical center)',
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'dx',
+    number: 5,
+    label: 'Diagnosis (Dx)',
+    description: 'Primary diagnosis (main medical condition, chief complaint)',
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'pcp',
+    number: 6,
+    label: 'Primary Care Provider (PCP)',
+    description: 'Primary care provider (doctor names, PCP, referring physician)',
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'dc',
+    number: 7,
+    label: 'Discharge (DC)',
+    description: 'Discharge disposition (where patient goes: home, facility, etc.)',
+    mergeStrategy: 'single'
+  },
+  {
+    key: 'wounds',
+    number: 8,
+    label: 'Wounds/Injuries',
+    description: 'Physical findings (wounds, injuries, physical exam results)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'medications',
+    number: 9,
+    label: 'Medications & Antibiotics',
+    description: 'Medications (all drugs, prescriptions, treatments mentioned)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'cardiacDrips',
+    number: 10,
+    label: 'Cardiac Medications/Drips',
+    description: 'Cardiac medications (heart-specific drugs only)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'labsAndVitals',
+    number: 11,
+    label: 'Labs & Vital Signs',
+    description: 'Laboratory data (lab results, vital signs, test values)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'faceToFace',
+    number: 12,
+    label: 'Face-to-Face Evaluations',
+    description: 'History and physical/H&P (examination notes, assessments, is the face to face signed?)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'history',
+    number: 13,
+    label: 'Medical History',
+    description: 'Medical history Discharge Summary (past conditions, previous medical issues)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'mentalHealthState',
+    number: 14,
+    label: 'Mental Health State',
+    description: 'Mental status (cognitive state, mental health notes)',
+    mergeStrategy: 'list'
+  },
+  {
+    key: 'additionalComments',
+    number: 15,
+    label: 'Additional Comments',
+    description: 'Additional notes (other important clinical information)',
+    mergeStrategy: 'list'
+  }
+];
+
+const FIELD_KEYS = MEDICAL_FIELDS.map(field => field.key);
+
+module.exports = {
+  MEDICAL_FIELDS,
+  FIELD_KEYS,
+};
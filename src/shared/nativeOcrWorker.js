@@ -0,0 +1,75 @@
+/**
+ * nativeOcrWorker.js - On-device OCR for iOS/Android
+ *
+ * tesseract.js needs Web Workers and WebAssembly, which React Native does not
+ * have. This worker runs Google ML Kit text recognition
+ * (@react-native-ml-kit/text-recognition, needs a development build) behind the
+ * part of the Tesseract worker interface that pdfTextExtraction uses -
+ * recognize(image) and terminate() - so TesseractWorkerPool and ocrPage run unchanged.
+ */
+
+/**
+ * Tesseract-style bbox from an ML Kit frame
+ */
+function frameToBbox(frame) {
+  if (!frame || typeof frame.left !== 'number') return null;
+  return {
+    x0: frame.left,
+    y0: frame.top,
+    x1: frame.left + frame.width,
+    y1: frame.top + frame.height
+  };
+}
+
+/**
+ * ML Kit result -> Tesseract `data` ({ text, confidence, blocks -> paragraphs -> lines -> words }).
+ * ML Kit reports no confidence, so words and the page carry null.
+ */
+function toTesseractData(result) {
+  const blocks = (result.blocks || []).map(block => ({
+    text: block.text,
+    bbox: frameToBbox(block.frame),
+    paragraphs: [{
+      text: block.text,
+      lines: (block.lines || []).map(line => ({
+        text: line.text,
+        bbox: frameToBbox(line.frame),
+        words: (line.elements || []).map(element => ({
+          text: element.text,
+          bbox: frameToBbox(element.frame),
+          confidence: null
+        }))
+      }))
+    }]
+  }));
+
+  return {
+    text: result.text || '',
+    confidence: null,
+    blocks
+  };
+}
+
+/**
+ * Worker for TesseractWorkerPool's createWorker option
+ * @returns {Promise<Object>} { source, recognize(imageUri), terminate() }
+ */
+async function createNativeOcrWorker() {
+  const TextRecognition = require('@react-native-ml-kit/text-recognition').default;
+
+  return {
+    source: 'mlkit-ocr',
+    async recognize(image) {
+      if (typeof image !== 'string') {
+        throw new Error('On-device OCR needs an image file URI');
+      }
+      return { data: toTesseractData(await TextRecognition.recognize(image)) };
+    },
+    async terminate() {}
+  };
+}
+
+module.exports = {
+  createNativeOcrWorker,
+  toTesseractData,
+};
@@ -0,0 +1,86 @@
+/**
+ * ocrAssets.js - Pinned pdf.js and Tesseract assets, served by our own API server
+ *
+ * Browsers load the pdf.js worker, the Tesseract worker and core, and the English
+ * language data from /assets/ocr instead of a CDN, so OCR works offline and on
+ * networks that block CDNs. Every file is pinned to a package version and a
+ * SHA-384 hash; the server refuses to serve a file that does not match
+ * (backend/services/ocrAssets.js). Bumping a package means updating its
+ * version and hashes here together with package.json.
+ */
+
+const OCR_ASSET_PACKAGES = {
+  'pdfjs-dist': '2.16.105',
+  'tesseract.js': '6.0.1',
+  'tesseract.js-core': '6.0.0',
+  '@tesseract.js-data/eng': '1.0.0',
+};
+
+// Tesseract runs in LSTM-only mode, so only the LSTM builds of the core are needed
+const OCR_ASSETS = [
+  {
+    package: 'pdfjs-dist',
+    file: 'legacy/build/pdf.worker.min.js',
+    integrity: 'sha384-JGlasQUng9qbcnbRYrgKuXnqxBBdE01mISUpH7QzIuKGIamtz+NaHRhQ+HR3xQX6',
+  },
+  {
+    package: 'tesseract.js',
+    file: 'dist/worker.min.js',
+    integrity: 'sha384-Xz8ctHtZgH/eWwOqd6igOU/kepnilz4dowW84REE2KL9DtDbxEnd/xxYhzBhNCzd',
+  },
+  {
+    package: 'tesseract.js-core',
+    file: 'tesseract-core-lstm.wasm.js',
+    integrity: 'sha384-lWCMZAMtmOXuoKarpaWpLArXiQPvYZg+0fqxA+vFgnwbHhJaHuJpK/DrhhbEPgVA',
+  },
+  {
+    package: 'tesseract.js-core',
+    file: 'tesseract-core-simd-lstm.wasm.js',
+    integrity: 'sha384-IXa0WOg/XVLE+nXJvEIMHDDzgqsdVFjNLBKIewFWZ5Xn6//0VfHM6vWV9ziK+psu',
+  },
+  {
+    package: '@tesseract.js-data/eng',
+    file: '4.0.0_best_int/eng.traineddata.gz',
+    integrity: 'sha384-JI+fraGAoc5GBGIliuqzHRnP1nJyrukg5ggNSBv/TO+YOVj+6Te6XXQOx7ia10xq',
+  },
+];
+
+/**
+ * Versioned directory of a package below the asset base URL, e.g. tesseract.js@6.0.1
+ */
+function getPackageDir(packageName) {
+  return `${packageName}@${OCR_ASSET_PACKAGES[packageName]}`;
+}
+
+/**
+ * Path of an asset below the asset base URL
+ */
+function getAssetPath(asset) {
+  return `${getPackageDir(asset.package)}/${asset.file}`;
+}
+
+/**
+ * pdf.js and Tesseract.js locations below the given asset base URL
+ * @param {string} baseUrl - absolute URL the assets are served from
+ * @returns {Object} { pdfWorkerSrc, tesseract: { workerPath, corePath, langPath } }
+ */
+function getOcrAssetUrls(baseUrl) {
+  const base = baseUrl.replace(/\/$/, '');
+
+  return {
+    pdfWorkerSrc: `${base}/${getPackageDir('pdfjs-dist')}/legacy/build/pdf.worker.min.js`,
+    tesseract: {
+      workerPath: `${base}/${getPackageDir('tesseract.js')}/dist/worker.min.js`,
+      corePath: `${base}/${getPackageDir('tesseract.js-core')}`,
+      langPath: `${base}/${getPackageDir('@tesseract.js-data/eng')}/4.0.0_best_int`,
+    },
+  };
+}
+
+module.exports = {
+  OCR_ASSET_PACKAGES,
+  OCR_ASSETS,
+  getPackageDir,
+  getAssetPath,
+  getOcrAssetUrls,
+};
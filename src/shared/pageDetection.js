@@ -0,0 +1,317 @@
+/**
+ * pageDetection.js - Finds a paper page in a photo and flattens it
+ *
+ * Used by the camera capture flow. Works on plain RGBA pixel arrays like
+ * imagePreprocessing.js, so it runs on any platform that can decode the photo:
+ *   1. detect - the page is the largest bright region (paper against a desk or
+ *               bed sheet); its four corners are the extreme points of that region
+ *   2. warp   - a perspective transform maps the corners onto an upright rectangle
+ *
+ * Photos where no convincing page outline is found are left to the caller to use
+ * as taken (detectPageCorners returns null).
+ */
+const { otsuThreshold } = require('./imagePreprocessing');
+
+// Detection runs on a copy scaled down to this many pixels along the longest side
+const DETECTION_SIZE = 320;
+
+// The page must cover at least this share of the photo
+const MIN_PAGE_AREA = 0.2;
+
+// A page region fills its corner quadrilateral to within this tolerance
+const MAX_SHAPE_ERROR = 0.12;
+
+// Share of the page outline that must be paper rather than print - rejects
+// textured backgrounds that happen to split into a large bright region
+const MIN_SOLIDITY = 0.75;
+
+// Longest side of a flattened page, in pixels
+const DEFAULT_MAX_SIZE = 2000;
+
+/**
+ * Downscaled, lightly blurred grayscale copy for detection
+ */
+function toDetectionGray({ data, width, height }) {
+  const factor = Math.max(1, Math.max(width, height) / DETECTION_SIZE);
+  const outWidth = Math.max(1, Math.round(width / factor));
+  const outHeight = Math.max(1, Math.round(height / factor));
+  const sums = new Float64Array(outWidth * outHeight);
+  const counts = new Uint32Array(outWidth * outHeight);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(outHeight - 1, Math.floor(y / factor)) * outWidth;
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const index = row + Math.min(outWidth - 1, Math.floor(x / factor));
+      sums[index] += (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+      counts[index]++;
+    }
+  }
+
+  // 3x3 box blur washes out the printed text so the page reads as one region
+  const gray = new Uint8Array(outWidth * outHeight);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= outWidth || ny >= outHeight) continue;
+          const index = ny * outWidth + nx;
+          sum += sums[index] / counts[index];
+          n++;
+        }
+      }
+      gray[y * outWidth + x] = sum / n;
+    }
+  }
+
+  return { gray, width: outWidth, height: outHeight, factor };
+}
+
+/**
+ * Pixels of the largest 4-connected region of `mask`
+ * @returns {Int32Array} pixel indices
+ */
+function largestRegion(mask, width, height) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const stack = new Int32Array(width * height);
+  let best = null;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start] !== -1) continue;
+
+    let top = 0;
+    let size = 0;
+    const pixels = [];
+    stack[top++] = start;
+    labels[start] = start;
+
+    while (top > 0) {
+      const index = stack[--top];
+      pixels.push(index);
+      size++;
+
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      for (const next of neighbours) {
+        if (next < 0 || next >= mask.length || !mask[next] || labels[next] !== -1) continue;
+        labels[next] = start;
+        stack[top++] = next;
+      }
+    }
+
+    if (!best || size > best.length) {
+      best = pixels;
+    }
+  }
+
+  return best ? Int32Array.from(best) : new Int32Array(0);
+}
+
+function quadArea(corners) {
+  const points = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft];
+  let area = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % 4];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+function isConvex(corners) {
+  const points = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft];
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % 4];
+    const c = points[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0) return false;
+    if (sign !== 0 && Math.sign(cross) !== sign) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
+
+/**
+ * Corners of the page in a photo
+ * @param {Object} imageData - { data (RGBA), width, height }
+ * @returns {Object|null} { topLeft, topRight, bottomRight, bottomLeft } as { x, y } in
+ *   photo pixels, or null when no page outline was found
+ */
+function detectPageCorners(imageData) {
+  const { gray, width, height, factor } = toDetectionGray(imageData);
+  const threshold = otsuThreshold(gray);
+
+  const mask = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    mask[i] = gray[i] > threshold ? 1 : 0;
+  }
+
+  const region = largestRegion(mask, width, height);
+  if (region.length < MIN_PAGE_AREA * width * height) {
+    return null;
+  }
+
+  // Extreme points along the diagonals are the corners of a roughly upright page
+  let topLeft, topRight, bottomRight, bottomLeft;
+  const rowMin = new Int32Array(height).fill(width);
+  const rowMax = new Int32Array(height).fill(-1);
+
+  for (const index of region) {
+    const x = index % width;
+    const y = (index - x) / width;
+
+    if (!topLeft || x + y < topLeft.x + topLeft.y) topLeft = { x, y };
+    if (!bottomRight || x + y > bottomRight.x + bottomRight.y) bottomRight = { x, y };
+    if (!topRight || x - y > topRight.x - topRight.y) topRight = { x, y };
+    if (!bottomLeft || x - y < bottomLeft.x - bottomLeft.y) bottomLeft = { x, y };
+
+    if (x < rowMin[y]) rowMin[y] = x;
+    if (x > rowMax[y]) rowMax[y] = x;
+  }
+
+  const corners = { topLeft, topRight, bottomRight, bottomLeft };
+  if (!isConvex(corners)) {
+    return null;
+  }
+
+  // Row spans ignore the holes left by printed text; a page fills its outline
+  let spanArea = 0;
+  for (let y = 0; y < height; y++) {
+    if (rowMax[y] >= 0) spanArea += rowMax[y] - rowMin[y] + 1;
+  }
+
+  const area = quadArea(corners);
+  if (area < MIN_PAGE_AREA * width * height ||
+      Math.abs(spanArea / area - 1) > MAX_SHAPE_ERROR ||
+      region.length / spanArea < MIN_SOLIDITY) {
+    return null;
+  }
+
+  // Pixel centres back to photo coordinates
+  const toPhoto = point => ({
+    x: Math.min(imageData.width, Math.max(0, (point.x + 0.5) * factor)),
+    y: Math.min(imageData.height, Math.max(0, (point.y + 0.5) * factor))
+  });
+
+  return {
+    topLeft: toPhoto(topLeft),
+    topRight: toPhoto(topRight),
+    bottomRight: toPhoto(bottomRight),
+    bottomLeft: toPhoto(bottomLeft)
+  };
+}
+
+/**
+ * Homography mapping each `from` point onto the matching `to` point
+ * @param {Array<Object>} from - four { x, y }
+ * @param {Array<Object>} to - four { x, y }
+ * @returns {Function} (x, y) => { x, y }
+ */
+function getPerspectiveTransform(from, to) {
+  // 8 x 9 augmented matrix for h0..h7 (h8 = 1)
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) {
+      throw new Error('Page corners do not form a quadrilateral');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = rows[r][col] / rows[col][col];
+      for (let c = col; c < 9; c++) {
+        rows[r][c] -= f * rows[col][c];
+      }
+    }
+  }
+
+  const h = rows.map((row, i) => row[8] / row[i]);
+
+  return (x, y) => {
+    const w = h[6] * x + h[7] * y + 1;
+    return {
+      x: (h[0] * x + h[1] * y + h[2]) / w,
+      y: (h[3] * x + h[4] * y + h[5]) / w
+    };
+  };
+}
+
+/**
+ * Flatten the page inside `corners` onto an upright rectangle. The output keeps the
+ * page's proportions as photographed (average of opposite edges).
+ * @param {Object} imageData - { data (RGBA), width, height }
+ * @param {Object} corners - from detectPageCorners()
+ * @param {Object} options - { maxSize } longest output side in pixels
+ * @returns {Object} { data (RGBA), width, height }
+ */
+function warpPerspective(imageData, corners, options = {}) {
+  const { data, width, height } = imageData;
+  const { topLeft, topRight, bottomRight, bottomLeft } = corners;
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+  let outWidth = (distance(topLeft, topRight) + distance(bottomLeft, bottomRight)) / 2;
+  let outHeight = (distance(topLeft, bottomLeft) + distance(topRight, bottomRight)) / 2;
+  const scale = Math.min(1, (options.maxSize || DEFAULT_MAX_SIZE) / Math.max(outWidth, outHeight));
+  outWidth = Math.max(1, Math.round(outWidth * scale));
+  outHeight = Math.max(1, Math.round(outHeight * scale));
+
+  // Output pixel -> photo pixel
+  const toPhoto = getPerspectiveTransform(
+    [{ x: 0, y: 0 }, { x: outWidth, y: 0 }, { x: outWidth, y: outHeight }, { x: 0, y: outHeight }],
+    [topLeft, topRight, bottomRight, bottomLeft]
+  );
+
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+  for (let v = 0; v < outHeight; v++) {
+    for (let u = 0; u < outWidth; u++) {
+      const source = toPhoto(u + 0.5, v + 0.5);
+      const x = Math.min(width - 1, Math.max(0, source.x - 0.5));
+      const y = Math.min(height - 1, Math.max(0, source.y - 0.5));
+
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+
+      const o = (v * outWidth + u) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+        out[o + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+
+  return { data: out, width: outWidth, height: outHeight };
+}
+
+module.exports = {
+  detectPageCorners,
+  getPerspectiveTransform,
+  warpPerspective,
+};
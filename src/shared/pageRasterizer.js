@@ -0,0 +1,168 @@
+/**
+ * pageRasterizer.js - Renders PDF pages to images for OCR on every platform
+ *
+ * - web:    pdf.js into a DOM canvas, PNG blob
+ * - node:   pdf.js into a node-canvas (`canvas` package), PNG buffer
+ * - native: the platform PDF renderer (PDFKit / PdfRenderer) via react-native-pdf-page-image,
+ *           PNG file URI - needs a development build, not Expo Go
+ *
+ * Every rasterizer resolves to { width, height, scale, encode(pixels?), getImageData?(), release() }.
+ * encode() gives whatever the OCR engine accepts on that platform - the rendered page,
+ * or preprocessed grayscale `pixels` ({ gray, width, height }) in its place.
+ * getImageData() exposes the RGBA pixels for preprocessing and is missing where
+ * the platform has no pixel access (native). `scale` is the pixels-per-PDF-point
+ * the page was actually rendered at.
+ * A rasterizer may also have closeDocument(uri), called once all pages of a document are done.
+ */
+
+function detectPlatform() {
+  if (typeof navigator !== 'undefined' && navigator.product === 'ReactNative') {
+    return 'native';
+  }
+  if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+    return 'web';
+  }
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return 'node';
+  }
+  throw new Error('No page rasterizer for this platform');
+}
+
+/**
+ * Replace the canvas contents with one-byte-per-pixel grayscale
+ */
+function drawGray(canvas, { gray, width, height }) {
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(width, height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    imageData.data[p] = gray[i];
+    imageData.data[p + 1] = gray[i];
+    imageData.data[p + 2] = gray[i];
+    imageData.data[p + 3] = 255;
+  }
+  context.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Raster result backed by a canvas (DOM or node-canvas)
+ */
+function canvasRaster(canvas, scale, toImage) {
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    scale,
+    getImageData() {
+      return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    },
+    async encode(pixels) {
+      if (pixels) {
+        drawGray(canvas, pixels);
+      }
+      return toImage(canvas);
+    },
+    release() {
+      // Browsers hold canvas memory until the size drops to zero
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  };
+}
+
+const domRasterizer = {
+  name: 'dom-canvas',
+
+  async renderPage({ page, scale }) {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    await page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport
+    }).promise;
+
+    return canvasRaster(canvas, scale, target => new Promise((resolve, reject) => {
+      target.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/png');
+    }));
+  }
+};
+
+const nodeRasterizer = {
+  name: 'node-canvas',
+
+  async renderPage({ page, scale }) {
+    // Required lazily so app bundles never pull in the native addon
+    const { createCanvas } = require('canvas');
+
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    await page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport
+    }).promise;
+
+    return canvasRaster(canvas, scale, target => target.toBuffer('image/png'));
+  }
+};
+
+const nativeRasterizer = {
+  name: 'native-pdf-renderer',
+
+  async renderPage({ page, pageNum, uri, scale }) {
+    if (typeof uri !== 'string') {
+      throw new Error('Native page rendering needs a local file URI');
+    }
+
+    const PdfPageImage = require('react-native-pdf-page-image').default;
+    const FileSystem = require('expo-file-system');
+
+    // Page index is zero-based; the renderer sizes the page by its media box
+    const result = await PdfPageImage.generate(uri, pageNum - 1, scale);
+    const pageWidth = page.getViewport({ scale: 1 }).width;
+
+    return {
+      width: result.width,
+      height: result.height,
+      scale: result.width / pageWidth,
+      async encode() {
+        return result.uri;
+      },
+      release() {
+        FileSystem.deleteAsync(result.uri, { idempotent: true }).catch(() => {});
+      }
+    };
+  },
+
+  async closeDocument(uri) {
+    const PdfPageImage = require('react-native-pdf-page-image').default;
+    await PdfPageImage.close(uri).catch(() => {});
+  }
+};
+
+const RASTERIZERS = {
+  web: domRasterizer,
+  node: nodeRasterizer,
+  native: nativeRasterizer,
+};
+
+/**
+ * Rasterizer for the current (or the given) platform
+ * @param {string} [platform] - 'web', 'node' or 'native'; detected when omitted
+ */
+function getPageRasterizer(platform = detectPlatform()) {
+  const rasterizer = RASTERIZERS[platform];
+  if (!rasterizer) {
+    throw new Error(`Unknown rasterizer platform "${platform}"`);
+  }
+  return rasterizer;
+}
+
+module.exports = {
+  detectPlatform,
+  getPageRasterizer,
+};
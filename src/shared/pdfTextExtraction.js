@@ -0,0 +1,455 @@
+/**
+ * pdfTextExtraction.js - PDF text extraction shared by the app and the API server
+ *
+ * Uses the PDF text layer where it exists and falls back to Tesseract OCR for
+ * scanned pages, keeping word positions for source highlighting. Pages are
+ * rasterized through pageRasterizer.js, so the same code runs in the browser,
+ * on mobile and in Node.
+ */
+const pdfjs = require('pdfjs-dist/legacy/build/pdf');
+const { getPageRasterizer } = require('./pageRasterizer');
+const { preprocessPageImage } = require('./imagePreprocessing');
+const { TesseractWorkerPool, getDefaultPoolSize } = require('./tesseractWorkerPool');
+
+// Pages are rendered at this scale for OCR; all positions are in this pixel space
+const RENDER_SCALE = 2.0;
+
+// Pages need at least this many letters/digits in their text layer to skip OCR
+const MIN_TEXT_LAYER_CHARS = 40;
+
+// OCR engines by the source they put on pages and positions
+const OCR_ENGINES = {
+  'tesseract-ocr': 'Tesseract OCR',
+  'mlkit-ocr': 'ML Kit OCR'
+};
+
+function reportProgress(options, status, progress, currentStep = '', message = '') {
+  if (options.onProgress) {
+    options.onProgress({ status, progress, currentStep, message });
+  }
+}
+
+/**
+ * Hand a finished page to options.onPageResult - pages arrive as they are read, not in page order.
+ * Pages that failed are reported with empty text so consumers know they are done.
+ */
+function reportPage(options, pageResult, totalPages) {
+  if (!options.onPageResult) return;
+
+  try {
+    options.onPageResult({
+      pageNum: pageResult.pageNum,
+      text: pageResult.error ? '' : pageResult.text,
+      positions: pageResult.error ? [] : pageResult.positions,
+      confidence: pageResult.error ? null : pageResult.confidence,
+      source: pageResult.source,
+      error: !!pageResult.error,
+      totalPages
+    });
+  } catch (error) {
+    console.warn('Page result callback failed:', error);
+  }
+}
+
+/**
+ * Throw if the caller canceled this extraction (options.cancelToken.canceled)
+ */
+function throwIfCanceled(options) {
+  if (options.cancelToken && options.cancelToken.canceled) {
+    throw new Error('Processing canceled');
+  }
+}
+
+/**
+ * Extract text - PDF text layer first, Tesseract OCR for scanned pages
+ * @param {string|Object} source - URL/path, or pdf.js getDocument() parameters
+ * @param {Object} options - { onProgress, onPageResult, cancelToken: { canceled }, workerPool, maxWorkers, rasterizer,
+ *   uri, minTextLayerChars, ocrWorkerOptions, preprocessing } - preprocessing: false, or imagePreprocessing.js options;
+ *   uri: local file of the PDF for the native rasterizer when `source` is not the file URI itself;
+ *   onPageResult({ pageNum, text, positions, confidence, source, error, totalPages }) is called as each page finishes
+ * @returns {Promise<Object>} { text, isOcr, pages, positions, ocrPages, failedPages, confidence } or { error, ... } -
+ *   failedPages: [{ pageNum, error }] for pages OCR could not read
+ */
+async function extractPdfText(source, options = {}) {
+  let loadingTask = null;
+
+  try {
+    reportProgress(options, 'processing', 0.05, 'Starting', 'Loading PDF document');
+
+    loadingTask = pdfjs.getDocument(source);
+    const pdf = await loadingTask.promise;
+    const totalPages = pdf.numPages;
+
+    reportProgress(options, 'processing', 0.1, 'PDF Loaded', `Checking text layer of ${totalPages} pages`);
+
+    // STEP 1: Use the embedded text layer where it is usable
+    const pageResults = [];
+    const scannedPages = [];
+
+    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+      throwIfCanceled(options);
+
+      const result = await extractTextLayerPage(pdf, pageNum, options);
+      if (result) {
+        pageResults.push(result);
+        reportPage(options, result, totalPages);
+      } else {
+        scannedPages.push(pageNum);
+      }
+    }
+
+    const textLayerPages = totalPages - scannedPages.length;
+    reportProgress(options, 'processing', 0.2, 'Text Layer',
+      `${textLayerPages}/${totalPages} pages have a text layer, ${scannedPages.length} need OCR`);
+
+    // STEP 2: OCR only the scanned pages
+    if (scannedPages.length > 0) {
+      reportProgress(options, 'processing', 0.2, 'OCR Processing', 'Starting OCR text extraction with position tracking');
+      const ocrResults = await ocrPages(pdf, scannedPages, {
+        ...options,
+        uri: options.uri || (typeof source === 'string' ? source : undefined),
+        onPageResult: options.onPageResult && (result => reportPage(options, result, totalPages))
+      });
+      pageResults.push(...ocrResults);
+    }
+
+    // Combine results in page order
+    reportProgress(options, 'processing', 0.95, 'Finalizing', 'Combining page results');
+
+    pageResults.sort((a, b) => a.pageNum - b.pageNum);
+
+    // Pages OCR could not read stay in the text as empty pages, so page numbers still line up
+    const failedPages = pageResults
+      .filter(pageResult => pageResult.error)
+      .map(pageResult => ({ pageNum: pageResult.pageNum, error: pageResult.errorMessage }));
+
+    let fullText = '';
+    const allPositions = [];
+    pageResults.forEach(pageResult => {
+      fullText += `\n\n--- Page ${pageResult.pageNum} ---\n\n${pageResult.text}`;
+      allPositions.push(...pageResult.positions);
+    });
+
+    reportProgress(options, 'complete', 1.0, 'Complete', 'Text extraction with real positions completed');
+
+    const ocrEngine = OCR_ENGINES[pageResults.find(result => result.source !== 'pdf-text')?.source] || OCR_ENGINES['tesseract-ocr'];
+    let confidence = ocrEngine;
+    if (scannedPages.length === 0) {
+      confidence = 'PDF text layer';
+    } else if (textLayerPages > 0) {
+      confidence = `PDF text layer + ${ocrEngine}`;
+    }
+
+    return {
+      text: fullText,
+      isOcr: scannedPages.length > 0,
+      pages: totalPages,
+      positions: allPositions,
+      ocrPages: scannedPages,
+      failedPages,
+      confidence
+    };
+
+  } catch (error) {
+    reportProgress(options, 'error', 0.5, 'Error', `Text extraction failed: ${error.message}`);
+
+    return {
+      text: `Error extracting text: ${error.message}`,
+      isOcr: true,
+      pages: 0,
+      error: error.message,
+      positions: []
+    };
+  } finally {
+    if (loadingTask) {
+      loadingTask.destroy().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Read a page from the PDF text layer. Returns null when the page has no
+ * usable text (scanned image, or fonts without a Unicode mapping).
+ */
+async function extractTextLayerPage(pdf, pageNum, options = {}) {
+  const minTextLayerChars = options.minTextLayerChars || MIN_TEXT_LAYER_CHARS;
+
+  try {
+    const page = await pdf.getPage(pageNum);
+    const textContent = await page.getTextContent();
+    const items = textContent.items.filter(item => typeof item.str === 'string');
+
+    const rawText = items.map(item => item.str).join('');
+    const usableChars = (rawText.match(/[A-Za-z0-9]/g) || []).length;
+    const visibleChars = rawText.replace(/\s/g, '').length;
+
+    // Fonts without a ToUnicode map produce symbol soup instead of letters
+    if (usableChars < minTextLayerChars || usableChars / visibleChars < 0.5) {
+      return null;
+    }
+
+    // Same coordinate space as the OCR positions (page rendered at RENDER_SCALE)
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const positions = [];
+    const lines = [];
+    let currentLine = [];
+    let lastBaseline = null;
+
+    items.forEach(item => {
+      const tx = pdfjs.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(tx[2], tx[3]);
+      const baseline = tx[5];
+
+      // New line when the baseline moves by more than half a line
+      if (lastBaseline !== null && Math.abs(baseline - lastBaseline) > fontHeight / 2 && currentLine.length > 0) {
+        lines.push(currentLine.join(' '));
+        currentLine = [];
+      }
+      lastBaseline = baseline;
+
+      const str = item.str;
+      if (str.trim()) {
+        currentLine.push(str.trim());
+
+        // Split the item into words, spacing them proportionally across its width
+        const itemWidth = item.width * viewport.scale;
+        const charWidth = str.length > 0 ? itemWidth / str.length : 0;
+        const wordPattern = /\S+/g;
+        let match;
+
+        while ((match = wordPattern.exec(str)) !== null) {
+          positions.push({
+            text: match[0],
+            page: pageNum,
+            x: tx[4] + match.index * charWidth,
+            y: baseline - fontHeight,
+            width: match[0].length * charWidth,
+            height: fontHeight,
+            confidence: 100,
+            index: positions.length,
+            source: 'pdf-text'
+          });
+        }
+      }
+
+      if (item.hasEOL && currentLine.length > 0) {
+        lines.push(currentLine.join(' '));
+        currentLine = [];
+        lastBaseline = null;
+      }
+    });
+
+    if (currentLine.length > 0) {
+      lines.push(currentLine.join(' '));
+    }
+
+    page.cleanup();
+
+    return {
+      pageNum,
+      text: lines.join('\n'),
+      positions,
+      confidence: 100,
+      source: 'pdf-text',
+      error: false
+    };
+
+  } catch (error) {
+    // Anything unexpected - let OCR have a go at the page
+    return null;
+  }
+}
+
+/**
+ * OCR the given pages on a Tesseract worker pool; each page goes to the next free worker
+ * @param {Object} options - also { workerPool } - a shared TesseractWorkerPool; without one, a pool of
+ *   `maxWorkers` (default: sized to the device) is started for this document and terminated afterwards.
+ *   { ocrWorkerOptions } - Tesseract createWorker() options (workerPath, corePath, langPath) for that pool,
+ *   { preprocessing } - see prepareOcrImage(), and { onPageResult(pageResult) } - called as each page finishes
+ * @returns {Promise<Array>} one result per page; pages that could not be read have error: true and errorMessage
+ */
+async function ocrPages(pdf, pageNumbers, options = {}) {
+  const rasterizer = options.rasterizer || getPageRasterizer();
+  const pool = options.workerPool || new TesseractWorkerPool({
+    size: Math.min(options.maxWorkers || getDefaultPoolSize(), pageNumbers.length),
+    workerOptions: options.ocrWorkerOptions,
+    idleTimeout: 0
+  });
+  let completed = 0;
+
+  try {
+    const results = await Promise.all(pageNumbers.map(pageNum => pool.run(async worker => {
+      const result = await ocrPage(pdf, pageNum, worker, {
+        rasterizer,
+        uri: options.uri,
+        preprocessing: options.preprocessing
+      });
+
+      if (options.onPageResult) {
+        options.onPageResult(result);
+      }
+
+      completed++;
+      const progress = 0.3 + (0.6 * (completed / pageNumbers.length));
+      reportProgress(options, 'processing', progress, 'OCR Processing',
+        `OCR completed ${completed}/${pageNumbers.length} scanned pages`);
+
+      return result;
+    }, { group: pdf, cancelToken: options.cancelToken })));
+
+    return results;
+  } finally {
+    if (pool !== options.workerPool) {
+      await pool.terminate();
+    }
+    if (rasterizer.closeDocument && options.uri) {
+      await rasterizer.closeDocument(options.uri);
+    }
+  }
+}
+
+/**
+ * Rasterize one page, clean it up, OCR it and capture word positions in RENDER_SCALE pixels
+ * @param {Object} worker - Tesseract worker, or one with the same interface and its own `source`
+ * @param {Object} options - { rasterizer, uri, preprocessing } - uri is needed by the native rasterizer
+ */
+async function ocrPage(pdf, pageNum, worker, options = {}) {
+  const source = worker.source || 'tesseract-ocr';
+  let raster = null;
+
+  try {
+    const rasterizer = options.rasterizer || getPageRasterizer();
+    const page = await pdf.getPage(pageNum);
+
+    raster = await rasterizer.renderPage({ page, pageNum, uri: options.uri, scale: RENDER_SCALE });
+    const { image, toRasterBox, preprocessing } = await prepareOcrImage(raster, options.preprocessing);
+
+    // Run Tesseract OCR with blocks output to get real bounding boxes
+    const { data } = await worker.recognize(image, {
+      tesseract_pageseg_mode: 6,    // Uniform block of text
+      preserve_interword_spaces: 1  // Better text formatting
+    }, {
+      blocks: true,
+      text: true
+    });
+
+    // Boxes go back through the preprocessing rotation onto the rendered page, then
+    // renderers that pick their own resolution are mapped back to RENDER_SCALE
+    const toRenderSpace = RENDER_SCALE / raster.scale;
+    const mapBox = bbox => {
+      const box = toRasterBox(bbox);
+      return {
+        x0: box.x0 * toRenderSpace,
+        y0: box.y0 * toRenderSpace,
+        x1: box.x1 * toRenderSpace,
+        y1: box.y1 * toRenderSpace
+      };
+    };
+
+    return {
+      pageNum,
+      text: data.text || '',
+      positions: collectWordPositions(data, pageNum, mapBox, source),
+      confidence: data.confidence,
+      source,
+      preprocessing,
+      error: false
+    };
+
+  } catch (error) {
+    return {
+      pageNum,
+      text: '',
+      positions: [],
+      source,
+      error: true,
+      errorMessage: error.message
+    };
+  } finally {
+    if (raster) {
+      raster.release();
+    }
+  }
+}
+
+/**
+ * Image for Tesseract - preprocessed where the rasterizer exposes its pixels.
+ * A failed preprocessing step falls back to the page as rendered.
+ * @returns {Promise<Object>} { image, toRasterBox(bbox), preprocessing: { rotation, skewAngle } | null }
+ */
+async function prepareOcrImage(raster, preprocessing) {
+  if (preprocessing !== false && raster.getImageData) {
+    try {
+      const processed = preprocessPageImage(raster.getImageData(), {
+        ...(typeof preprocessing === 'object' ? preprocessing : {}),
+        scale: raster.scale
+      });
+
+      return {
+        image: await raster.encode(processed),
+        toRasterBox: bbox => processed.toSourceBox(bbox),
+        preprocessing: { rotation: processed.rotation, skewAngle: processed.skewAngle }
+      };
+    } catch (error) {
+      console.warn('Page preprocessing failed, using the page as rendered:', error);
+    }
+  }
+
+  return {
+    image: await raster.encode(),
+    toRasterBox: bbox => bbox,
+    preprocessing: null
+  };
+}
+
+/**
+ * Word positions from Tesseract's blocks -> paragraphs -> lines -> words output
+ * @param {Function} mapBox - maps a Tesseract bbox { x0, y0, x1, y1 } into page space
+ * @param {string} source - OCR engine recorded on each position
+ */
+function collectWordPositions(data, pageNum, mapBox = bbox => bbox, source = 'tesseract-ocr') {
+  const positions = [];
+
+  (data.blocks || []).forEach((block, blockIndex) => {
+    (block.paragraphs || []).forEach((paragraph, paraIndex) => {
+      (paragraph.lines || []).forEach((line, lineIndex) => {
+        (line.words || []).forEach((word, wordIndex) => {
+          // Engines without word confidences (ML Kit) report null
+          if (!word.text || !word.text.trim() || (word.confidence !== null && word.confidence <= 30)) return;
+          if (!word.bbox || typeof word.bbox.x0 !== 'number') return;
+
+          const box = mapBox(word.bbox);
+
+          positions.push({
+            text: word.text.trim(),
+            page: pageNum,
+            x: box.x0,
+            y: box.y0,
+            width: box.x1 - box.x0,
+            height: box.y1 - box.y0,
+            confidence: word.confidence,
+            index: wordIndex,
+            source,
+            blockIndex,
+            paraIndex,
+            lineIndex,
+            wordIndex
+          });
+        });
+      });
+    });
+  });
+
+  return positions;
+}
+
+module.exports = {
+  RENDER_SCALE,
+  MIN_TEXT_LAYER_CHARS,
+  extractPdfText,
+  extractTextLayerPage,
+  ocrPages,
+  ocrPage,
+  prepareOcrImage,
+  collectWordPositions,
+};
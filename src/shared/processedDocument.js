@@ -0,0 +1,184 @@
+/**
+ * processedDocument.js - Builds the processedDocument record shared by the app and the API server
+ *
+ * Local (in-app) and server-side processing both go through these helpers, so a
+ * document looks the same in the store whichever side extracted it.
+ */
+const { FIELD_KEYS } = require('./medicalFields');
+
+// Display names of the LLM providers in backend/providers
+const PROVIDER_LABELS = {
+  'azure-openai': 'Azure OpenAI',
+  openai: 'OpenAI',
+  local: 'Local LLM',
+  fixture: 'Fixture provider',
+};
+
+// extractionMethod is '<provider>-<how>', e.g. 'azure-openai-chunked'
+const EXTRACTION_METHOD_SUFFIX = /-(structured|structured-repaired|chunked)$/;
+
+/**
+ * Unique even when two documents start in the same millisecond
+ */
+function generateDocumentId() {
+  return `${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function createEmptyFormData() {
+  const formData = {
+    extractionMethod: 'pending',
+    extractionDate: new Date().toISOString(),
+  };
+
+  FIELD_KEYS.forEach(key => {
+    formData[key] = '';
+  });
+
+  return formData;
+}
+
+/**
+ * Validate medical content
+ */
+function isValidMedicalContent(content) {
+  if (!content || content.length < 1) {
+    return false;
+  }
+
+  const invalidPatterns = [
+    /^(not found|none|n\/a|unknown|not specified|not mentioned)$/i,
+    /^(no|null|undefined|empty)$/i,
+    /^\[.*\]$/,
+    /^extract:/i,
+    /^(here|content|info|information)$/i
+  ];
+
+  return !invalidPatterns.some(pattern => pattern.test(content.trim()));
+}
+
+/**
+ * Clean medical content - line breaks are kept so lists stay one item per line
+ */
+function cleanMedicalContent(content) {
+  return content
+    .replace(/^\[|\]$/g, '')
+    .replace(/^Extract:\s*/i, '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n')
+    .replace(/^[:\-\s]+|[:\-\s]+$/g, '')
+    .trim();
+}
+
+/**
+ * Display name for a provider id such as metadata.provider ('azure-openai')
+ */
+function getProviderLabel(provider) {
+  return PROVIDER_LABELS[provider] || 'AI service';
+}
+
+/**
+ * The provider id an extractionMethod was produced by, or null for
+ * 'pending', 'failed' and the other non-AI methods
+ */
+function getExtractionProvider(extractionMethod) {
+  if (typeof extractionMethod !== 'string' || !EXTRACTION_METHOD_SUFFIX.test(extractionMethod)) {
+    return null;
+  }
+  return extractionMethod.replace(EXTRACTION_METHOD_SUFFIX, '');
+}
+
+/**
+ * Convert the structured { fields } extraction result into form data.
+ * Evidence quotes, pages and model confidence are returned separately in fieldEvidence.
+ * @param {Object} metadata - { provider, chunked, repaired, failedChunks } - provider is the
+ *   id the server reported, and names the extractionMethod
+ */
+function fieldsToFormData(fields, metadata = {}) {
+  if (!fields || typeof fields !== 'object') {
+    throw new Error('AI response did not contain structured fields');
+  }
+
+  const provider = metadata.provider || 'llm';
+  const result = createEmptyFormData();
+  if (metadata.chunked) {
+    result.extractionMethod = `${provider}-chunked`;
+  } else {
+    result.extractionMethod = `${provider}-${metadata.repaired ? 'structured-repaired' : 'structured'}`;
+  }
+  result.fieldEvidence = {};
+
+  if (metadata.failedChunks && metadata.failedChunks.length > 0) {
+    const pageRanges = metadata.failedChunks.map(chunk => `${chunk.startPage}-${chunk.endPage}`).join(', ');
+    result.error = `AI extraction failed for pages ${pageRanges}`;
+  }
+
+  FIELD_KEYS.forEach(fieldKey => {
+    const entry = fields[fieldKey];
+    if (!entry) return;
+
+    const content = cleanMedicalContent(entry.value || '');
+    if (!isValidMedicalContent(content)) return;
+
+    result[fieldKey] = content;
+    result.fieldEvidence[fieldKey] = {
+      evidence: entry.evidence || '',
+      page: entry.page || null,
+      confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+      evidenceVerified: !!entry.evidenceVerified,
+      conflicts: entry.conflicts || []
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Where the positions came from - 'pdf-text', 'tesseract-ocr', 'hybrid' or 'none'
+ */
+function getPositionSource(positions) {
+  const sources = new Set(positions.map(position => position.source));
+  if (sources.size === 0) return 'none';
+  return sources.size === 1 ? [...sources][0] : 'hybrid';
+}
+
+/**
+ * Assemble the processedDocument record
+ * @param {Object} extractionResult - extractPdfText() result
+ */
+function buildProcessedDocument({ id, name, uri = null, extractionResult, formData, fieldEvidence = {} }) {
+  const positions = extractionResult.positions || [];
+
+  return {
+    id,
+    name,
+    date: new Date().toISOString().split('T')[0],
+    uri,
+    extractedText: extractionResult.text || '',
+    isOcr: extractionResult.isOcr || false,
+    ocrConfidence: extractionResult.confidence,
+    pages: extractionResult.pages || 1,
+    formData,
+    fieldEvidence,
+    hasHighlighting: positions.length > 0,
+    positionSource: getPositionSource(positions),
+    ocrPages: extractionResult.ocrPages || [],
+    failedPages: extractionResult.failedPages || [],
+    reviewStatus: 'unreviewed',
+    reviewedFields: {},
+    createdAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  generateDocumentId,
+  createEmptyFormData,
+  isValidMedicalContent,
+  cleanMedicalContent,
+  fieldsToFormData,
+  getProviderLabel,
+  getExtractionProvider,
+  getPositionSource,
+  buildProcessedDocument,
+};
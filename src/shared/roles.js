@@ -0,0 +1,141 @@
+/**
+ * roles.js - Roles derived from Azure AD group membership, and what each role may do
+ *
+ * Shared by the app (to show or hide actions) and the API server (to enforce them).
+ *
+ * The group-to-role map is configured as a comma separated list of
+ * "<group object id>:<role>" pairs, e.g.
+ *   "3f2a...:intake,8c1d...:clinical_reviewer,0b7e...:admin"
+ * Groups are matched by object id only - access tokens carry ids, not display
+ * names, and the app and the server must agree on a user's roles.
+ */
+
+const ROLES = {
+  INTAKE: 'intake',
+  CLINICAL_REVIEWER: 'clinical_reviewer',
+  SUPERVISOR: 'supervisor',
+  ADMIN: 'admin',
+  AUDITOR: 'auditor',
+};
+
+const ROLE_LABELS = {
+  [ROLES.INTAKE]: 'Intake',
+  [ROLES.CLINICAL_REVIEWER]: 'Clinical Reviewer',
+  [ROLES.SUPERVISOR]: 'Supervisor',
+  [ROLES.ADMIN]: 'Administrator',
+  [ROLES.AUDITOR]: 'Auditor',
+};
+
+const PERMISSIONS = {
+  DOCUMENT_VIEW: 'document.view',
+  DOCUMENT_UPLOAD: 'document.upload',
+  DOCUMENT_EDIT: 'document.edit',
+  DOCUMENT_DELETE: 'document.delete',
+  REVIEW_SIGNOFF: 'review.signoff',
+  REPORT_GENERATE: 'report.generate',
+  AUDIT_VIEW: 'audit.view',
+  ADMIN_CONFIG: 'admin.config',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.INTAKE]: [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.DOCUMENT_UPLOAD,
+  ],
+  [ROLES.CLINICAL_REVIEWER]: [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.DOCUMENT_UPLOAD,
+    PERMISSIONS.DOCUMENT_EDIT,
+    PERMISSIONS.REVIEW_SIGNOFF,
+    PERMISSIONS.REPORT_GENERATE,
+  ],
+  [ROLES.SUPERVISOR]: [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.DOCUMENT_UPLOAD,
+    PERMISSIONS.DOCUMENT_EDIT,
+    PERMISSIONS.DOCUMENT_DELETE,
+    PERMISSIONS.REPORT_GENERATE,
+    PERMISSIONS.AUDIT_VIEW,
+  ],
+  [ROLES.ADMIN]: [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.DOCUMENT_DELETE,
+    PERMISSIONS.AUDIT_VIEW,
+    PERMISSIONS.ADMIN_CONFIG,
+  ],
+  [ROLES.AUDITOR]: [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.AUDIT_VIEW,
+  ],
+};
+
+// Without a role map, members of the single required group are clinical reviewers
+const LEGACY_ROLES = [ROLES.CLINICAL_REVIEWER];
+
+/**
+ * Parse "<group id>:<role>,<group id>:<role>" into [{ group, role }].
+ * Unknown roles are skipped with a warning.
+ */
+function parseRoleMap(spec) {
+  const validRoles = Object.values(ROLES);
+
+  return (spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      // The role is after the last ':'
+      const separator = entry.lastIndexOf(':');
+      return {
+        group: entry.slice(0, separator).trim(),
+        role: entry.slice(separator + 1).trim(),
+      };
+    })
+    .filter(({ group, role }) => {
+      if (!group || !validRoles.includes(role)) {
+        console.warn(`⚠️ Ignoring role map entry "${group}:${role}"`);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Roles for a user.
+ * @param {string[]} groups - Object ids of the groups the user belongs to
+ * @param {Array} roleMap - from parseRoleMap()
+ * @param {string|null} requiredGroup - Object id of the legacy single group, used when roleMap is empty
+ * @returns {string[]}
+ */
+function getRolesForGroups(groups, roleMap, requiredGroup = null) {
+  const memberOf = new Set(groups || []);
+
+  if (!roleMap || roleMap.length === 0) {
+    return requiredGroup && memberOf.has(requiredGroup) ? [...LEGACY_ROLES] : [];
+  }
+
+  const roles = roleMap
+    .filter(({ group }) => memberOf.has(group))
+    .map(({ role }) => role);
+
+  return [...new Set(roles)];
+}
+
+function getPermissionsForRoles(roles) {
+  return [...new Set((roles || []).flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+function hasPermission(roles, permission) {
+  return (roles || []).some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  parseRoleMap,
+  getRolesForGroups,
+  getPermissionsForRoles,
+  hasPermission,
+};
@@ -0,0 +1,281 @@
+/**
+ * tesseractWorkerPool.js - Long-lived Tesseract workers shared across documents
+ *
+ * Workers are created on demand up to the pool size and kept between documents.
+ * Pages wait in one shared queue and every worker takes the next page as soon
+ * as it finishes the last one, so a slow page never holds up a whole batch.
+ * The next page comes from the document with the fewest pages in progress, so
+ * a short referral is not stuck behind a long one.
+ * Workers are replaced after `pagesPerWorker` pages (Tesseract's WASM heap only
+ * grows) and terminated after `idleTimeout` ms without work. A worker that fails
+ * to start (e.g. out of memory) is retried with backoff, so the pool grows back
+ * to full size once the device recovers.
+ */
+const Tesseract = require('tesseract.js');
+
+// Rough resident size of one worker with the English LSTM model, in MB
+const WORKER_MEMORY_MB = 150;
+
+const MAX_POOL_SIZE = 8;
+
+const DEFAULT_PAGES_PER_WORKER = 25;
+
+const DEFAULT_IDLE_TIMEOUT = 60000;
+
+// Worker starts are retried after this delay, doubled after every further failure
+const START_RETRY_DELAY = 1000;
+const MAX_START_RETRY_DELAY = 30000;
+
+// With no worker running, queued tasks fail after this many failed rounds of starts in a row
+const MAX_START_FAILURES = 3;
+
+/**
+ * CPU cores and memory (MB) of this device, where the platform reports them
+ * @returns {Object} { cores, memoryMB } - either may be null
+ */
+function getDeviceResources() {
+  if (typeof navigator !== 'undefined' && navigator.product !== 'ReactNative' && navigator.hardwareConcurrency) {
+    return {
+      cores: navigator.hardwareConcurrency,
+      // Chromium only, rounded and capped at 8 GB
+      memoryMB: navigator.deviceMemory ? navigator.deviceMemory * 1024 : null
+    };
+  }
+
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    const os = require('os');
+    return {
+      cores: os.cpus().length,
+      memoryMB: Math.floor(os.freemem() / (1024 * 1024))
+    };
+  }
+
+  return { cores: null, memoryMB: null };
+}
+
+/**
+ * Pool size for this device - one core is left for the UI and pdf.js, and the
+ * workers may use at most half of the memory
+ */
+function getDefaultPoolSize(resources = getDeviceResources()) {
+  const byCores = resources.cores ? resources.cores - 1 : 2;
+  const byMemory = resources.memoryMB ? Math.floor(resources.memoryMB / 2 / WORKER_MEMORY_MB) : MAX_POOL_SIZE;
+
+  return Math.max(1, Math.min(byCores, byMemory, MAX_POOL_SIZE));
+}
+
+class TesseractWorkerPool {
+  /**
+   * @param {Object} options - { size, workerOptions, createWorker, pagesPerWorker, idleTimeout }
+   *   workerOptions are passed to Tesseract.createWorker() (see shared/ocrAssets.js);
+   *   createWorker() replaces Tesseract with another engine behind the same interface (see shared/nativeOcrWorker.js)
+   */
+  constructor(options = {}) {
+    this.size = options.size || getDefaultPoolSize();
+    this.workerOptions = options.workerOptions || {};
+    this.createWorker = options.createWorker ||
+      (() => Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, this.workerOptions));
+    this.pagesPerWorker = options.pagesPerWorker || DEFAULT_PAGES_PER_WORKER;
+    this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT;
+
+    // { worker, pages, busy, idleTimer }
+    this.slots = [];
+    this.starting = 0;
+    this.queue = [];
+
+    // Failed worker starts in a row, and the pending retry after the last one
+    this.startFailures = 0;
+    this.retryTimer = null;
+
+    // Tasks in progress per group (document)
+    this.running = new Map();
+    this.terminated = false;
+  }
+
+  /**
+   * Run `task(worker)` on the next free worker
+   * @param {Function} task - async (worker) => result
+   * @param {Object} options - { group, cancelToken: { canceled } } - workers are shared fairly between
+   *   groups (one per document); canceled tasks are dropped before they start
+   * @returns {Promise<*>} the task's result
+   */
+  run(task, options = {}) {
+    if (this.terminated) {
+      return Promise.reject(new Error('Tesseract worker pool has been terminated'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, group: options.group, cancelToken: options.cancelToken });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Index of the next queued task - oldest task of the least served group
+   */
+  nextIndex() {
+    let best = 0;
+    let bestRunning = Infinity;
+
+    this.queue.forEach((entry, index) => {
+      const running = this.running.get(entry.group) || 0;
+      if (running < bestRunning) {
+        best = index;
+        bestRunning = running;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Hand queued tasks to idle workers and start workers for the rest
+   */
+  dispatch() {
+    const canceled = this.queue.filter(entry => entry.cancelToken && entry.cancelToken.canceled);
+    if (canceled.length > 0) {
+      this.queue = this.queue.filter(entry => !canceled.includes(entry));
+      canceled.forEach(entry => entry.reject(new Error('Processing canceled')));
+    }
+
+    while (this.queue.length > 0) {
+      const slot = this.slots.find(candidate => !candidate.busy);
+      if (!slot) break;
+
+      const [entry] = this.queue.splice(this.nextIndex(), 1);
+      this.runOnSlot(slot, entry);
+    }
+
+    // Wait out the backoff after a failed start
+    if (this.retryTimer) return;
+
+    const missing = Math.min(this.queue.length, this.size - this.slots.length) - this.starting;
+    for (let i = 0; i < missing; i++) {
+      this.startWorker();
+    }
+  }
+
+  async startWorker() {
+    this.starting++;
+
+    try {
+      const worker = await this.createWorker();
+      this.starting--;
+      this.startFailures = 0;
+
+      if (this.terminated) {
+        await worker.terminate().catch(() => {});
+        return;
+      }
+
+      this.slots.push({ worker, pages: 0, busy: false, idleTimer: null });
+      console.log(`🧵 Tesseract worker started (${this.slots.length}/${this.size})`);
+    } catch (error) {
+      this.starting--;
+      console.error('Failed to start Tesseract worker:', error);
+
+      if (this.terminated) return;
+
+      // Workers started together fail together - one retry for all of them
+      if (!this.retryTimer) {
+        this.startFailures++;
+        const delay = Math.min(START_RETRY_DELAY * 2 ** (this.startFailures - 1), MAX_START_RETRY_DELAY);
+        this.retryTimer = setTimeout(() => {
+          this.retryTimer = null;
+          this.dispatch();
+        }, delay);
+      }
+
+      // Nothing can run the queue - fail it rather than wait forever; later tasks try again
+      if (this.slots.length === 0 && this.starting === 0 && this.startFailures >= MAX_START_FAILURES) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.startFailures = 0;
+        const failed = this.queue.splice(0);
+        failed.forEach(entry => entry.reject(new Error('Failed to create any Tesseract OCR workers')));
+      }
+      return;
+    }
+
+    this.dispatch();
+  }
+
+  async runOnSlot(slot, entry) {
+    clearTimeout(slot.idleTimer);
+    slot.busy = true;
+    this.running.set(entry.group, (this.running.get(entry.group) || 0) + 1);
+
+    try {
+      entry.resolve(await entry.task(slot.worker));
+    } catch (error) {
+      entry.reject(error);
+    }
+
+    const running = this.running.get(entry.group) - 1;
+    if (running > 0) {
+      this.running.set(entry.group, running);
+    } else {
+      this.running.delete(entry.group);
+    }
+
+    if (this.terminated) return;
+
+    slot.pages++;
+    slot.busy = false;
+
+    if (slot.pages >= this.pagesPerWorker) {
+      await this.retire(slot);
+    } else if (this.queue.length === 0 && this.idleTimeout > 0) {
+      slot.idleTimer = setTimeout(() => {
+        if (!slot.busy) this.retire(slot);
+      }, this.idleTimeout);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Terminate one worker; a replacement is started when there is work for it
+   */
+  async retire(slot) {
+    clearTimeout(slot.idleTimer);
+    this.slots = this.slots.filter(candidate => candidate !== slot);
+    await slot.worker.terminate().catch(() => {});
+  }
+
+  /**
+   * Workers currently running, busy and idle
+   */
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.slots.length,
+      busy: this.slots.filter(slot => slot.busy).length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Terminate all workers and reject queued tasks
+   */
+  async terminate() {
+    this.terminated = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const pending = this.queue.splice(0);
+    pending.forEach(entry => entry.reject(new Error('Tesseract worker pool has been terminated')));
+
+    const slots = this.slots.splice(0);
+    await Promise.all(slots.map(slot => {
+      clearTimeout(slot.idleTimer);
+      return slot.worker.terminate().catch(() => {});
+    }));
+  }
+}
+
+module.exports = {
+  TesseractWorkerPool,
+  getDeviceResources,
+  getDefaultPoolSize,
+};
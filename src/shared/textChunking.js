@@ -0,0 +1,142 @@
+/**
+ * textChunking.js - Splits OCR text into token-budgeted chunks for extraction
+ *
+ * The OCR text uses "--- Page N ---" markers between pages. Chunks always keep
+ * those markers so the model can report absolute page numbers.
+ */
+
+const PAGE_MARKER_PATTERN = /--- Page (\d+) ---/g;
+
+// Rough heuristic for English clinical text; deliberately conservative
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function pageMarker(page) {
+  return `--- Page ${page} ---`;
+}
+
+/**
+ * Split marker-delimited text into [{ page, text }]
+ */
+function splitPages(text) {
+  const source = text || '';
+  const markers = [...source.matchAll(PAGE_MARKER_PATTERN)];
+
+  if (markers.length === 0) {
+    return source.trim() ? [{ page: 1, text: source.trim() }] : [];
+  }
+
+  return markers.map((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : source.length;
+    return {
+      page: parseInt(marker[1], 10),
+      text: source.slice(start, end).trim()
+    };
+  });
+}
+
+/**
+ * Break a single oversized page into line-aligned pieces
+ */
+function splitOversizedPage(page, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const pieces = [];
+  let current = '';
+
+  page.text.split('\n').forEach(line => {
+    // A single line longer than the budget is hard-wrapped
+    const segments = line.length > maxChars ? line.match(new RegExp(`.{1,${maxChars}}`, 'g')) : [line];
+
+    segments.forEach(segment => {
+      if (current && current.length + segment.length + 1 > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${segment}` : segment;
+    });
+  });
+
+  if (current) pieces.push(current);
+
+  return pieces.map(text => ({ page: page.page, text }));
+}
+
+/**
+ * Incremental chunk builder - pages are added in page order and a chunk is
+ * emitted as soon as the next page would not fit, so extraction can start
+ * while later pages are still being read.
+ * @param {Object} options - { maxTokens, onChunk(chunk) }
+ * @returns {Object} { addPage({ page, text }), flush() }
+ */
+function createChunkBuilder(options = {}) {
+  const maxTokens = options.maxTokens || 6000;
+  const onChunk = options.onChunk || (() => {});
+  let chunkCount = 0;
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+
+    const chunkText = current
+      .map(piece => `\n\n${pageMarker(piece.page)}\n\n${piece.text}`)
+      .join('');
+
+    onChunk({
+      index: chunkCount++,
+      startPage: current[0].page,
+      endPage: current[current.length - 1].page,
+      text: chunkText,
+      tokens: estimateTokens(chunkText)
+    });
+
+    current = [];
+    currentTokens = 0;
+  };
+
+  const addPage = page => {
+    const markerTokens = estimateTokens(`\n\n${pageMarker(page.page)}\n\n`);
+    const pieces = estimateTokens(page.text) + markerTokens > maxTokens
+      ? splitOversizedPage(page, maxTokens - markerTokens)
+      : [page];
+
+    pieces.forEach(piece => {
+      const pieceTokens = estimateTokens(piece.text) + markerTokens;
+      if (currentTokens + pieceTokens > maxTokens) {
+        flush();
+      }
+      current.push(piece);
+      currentTokens += pieceTokens;
+    });
+  };
+
+  return { addPage, flush };
+}
+
+/**
+ * Group pages into chunks of at most maxTokens (estimated).
+ * @returns {Array<{ index: number, startPage: number, endPage: number, text: string, tokens: number }>}
+ */
+function buildChunks(text, options = {}) {
+  const chunks = [];
+  const builder = createChunkBuilder({
+    maxTokens: options.maxTokens,
+    onChunk: chunk => chunks.push(chunk)
+  });
+
+  splitPages(text).forEach(page => builder.addPage(page));
+  builder.flush();
+
+  return chunks;
+}
+
+module.exports = {
+  estimateTokens,
+  splitPages,
+  createChunkBuilder,
+  buildChunks,
+};
@@ -646,14 +646,6 @@ export const CommonStyles = StyleSheet.create({
   },
 
   // Header styles for progress display
-  headerContainer: {
-    padding: Spacing.medium,
-    backgroundColor: Colors.white,
-    borderBottomWidth: 1,
-    borderBottomColor: Colors.reviewBorder,
-    ...Shadows.soft,
-  },
-  
   headerTextContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -841,6 +833,657 @@ export const CommonStyles = StyleSheet.create({
       },
     }),
   },
+
+  processingModeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    marginBottom: Spacing.large,
+  },
+
+  processingModeLabel: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginRight: Spacing.small,
+  },
+
+  processingModeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: Spacing.small,
+    borderWidth: 1,
+    borderColor: Colors.reviewBorder,
+    backgroundColor: Colors.white,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  processingModeOptionActive: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+
+  processingModeText: {
+    marginLeft: Spacing.tiny,
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.medium,
+    color: Colors.primary,
+  },
+
+  processingModeTextActive: {
+    color: Colors.white,
+  },
+
+  // PDFPageViewer
+  pageViewerContainer: {
+    flex: 1,
+    backgroundColor: Colors.white,
+  },
+
+  pageViewerToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.medium,
+    paddingVertical: Spacing.tiny,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.reviewBorder,
+  },
+
+  pageViewerToolbarGroup: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  pageViewerButton: {
+    padding: Spacing.tiny,
+    marginHorizontal: 2,
+  },
+
+  pageViewerLabel: {
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.medium,
+    color: Colors.black,
+  },
+
+  pageViewerViewport: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+
+  pageViewerHighlight: {
+    position: 'absolute',
+    backgroundColor: 'rgba(243, 156, 18, 0.2)',
+    borderWidth: 1,
+    borderColor: Colors.warning,
+  },
+
+  pageViewerHighlightActive: {
+    backgroundColor: 'rgba(52, 152, 219, 0.25)',
+    borderWidth: 2,
+    borderColor: Colors.primary,
+  },
+
+  pageViewerLoading: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.6)',
+  },
+
+  pageViewerUnavailable: {
+    alignItems: 'center',
+    padding: Spacing.large,
+    backgroundColor: Colors.white,
+  },
+
+  pageViewerMessage: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    textAlign: 'center',
+    marginTop: Spacing.small,
+  },
+
+  // Processing queue list (DocumentUploader)
+  jobList: {
+    width: '100%',
+    marginTop: Spacing.large,
+  },
+
+  jobListHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: Spacing.small,
+  },
+
+  jobListTitle: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.black,
+  },
+
+  jobRow: {
+    backgroundColor: Colors.white,
+    padding: Spacing.medium,
+    borderRadius: BorderRadius.medium,
+    borderWidth: 1,
+    borderColor: Colors.reviewBorder,
+    marginBottom: Spacing.small,
+  },
+
+  jobHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: Spacing.tiny,
+  },
+
+  jobName: {
+    flex: 1,
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.medium,
+    color: Colors.black,
+  },
+
+  jobStatus: {
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.semibold,
+    marginLeft: Spacing.small,
+  },
+
+  jobMessage: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginTop: Spacing.tiny,
+  },
+
+  jobActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: Spacing.tiny,
+  },
+
+  jobActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.tiny,
+    paddingHorizontal: Spacing.small,
+    marginLeft: Spacing.small,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  jobActionText: {
+    color: Colors.primary,
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.medium,
+    marginLeft: Spacing.tiny,
+  },
+
+  // File intake (WebDropZone, DocumentUploader staging list)
+  dropZone: {
+    width: '100%',
+    alignItems: 'center',
+    padding: Spacing.large,
+    marginBottom: Spacing.large,
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderColor: '#cbd5e1',
+    borderRadius: BorderRadius.large,
+  },
+
+  dropZoneActive: {
+    borderColor: Colors.primary,
+    backgroundColor: Colors.primaryLight,
+  },
+
+  dropZoneText: {
+    fontSize: Typography.size.medium,
+    color: Colors.black,
+    textAlign: 'center',
+    marginTop: Spacing.small,
+  },
+
+  dropZoneHint: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    textAlign: 'center',
+    marginTop: Spacing.tiny,
+  },
+
+  stagingHeader: {
+    width: '100%',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: Spacing.small,
+  },
+
+  rejectionList: {
+    width: '100%',
+    padding: Spacing.medium,
+    marginBottom: Spacing.large,
+    borderRadius: BorderRadius.medium,
+    backgroundColor: Colors.accentLight,
+  },
+
+  rejectionTitle: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.accentDark,
+  },
+
+  rejectionText: {
+    fontSize: Typography.size.small,
+    color: Colors.black,
+    marginTop: Spacing.tiny,
+  },
+
+  // Admin screens (audit log, settings)
+  adminContainer: {
+    flex: 1,
+    backgroundColor: Colors.reviewBackground,
+  },
+
+  adminContent: {
+    padding: Spacing.large,
+  },
+
+  adminCard: {
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.large,
+    padding: Spacing.large,
+    marginBottom: Spacing.large,
+    ...Shadows.soft,
+  },
+
+  adminTitle: {
+    fontSize: Typography.size.large,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.black,
+    marginBottom: Spacing.medium,
+  },
+
+  adminRow: {
+    flexDirection: 'row',
+    paddingVertical: Spacing.tiny,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.lightGray,
+  },
+
+  adminLabel: {
+    width: 160,
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+  },
+
+  adminValue: {
+    flex: 1,
+    fontSize: Typography.size.small,
+    color: Colors.black,
+  },
+
+  auditFilterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -Spacing.tiny,
+  },
+
+  auditFilterField: {
+    flexGrow: 1,
+    flexBasis: 180,
+    margin: Spacing.tiny,
+  },
+
+  auditFilterLabel: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginBottom: Spacing.tiny,
+  },
+
+  auditFilterInput: {
+    borderWidth: 1,
+    borderColor: Colors.reviewBorder,
+    borderRadius: BorderRadius.medium,
+    paddingVertical: Spacing.small,
+    paddingHorizontal: Spacing.medium,
+    fontSize: Typography.size.medium,
+    color: Colors.black,
+    backgroundColor: Colors.white,
+  },
+
+  auditFilterActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: Spacing.medium,
+  },
+
+  auditButton: {
+    backgroundColor: Colors.primary,
+    paddingVertical: Spacing.small,
+    paddingHorizontal: Spacing.large,
+    borderRadius: BorderRadius.medium,
+    marginLeft: Spacing.small,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  auditButtonSecondary: {
+    backgroundColor: Colors.lightGray,
+  },
+
+  auditButtonText: {
+    color: Colors.white,
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.medium,
+  },
+
+  auditButtonSecondaryText: {
+    color: Colors.black,
+  },
+
+  auditChainStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: Spacing.medium,
+    borderRadius: BorderRadius.medium,
+    marginBottom: Spacing.large,
+  },
+
+  auditChainValid: {
+    backgroundColor: Colors.secondaryLight,
+  },
+
+  auditChainBroken: {
+    backgroundColor: Colors.accentLight,
+  },
+
+  auditChainText: {
+    flex: 1,
+    fontSize: Typography.size.small,
+    color: Colors.black,
+    marginLeft: Spacing.small,
+  },
+
+  auditSummary: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginBottom: Spacing.small,
+  },
+
+  auditEventRow: {
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.lightGray,
+    paddingVertical: Spacing.small,
+  },
+
+  auditEventHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  auditEventAction: {
+    flex: 1,
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.medium,
+    color: Colors.black,
+    marginLeft: Spacing.small,
+  },
+
+  auditEventTime: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+  },
+
+  auditEventMeta: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginTop: Spacing.tiny,
+  },
+
+  // Referral worklist on the home screen
+  worklistChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: Spacing.small,
+  },
+
+  worklistChip: {
+    paddingVertical: Spacing.tiny,
+    paddingHorizontal: Spacing.medium,
+    borderRadius: BorderRadius.round,
+    borderWidth: 1,
+    borderColor: Colors.reviewBorder,
+    backgroundColor: Colors.white,
+    marginRight: Spacing.small,
+    marginBottom: Spacing.tiny,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  worklistChipActive: {
+    backgroundColor: Colors.primaryLight,
+    borderColor: Colors.primary,
+  },
+
+  worklistChipText: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+  },
+
+  worklistChipTextActive: {
+    color: Colors.primaryDark,
+    fontWeight: Typography.weight.medium,
+  },
+
+  worklistError: {
+    fontSize: Typography.size.small,
+    color: Colors.error,
+    marginTop: Spacing.small,
+  },
+
+  worklistHeaderRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 2,
+    borderBottomColor: Colors.lightGray,
+  },
+
+  worklistHeaderCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.small,
+    paddingHorizontal: Spacing.small,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  worklistHeaderText: {
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.gray,
+    marginRight: Spacing.tiny,
+  },
+
+  worklistRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.lightGray,
+    ...Platform.select({
+      web: {
+        cursor: 'pointer',
+      },
+    }),
+  },
+
+  worklistRowPressed: {
+    backgroundColor: Colors.primaryLight,
+  },
+
+  worklistCell: {
+    paddingVertical: Spacing.small,
+    paddingHorizontal: Spacing.small,
+  },
+
+  worklistStatusCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  worklistAssigneeCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  worklistPatientName: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.medium,
+    color: Colors.black,
+  },
+
+  worklistCellText: {
+    flexShrink: 1,
+    fontSize: Typography.size.small,
+    color: Colors.black,
+  },
+
+  worklistCellMuted: {
+    flexShrink: 1,
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+  },
+
+  worklistStatusText: {
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.medium,
+    marginLeft: Spacing.tiny,
+  },
+
+  worklistAssignButton: {
+    paddingVertical: 2,
+    paddingHorizontal: Spacing.small,
+    borderRadius: BorderRadius.small,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginLeft: Spacing.tiny,
+  },
+
+  worklistAssignButtonText: {
+    fontSize: Typography.size.small,
+    color: Colors.primary,
+  },
+
+  worklistEmpty: {
+    alignItems: 'center',
+    padding: Spacing.large,
+  },
+
+  // Session lock screen - opaque so no patient data shows through
+  lockBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(44, 62, 80, 0.97)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: Spacing.large,
+    ...(Platform.OS === 'web' ? { backdropFilter: 'blur(24px)' } : {}),
+  },
+
+  lockCard: {
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.xlarge,
+    padding: Spacing.xlarge,
+    width: '100%',
+    maxWidth: 420,
+    alignItems: 'center',
+    ...Shadows.strong,
+  },
+
+  lockTitle: {
+    fontSize: Typography.size.xlarge,
+    fontWeight: Typography.weight.bold,
+    color: Colors.black,
+    marginTop: Spacing.medium,
+  },
+
+  lockMessage: {
+    fontSize: Typography.size.medium,
+    color: Colors.gray,
+    textAlign: 'center',
+    marginTop: Spacing.small,
+  },
+
+  lockUser: {
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+    color: Colors.black,
+    marginTop: Spacing.large,
+  },
+
+  lockUserEmail: {
+    fontSize: Typography.size.small,
+    color: Colors.gray,
+    marginTop: Spacing.tiny,
+  },
+
+  lockError: {
+    fontSize: Typography.size.small,
+    color: Colors.error,
+    textAlign: 'center',
+    marginTop: Spacing.medium,
+  },
+
+  lockButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.medium,
+    paddingVertical: Spacing.medium,
+    width: '100%',
+    alignItems: 'center',
+    marginTop: Spacing.large,
+  },
+
+  lockButtonText: {
+    color: Colors.white,
+    fontSize: Typography.size.medium,
+    fontWeight: Typography.weight.semibold,
+  },
+
+  lockLinks: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    width: '100%',
+    marginTop: Spacing.large,
+  },
+
+  lockLinkText: {
+    color: Colors.primary,
+    fontSize: Typography.size.small,
+    fontWeight: Typography.weight.medium,
+  },
+
+  lockHint: {
+    fontSize: Typography.size.tiny,
+    color: Colors.gray,
+    textAlign: 'center',
+    marginTop: Spacing.small,
+  },
   
   // FIXED: Header specific styles with proper logo sizing
   headerSafeArea: {
@@ -865,7 +1508,6 @@ export const CommonStyles = StyleSheet.create({
     }),
   },
   
-  // This is the duplicate - using the same name but with different position in the file
   headerContainer: {
     height: 56,
     flexDirection: 'row',
@@ -1050,6 +1692,13 @@ export const CommonStyles = StyleSheet.create({
     paddingLeft: Spacing.small + 4,
   },
   
+  homeWorklistHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: Spacing.medium,
+  },
+  
   homeDocumentWorkflow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1124,7 +1773,9 @@ export const CommonStyles = StyleSheet.create({
   
   homeActionButtonsContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'space-between',
+    rowGap: Spacing.medium,
   },
   
   homeActionButton: {
@@ -1153,6 +1804,10 @@ export const CommonStyles = StyleSheet.create({
     backgroundColor: '#e8f7ef', // Light green
   },
   
+  homeActionAuditIcon: {
+    backgroundColor: Colors.lightGray,
+  },
+  
   homeActionLabel: {
     fontSize: Typography.size.small,
     fontWeight: Typography.weight.medium,
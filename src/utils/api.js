@@ -0,0 +1,117 @@
+// src/utils/api.js - Shared API server location
+import { Platform } from 'react-native';
+
+/**
+ * Base URL of the MedRec API server.
+ * EXPO_PUBLIC_API_BASE_URL (absolute, ending in /api) wins. iOS/Android builds
+ * have no page origin to resolve a relative URL against, so they need it.
+ * Otherwise the Expo dev server (port 19006) talks to the API server on port 3000,
+ * and in production the API is served from the same origin as the app.
+ * @returns {string} Base URL ending in /api
+ */
+export const getApiBaseUrl = () => {
+  const configured = process.env.EXPO_PUBLIC_API_BASE_URL;
+  if (configured) {
+    return configured.replace(/\/$/, '');
+  }
+
+  const isExpoDev = typeof window !== 'undefined' &&
+                    window.location &&
+                    window.location.port === '19006';
+
+  return isExpoDev ? 'http://localhost:3000/api' : '/api';
+};
+
+/**
+ * True if this build can reach the API server - always on the web,
+ * on iOS/Android only when EXPO_PUBLIC_API_BASE_URL is set
+ * @returns {boolean}
+ */
+export const hasApiServer = () => Platform.OS === 'web' || !!process.env.EXPO_PUBLIC_API_BASE_URL;
+
+/**
+ * Absolute base URL of the self-hosted pdf.js / Tesseract assets.
+ * Web Workers import these, so relative URLs would resolve against a blob: URL.
+ * EXPO_PUBLIC_OCR_ASSET_BASE_URL serves them from elsewhere, e.g. an internal file server.
+ * @returns {string} Base URL without a trailing slash
+ */
+export const getOcrAssetBaseUrl = () => {
+  const base = process.env.EXPO_PUBLIC_OCR_ASSET_BASE_URL ||
+               `${getApiBaseUrl().replace(/\/api$/, '')}/assets/ocr`;
+
+  if (typeof window !== 'undefined' && window.location && window.location.href) {
+    return new URL(base, window.location.href).toString().replace(/\/$/, '');
+  }
+  return base.replace(/\/$/, '');
+};
+
+// Supplies the current API access token; registered by MicrosoftAuth
+let accessTokenProvider = () => null;
+
+/**
+ * Register the function that returns the current API access token
+ * @param {Function} provider - () => string|null
+ */
+export const setAccessTokenProvider = (provider) => {
+  accessTokenProvider = provider;
+};
+
+// Renews the access token after a 401; registered by MicrosoftAuth
+let tokenRefreshHandler = null;
+
+/**
+ * Register the function that renews the API access token
+ * @param {Function} handler - () => Promise<boolean>, true if a new token is available
+ */
+export const setTokenRefreshHandler = (handler) => {
+  tokenRefreshHandler = handler;
+};
+
+/**
+ * Authorization header for API requests, empty when signed out
+ * @returns {Object}
+ */
+export const getAuthHeaders = () => {
+  const token = accessTokenProvider();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+/**
+ * True if the URL points at the MedRec API server
+ */
+export const isApiUrl = (url) => typeof url === 'string' && url.startsWith(getApiBaseUrl());
+
+/**
+ * fetch() against the API server with the user's access token attached.
+ * A 401 renews the token and retries the request once.
+ * @param {string} path - Path below /api, e.g. '/documents'
+ * @param {Object} options - fetch options, plus renewToken: false to answer a 401 without renewing
+ */
+export const apiFetch = async (path, { renewToken = true, ...options } = {}) => {
+  if (!hasApiServer()) {
+    throw new Error('No API server is configured for this app build - set EXPO_PUBLIC_API_BASE_URL');
+  }
+
+  const url = `${getApiBaseUrl()}${path}`;
+
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...getAuthHeaders(),
+      ...options.headers
+    }
+  });
+
+  if (response.status !== 401 || !renewToken || !tokenRefreshHandler || !(await tokenRefreshHandler())) {
+    return response;
+  }
+
+  // The renewed token wins over any Authorization header the caller captured
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...getAuthHeaders()
+    }
+  });
+};
@@ -2,18 +2,53 @@
 
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
+import * as ExpoCrypto from 'expo-crypto';
+import { Buffer } from 'buffer';
 import { isWeb } from './platform';
+import {
+  PDF_TYPE,
+  SUPPORTED_TYPES,
+  SUPPORTED_EXTENSIONS,
+  detectDocumentType,
+  getDocumentType,
+  isImageType,
+  toPdfFileName,
+  imageToPdf
+} from '../shared/imageDocuments';
+
+// File input filter - MIME types plus extensions for browsers that leave TIFF untyped
+const WEB_ACCEPT = [...SUPPORTED_TYPES, ...SUPPORTED_EXTENSIONS].join(',');
+
+// Largest file accepted for processing
+export const MAX_DOCUMENT_SIZE_MB = parseInt(process.env.EXPO_PUBLIC_MAX_UPLOAD_MB, 10) || 10;
+
+/**
+ * Document info for a browser File (picked, dropped or pasted)
+ * @param {File} file - Browser file
+ * @returns {Object} Document info object
+ */
+export const webFileToDocument = (file) => {
+  const fileUrl = URL.createObjectURL(file);
+  return {
+    uri: fileUrl,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    localPath: fileUrl,
+    timestamp: Date.now()
+  };
+};
 
 /**
- * Opens document picker to select a PDF file
+ * Opens document picker to select a PDF, TIFF, JPEG or PNG file
  * @returns {Promise<Object|null>} Document info object or null
  */
-export const pickPdfDocument = async () => {
+export const pickDocument = async () => {
   try {
     if (isWeb) {
-      return await pickWebPdfDocument();
+      return await pickWebDocument();
     } else {
-      return await pickNativePdfDocument();
+      return await pickNativeDocument();
     }
   } catch (error) {
     console.error('Error picking document:', error);
@@ -24,9 +59,9 @@ export const pickPdfDocument = async () => {
 /**
  * Native implementation of document picker
  */
-const pickNativePdfDocument = async () => {
+const pickNativeDocument = async () => {
   const result = await DocumentPicker.getDocumentAsync({
-    type: 'application/pdf',
+    type: SUPPORTED_TYPES,
     copyToCacheDirectory: true
   });
   
@@ -40,7 +75,7 @@ const pickNativePdfDocument = async () => {
     uri: document.uri,
     name: document.name || 'document.pdf',
     size: document.size || 0,
-    type: document.mimeType || 'application/pdf',
+    type: document.mimeType || getDocumentType(document.name) || PDF_TYPE,
     localPath: document.uri,
   };
 };
@@ -48,12 +83,12 @@ const pickNativePdfDocument = async () => {
 /**
  * Web implementation of document picker
  */
-const pickWebPdfDocument = async () => {
+const pickWebDocument = async () => {
   return new Promise((resolve, reject) => {
     // Web-specific implementation
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = 'application/pdf,.pdf';
+    input.accept = WEB_ACCEPT;
     
     input.onchange = (event) => {
       const file = event.target.files[0];
@@ -62,24 +97,204 @@ const pickWebPdfDocument = async () => {
         return;
       }
       
-      const fileUrl = URL.createObjectURL(file);
-      
-      const document = {
-        uri: fileUrl,
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        localPath: fileUrl,
-        timestamp: Date.now()
-      };
+      resolve(webFileToDocument(file));
+    };
+    
+    input.click();
+  });
+};
+
+/**
+ * Opens document picker to select one or more PDF, TIFF, JPEG or PNG files
+ * @returns {Promise<Array<Object>>} Document info objects (empty if canceled)
+ */
+export const pickDocuments = async () => {
+  try {
+    if (isWeb) {
+      return await pickWebDocuments();
+    } else {
+      return await pickNativeDocuments();
+    }
+  } catch (error) {
+    console.error('Error picking documents:', error);
+    return [];
+  }
+};
+
+const pickNativeDocuments = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: SUPPORTED_TYPES,
+    copyToCacheDirectory: true,
+    multiple: true
+  });
+  
+  if (result.canceled) {
+    return [];
+  }
+  
+  return result.assets.map(document => ({
+    uri: document.uri,
+    name: document.name || 'document.pdf',
+    size: document.size || 0,
+    type: document.mimeType || getDocumentType(document.name) || PDF_TYPE,
+    localPath: document.uri,
+  }));
+};
+
+const pickWebDocuments = async () => {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = WEB_ACCEPT;
+    input.multiple = true;
+    
+    input.onchange = (event) => {
+      const files = Array.from(event.target.files || []);
       
-      resolve(document);
+      resolve(files.map(webFileToDocument));
     };
     
     input.click();
   });
 };
 
+/**
+ * Files in a browser drop, including the contents of dropped folders
+ * @param {DataTransfer} dataTransfer - From the drop event
+ * @returns {Promise<Array<File>>} Dropped files
+ */
+export const getDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+
+    // Directory readers return their entries in batches until an empty one
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children.push(...batch);
+    } while (batch.length > 0);
+
+    const files = await Promise.all(children.map(readEntry));
+    return files.flat();
+  };
+
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+};
+
+/**
+ * Checks that a file can be processed
+ * @param {Object} documentInfo - Document info ({ name, size, type })
+ * @returns {string|null} Why the file cannot be processed, or null if it can
+ */
+export const validateDocument = (documentInfo) => {
+  if (!getDocumentType(documentInfo.name, documentInfo.type)) {
+    return 'Not a PDF, TIFF, JPEG or PNG file';
+  }
+  if (!documentInfo.size) {
+    return 'The file is empty';
+  }
+  if (documentInfo.size > MAX_DOCUMENT_SIZE_MB * 1024 * 1024) {
+    return `Larger than ${MAX_DOCUMENT_SIZE_MB} MB`;
+  }
+  return null;
+};
+
+/**
+ * Reads a picked file into memory
+ * @param {string} uri - blob URL on web, file URI on native
+ * @returns {Promise<Uint8Array>} File bytes
+ */
+export const readDocumentBytes = async (uri) => {
+  if (isWeb) {
+    const response = await fetch(uri);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  const base64Data = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64
+  });
+  return new Uint8Array(Buffer.from(base64Data, 'base64'));
+};
+
+/**
+ * SHA-256 of a file's content, used to spot the same file picked twice
+ * @param {Object} documentInfo - Document info ({ uri })
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashDocument = async (documentInfo) => {
+  const bytes = await readDocumentBytes(documentInfo.uri);
+  const digest = isWeb
+    ? await crypto.subtle.digest('SHA-256', bytes)
+    : await ExpoCrypto.digest(ExpoCrypto.CryptoDigestAlgorithm.SHA256, bytes);
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Converts a picked TIFF, JPEG or PNG file to a PDF with one page per image, so
+ * faxed and photographed referrals go through the same pipeline as PDFs.
+ * PDFs are returned unchanged.
+ * @param {Object} documentInfo - Picked document ({ uri, name, size, type, localPath })
+ * @returns {Promise<Object>} Document info for the PDF, with `sourceType` set to the image type
+ */
+export const convertToPdfDocument = async (documentInfo) => {
+  if (getDocumentType(documentInfo.name, documentInfo.type) === PDF_TYPE) {
+    return documentInfo;
+  }
+
+  const bytes = await readDocumentBytes(documentInfo.uri);
+  const sourceType = detectDocumentType(bytes);
+
+  if (sourceType === PDF_TYPE) {
+    return documentInfo;
+  }
+  if (!isImageType(sourceType)) {
+    throw new Error(`${documentInfo.name} is not a PDF, TIFF, JPEG or PNG file`);
+  }
+
+  const pdf = await imageToPdf(bytes, sourceType);
+  const name = toPdfFileName(documentInfo.name);
+  let uri;
+
+  if (isWeb) {
+    if (documentInfo.uri.startsWith('blob:')) {
+      URL.revokeObjectURL(documentInfo.uri);
+    }
+    uri = URL.createObjectURL(new Blob([pdf], { type: PDF_TYPE }));
+  } else {
+    uri = `${FileSystem.cacheDirectory}${Date.now()}_${name}`;
+    await FileSystem.writeAsStringAsync(uri, Buffer.from(pdf).toString('base64'), {
+      encoding: FileSystem.EncodingType.Base64
+    });
+  }
+
+  console.log(`🖼️ Converted ${documentInfo.name} (${sourceType}) to PDF`);
+
+  return {
+    ...documentInfo,
+    uri,
+    localPath: uri,
+    name,
+    size: pdf.length,
+    type: PDF_TYPE,
+    sourceType
+  };
+};
+
 /**
  * Saves a document to the app's documents directory
  * @param {string} uri - URI of the document
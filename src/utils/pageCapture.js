@@ -0,0 +1,104 @@
+// src/utils/pageCapture.js - Camera capture of paper referrals (iOS/Android)
+
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+import { Buffer } from 'buffer';
+import { detectPageCorners, warpPerspective } from '../shared/pageDetection';
+import { PDF_TYPE, imagesToPdf } from '../shared/imageDocuments';
+
+// jpeg-js returns encoded images as a Node Buffer
+if (typeof global.Buffer === 'undefined') {
+  global.Buffer = Buffer;
+}
+
+// Photos are scaled to this many pixels along the longest side before page
+// detection - about 180 dpi on a letter page, and small enough to decode in JS
+const CAPTURE_SIZE = 2000;
+
+const JPEG_QUALITY = 85;
+
+let nextPageNumber = 1;
+
+const writeBase64File = async (uri, bytes) => {
+  await FileSystem.writeAsStringAsync(uri, Buffer.from(bytes).toString('base64'), {
+    encoding: FileSystem.EncodingType.Base64
+  });
+};
+
+/**
+ * Finds the page in a camera photo and flattens it
+ * @param {Object} photo - Result of takePictureAsync() ({ uri, width, height })
+ * @returns {Promise<Object>} Captured page ({ id, uri, width, height, corrected }) -
+ *   `corrected` is false when no page edges were found and the photo is used as taken
+ */
+export const processCapturedPage = async (photo) => {
+  const resize = photo.width >= photo.height
+    ? { width: Math.min(photo.width, CAPTURE_SIZE) }
+    : { height: Math.min(photo.height, CAPTURE_SIZE) };
+
+  const resized = await ImageManipulator.manipulateAsync(photo.uri, [{ resize }], {
+    compress: 0.9,
+    format: ImageManipulator.SaveFormat.JPEG,
+    base64: true
+  });
+
+  const id = `page_${Date.now()}_${nextPageNumber++}`;
+  const image = jpeg.decode(Buffer.from(resized.base64, 'base64'), { useTArray: true, formatAsRGBA: true });
+  const corners = detectPageCorners(image);
+
+  if (!corners) {
+    console.log('📷 No page edges found - using the photo as taken');
+    return { id, uri: resized.uri, width: image.width, height: image.height, corrected: false };
+  }
+
+  const page = warpPerspective(image, corners, { maxSize: CAPTURE_SIZE });
+  const uri = `${FileSystem.cacheDirectory}${id}.jpg`;
+  await writeBase64File(uri, jpeg.encode(page, JPEG_QUALITY).data);
+
+  console.log(`📷 Page flattened to ${page.width}x${page.height}`);
+  return { id, uri, width: page.width, height: page.height, corrected: true };
+};
+
+/**
+ * Deletes a captured page's image from the cache
+ * @param {Object} page - Captured page
+ */
+export const discardCapturedPage = async (page) => {
+  try {
+    await FileSystem.deleteAsync(page.uri, { idempotent: true });
+  } catch (error) {
+    console.warn('Could not delete captured page:', error);
+  }
+};
+
+/**
+ * Assembles captured pages, in order, into one PDF
+ * @param {Array<Object>} pages - Captured pages
+ * @returns {Promise<Object>} Document info ({ uri, name, size, type, localPath })
+ */
+export const assembleCapturedPages = async (pages) => {
+  const images = await Promise.all(pages.map(async page => {
+    const base64Data = await FileSystem.readAsStringAsync(page.uri, {
+      encoding: FileSystem.EncodingType.Base64
+    });
+    return { bytes: new Uint8Array(Buffer.from(base64Data, 'base64')), type: 'image/jpeg' };
+  }));
+
+  const pdf = await imagesToPdf(images);
+
+  const timestamp = new Date().toISOString().slice(0, 16).replace('T', '_').replace(':', '');
+  const name = `Scan_${timestamp}.pdf`;
+  const uri = `${FileSystem.cacheDirectory}${name}`;
+  await writeBase64File(uri, pdf);
+
+  console.log(`📄 Assembled ${pages.length} captured pages into ${name}`);
+
+  return {
+    uri,
+    name,
+    size: pdf.length,
+    type: PDF_TYPE,
+    localPath: uri
+  };
+};
@@ -0,0 +1,140 @@
+// src/utils/secureTokenStorage.js - Refresh token storage outside localStorage
+//
+// On web the token is encrypted with AES-GCM under a non-extractable WebCrypto key.
+// Key and ciphertext live in IndexedDB: the raw token never sits in storage, and
+// the key cannot be exported, so a copied profile or storage dump is useless
+// without this origin's browser. Native builds use the iOS Keychain / Android
+// Keystore through expo-secure-store.
+import * as SecureStore from 'expo-secure-store';
+import { isWeb } from './platform';
+
+const DB_NAME = 'medrec-auth';
+const STORE_NAME = 'secrets';
+const KEY_ENTRY = 'refreshTokenKey';
+const TOKEN_ENTRY = 'refreshToken';
+const SECURE_STORE_KEY = 'medrec_refresh_token';
+
+let memoryToken = null;
+
+const isIndexedDbAvailable = () => isWeb && typeof indexedDB !== 'undefined' && !!globalThis.crypto?.subtle;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run one request against the secrets store
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const getEncryptionKey = async () => {
+  const existing = await withStore('readonly', store => store.get(KEY_ENTRY));
+  if (existing) return existing;
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  await withStore('readwrite', store => store.put(key, KEY_ENTRY));
+  return key;
+};
+
+/**
+ * Store (or replace) the refresh token
+ */
+export const saveRefreshToken = async (token) => {
+  memoryToken = token;
+  if (!token) return;
+
+  if (!isWeb) {
+    try {
+      await SecureStore.setItemAsync(SECURE_STORE_KEY, token, {
+        keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not persist refresh token:', error);
+    }
+    return;
+  }
+
+  if (!isIndexedDbAvailable()) return;
+
+  try {
+    const key = await getEncryptionKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(token));
+    await withStore('readwrite', store => store.put({ iv, data }, TOKEN_ENTRY));
+  } catch (error) {
+    // Still usable for this tab; the user signs in again after a reload
+    console.warn('⚠️ Could not persist refresh token:', error);
+  }
+};
+
+/**
+ * The stored refresh token, or null
+ */
+export const loadRefreshToken = async () => {
+  if (memoryToken) return memoryToken;
+
+  if (!isWeb) {
+    try {
+      memoryToken = await SecureStore.getItemAsync(SECURE_STORE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Could not read refresh token:', error);
+    }
+    return memoryToken;
+  }
+
+  if (!isIndexedDbAvailable()) return null;
+
+  try {
+    const entry = await withStore('readonly', store => store.get(TOKEN_ENTRY));
+    if (!entry) return null;
+
+    const key = await getEncryptionKey();
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, key, entry.data);
+    memoryToken = new TextDecoder().decode(plain);
+    return memoryToken;
+  } catch (error) {
+    console.warn('⚠️ Could not read refresh token:', error);
+    return null;
+  }
+};
+
+export const clearRefreshToken = async () => {
+  memoryToken = null;
+
+  if (!isWeb) {
+    try {
+      await SecureStore.deleteItemAsync(SECURE_STORE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Could not clear refresh token:', error);
+    }
+    return;
+  }
+
+  if (!isIndexedDbAvailable()) return;
+
+  try {
+    // The key is dropped too, so nothing encrypted under it can be recovered
+    await withStore('readwrite', store => {
+      store.delete(TOKEN_ENTRY);
+      return store.delete(KEY_ENTRY);
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not clear refresh token:', error);
+  }
+};